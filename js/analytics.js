@@ -0,0 +1,180 @@
+// ==================== PAGE ANALYTICS ====================
+// Loaded by js/consent.js only after the visitor allows "analiticas".
+// Records page views, clicks on the buy (.btn-product) and download
+// (.btn-download) buttons and how far each page is scrolled. There are no
+// cookies and no visitor id: events of one page view share a random id
+// that is not stored anywhere.
+//
+// Events go to a sink, a function that receives each batch. The default
+// one posts them with navigator.sendBeacon to /api/analytics/events (or
+// to data-endpoint on this script tag, see data-analytics-endpoint in
+// js/consent.js). A self-hosted collector or another tool can be plugged
+// in once the script is ready:
+//
+//   window.addEventListener('analytics:ready', () => {
+//       sauroAnalytics.setSink(events => myCollector.push(events));
+//   });
+//
+// Event: { type, page, view, at, ...data }
+//   pageview  { title, referrer, language }
+//   cta       { kind: 'product' | 'download', label, href, product?, release?, os? }
+//   scroll    { depth: 25 | 50 | 75 | 100 }
+
+(function () {
+    const script = document.currentScript;
+    const ENDPOINT = (script && script.dataset.endpoint) || '/api/analytics/events';
+    const BATCH_SIZE = 10;
+    const FLUSH_INTERVAL = 10000;
+    const SCROLL_DEPTHS = [25, 50, 75, 100];
+    const CTA_SELECTORS = { product: '.btn-product', download: '.btn-download' };
+
+    const view = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    const queue = [];
+    const reachedDepths = new Set();
+    let flushTimer = null;
+    let scrollPending = false;
+
+    // ==================== SINKS ====================
+
+    function beaconSink(endpoint) {
+        return events => {
+            const body = JSON.stringify({ events });
+            const sent = navigator.sendBeacon
+                && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+            if (!sent) {
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {
+                    // Analytics never bother the visitor
+                });
+            }
+        };
+    }
+
+    let sink = beaconSink(ENDPOINT);
+
+    function setSink(next) {
+        if (typeof next !== 'function') throw new TypeError('The analytics sink must be a function');
+        sink = next;
+    }
+
+    // ==================== QUEUE ====================
+
+    // Consent can be withdrawn after this script loaded
+    function allowed() {
+        return !window.consent || consent.has('analiticas');
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (!queue.length) return;
+        const events = queue.splice(0);
+        if (!allowed()) return;
+
+        try {
+            sink(events);
+        } catch (error) {
+            console.error('Analytics sink error:', error);
+        }
+    }
+
+    function track(type, data = {}) {
+        if (!allowed()) return;
+        queue.push({
+            type,
+            page: window.location.pathname,
+            view,
+            at: new Date().toISOString(),
+            ...data
+        });
+
+        if (queue.length >= BATCH_SIZE) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, FLUSH_INTERVAL);
+        }
+    }
+
+    // ==================== PAGE VIEWS ====================
+
+    // Only where the visit came from, never the full referring URL
+    function referrerOrigin() {
+        try {
+            const origin = new URL(document.referrer).origin;
+            return origin === window.location.origin ? null : origin;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function trackPageView() {
+        track('pageview', {
+            title: document.title,
+            referrer: referrerOrigin(),
+            language: i18n.getLanguage()
+        });
+    }
+
+    // ==================== CTA CLICKS ====================
+
+    function trackClick(e) {
+        const kind = Object.keys(CTA_SELECTORS).find(key => e.target.closest(CTA_SELECTORS[key]));
+        if (!kind) return;
+        const button = e.target.closest(CTA_SELECTORS[kind]);
+        const href = button.getAttribute('href');
+
+        track('cta', {
+            kind,
+            label: button.textContent.trim().replace(/\s+/g, ' ').slice(0, 80),
+            href: href ? new URL(href, window.location.href).pathname : null,
+            product: button.dataset.addToCart || undefined,
+            release: button.dataset.release || undefined,
+            os: button.dataset.os || undefined
+        });
+    }
+
+    // ==================== SCROLL DEPTH ====================
+
+    function checkScrollDepth() {
+        scrollPending = false;
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        const percent = scrollable > 0 ? ((window.scrollY || window.pageYOffset) / scrollable) * 100 : 100;
+
+        SCROLL_DEPTHS.forEach(depth => {
+            if (percent >= depth && !reachedDepths.has(depth)) {
+                reachedDepths.add(depth);
+                track('scroll', { depth });
+            }
+        });
+    }
+
+    function handleScroll() {
+        if (scrollPending) return;
+        scrollPending = true;
+        requestAnimationFrame(checkScrollDepth);
+    }
+
+    // ==================== INITIALIZE ====================
+
+    window.sauroAnalytics = {
+        track,
+        flush,
+        setSink,
+        beaconSink
+    };
+
+    trackPageView();
+    checkScrollDepth();
+    document.addEventListener('click', trackClick);
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    window.dispatchEvent(new CustomEvent('analytics:ready'));
+})();
@@ -0,0 +1,289 @@
+// ==================== MOTION ====================
+// Scroll reveals, number counters and the custom cursor for every page,
+// with one IntersectionObserver for all of them.
+//
+//   <div data-animate="slide-up" data-animate-delay="200">…</div>
+//   <div data-animate-stagger="100">               children revealed together
+//       <div data-animate="zoom">…</div>           start 100 ms apart
+//   </div>
+//   <span data-count="150" data-count-suffix="+">150+</span>
+//
+// Effects: fade, slide-up, slide-down, slide-left, slide-right, zoom.
+// data-animate-duration changes the 600 ms default. Counters keep their
+// final text in the markup (so it is right without JavaScript), count up
+// once visible and format the number for the current language
+// (data-count-prefix, data-count-suffix, data-count-decimals,
+// data-count-duration).
+//
+// Motion is reduced when the system asks for it (prefers-reduced-motion)
+// or the visitor chose "Reducir animaciones" in the footer; the choice is
+// stored in localStorage (sauro-motion) and wins over the system setting.
+// <html> then gets .reduce-motion, which also stops the CSS animations.
+//
+//   motion.isReduced();
+//   motion.setReduced(true);    // true / false, null to follow the system
+//   motion.observe(container);  // elements added later
+//
+// Every change dispatches "motion:change" on window.
+
+(function () {
+    const STORAGE_KEY = 'sauro-motion';
+    const DEFAULT_DURATION = 600;
+    const COUNT_DURATION = 2000;
+    const EFFECTS = ['fade', 'slide-up', 'slide-down', 'slide-left', 'slide-right', 'zoom'];
+    const systemQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+    const counters = new Set();
+    let preference = readPreference();  // 'reduce', 'full' or null (system)
+    let observer = null;
+    let toggleButton = null;
+    let cursor = null;
+
+    i18n.addMessages({
+        es: { motion: { reduce: 'Reducir animaciones' } },
+        en: { motion: { reduce: 'Reduce motion' } },
+        pt: { motion: { reduce: 'Reduzir animações' } }
+    });
+
+    // ==================== PREFERENCE ====================
+
+    function readPreference() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'reduce' || stored === 'full' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function isReduced() {
+        if (preference) return preference === 'reduce';
+        return systemQuery.matches;
+    }
+
+    function setReduced(reduced) {
+        preference = reduced === null ? null : (reduced ? 'reduce' : 'full');
+        try {
+            if (preference) {
+                localStorage.setItem(STORAGE_KEY, preference);
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (error) {
+            // Storage disabled: the choice lasts for this page only
+        }
+        applyPreference();
+    }
+
+    function applyPreference() {
+        const reduced = isReduced();
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+        if (toggleButton) toggleButton.setAttribute('aria-pressed', String(reduced));
+
+        // Whatever was waiting or moving jumps to its final state
+        if (reduced) {
+            document.querySelectorAll('[data-animate]:not(.is-visible)').forEach(show);
+            counters.forEach(finishCount);
+            removeCursor();
+        } else {
+            enableCursor();
+        }
+        window.dispatchEvent(new CustomEvent('motion:change', { detail: { reduced } }));
+    }
+
+    // ==================== REVEAL ====================
+
+    function show(element) {
+        element.classList.add('is-visible');
+        if (observer) observer.unobserve(element);
+    }
+
+    function reveal(element, delay) {
+        const duration = parseInt(element.dataset.animateDuration) || DEFAULT_DURATION;
+        element.style.setProperty('--motion-delay', `${delay}ms`);
+        element.style.setProperty('--motion-duration', `${duration}ms`);
+
+        // The reveal transition only applies while it runs, so the
+        // element's own transitions (hover effects) are back afterwards
+        element.classList.add('is-animating');
+        show(element);
+        setTimeout(() => element.classList.remove('is-animating'), delay + duration + 50);
+    }
+
+    // Elements of the same data-animate-stagger parent that appear together
+    // start one after the other, on top of their own data-animate-delay
+    function revealBatch(elements) {
+        const groups = new Map();
+        elements.forEach(element => {
+            const group = element.parentElement && element.parentElement.closest('[data-animate-stagger]');
+            const position = groups.get(group) || 0;
+            groups.set(group, position + 1);
+
+            const stagger = group ? parseInt(group.dataset.animateStagger) || 0 : 0;
+            reveal(element, (parseInt(element.dataset.animateDelay) || 0) + position * stagger);
+        });
+    }
+
+    // ==================== COUNTERS ====================
+
+    function formatCount(element, value) {
+        const decimals = parseInt(element.dataset.countDecimals) || 0;
+        const number = new Intl.NumberFormat(i18n.getLocale(), {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(value);
+        return `${element.dataset.countPrefix || ''}${number}${element.dataset.countSuffix || ''}`;
+    }
+
+    function finishCount(element) {
+        if (observer) observer.unobserve(element);
+        element.dataset.countState = 'done';
+        element.textContent = formatCount(element, parseFloat(element.dataset.count));
+    }
+
+    function runCount(element) {
+        const target = parseFloat(element.dataset.count);
+        const duration = parseInt(element.dataset.countDuration) || COUNT_DURATION;
+        let start = null;
+        element.dataset.countState = 'running';
+
+        const step = time => {
+            if (element.dataset.countState !== 'running') return;
+            if (start === null) start = time;
+            const progress = Math.min((time - start) / duration, 1);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            if (progress < 1) {
+                element.textContent = formatCount(element, target * eased);
+                requestAnimationFrame(step);
+            } else {
+                finishCount(element);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    // ==================== OBSERVER ====================
+
+    function handleIntersections(entries) {
+        const visible = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+
+        revealBatch(visible.filter(element => element.hasAttribute('data-animate')));
+        visible.filter(element => element.hasAttribute('data-count')).forEach(element => {
+            observer.unobserve(element);
+            runCount(element);
+        });
+    }
+
+    function observe(root = document) {
+        const reduced = isReduced();
+        if (!observer && !reduced) {
+            observer = new IntersectionObserver(handleIntersections, {
+                threshold: 0.15,
+                rootMargin: '0px 0px -50px 0px'
+            });
+        }
+
+        root.querySelectorAll('[data-animate]:not(.is-visible)').forEach(element => {
+            if (!EFFECTS.includes(element.dataset.animate)) {
+                console.warn(`data-animate="${element.dataset.animate}" no existe (${EFFECTS.join(', ')})`);
+            }
+            if (reduced) {
+                show(element);
+            } else {
+                observer.observe(element);
+            }
+        });
+
+        root.querySelectorAll('[data-count]:not([data-count-state])').forEach(element => {
+            counters.add(element);
+            if (reduced) {
+                finishCount(element);
+            } else {
+                element.dataset.countState = 'waiting';
+                element.textContent = formatCount(element, 0);
+                observer.observe(element);
+            }
+        });
+    }
+
+    // ==================== CURSOR ====================
+    // Ring that follows the mouse on wide screens; grows over links and buttons
+
+    function enableCursor() {
+        if (cursor || isReduced() || window.innerWidth <= 1024 || !window.matchMedia('(pointer: fine)').matches) return;
+
+        cursor = document.createElement('div');
+        cursor.className = 'custom-cursor';
+        cursor.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(cursor);
+        document.addEventListener('mousemove', moveCursor);
+        document.addEventListener('mouseover', highlightCursor);
+    }
+
+    function removeCursor() {
+        if (!cursor) return;
+        document.removeEventListener('mousemove', moveCursor);
+        document.removeEventListener('mouseover', highlightCursor);
+        cursor.remove();
+        cursor = null;
+    }
+
+    function moveCursor(e) {
+        cursor.classList.add('visible');
+        cursor.style.left = `${e.clientX}px`;
+        cursor.style.top = `${e.clientY}px`;
+    }
+
+    function highlightCursor(e) {
+        cursor.classList.toggle('over-link', Boolean(e.target.closest('a, button')));
+    }
+
+    // ==================== TOGGLE ====================
+
+    // "Reducir animaciones" in the footer, next to the privacy preferences
+    function addToggle() {
+        const footer = document.querySelector('.footer-bottom');
+        if (!footer) return;
+
+        toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'motion-toggle';
+        toggleButton.dataset.i18n = 'motion.reduce';
+        toggleButton.textContent = i18n.t('motion.reduce');
+        toggleButton.setAttribute('aria-pressed', String(isReduced()));
+        toggleButton.addEventListener('click', () => setReduced(!isReduced()));
+        footer.appendChild(toggleButton);
+    }
+
+    // ==================== INITIALIZE ====================
+
+    window.motion = {
+        isReduced,
+        setReduced,
+        observe
+    };
+
+    document.documentElement.classList.add('motion-ready');
+    document.documentElement.classList.toggle('reduce-motion', isReduced());
+
+    systemQuery.addEventListener('change', () => {
+        if (!preference) applyPreference();
+    });
+
+    // Numbers already shown follow the language
+    window.addEventListener('i18n:change', () => {
+        counters.forEach(element => {
+            if (element.dataset.countState !== 'running') {
+                const value = element.dataset.countState === 'done' ? parseFloat(element.dataset.count) : 0;
+                element.textContent = formatCount(element, value);
+            }
+        });
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        addToggle();
+        observe();
+        enableCursor();
+    });
+})();
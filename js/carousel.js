@@ -0,0 +1,318 @@
+// ==================== CAROUSEL ====================
+// Rotating slides with previous / next buttons, dot indicators, swipe,
+// arrow keys and a pause button. Every [data-carousel] on the page becomes
+// its own carousel:
+//
+//   <section class="carousel" data-carousel data-carousel-interval="6000" data-carousel-label="Novedades">
+//       <div class="carousel-slide" data-carousel-slide style="background-image: url('uno.jpg')">
+//           <div class="carousel-caption">
+//               <h3>…</h3>
+//               <a class="btn btn-primary" href="…">…</a>
+//           </div>
+//       </div>
+//       <div class="carousel-slide" data-carousel-slide data-carousel-bg="dos.jpg">…</div>
+//       <div data-carousel-controls></div>      where the controls go (optional)
+//   </section>
+//
+// data-carousel-interval is the time per slide in ms (default 5000, 0 turns
+// rotation off). Images in data-carousel-bg (or <img data-carousel-src>)
+// are only loaded for the visible slide and the next one. The slide shown
+// first is the one with class="active", or the first.
+//
+// Rotation stops while the pointer is over the carousel, while something
+// inside it has focus, while the tab is hidden, when motion is reduced
+// (js/animations.js) and, until pressed again, after the pause button.
+//
+// Purely decorative images (data-carousel-decorative) are hidden from
+// screen readers and only get the pause button, placed in
+// <div data-carousel-controls="carousel id"> when it is outside:
+//
+//   <div id="fondos" data-carousel data-carousel-decorative data-carousel-label="Imágenes de fondo">…</div>
+//   <div data-carousel-controls="fondos"></div>
+//
+//   const slider = carousel.create(element);
+//   slider.goTo(2); slider.next(); slider.prev(); slider.pause(); slider.play();
+
+(function () {
+    const DEFAULT_INTERVAL = 5000;
+    const SWIPE_DISTANCE = 50; // px
+
+    i18n.addMessages({
+        es: {
+            carousel: {
+                label: 'Carrusel',
+                roleDescription: 'carrusel',
+                slideRoleDescription: 'diapositiva',
+                slide: '{index} de {total}',
+                goTo: 'Ir a la diapositiva {index}',
+                previous: 'Diapositiva anterior',
+                next: 'Diapositiva siguiente',
+                pause: 'Detener la rotación',
+                play: 'Reanudar la rotación'
+            }
+        },
+        en: {
+            carousel: {
+                label: 'Carousel',
+                roleDescription: 'carousel',
+                slideRoleDescription: 'slide',
+                slide: '{index} of {total}',
+                goTo: 'Go to slide {index}',
+                previous: 'Previous slide',
+                next: 'Next slide',
+                pause: 'Stop rotation',
+                play: 'Resume rotation'
+            }
+        },
+        pt: {
+            carousel: {
+                label: 'Carrossel',
+                roleDescription: 'carrossel',
+                slideRoleDescription: 'slide',
+                slide: '{index} de {total}',
+                goTo: 'Ir para o slide {index}',
+                previous: 'Slide anterior',
+                next: 'Próximo slide',
+                pause: 'Parar a rotação',
+                play: 'Retomar a rotação'
+            }
+        }
+    });
+
+    function isMotionReduced() {
+        return Boolean(window.motion && motion.isReduced());
+    }
+
+    // Sets the slide's image once; the browser fetches it right away
+    function loadSlide(slide) {
+        if (slide.dataset.carouselBg) {
+            slide.style.backgroundImage = `url('${slide.dataset.carouselBg}')`;
+            delete slide.dataset.carouselBg;
+        }
+        slide.querySelectorAll('img[data-carousel-src]').forEach(img => {
+            img.src = img.dataset.carouselSrc;
+            delete img.dataset.carouselSrc;
+        });
+    }
+
+    function createButton(className, icon) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        if (icon) button.innerHTML = `<i class="fas ${icon}" aria-hidden="true"></i>`;
+        return button;
+    }
+
+    // ==================== CAROUSEL ====================
+
+    function createCarousel(root) {
+        const slides = Array.from(root.querySelectorAll('[data-carousel-slide]'));
+        const decorative = root.hasAttribute('data-carousel-decorative');
+        const interval = root.dataset.carouselInterval !== undefined
+            ? parseInt(root.dataset.carouselInterval) || 0
+            : DEFAULT_INTERVAL;
+
+        // Why rotation is stopped: 'hover', 'focus', 'hidden', 'motion', 'user'
+        const pauses = new Set();
+        let current = Math.max(slides.findIndex(slide => slide.classList.contains('active')), 0);
+        let timer = null;
+        let touchStart = null;
+
+        const prevButton = createButton('carousel-prev', 'fa-chevron-left');
+        const nextButton = createButton('carousel-next', 'fa-chevron-right');
+        const pauseButton = createButton('carousel-pause');
+        const indicators = document.createElement('div');
+        const dots = slides.map((slide, index) => {
+            const dot = createButton('indicator');
+            dot.addEventListener('click', () => goTo(index));
+            indicators.appendChild(dot);
+            return dot;
+        });
+
+        // ==================== ROTATION ====================
+
+        function isRotating() {
+            return interval > 0 && slides.length > 1 && pauses.size === 0;
+        }
+
+        function schedule() {
+            clearTimeout(timer);
+            timer = isRotating() ? setTimeout(next, interval) : null;
+        }
+
+        function setPaused(reason, paused) {
+            if (paused) {
+                pauses.add(reason);
+            } else {
+                pauses.delete(reason);
+            }
+            render();
+            schedule();
+        }
+
+        // ==================== SLIDES ====================
+
+        function goTo(index) {
+            current = (index + slides.length) % slides.length;
+            loadSlide(slides[current]);
+            loadSlide(slides[(current + 1) % slides.length]);
+            render();
+            schedule();
+        }
+
+        function next() {
+            goTo(current + 1);
+        }
+
+        function prev() {
+            goTo(current - 1);
+        }
+
+        function render() {
+            const total = slides.length;
+            slides.forEach((slide, index) => {
+                const active = index === current;
+                slide.classList.toggle('active', active);
+                if (decorative) return;
+                slide.setAttribute('aria-label', i18n.t('carousel.slide', { index: index + 1, total }));
+                slide.setAttribute('aria-roledescription', i18n.t('carousel.slideRoleDescription'));
+                slide.setAttribute('aria-hidden', String(!active));
+                // Links and buttons of hidden slides are out of the tab order
+                slide.inert = !active;
+            });
+
+            dots.forEach((dot, index) => {
+                dot.classList.toggle('active', index === current);
+                dot.setAttribute('aria-label', i18n.t('carousel.goTo', { index: index + 1 }));
+                if (index === current) {
+                    dot.setAttribute('aria-current', 'true');
+                } else {
+                    dot.removeAttribute('aria-current');
+                }
+            });
+
+            prevButton.setAttribute('aria-label', i18n.t('carousel.previous'));
+            nextButton.setAttribute('aria-label', i18n.t('carousel.next'));
+
+            const userPaused = pauses.has('user');
+            pauseButton.setAttribute('aria-label', i18n.t(userPaused ? 'carousel.play' : 'carousel.pause'));
+            pauseButton.innerHTML = `<i class="fas ${userPaused ? 'fa-play' : 'fa-pause'}" aria-hidden="true"></i>`;
+            pauseButton.hidden = interval === 0 || pauses.has('motion');
+
+            const label = root.dataset.carouselLabel || i18n.t('carousel.label');
+            if (decorative) {
+                pauseButton.parentElement.setAttribute('aria-label', label);
+                return;
+            }
+
+            // Screen readers announce the slide only when the visitor changed it
+            slides[0].parentElement.setAttribute('aria-live', isRotating() ? 'off' : 'polite');
+            root.setAttribute('aria-label', label);
+            root.setAttribute('aria-roledescription', i18n.t('carousel.roleDescription'));
+        }
+
+        // ==================== INPUT ====================
+
+        function handleKeydown(e) {
+            if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            if (e.key === 'ArrowLeft') {
+                prev();
+            } else if (e.key === 'ArrowRight') {
+                next();
+            } else if (e.key === 'Home') {
+                goTo(0);
+            } else if (e.key === 'End') {
+                goTo(slides.length - 1);
+            } else {
+                return;
+            }
+            e.preventDefault();
+        }
+
+        function handleTouchStart(e) {
+            touchStart = e.touches.length === 1 ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+        }
+
+        // Mostly horizontal moves longer than SWIPE_DISTANCE change the slide
+        function handleTouchEnd(e) {
+            if (!touchStart) return;
+            const dx = e.changedTouches[0].clientX - touchStart.x;
+            const dy = e.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+
+            if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy)) return;
+            if (dx < 0) {
+                next();
+            } else {
+                prev();
+            }
+        }
+
+        // Keys, swipes, hover and focus, for carousels with content
+        function listenToInput() {
+            root.addEventListener('keydown', handleKeydown);
+            root.addEventListener('touchstart', handleTouchStart, { passive: true });
+            root.addEventListener('touchend', handleTouchEnd);
+            root.addEventListener('mouseenter', () => setPaused('hover', true));
+            root.addEventListener('mouseleave', () => setPaused('hover', false));
+            root.addEventListener('focusin', () => setPaused('focus', true));
+            root.addEventListener('focusout', e => {
+                if (!root.contains(e.relatedTarget)) setPaused('focus', false);
+            });
+        }
+
+        // ==================== INITIALIZE ====================
+
+        if (slides.length < 2) {
+            if (slides[0]) loadSlide(slides[0]);
+            return null;
+        }
+
+        const controls = root.querySelector('[data-carousel-controls]')
+            || (root.id && document.querySelector(`[data-carousel-controls="${root.id}"]`))
+            || root.appendChild(document.createElement('div'));
+        controls.classList.add('carousel-controls');
+        pauseButton.addEventListener('click', () => setPaused('user', !pauses.has('user')));
+
+        document.addEventListener('visibilitychange', () => setPaused('hidden', document.hidden));
+        window.addEventListener('motion:change', () => setPaused('motion', isMotionReduced()));
+        window.addEventListener('i18n:change', render);
+        if (document.hidden) pauses.add('hidden');
+        if (isMotionReduced()) pauses.add('motion');
+
+        if (decorative) {
+            root.setAttribute('aria-hidden', 'true');
+            controls.setAttribute('role', 'group');
+            controls.append(pauseButton);
+        } else {
+            root.setAttribute('role', 'region');
+            slides.forEach(slide => slide.setAttribute('role', 'group'));
+            indicators.className = 'carousel-indicators';
+            prevButton.addEventListener('click', prev);
+            nextButton.addEventListener('click', next);
+            controls.append(pauseButton, prevButton, indicators, nextButton);
+            listenToInput();
+        }
+        goTo(current);
+
+        return {
+            goTo,
+            next,
+            prev,
+            pause: () => setPaused('user', true),
+            play: () => setPaused('user', false),
+            getIndex: () => current
+        };
+    }
+
+    // ==================== INITIALIZE ====================
+
+    window.carousel = {
+        create: createCarousel
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('[data-carousel]').forEach(createCarousel);
+    });
+})();
@@ -0,0 +1,346 @@
+// ==================== SHOPPING CART ====================
+// Cart kept in localStorage (sauro-cart) and shared by every page: adds a
+// cart link with a badge to the header and handles the "Comprar" buttons:
+//
+//   <a href="carrito.html?add=sauropos" data-add-to-cart="sauropos">Comprar</a>
+//
+// Prices come from js/pricing.js + data/pricing.json; the cart page and
+// the checkout live in js/checkout.js. Every change fires 'cart:change'
+// on window, also when the cart is modified in another tab.
+
+(function () {
+    const { createId, siteUrl } = sauroUtils;
+
+    const script = document.currentScript;
+    const STORAGE_KEY = 'sauro-cart';
+    const PRICE_LIST_URL = (script && script.dataset.priceList) || siteUrl('data/pricing.json');
+    const CART_URL = siteUrl('pages/carrito.html');
+    const DEFAULT_TIER = 'estandar';
+
+    let state = readState();
+    let pricingPromise = null;
+    let badge = null;
+
+    i18n.addMessages({
+        es: {
+            cart: {
+                title: 'Carrito',
+                link: {
+                    one: 'Carrito ({count} producto)',
+                    other: 'Carrito ({count} productos)'
+                },
+                added: '{product} se agregó al carrito',
+                alreadyInCart: '{product} ya está en tu carrito',
+                view: 'Ver carrito',
+                priceError: 'No pudimos cargar la lista de precios. Intenta nuevamente más tarde.',
+                tiers: {
+                    estandar: 'Estándar',
+                    profesional: 'Profesional',
+                    empresarial: 'Empresarial'
+                },
+                currencies: {
+                    USD: 'Dólares (USD)',
+                    BOB: 'Bolivianos (BOB)'
+                },
+                perYear: '/año',
+                oneTime: 'pago único',
+                billing: {
+                    annual: 'Licencia anual',
+                    perpetual: 'Licencia perpetua'
+                },
+                includedIn: 'Incluido con {product}',
+                subtotal: 'Subtotal',
+                discounts: {
+                    products: 'Paquete de {min} o más productos (-{percent}%)',
+                    seats: '{min} o más usuarios (-{percent}%)',
+                    code: 'Código {code} (-{percent}%)'
+                }
+            }
+        },
+        en: {
+            cart: {
+                title: 'Cart',
+                link: {
+                    one: 'Cart ({count} product)',
+                    other: 'Cart ({count} products)'
+                },
+                added: '{product} was added to your cart',
+                alreadyInCart: '{product} is already in your cart',
+                view: 'View cart',
+                priceError: 'We could not load the price list. Please try again later.',
+                tiers: {
+                    estandar: 'Standard',
+                    profesional: 'Professional',
+                    empresarial: 'Enterprise'
+                },
+                currencies: {
+                    USD: 'US dollars (USD)',
+                    BOB: 'Bolivianos (BOB)'
+                },
+                perYear: '/year',
+                oneTime: 'one-time payment',
+                billing: {
+                    annual: 'Yearly license',
+                    perpetual: 'Perpetual license'
+                },
+                includedIn: 'Included with {product}',
+                subtotal: 'Subtotal',
+                discounts: {
+                    products: 'Bundle of {min} or more products (-{percent}%)',
+                    seats: '{min} or more users (-{percent}%)',
+                    code: 'Code {code} (-{percent}%)'
+                }
+            }
+        },
+        pt: {
+            cart: {
+                title: 'Carrinho',
+                link: {
+                    one: 'Carrinho ({count} produto)',
+                    other: 'Carrinho ({count} produtos)'
+                },
+                added: '{product} foi adicionado ao carrinho',
+                alreadyInCart: '{product} já está no seu carrinho',
+                view: 'Ver carrinho',
+                priceError: 'Não foi possível carregar a lista de preços. Tente novamente mais tarde.',
+                tiers: {
+                    estandar: 'Padrão',
+                    profesional: 'Profissional',
+                    empresarial: 'Empresarial'
+                },
+                currencies: {
+                    USD: 'Dólares (USD)',
+                    BOB: 'Bolivianos (BOB)'
+                },
+                perYear: '/ano',
+                oneTime: 'pagamento único',
+                billing: {
+                    annual: 'Licença anual',
+                    perpetual: 'Licença perpétua'
+                },
+                includedIn: 'Incluído com {product}',
+                subtotal: 'Subtotal',
+                discounts: {
+                    products: 'Pacote de {min} ou mais produtos (-{percent}%)',
+                    seats: '{min} ou mais usuários (-{percent}%)',
+                    code: 'Código {code} (-{percent}%)'
+                }
+            }
+        }
+    });
+
+    // ==================== STATE ====================
+
+    function readState() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.items)) return stored;
+        } catch (error) {
+            // Corrupt or unavailable storage: start with an empty cart
+        }
+        return { items: [], currency: 'USD' };
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Storage full or disabled: the cart lasts until the page closes
+        }
+        notify();
+    }
+
+    function notify() {
+        updateBadge();
+        window.dispatchEvent(new CustomEvent('cart:change', {
+            detail: { items: getItems(), currency: state.currency }
+        }));
+    }
+
+    // ==================== PRICING ====================
+
+    function loadPricing() {
+        if (!pricingPromise) {
+            pricingPromise = fetch(PRICE_LIST_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(priceList => sauroPricing.createPricing(priceList))
+                .catch(error => {
+                    pricingPromise = null;
+                    throw error;
+                });
+        }
+        return pricingPromise;
+    }
+
+    function formatMoney(amount, currency = state.currency, options) {
+        return sauroPricing.formatMoney(amount, currency, i18n.getLocale(), options);
+    }
+
+    // Name of a discount applied by pricing.priceCart()
+    function discountLabel(discount) {
+        return i18n.t(`cart.discounts.${discount.type}`, discount);
+    }
+
+    // "/año" or "pago único" after the price of a line
+    function periodLabel(billing) {
+        return billing === 'perpetual' ? i18n.t('cart.oneTime') : i18n.t('cart.perYear');
+    }
+
+    // ==================== API ====================
+
+    function getItems() {
+        return state.items.map(item => ({ ...item }));
+    }
+
+    function count() {
+        return state.items.length;
+    }
+
+    // Resolves with { item, added }; the same product and tier is never
+    // added twice (the seats are changed in the cart instead)
+    function add(productId, options = {}) {
+        return loadPricing().then(pricing => {
+            const tier = options.tier || DEFAULT_TIER;
+            const line = { product: productId, tier, seats: options.seats || pricing.tiers[tier].seatsIncluded || 1 };
+            if (!pricing.isValidLine(line)) throw new Error(`Unknown product: ${productId}`);
+
+            const existing = state.items.find(item => item.product === productId && item.tier === tier);
+            if (existing) return { item: { ...existing }, added: false };
+
+            const item = { id: createId(), ...line, seats: pricing.clampSeats(tier, line.seats) };
+            state.items.push(item);
+            save();
+            return { item: { ...item }, added: true };
+        });
+    }
+
+    function update(id, changes) {
+        return loadPricing().then(pricing => {
+            const item = state.items.find(entry => entry.id === id);
+            if (!item) return null;
+
+            const tier = changes.tier && pricing.tiers[changes.tier] ? changes.tier : item.tier;
+            const seats = changes.seats !== undefined ? changes.seats : item.seats;
+            Object.assign(item, { tier, seats: pricing.clampSeats(tier, seats) });
+            save();
+            return { ...item };
+        });
+    }
+
+    function remove(id) {
+        state.items = state.items.filter(item => item.id !== id);
+        save();
+    }
+
+    function clear() {
+        state.items = [];
+        save();
+    }
+
+    function getCurrency() {
+        return state.currency;
+    }
+
+    function setCurrency(currency) {
+        if (currency === state.currency) return;
+        state.currency = currency;
+        save();
+    }
+
+    // Totals of the current cart in its currency (see js/pricing.js)
+    function getSummary() {
+        return loadPricing().then(pricing => pricing.priceCart(state.items, state.currency));
+    }
+
+    // ==================== HEADER BADGE ====================
+
+    function buildBadge() {
+        const nav = document.querySelector('#header nav');
+        if (!nav) return;
+
+        const link = document.createElement('a');
+        link.href = CART_URL;
+        link.className = 'cart-link';
+        link.innerHTML = '<i class="fas fa-shopping-cart" aria-hidden="true"></i><span class="cart-badge" aria-hidden="true"></span>';
+        nav.insertBefore(link, document.getElementById('menuToggle'));
+
+        badge = link;
+        updateBadge();
+    }
+
+    function updateBadge() {
+        if (!badge) return;
+        const total = count();
+        const counter = badge.querySelector('.cart-badge');
+
+        counter.textContent = total > 99 ? '99+' : String(total);
+        counter.hidden = total === 0;
+        badge.setAttribute('aria-label', i18n.t('cart.link', { count: total }));
+        badge.title = i18n.t('cart.title');
+    }
+
+    // ==================== ADD TO CART BUTTONS ====================
+
+    function handleAddClick(e) {
+        const trigger = e.target.closest('[data-add-to-cart]');
+        if (!trigger) return;
+        e.preventDefault();
+
+        const productId = trigger.dataset.addToCart;
+        add(productId, { tier: trigger.dataset.tier, seats: trigger.dataset.seats })
+            .then(({ added }) => loadPricing().then(pricing => {
+                const product = pricing.products[productId].name;
+                const message = added
+                    ? i18n.t('cart.added', { product })
+                    : i18n.t('cart.alreadyInCart', { product });
+
+                return toast.show(message, {
+                    type: added ? 'success' : 'info',
+                    icon: 'shopping-cart',
+                    actions: [{ id: 'view', label: i18n.t('cart.view') }]
+                });
+            }))
+            .then(result => {
+                if (result === 'view') window.location.href = CART_URL;
+            })
+            .catch(error => {
+                console.error('Cart error:', error);
+                toast.error(i18n.t('cart.priceError'));
+            });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    document.addEventListener('DOMContentLoaded', () => {
+        buildBadge();
+        document.addEventListener('click', handleAddClick);
+    });
+
+    // Changes made in another tab
+    window.addEventListener('storage', e => {
+        if (e.key !== STORAGE_KEY) return;
+        state = readState();
+        notify();
+    });
+
+    window.addEventListener('i18n:change', updateBadge);
+
+    window.sauroCart = {
+        add,
+        update,
+        remove,
+        clear,
+        getItems,
+        count,
+        getCurrency,
+        setCurrency,
+        getSummary,
+        loadPricing,
+        formatMoney,
+        discountLabel,
+        periodLabel
+    };
+})();
@@ -0,0 +1,661 @@
+// ==================== LIVE CHAT WIDGET ====================
+// Floating chat panel that any page can embed:
+//
+//   <link rel="stylesheet" href="../css/chat.css">
+//   <script src="../js/chat.js" data-launcher></script>
+//   <button data-chat-open>Iniciar Chat</button>
+//
+// Messages travel through a transport object; the default one is a
+// WebSocket to /ws/chat (the dev server answers with a mock agent). A real
+// backend only needs another transport:
+//
+//   sauroChat.setTransport(() => ({
+//       connect({ onOpen, onMessage, onClose }) { ... },
+//       send(payload) { ...; return true; },
+//       close() { ... }
+//   }));
+//
+// Outside opening hours, or when the transport cannot connect, the panel
+// offers a form that goes through the contact pipeline (/api/contact).
+
+(function () {
+    const { createId, siteUrl } = sauroUtils;
+
+    const script = document.currentScript;
+    const config = (script && script.dataset) || {};
+
+    const STORAGE_KEY = 'sauro-chat';
+    const MAX_STORED_MESSAGES = 100;
+    const TYPING_THROTTLE = 2000;
+    const TYPING_TIMEOUT = 8000;
+
+    // Same schedule as "Horario de Atención" in contacto.html (Bolivia time)
+    const OPENING_HOURS = {
+        timeZone: 'America/La_Paz',
+        // 0 = domingo ... 6 = sábado
+        days: {
+            1: [['08:30', '18:30']],
+            2: [['08:30', '18:30']],
+            3: [['08:30', '18:30']],
+            4: [['08:30', '18:30']],
+            5: [['08:30', '18:30']],
+            6: [['08:30', '12:30']]
+        }
+    };
+
+    i18n.addMessages({
+        es: {
+            chat: {
+                title: 'Chat en Vivo',
+                open: 'Abrir chat de soporte',
+                close: 'Cerrar chat',
+                connecting: 'Conectando...',
+                online: 'En línea',
+                offline: 'Fuera de horario',
+                unavailable: 'No disponible',
+                placeholder: 'Escribe tu mensaje...',
+                send: 'Enviar',
+                typing: '{agent} está escribiendo...',
+                agent: 'Soporte',
+                you: 'Tú',
+                notSent: 'No se pudo enviar este mensaje.',
+                closedIntro: 'Nuestro horario de atención es de lunes a viernes de 08:30 a 18:30 y sábados de 08:30 a 12:30 (hora de Bolivia). Déjanos un mensaje y te responderemos.',
+                unavailableIntro: 'No pudimos conectar con un agente en este momento. Déjanos un mensaje y te responderemos.',
+                name: 'Nombre',
+                email: 'Email',
+                phone: 'Teléfono',
+                message: 'Mensaje',
+                leaveMessage: 'Enviar mensaje',
+                messageSent: '¡Gracias! Te responderemos por email lo antes posible.',
+                contactPage: 'Ir al formulario de contacto',
+                retry: 'Reintentar conexión'
+            }
+        },
+        en: {
+            chat: {
+                title: 'Live Chat',
+                open: 'Open support chat',
+                close: 'Close chat',
+                connecting: 'Connecting...',
+                online: 'Online',
+                offline: 'Out of office hours',
+                unavailable: 'Unavailable',
+                placeholder: 'Type your message...',
+                send: 'Send',
+                typing: '{agent} is typing...',
+                agent: 'Support',
+                you: 'You',
+                notSent: 'This message could not be sent.',
+                closedIntro: 'Our office hours are Monday to Friday 08:30-18:30 and Saturday 08:30-12:30 (Bolivia time). Leave us a message and we will get back to you.',
+                unavailableIntro: 'We could not reach an agent right now. Leave us a message and we will get back to you.',
+                name: 'Name',
+                email: 'Email',
+                phone: 'Phone',
+                message: 'Message',
+                leaveMessage: 'Send message',
+                messageSent: 'Thank you! We will reply by email as soon as possible.',
+                contactPage: 'Go to the contact form',
+                retry: 'Retry connection'
+            }
+        },
+        pt: {
+            chat: {
+                title: 'Chat ao Vivo',
+                open: 'Abrir chat de suporte',
+                close: 'Fechar chat',
+                connecting: 'Conectando...',
+                online: 'Online',
+                offline: 'Fora do horário',
+                unavailable: 'Indisponível',
+                placeholder: 'Digite sua mensagem...',
+                send: 'Enviar',
+                typing: '{agent} está digitando...',
+                agent: 'Suporte',
+                you: 'Você',
+                notSent: 'Não foi possível enviar esta mensagem.',
+                closedIntro: 'Nosso horário de atendimento é de segunda a sexta das 08:30 às 18:30 e sábados das 08:30 às 12:30 (horário da Bolívia). Deixe uma mensagem e responderemos.',
+                unavailableIntro: 'Não conseguimos falar com um agente agora. Deixe uma mensagem e responderemos.',
+                name: 'Nome',
+                email: 'E-mail',
+                phone: 'Telefone',
+                message: 'Mensagem',
+                leaveMessage: 'Enviar mensagem',
+                messageSent: 'Obrigado! Responderemos por e-mail o mais rápido possível.',
+                contactPage: 'Ir para o formulário de contato',
+                retry: 'Tentar novamente'
+            }
+        }
+    });
+
+    // ==================== OPENING HOURS ====================
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // Day of week and minutes since midnight in the office time zone
+    function getOfficeTime(date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: OPENING_HOURS.timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+        const part = type => parts.find(item => item.type === type).value;
+
+        return {
+            day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+            minutes: Number(part('hour')) * 60 + Number(part('minute'))
+        };
+    }
+
+    function isWithinOpeningHours(date = new Date()) {
+        const { day, minutes } = getOfficeTime(date);
+        return (OPENING_HOURS.days[day] || []).some(([start, end]) => (
+            minutes >= toMinutes(start) && minutes < toMinutes(end)
+        ));
+    }
+
+    // ==================== HISTORY ====================
+    // Kept in sessionStorage: the conversation follows the visitor across
+    // pages and is forgotten when the tab closes.
+
+    function loadState() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.messages)) return stored;
+        } catch (error) {
+            // Corrupt or unavailable storage: start a new conversation
+        }
+        return { sessionId: createId(), messages: [], open: false };
+    }
+
+    function saveState() {
+        state.messages = state.messages.slice(-MAX_STORED_MESSAGES);
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Storage full or disabled: the chat keeps working in memory
+        }
+    }
+
+    // ==================== WEBSOCKET TRANSPORT ====================
+
+    function defaultChatUrl() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        return `${protocol}//${window.location.host}/ws/chat`;
+    }
+
+    // Reconnects with exponential backoff; after maxAttempts failed tries
+    // onClose(false) tells the widget to fall back to the contact form.
+    function createWebSocketTransport(url = defaultChatUrl(), options = {}) {
+        const { retryDelay = 1000, maxRetryDelay = 15000, maxAttempts = 4 } = options;
+        let socket = null;
+        let handlers = {};
+        let attempts = 0;
+        let retryTimer = null;
+        let closedByUser = false;
+
+        function open() {
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                scheduleRetry();
+                return;
+            }
+
+            socket.addEventListener('open', () => {
+                attempts = 0;
+                if (handlers.onOpen) handlers.onOpen();
+            });
+
+            socket.addEventListener('message', event => {
+                try {
+                    if (handlers.onMessage) handlers.onMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.warn('Chat: mensaje inválido', event.data);
+                }
+            });
+
+            socket.addEventListener('close', () => {
+                socket = null;
+                if (!closedByUser) scheduleRetry();
+            });
+        }
+
+        function scheduleRetry() {
+            attempts++;
+            const willRetry = attempts < maxAttempts;
+            if (handlers.onClose) handlers.onClose(willRetry);
+            if (!willRetry) return;
+
+            retryTimer = setTimeout(open, Math.min(retryDelay * Math.pow(2, attempts - 1), maxRetryDelay));
+        }
+
+        return {
+            connect(eventHandlers) {
+                handlers = eventHandlers;
+                closedByUser = false;
+                attempts = 0;
+                open();
+            },
+            send(payload) {
+                if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+                socket.send(JSON.stringify(payload));
+                return true;
+            },
+            close() {
+                closedByUser = true;
+                clearTimeout(retryTimer);
+                if (socket) socket.close();
+                socket = null;
+            }
+        };
+    }
+
+    // ==================== WIDGET STATE ====================
+
+    let state = loadState();
+    let transportFactory = () => createWebSocketTransport(config.endpoint || undefined);
+    let transport = null;
+    let mode = null; // 'connecting' | 'live' | 'closed' | 'unavailable'
+    let elements = null;
+    let offline = null; // the offline form's elements, once built
+    let agentName = null;
+    let typingTimer = null;
+    let lastTypingSent = 0;
+
+    // ==================== RENDER ====================
+
+    function icon(name) {
+        return sauroUtils.icon(`fas fa-${name}`);
+    }
+
+    function formatTime(iso) {
+        return new Intl.DateTimeFormat(i18n.getLocale(), { hour: '2-digit', minute: '2-digit' }).format(new Date(iso));
+    }
+
+    function buildWidget() {
+        const launcher = document.createElement('button');
+        launcher.type = 'button';
+        launcher.className = 'chat-launcher';
+        launcher.setAttribute('aria-controls', 'chatPanel');
+        launcher.setAttribute('aria-expanded', 'false');
+        launcher.appendChild(icon('comments'));
+        launcher.hidden = !('launcher' in config);
+
+        const panel = document.createElement('section');
+        panel.className = 'chat-panel';
+        panel.id = 'chatPanel';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', 'chatTitle');
+        panel.hidden = true;
+        panel.innerHTML = `
+            <header class="chat-header">
+                <div>
+                    <h2 id="chatTitle"></h2>
+                    <span class="chat-status"></span>
+                </div>
+                <button type="button" class="chat-close"><i class="fas fa-times" aria-hidden="true"></i></button>
+            </header>
+            <div class="chat-messages" role="log" aria-live="polite"></div>
+            <p class="chat-typing" hidden></p>
+            <form class="chat-composer">
+                <textarea name="text" rows="1" required maxlength="1000"></textarea>
+                <button type="submit"><i class="fas fa-paper-plane" aria-hidden="true"></i></button>
+            </form>
+            <div class="chat-offline" hidden></div>
+        `;
+
+        document.body.append(launcher, panel);
+
+        elements = {
+            launcher,
+            panel,
+            title: panel.querySelector('#chatTitle'),
+            status: panel.querySelector('.chat-status'),
+            closeBtn: panel.querySelector('.chat-close'),
+            messages: panel.querySelector('.chat-messages'),
+            typing: panel.querySelector('.chat-typing'),
+            composer: panel.querySelector('.chat-composer'),
+            input: panel.querySelector('.chat-composer textarea'),
+            sendBtn: panel.querySelector('.chat-composer button'),
+            offline: panel.querySelector('.chat-offline')
+        };
+
+        launcher.addEventListener('click', () => (panel.hidden ? open() : close()));
+        elements.closeBtn.addEventListener('click', close);
+        panel.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close();
+        });
+
+        elements.composer.addEventListener('submit', e => {
+            e.preventDefault();
+            sendMessage(elements.input.value);
+        });
+        elements.input.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                sendMessage(elements.input.value);
+            }
+        });
+        elements.input.addEventListener('input', notifyTyping);
+
+        translateWidget();
+        renderMessages();
+    }
+
+    function translateWidget() {
+        elements.launcher.setAttribute('aria-label', i18n.t('chat.open'));
+        elements.title.textContent = i18n.t('chat.title');
+        elements.closeBtn.setAttribute('aria-label', i18n.t('chat.close'));
+        elements.input.setAttribute('placeholder', i18n.t('chat.placeholder'));
+        elements.input.setAttribute('aria-label', i18n.t('chat.placeholder'));
+        elements.sendBtn.setAttribute('aria-label', i18n.t('chat.send'));
+        renderStatus();
+    }
+
+    function renderStatus() {
+        if (!mode) {
+            elements.status.textContent = '';
+            return;
+        }
+        const labels = { connecting: 'chat.connecting', live: 'chat.online', closed: 'chat.offline', unavailable: 'chat.unavailable' };
+        elements.status.textContent = i18n.t(labels[mode]);
+        elements.status.dataset.mode = mode;
+    }
+
+    function renderMessage(message) {
+        const item = document.createElement('div');
+        item.className = `chat-message ${message.from}${message.failed ? ' failed' : ''}`;
+
+        const author = document.createElement('span');
+        author.className = 'chat-author';
+        author.textContent = message.from === 'user' ? i18n.t('chat.you') : (message.agent || i18n.t('chat.agent'));
+
+        const text = document.createElement('p');
+        text.textContent = message.text;
+
+        const time = document.createElement('time');
+        time.dateTime = message.at;
+        time.textContent = formatTime(message.at);
+
+        item.append(author, text, time);
+
+        if (message.failed) {
+            const note = document.createElement('span');
+            note.className = 'chat-failed';
+            note.textContent = i18n.t('chat.notSent');
+            item.appendChild(note);
+        }
+        return item;
+    }
+
+    function renderMessages() {
+        elements.messages.replaceChildren(...state.messages.map(renderMessage));
+        elements.messages.scrollTop = elements.messages.scrollHeight;
+    }
+
+    function addMessage(message) {
+        state.messages.push(message);
+        saveState();
+        elements.messages.appendChild(renderMessage(message));
+        elements.messages.scrollTop = elements.messages.scrollHeight;
+    }
+
+    function showTyping(active) {
+        clearTimeout(typingTimer);
+        elements.typing.hidden = !active;
+        if (!active) return;
+
+        elements.typing.textContent = i18n.t('chat.typing', { agent: agentName || i18n.t('chat.agent') });
+        // Never leave the indicator on if the "stopped typing" event is lost
+        typingTimer = setTimeout(() => { elements.typing.hidden = true; }, TYPING_TIMEOUT);
+    }
+
+    // ==================== OFFLINE FORM ====================
+    // Goes through formUtils (validation, retries, offline queue) to the
+    // same endpoint as the contact page. Built once, so what the visitor
+    // typed survives mode and language changes; only the texts are updated.
+
+    const OFFLINE_FIELDS = [
+        { name: 'nombre', label: 'chat.name', type: 'text', attributes: { required: '', minlength: '2', autocomplete: 'name' } },
+        { name: 'email', label: 'chat.email', type: 'email', attributes: { required: '', autocomplete: 'email' } },
+        { name: 'telefono', label: 'chat.phone', type: 'tel', attributes: { required: '', autocomplete: 'tel' } },
+        { name: 'mensaje', label: 'chat.message', type: 'textarea', attributes: { required: '', maxlength: '5000' } }
+    ];
+
+    function buildOfflineForm() {
+        const container = elements.offline;
+        const intro = document.createElement('p');
+        container.appendChild(intro);
+        offline = { intro, labels: [] };
+
+        if (!window.formUtils) {
+            offline.link = document.createElement('a');
+            offline.link.href = siteUrl('pages/contacto.html');
+            container.appendChild(offline.link);
+            return;
+        }
+
+        const form = document.createElement('form');
+        form.id = 'chatOfflineForm';
+        form.dataset.endpoint = '/api/contact';
+        form.dataset.encoding = 'json';
+
+        OFFLINE_FIELDS.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.htmlFor = `chatOffline-${field.name}`;
+            offline.labels.push({ element: label, key: field.label });
+
+            const input = document.createElement(field.type === 'textarea' ? 'textarea' : 'input');
+            if (field.type !== 'textarea') input.type = field.type;
+            input.id = `chatOffline-${field.name}`;
+            input.name = field.name;
+            Object.entries(field.attributes).forEach(([name, value]) => input.setAttribute(name, value));
+
+            group.append(label, input);
+            form.appendChild(group);
+        });
+
+        const subject = document.createElement('input');
+        subject.type = 'hidden';
+        subject.name = 'asunto';
+        subject.value = 'soporte';
+
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'btn btn-primary';
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'chat-retry';
+        retry.addEventListener('click', connect);
+
+        form.append(subject, submit);
+        container.append(form, retry);
+        Object.assign(offline, { form, submit, retry });
+
+        formUtils.enhanceForm(form);
+        formUtils.handleFormSubmission('chatOfflineForm', () => i18n.t('chat.messageSent'), () => {
+            state.messages = [];
+            saveState();
+            renderMessages();
+        });
+    }
+
+    function renderOfflineForm(reason) {
+        if (!offline) buildOfflineForm();
+
+        offline.intro.textContent = i18n.t(reason === 'closed' ? 'chat.closedIntro' : 'chat.unavailableIntro');
+        if (offline.link) {
+            offline.link.textContent = i18n.t('chat.contactPage');
+            return;
+        }
+
+        offline.labels.forEach(({ element, key }) => { element.textContent = i18n.t(key); });
+        offline.submit.textContent = i18n.t('chat.leaveMessage');
+        offline.retry.textContent = i18n.t('chat.retry');
+        offline.retry.hidden = reason !== 'unavailable';
+
+        // Whatever the visitor already wrote in the chat goes into the message
+        const message = offline.form.elements.mensaje;
+        if (!message.value) {
+            message.value = state.messages.filter(item => item.from === 'user').map(item => item.text).join('\n');
+        }
+    }
+
+    // ==================== MODES ====================
+
+    function setMode(next) {
+        mode = next;
+        const live = mode === 'live' || mode === 'connecting';
+
+        elements.composer.hidden = !live;
+        elements.typing.hidden = true;
+        elements.offline.hidden = live;
+        elements.input.disabled = mode !== 'live';
+        elements.sendBtn.disabled = mode !== 'live';
+
+        if (!live) renderOfflineForm(mode);
+        renderStatus();
+    }
+
+    function handleServerMessage(data) {
+        if (data.type === 'typing') {
+            showTyping(!!data.active);
+        } else if (data.type === 'message') {
+            showTyping(false);
+            if (data.agent) agentName = data.agent;
+            addMessage({
+                id: data.id || createId(),
+                from: 'agent',
+                agent: data.agent,
+                text: String(data.text),
+                at: data.at || new Date().toISOString()
+            });
+        }
+    }
+
+    function connect() {
+        if (!isWithinOpeningHours()) {
+            setMode('closed');
+            return;
+        }
+
+        if (transport) transport.close();
+        transport = transportFactory();
+        setMode('connecting');
+
+        transport.connect({
+            onOpen: () => {
+                setMode('live');
+                transport.send({
+                    type: 'hello',
+                    sessionId: state.sessionId,
+                    language: i18n.getLanguage(),
+                    resumed: state.messages.length > 0
+                });
+                elements.input.focus();
+            },
+            onMessage: handleServerMessage,
+            onClose: willRetry => {
+                if (mode === 'unavailable') return;
+                setMode(willRetry ? 'connecting' : 'unavailable');
+            }
+        });
+    }
+
+    function sendMessage(rawText) {
+        const text = rawText.trim();
+        if (!text || mode !== 'live') return;
+
+        const message = { id: createId(), from: 'user', text, at: new Date().toISOString() };
+        const sent = transport.send({ type: 'message', id: message.id, text });
+        if (!sent) message.failed = true;
+
+        addMessage(message);
+        elements.input.value = '';
+        lastTypingSent = 0;
+
+        if (!sent) setMode('unavailable');
+    }
+
+    function notifyTyping() {
+        if (mode !== 'live' || Date.now() - lastTypingSent < TYPING_THROTTLE) return;
+        lastTypingSent = Date.now();
+        transport.send({ type: 'typing', active: true });
+    }
+
+    // ==================== PUBLIC API ====================
+
+    function open() {
+        if (!elements) buildWidget();
+
+        elements.panel.hidden = false;
+        elements.launcher.setAttribute('aria-expanded', 'true');
+        state.open = true;
+        saveState();
+
+        if (!mode || mode === 'closed') {
+            connect();
+        }
+        if (mode === 'live') elements.input.focus();
+    }
+
+    function close() {
+        if (!elements) return;
+
+        elements.panel.hidden = true;
+        elements.launcher.setAttribute('aria-expanded', 'false');
+        elements.launcher.focus();
+        state.open = false;
+        saveState();
+    }
+
+    // factory: () => transport object (see the header of this file)
+    function setTransport(factory) {
+        transportFactory = factory;
+        if (transport) {
+            transport.close();
+            transport = null;
+            mode = null;
+            if (elements && !elements.panel.hidden) connect();
+        }
+    }
+
+    // ==================== INITIALIZE ====================
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.addEventListener('click', e => {
+            const trigger = e.target.closest('[data-chat-open]');
+            if (!trigger) return;
+            e.preventDefault();
+            open();
+        });
+
+        if ('launcher' in config || state.open) buildWidget();
+        // Keep the conversation open when moving to another page
+        if (state.open) open();
+    });
+
+    window.addEventListener('i18n:change', () => {
+        if (!elements) return;
+        translateWidget();
+        renderMessages();
+        if (mode === 'closed' || mode === 'unavailable') renderOfflineForm(mode);
+    });
+
+    window.sauroChat = {
+        open,
+        close,
+        setTransport,
+        createWebSocketTransport,
+        isWithinOpeningHours
+    };
+})();
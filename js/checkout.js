@@ -0,0 +1,827 @@
+// ==================== CHECKOUT ====================
+// pages/carrito.html: lists the cart (js/cart.js) with a plan and seat
+// count per product, and checks out in two steps:
+//
+//   1. POST /api/orders with the billing data and the cart lines; the
+//      server recomputes the totals and answers with a pending order.
+//   2. The selected payment provider charges the order total.
+//
+// Payment providers are adapters registered with
+// sauroCheckout.registerPaymentProvider(id, provider):
+//
+//   {
+//       label: 'i18n.key',                 // name shown in the method list
+//       icon: 'fa-credit-card',
+//       renderFields(container),           // provider inputs inside the form
+//       pay({ order, form })               // → Promise<{ status: 'approved' | 'declined',
+//   }                                      //      transactionId, message, order }>
+//
+// Provider inputs are never sent with the order. This file registers the
+// "mock" provider, backed by POST /api/payments/mock in the dev server.
+// ?add=<product>[&tier=<tier>] adds a product on arrival; ?pedido=<id>
+// shows the confirmation of the last order paid in this tab.
+
+(function () {
+    const ORDERS_ENDPOINT = '/api/orders';
+    const MOCK_PAYMENT_ENDPOINT = '/api/payments/mock';
+    const LAST_ORDER_KEY = 'sauro-last-order';
+    const REFERENCE_KEY = 'sauro-checkout-reference';
+
+    const providers = {};
+    let pricing = null;
+    let selectedProvider = null;
+    let confirmedOrder = null;
+
+    i18n.addMessages({
+        es: {
+            checkout: {
+                title: 'Carrito de Compras',
+                subtitle: 'Revisa tus licencias y completa la compra en línea',
+                loading: 'Cargando tu carrito...',
+                empty: 'Tu carrito está vacío',
+                emptyHint: 'Explora nuestros productos y agrega las licencias que necesitas.',
+                browse: 'Ver productos',
+                items: 'Productos',
+                tier: 'Plan',
+                seats: 'Usuarios',
+                seatsIncluded: {
+                    one: 'Incluye {count} usuario',
+                    other: 'Incluye {count} usuarios'
+                },
+                seatsUnlimited: 'Usuarios ilimitados',
+                seatsMax: 'máximo {max}',
+                base: 'Licencia anual {tier}',
+                extraSeats: {
+                    one: '{count} usuario adicional',
+                    other: '{count} usuarios adicionales'
+                },
+                remove: 'Quitar {product} del carrito',
+                removed: '{product} se quitó del carrito',
+                summary: 'Resumen',
+                currency: 'Moneda',
+                total: 'Total',
+                note: 'Licencias anuales. Te enviaremos la factura y las claves de activación por email.',
+                billing: 'Datos de facturación',
+                name: 'Nombre Completo *',
+                email: 'Email *',
+                phone: 'Teléfono *',
+                company: 'Empresa',
+                nit: 'NIT',
+                nitInvalid: 'El NIT tiene solo números (6 a 15 dígitos)',
+                paymentMethod: 'Método de pago',
+                terms: 'Acepto los términos de licencia y la política de privacidad',
+                pay: 'Pagar {total}',
+                processing: 'Procesando pago...',
+                declined: 'El pago fue rechazado. Prueba con otro medio de pago.',
+                error: 'No pudimos completar la compra. Intenta nuevamente.',
+                confirmationTitle: '¡Gracias por tu compra!',
+                confirmationText: 'Tu pedido {id} está pagado. Enviamos el detalle y las claves de activación a {email}.',
+                orderNumber: 'Pedido',
+                paidAt: 'Fecha de pago',
+                transaction: 'Transacción',
+                keepShopping: 'Seguir comprando',
+                goToDownloads: 'Ir a descargas',
+                mock: {
+                    label: 'Tarjeta (modo de prueba)',
+                    cardNumber: 'Número de tarjeta *',
+                    expiry: 'Vencimiento (MM/AA) *',
+                    cvc: 'CVC *',
+                    hint: 'Tarjetas de prueba: 4242 4242 4242 4242 (aprobada), 4000 0000 0000 0002 (rechazada), 4000 0000 0000 9995 (fondos insuficientes).',
+                    cardInvalid: 'El número de tarjeta no es válido',
+                    expiryInvalid: 'Ingresa una fecha futura como 08/29',
+                    cvcInvalid: 'El CVC tiene 3 o 4 dígitos',
+                    declined: 'La tarjeta fue rechazada. Prueba con otra tarjeta.',
+                    insufficientFunds: 'La tarjeta no tiene fondos suficientes.'
+                }
+            }
+        },
+        en: {
+            checkout: {
+                title: 'Shopping Cart',
+                subtitle: 'Review your licenses and complete your purchase online',
+                loading: 'Loading your cart...',
+                empty: 'Your cart is empty',
+                emptyHint: 'Browse our products and add the licenses you need.',
+                browse: 'View products',
+                items: 'Products',
+                tier: 'Plan',
+                seats: 'Users',
+                seatsIncluded: {
+                    one: 'Includes {count} user',
+                    other: 'Includes {count} users'
+                },
+                seatsUnlimited: 'Unlimited users',
+                seatsMax: 'up to {max}',
+                base: '{tier} yearly license',
+                extraSeats: {
+                    one: '{count} additional user',
+                    other: '{count} additional users'
+                },
+                remove: 'Remove {product} from the cart',
+                removed: '{product} was removed from your cart',
+                summary: 'Summary',
+                currency: 'Currency',
+                total: 'Total',
+                note: 'Yearly licenses. We will email you the invoice and the activation keys.',
+                billing: 'Billing details',
+                name: 'Full Name *',
+                email: 'Email *',
+                phone: 'Phone *',
+                company: 'Company',
+                nit: 'Tax ID (NIT)',
+                nitInvalid: 'The tax ID has digits only (6 to 15)',
+                paymentMethod: 'Payment method',
+                terms: 'I accept the license terms and the privacy policy',
+                pay: 'Pay {total}',
+                processing: 'Processing payment...',
+                declined: 'The payment was declined. Try another payment method.',
+                error: 'We could not complete the purchase. Please try again.',
+                confirmationTitle: 'Thank you for your purchase!',
+                confirmationText: 'Your order {id} is paid. We sent the details and the activation keys to {email}.',
+                orderNumber: 'Order',
+                paidAt: 'Payment date',
+                transaction: 'Transaction',
+                keepShopping: 'Keep shopping',
+                goToDownloads: 'Go to downloads',
+                mock: {
+                    label: 'Card (test mode)',
+                    cardNumber: 'Card number *',
+                    expiry: 'Expiry (MM/YY) *',
+                    cvc: 'CVC *',
+                    hint: 'Test cards: 4242 4242 4242 4242 (approved), 4000 0000 0000 0002 (declined), 4000 0000 0000 9995 (insufficient funds).',
+                    cardInvalid: 'The card number is not valid',
+                    expiryInvalid: 'Enter a future date such as 08/29',
+                    cvcInvalid: 'The CVC has 3 or 4 digits',
+                    declined: 'The card was declined. Try another card.',
+                    insufficientFunds: 'The card has insufficient funds.'
+                }
+            }
+        },
+        pt: {
+            checkout: {
+                title: 'Carrinho de Compras',
+                subtitle: 'Revise suas licenças e conclua a compra online',
+                loading: 'Carregando seu carrinho...',
+                empty: 'Seu carrinho está vazio',
+                emptyHint: 'Conheça nossos produtos e adicione as licenças de que você precisa.',
+                browse: 'Ver produtos',
+                items: 'Produtos',
+                tier: 'Plano',
+                seats: 'Usuários',
+                seatsIncluded: {
+                    one: 'Inclui {count} usuário',
+                    other: 'Inclui {count} usuários'
+                },
+                seatsUnlimited: 'Usuários ilimitados',
+                seatsMax: 'máximo {max}',
+                base: 'Licença anual {tier}',
+                extraSeats: {
+                    one: '{count} usuário adicional',
+                    other: '{count} usuários adicionais'
+                },
+                remove: 'Remover {product} do carrinho',
+                removed: '{product} foi removido do carrinho',
+                summary: 'Resumo',
+                currency: 'Moeda',
+                total: 'Total',
+                note: 'Licenças anuais. Enviaremos a fatura e as chaves de ativação por e-mail.',
+                billing: 'Dados de faturamento',
+                name: 'Nome Completo *',
+                email: 'E-mail *',
+                phone: 'Telefone *',
+                company: 'Empresa',
+                nit: 'NIT',
+                nitInvalid: 'O NIT tem apenas números (6 a 15 dígitos)',
+                paymentMethod: 'Forma de pagamento',
+                terms: 'Aceito os termos de licença e a política de privacidade',
+                pay: 'Pagar {total}',
+                processing: 'Processando pagamento...',
+                declined: 'O pagamento foi recusado. Tente outra forma de pagamento.',
+                error: 'Não foi possível concluir a compra. Tente novamente.',
+                confirmationTitle: 'Obrigado pela sua compra!',
+                confirmationText: 'Seu pedido {id} está pago. Enviamos os detalhes e as chaves de ativação para {email}.',
+                orderNumber: 'Pedido',
+                paidAt: 'Data do pagamento',
+                transaction: 'Transação',
+                keepShopping: 'Continuar comprando',
+                goToDownloads: 'Ir para downloads',
+                mock: {
+                    label: 'Cartão (modo de teste)',
+                    cardNumber: 'Número do cartão *',
+                    expiry: 'Validade (MM/AA) *',
+                    cvc: 'CVC *',
+                    hint: 'Cartões de teste: 4242 4242 4242 4242 (aprovado), 4000 0000 0000 0002 (recusado), 4000 0000 0000 9995 (saldo insuficiente).',
+                    cardInvalid: 'O número do cartão não é válido',
+                    expiryInvalid: 'Informe uma data futura como 08/29',
+                    cvcInvalid: 'O CVC tem 3 ou 4 dígitos',
+                    declined: 'O cartão foi recusado. Tente outro cartão.',
+                    insufficientFunds: 'O cartão não tem saldo suficiente.'
+                }
+            }
+        }
+    });
+
+    // ==================== PAYMENT PROVIDERS ====================
+
+    function registerPaymentProvider(id, provider) {
+        providers[id] = provider;
+        if (document.getElementById('paymentProviders')) renderProviders();
+    }
+
+    function renderProviders() {
+        const list = document.getElementById('paymentProviders');
+        const ids = Object.keys(providers);
+        if (!selectedProvider || !providers[selectedProvider]) selectedProvider = ids[0] || null;
+
+        list.replaceChildren(...ids.map(id => {
+            const option = document.createElement('label');
+            option.className = 'payment-option';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'provider';
+            radio.value = id;
+            radio.required = true;
+            radio.defaultChecked = radio.checked = id === selectedProvider;
+
+            const icon = document.createElement('i');
+            icon.className = `fas ${providers[id].icon || 'fa-credit-card'}`;
+            icon.setAttribute('aria-hidden', 'true');
+
+            const name = document.createElement('span');
+            name.setAttribute('data-i18n', providers[id].label);
+            name.textContent = i18n.t(providers[id].label);
+
+            option.append(radio, icon, name);
+            return option;
+        }));
+
+        renderProviderFields();
+    }
+
+    function renderProviderFields() {
+        const container = document.getElementById('paymentFields');
+        container.replaceChildren();
+        if (selectedProvider) providers[selectedProvider].renderFields(container);
+    }
+
+    // ==================== MOCK PROVIDER ====================
+
+    function luhn(number) {
+        let sum = 0;
+        number.split('').reverse().forEach((digit, index) => {
+            let value = parseInt(digit, 10);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        return sum % 10 === 0;
+    }
+
+    function isFutureExpiry(value) {
+        const match = value.match(/^(\d{2})\s*\/\s*(\d{2})$/);
+        if (!match) return false;
+        const month = parseInt(match[1], 10);
+        const year = 2000 + parseInt(match[2], 10);
+        const now = new Date();
+        return month >= 1 && month <= 12
+            && (year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth() + 1));
+    }
+
+    formUtils.registerValidator('cardNumber', value => {
+        const digits = value.replace(/[\s-]/g, '');
+        return /^\d{13,19}$/.test(digits) && luhn(digits);
+    }, { message: () => i18n.t('checkout.mock.cardInvalid') });
+
+    formUtils.registerValidator('cardExpiry', isFutureExpiry, {
+        message: () => i18n.t('checkout.mock.expiryInvalid')
+    });
+
+    // Inputs rendered after forms.js initialised the page need their own
+    // blur validation
+    function createCardField(name, key, attributes) {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `card-${name}`;
+        label.setAttribute('data-i18n', key);
+        label.textContent = i18n.t(key);
+
+        const input = document.createElement('input');
+        input.id = `card-${name}`;
+        input.name = name;
+        input.type = 'text';
+        input.required = true;
+        Object.entries(attributes).forEach(([attribute, value]) => input.setAttribute(attribute, value));
+        input.addEventListener('blur', () => formUtils.validateField(input));
+        input.addEventListener('focus', () => formUtils.clearFieldError(input));
+
+        group.append(label, input);
+        return group;
+    }
+
+    const MOCK_DECLINE_MESSAGES = {
+        declined: 'checkout.mock.declined',
+        insufficient_funds: 'checkout.mock.insufficientFunds'
+    };
+
+    registerPaymentProvider('mock', {
+        label: 'checkout.mock.label',
+        icon: 'fa-credit-card',
+
+        renderFields(container) {
+            const row = document.createElement('div');
+            row.className = 'form-row';
+            row.append(
+                createCardField('expiry', 'checkout.mock.expiry', {
+                    inputmode: 'numeric', autocomplete: 'cc-exp', placeholder: 'MM/AA', maxlength: '7', 'data-validate': 'cardExpiry'
+                }),
+                createCardField('cvc', 'checkout.mock.cvc', {
+                    inputmode: 'numeric', autocomplete: 'cc-csc', placeholder: '123', pattern: '\\d{3,4}',
+                    'data-msg-pattern': i18n.t('checkout.mock.cvcInvalid'), 'data-i18n-attr': 'data-msg-pattern:checkout.mock.cvcInvalid'
+                })
+            );
+
+            const hint = document.createElement('small');
+            hint.className = 'form-hint';
+            hint.setAttribute('data-i18n', 'checkout.mock.hint');
+            hint.textContent = i18n.t('checkout.mock.hint');
+
+            const number = createCardField('cardNumber', 'checkout.mock.cardNumber', {
+                inputmode: 'numeric', autocomplete: 'cc-number', placeholder: '4242 4242 4242 4242', maxlength: '23', 'data-validate': 'cardNumber'
+            });
+            number.appendChild(hint);
+
+            container.append(number, row);
+        },
+
+        async pay({ order, form }) {
+            const formData = new FormData();
+            formData.set('orderId', order.id);
+            ['cardNumber', 'expiry', 'cvc'].forEach(name => formData.set(name, form.elements[name].value.trim()));
+
+            const response = await formUtils.submitFormData(form, {
+                endpoint: MOCK_PAYMENT_ENDPOINT,
+                encoding: 'json',
+                formData
+            });
+
+            return {
+                status: response.status,
+                transactionId: response.transactionId,
+                message: response.reason ? i18n.t(MOCK_DECLINE_MESSAGES[response.reason] || 'checkout.declined') : null,
+                order: response.order
+            };
+        }
+    });
+
+    // ==================== CART ====================
+
+    function money(amount, currency = sauroCart.getCurrency()) {
+        return sauroCart.formatMoney(amount, currency);
+    }
+
+    function tierName(tierId) {
+        return i18n.t(`cart.tiers.${tierId}`);
+    }
+
+    function seatsHint(tier) {
+        if (tier.seatsIncluded === null) return i18n.t('checkout.seatsUnlimited');
+        return `${i18n.t('checkout.seatsIncluded', { count: tier.seatsIncluded })} · ${i18n.t('checkout.seatsMax', { max: tier.maxSeats })}`;
+    }
+
+    // line: the item priced by pricing.priceCart (bundles applied)
+    function renderItem(item, line, currency) {
+        const product = pricing.products[item.product];
+        const tier = pricing.tiers[item.tier];
+
+        const row = document.createElement('li');
+        row.className = 'cart-item';
+        row.dataset.id = item.id;
+
+        const icon = document.createElement('div');
+        icon.className = 'cart-item-icon';
+        icon.innerHTML = `<i class="fas ${product.icon}" aria-hidden="true"></i>`;
+
+        const info = document.createElement('div');
+        info.className = 'cart-item-info';
+        const name = document.createElement('h3');
+        name.textContent = product.name;
+        const breakdown = document.createElement('p');
+        breakdown.className = 'cart-item-breakdown';
+        if (line.includedIn) {
+            breakdown.textContent = i18n.t('cart.includedIn', { product: pricing.products[line.includedIn].name });
+        } else {
+            breakdown.textContent = `${i18n.t('checkout.base', { tier: tierName(item.tier) })}: ${money(line.base, currency)}`;
+            if (line.extraSeats) {
+                breakdown.textContent += ` · ${i18n.t('checkout.extraSeats', { count: line.extraSeats })}: ${money(line.seatsTotal, currency)}`;
+            }
+        }
+        info.append(name, breakdown);
+
+        const options = document.createElement('div');
+        options.className = 'cart-item-options';
+
+        const tierLabel = document.createElement('label');
+        tierLabel.textContent = i18n.t('checkout.tier');
+        const tierSelect = document.createElement('select');
+        tierSelect.dataset.role = 'tier';
+        Object.keys(pricing.tiers).forEach(tierId => {
+            tierSelect.add(new Option(tierName(tierId), tierId, false, tierId === item.tier));
+        });
+        tierLabel.appendChild(tierSelect);
+
+        const seatsLabel = document.createElement('label');
+        seatsLabel.textContent = i18n.t('checkout.seats');
+        const seatsInput = document.createElement('input');
+        seatsInput.type = 'number';
+        seatsInput.dataset.role = 'seats';
+        seatsInput.min = '1';
+        if (tier.maxSeats) seatsInput.max = String(tier.maxSeats);
+        seatsInput.value = String(line.seats);
+        seatsLabel.appendChild(seatsInput);
+
+        const hint = document.createElement('small');
+        hint.textContent = seatsHint(tier);
+        options.append(tierLabel, seatsLabel, hint);
+
+        const total = document.createElement('div');
+        total.className = 'cart-item-total';
+        total.textContent = money(line.total, currency);
+        const period = document.createElement('small');
+        period.textContent = sauroCart.periodLabel(line.billing);
+        total.appendChild(period);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'cart-item-remove';
+        remove.dataset.role = 'remove';
+        remove.setAttribute('aria-label', i18n.t('checkout.remove', { product: product.name }));
+        remove.title = remove.getAttribute('aria-label');
+        remove.innerHTML = '<i class="fas fa-trash-alt" aria-hidden="true"></i>';
+
+        row.append(icon, info, options, total, remove);
+        return row;
+    }
+
+    // Lines, discounts and total of a priced cart or an order as <dt>/<dd> pairs
+    function renderTotals(list, summary, lineLabel) {
+        const currency = summary.currency;
+        const rows = summary.lines.map(line => [lineLabel(line), line.includedIn
+            ? i18n.t('cart.includedIn', { product: pricing.products[line.includedIn].name })
+            : money(line.total, currency)]);
+
+        if (summary.discounts && summary.discounts.length) {
+            rows.push([i18n.t('cart.subtotal'), money(summary.subtotal, currency), 'cart-subtotal']);
+            summary.discounts.forEach(discount => {
+                rows.push([sauroCart.discountLabel(discount), `-${money(discount.amount, currency)}`, 'cart-discount']);
+            });
+        }
+        rows.push([i18n.t('checkout.total'), money(summary.total, currency), 'cart-total']);
+
+        list.replaceChildren();
+        rows.forEach(([label, value, className]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            if (className) {
+                term.className = className;
+                description.className = className;
+            }
+            list.append(term, description);
+        });
+    }
+
+    function renderSummary(summary) {
+        const select = document.getElementById('cartCurrency');
+        select.replaceChildren(...pricing.currencies.map(code => (
+            new Option(i18n.t(`cart.currencies.${code}`), code, false, code === summary.currency)
+        )));
+
+        renderTotals(document.getElementById('cartTotals'), summary, line => (
+            `${pricing.products[line.product].name} · ${tierName(line.tier)}`
+        ));
+    }
+
+    function updatePayButton(total) {
+        const button = document.querySelector('#checkoutForm button[type="submit"]');
+        if (!button || button.disabled) return;
+        button.innerHTML = '<i class="fas fa-lock" aria-hidden="true"></i> ';
+        button.appendChild(document.createTextNode(i18n.t('checkout.pay', { total: money(total) })));
+    }
+
+    let lastTotal = 0;
+
+    function renderCart() {
+        const list = document.getElementById('cartItems');
+        const items = sauroCart.getItems().filter(pricing.isValidLine);
+        const currency = sauroCart.getCurrency();
+
+        document.getElementById('cartEmpty').hidden = items.length > 0;
+        document.getElementById('cartLayout').hidden = items.length === 0;
+        document.getElementById('orderConfirmation').hidden = true;
+
+        // Re-rendering replaces the controls: keep the keyboard focus where it was
+        const focused = document.activeElement;
+        const focusedRow = list.contains(focused) ? focused.closest('.cart-item') : null;
+        const focusKey = focusedRow ? { id: focusedRow.dataset.id, role: focused.dataset.role } : null;
+        const focusIndex = focusedRow ? Array.from(list.children).indexOf(focusedRow) : -1;
+
+        // Every item is valid, so the priced lines keep the order of the items
+        const summary = pricing.priceCart(items, currency);
+        list.replaceChildren(...items.map((item, index) => renderItem(item, summary.lines[index], currency)));
+        renderSummary(summary);
+        lastTotal = summary.total;
+        updatePayButton(lastTotal);
+
+        if (focusKey) {
+            const row = list.querySelector(`.cart-item[data-id="${focusKey.id}"]`);
+            const target = row
+                ? row.querySelector(`[data-role="${focusKey.role}"]`)
+                : (list.children[Math.min(focusIndex, list.children.length - 1)] || document.getElementById('cartEmpty')).querySelector('[data-role="remove"], a');
+            if (target) target.focus();
+        }
+    }
+
+    function initCartControls() {
+        const list = document.getElementById('cartItems');
+
+        list.addEventListener('change', e => {
+            const row = e.target.closest('.cart-item');
+            if (!row) return;
+            if (e.target.dataset.role === 'tier') sauroCart.update(row.dataset.id, { tier: e.target.value });
+            if (e.target.dataset.role === 'seats') sauroCart.update(row.dataset.id, { seats: e.target.value });
+        });
+
+        list.addEventListener('click', e => {
+            const button = e.target.closest('[data-role="remove"]');
+            if (!button) return;
+            const row = button.closest('.cart-item');
+            const item = sauroCart.getItems().find(entry => entry.id === row.dataset.id);
+            sauroCart.remove(row.dataset.id);
+            if (item) toast.info(i18n.t('checkout.removed', { product: pricing.products[item.product].name }));
+        });
+
+        document.getElementById('cartCurrency').addEventListener('change', e => {
+            sauroCart.setCurrency(e.target.value);
+        });
+    }
+
+    // ==================== CHECKOUT ====================
+
+    // Sent with the order so a retried request does not create a second one
+    function getReference() {
+        try {
+            let reference = sessionStorage.getItem(REFERENCE_KEY);
+            if (!reference) {
+                reference = window.crypto && window.crypto.randomUUID
+                    ? window.crypto.randomUUID()
+                    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+                sessionStorage.setItem(REFERENCE_KEY, reference);
+            }
+            return reference;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function resetReference() {
+        try {
+            sessionStorage.removeItem(REFERENCE_KEY);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+
+    function buildOrderData(form) {
+        const formData = new FormData(form);
+        // Card details only go to the payment provider
+        document.querySelectorAll('#paymentFields [name]').forEach(field => formData.delete(field.name));
+
+        formData.set('items', JSON.stringify(sauroCart.getItems().map(({ product, tier, seats }) => ({ product, tier, seats }))));
+        formData.set('currency', sauroCart.getCurrency());
+        formData.set('reference', getReference() || '');
+        return formData;
+    }
+
+    function showServerErrors(form, fields) {
+        Object.entries(fields).forEach(([name, message]) => {
+            let field = form.elements[name];
+            if (field && !field.tagName && field.length) field = field[0];
+            if (field) formUtils.showFieldError(field, Array.isArray(message) ? message[0] : message);
+        });
+    }
+
+    function setBusy(form, busy) {
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = busy;
+        if (busy) {
+            button.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ';
+            button.appendChild(document.createTextNode(i18n.t('checkout.processing')));
+        } else {
+            updatePayButton(lastTotal);
+        }
+    }
+
+    async function checkout(form) {
+        const { valid } = await formUtils.validateForm(form);
+        if (!valid) {
+            toast.error(i18n.t('forms.fixErrors'));
+            return;
+        }
+
+        const provider = providers[selectedProvider];
+        setBusy(form, true);
+
+        try {
+            const { order } = await formUtils.submitFormData(form, {
+                endpoint: ORDERS_ENDPOINT,
+                encoding: 'json',
+                formData: buildOrderData(form)
+            });
+
+            const result = await provider.pay({ order, form });
+
+            if (result.status === 'approved') {
+                complete(result.order || order, result);
+            } else {
+                toast.error(result.message || i18n.t('checkout.declined'));
+            }
+        } catch (error) {
+            console.error('Checkout error:', error);
+
+            if (error.fields) {
+                showServerErrors(form, error.fields);
+                toast.error(i18n.t('forms.fixErrors'));
+            } else if (!error.aborted) {
+                toast.error(i18n.t('checkout.error'));
+            }
+        } finally {
+            setBusy(form, false);
+        }
+    }
+
+    function initCheckoutForm() {
+        const form = document.getElementById('checkoutForm');
+        form.setAttribute('novalidate', '');
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            if (sauroCart.count() > 0) checkout(form);
+        });
+
+        form.addEventListener('change', e => {
+            if (e.target.name === 'provider') {
+                selectedProvider = e.target.value;
+                renderProviderFields();
+            } else if (!e.target.closest('#paymentFields')) {
+                // New billing data: the next attempt is a new order
+                resetReference();
+            }
+        });
+    }
+
+    // ==================== CONFIRMATION ====================
+
+    function readLastOrder() {
+        try {
+            return JSON.parse(sessionStorage.getItem(LAST_ORDER_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function complete(order, payment) {
+        confirmedOrder = {
+            ...order,
+            payment: { provider: selectedProvider, transactionId: payment.transactionId }
+        };
+
+        try {
+            sessionStorage.setItem(LAST_ORDER_KEY, JSON.stringify(confirmedOrder));
+        } catch (error) {
+            // The confirmation is still shown, it just won't survive a reload
+        }
+
+        document.getElementById('checkoutForm').reset();
+        sauroCart.clear();
+        history.replaceState(history.state, '', `?pedido=${encodeURIComponent(order.id)}`);
+        render();
+
+        const heading = document.querySelector('#orderConfirmation h2');
+        if (heading) heading.focus();
+    }
+
+    function renderConfirmation(order) {
+        const container = document.getElementById('orderConfirmation');
+        document.getElementById('cartEmpty').hidden = true;
+        document.getElementById('cartLayout').hidden = true;
+        container.hidden = false;
+        container.replaceChildren();
+
+        const icon = document.createElement('div');
+        icon.className = 'confirmation-icon';
+        icon.innerHTML = '<i class="fas fa-check-circle" aria-hidden="true"></i>';
+
+        const title = document.createElement('h2');
+        title.tabIndex = -1;
+        title.textContent = i18n.t('checkout.confirmationTitle');
+
+        const text = document.createElement('p');
+        text.textContent = i18n.t('checkout.confirmationText', { id: order.id, email: order.customer.email });
+
+        const details = document.createElement('dl');
+        details.className = 'confirmation-details';
+        [
+            ['checkout.orderNumber', order.id],
+            ['checkout.paidAt', new Intl.DateTimeFormat(i18n.getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(order.paidAt || order.createdAt))],
+            ['checkout.transaction', order.payment.transactionId]
+        ].forEach(([key, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = i18n.t(key);
+            const description = document.createElement('dd');
+            description.textContent = value;
+            details.append(term, description);
+        });
+
+        const lines = document.createElement('dl');
+        lines.className = 'cart-totals';
+        renderTotals(lines, order, line => (
+            `${line.name} · ${tierName(line.tier)} · ${line.seats} ${i18n.t('checkout.seats').toLowerCase()}`
+        ));
+
+        const actions = document.createElement('div');
+        actions.className = 'confirmation-actions';
+        actions.innerHTML = `
+            <a href="productos.html" class="btn btn-secondary"></a>
+            <a href="descargas.html" class="btn btn-primary"></a>
+        `;
+        actions.children[0].textContent = i18n.t('checkout.keepShopping');
+        actions.children[1].textContent = i18n.t('checkout.goToDownloads');
+
+        container.append(icon, title, text, details, lines, actions);
+    }
+
+    function render() {
+        if (confirmedOrder) {
+            renderConfirmation(confirmedOrder);
+        } else {
+            renderCart();
+        }
+    }
+
+    // ==================== INITIALIZE ====================
+
+    async function init() {
+        const params = new URLSearchParams(window.location.search);
+        const lastOrder = readLastOrder();
+        if (params.get('pedido') && lastOrder && lastOrder.id === params.get('pedido')) {
+            confirmedOrder = lastOrder;
+        }
+
+        try {
+            pricing = await sauroCart.loadPricing();
+        } catch (error) {
+            console.error('Price list error:', error);
+            document.getElementById('cartStatus').textContent = i18n.t('cart.priceError');
+            return;
+        }
+
+        // Link from a "Comprar" button opened without JavaScript handling the click
+        if (params.has('add')) {
+            confirmedOrder = null;
+            await sauroCart.add(params.get('add'), { tier: params.get('tier') || undefined }).catch(error => {
+                console.error('Cart error:', error);
+            });
+            params.delete('add');
+            params.delete('tier');
+            const query = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+        }
+
+        document.getElementById('cartStatus').hidden = true;
+        renderProviders();
+        initCartControls();
+        initCheckoutForm();
+        render();
+
+        window.addEventListener('cart:change', () => {
+            resetReference();
+            if (confirmedOrder && sauroCart.count() > 0) confirmedOrder = null;
+            render();
+        });
+        window.addEventListener('i18n:change', render);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.getElementById('checkoutForm')) init();
+    });
+
+    window.sauroCheckout = {
+        registerPaymentProvider
+    };
+})();
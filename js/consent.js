@@ -0,0 +1,330 @@
+// ==================== PRIVACY CONSENT ====================
+// Consent banner for every page. Visitors choose which categories they
+// allow ("necesarias" cannot be turned off); the choice is stored in
+// localStorage (sauro-consent) together with POLICY_VERSION, so bumping
+// the version asks everybody again after the privacy policy changes.
+//
+//   consent.has('analiticas');                      // true / false
+//   consent.whenGranted('marketing', () => { ... }); // now or once allowed
+//   consent.open();                                 // preferences panel
+//
+// Page analytics (js/analytics.js) is only downloaded once "analiticas" is
+// granted. data-analytics on this script tag changes its URL and
+// data-analytics-endpoint the collector it reports to.
+// Every change dispatches "consent:change" on window.
+
+(function () {
+    const script = document.currentScript;
+    const ANALYTICS_URL = (script && script.dataset.analytics) || sauroUtils.siteUrl('js/analytics.js');
+    const ANALYTICS_ENDPOINT = (script && script.dataset.analyticsEndpoint) || '';
+    const STORAGE_KEY = 'sauro-consent';
+    const POLICY_VERSION = 1; // bump when the privacy policy changes
+    const CATEGORIES = ['necesarias', 'analiticas', 'marketing'];
+    const OPTIONAL = CATEGORIES.filter(category => category !== 'necesarias');
+
+    const waiting = { analiticas: [], marketing: [] };
+    let choices = null;     // { analiticas, marketing } or null when not asked yet
+    let banner = null;
+    let lastFocus = null;
+
+    i18n.addMessages({
+        es: {
+            consent: {
+                title: 'Tu privacidad',
+                text: 'Usamos almacenamiento local necesario para que el sitio funcione. Con tu permiso también medimos, sin identificarte, qué páginas y descargas se usan.',
+                acceptAll: 'Aceptar todas',
+                rejectAll: 'Solo necesarias',
+                customize: 'Configurar',
+                save: 'Guardar preferencias',
+                alwaysOn: 'Siempre activas',
+                preferences: 'Preferencias de privacidad',
+                saved: 'Guardamos tus preferencias de privacidad',
+                categories: {
+                    necesarias: 'Necesarias',
+                    analiticas: 'Analíticas',
+                    marketing: 'Marketing'
+                },
+                descriptions: {
+                    necesarias: 'Idioma, carrito, borradores de formularios y estas mismas preferencias.',
+                    analiticas: 'Páginas vistas, clics en los botones de compra y descarga, y hasta dónde se lee cada página.',
+                    marketing: 'Medir campañas y mostrar contenido relevante en otros sitios. Hoy no usamos ninguna.'
+                }
+            }
+        },
+        en: {
+            consent: {
+                title: 'Your privacy',
+                text: 'We use local storage that the site needs to work. With your permission we also measure, without identifying you, which pages and downloads are used.',
+                acceptAll: 'Accept all',
+                rejectAll: 'Necessary only',
+                customize: 'Customize',
+                save: 'Save preferences',
+                alwaysOn: 'Always on',
+                preferences: 'Privacy preferences',
+                saved: 'Your privacy preferences were saved',
+                categories: {
+                    necesarias: 'Necessary',
+                    analiticas: 'Analytics',
+                    marketing: 'Marketing'
+                },
+                descriptions: {
+                    necesarias: 'Language, cart, form drafts and these preferences.',
+                    analiticas: 'Page views, clicks on the buy and download buttons, and how far each page is read.',
+                    marketing: 'Measuring campaigns and showing relevant content on other sites. We use none today.'
+                }
+            }
+        },
+        pt: {
+            consent: {
+                title: 'Sua privacidade',
+                text: 'Usamos o armazenamento local necessário para o site funcionar. Com sua permissão também medimos, sem identificar você, quais páginas e downloads são usados.',
+                acceptAll: 'Aceitar todas',
+                rejectAll: 'Somente necessárias',
+                customize: 'Configurar',
+                save: 'Salvar preferências',
+                alwaysOn: 'Sempre ativas',
+                preferences: 'Preferências de privacidade',
+                saved: 'Salvamos suas preferências de privacidade',
+                categories: {
+                    necesarias: 'Necessárias',
+                    analiticas: 'Analíticas',
+                    marketing: 'Marketing'
+                },
+                descriptions: {
+                    necesarias: 'Idioma, carrinho, rascunhos de formulários e estas preferências.',
+                    analiticas: 'Páginas vistas, cliques nos botões de compra e download, e até onde cada página é lida.',
+                    marketing: 'Medir campanhas e mostrar conteúdo relevante em outros sites. Hoje não usamos nenhuma.'
+                }
+            }
+        }
+    });
+
+    // ==================== STORAGE ====================
+
+    // A choice made under an older policy version counts as no choice
+    function readChoices() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.version === POLICY_VERSION && stored.categories) {
+                return {
+                    analiticas: stored.categories.analiticas === true,
+                    marketing: stored.categories.marketing === true
+                };
+            }
+        } catch (error) {
+            // Unreadable: ask again
+        }
+        return null;
+    }
+
+    function saveChoices(next) {
+        choices = {
+            analiticas: next.analiticas === true,
+            marketing: next.marketing === true
+        };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: POLICY_VERSION,
+                categories: { necesarias: true, ...choices },
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            // Storage disabled: the choice lasts for this page only
+        }
+
+        OPTIONAL.forEach(category => {
+            if (choices[category]) waiting[category].splice(0).forEach(callback => callback());
+        });
+        window.dispatchEvent(new CustomEvent('consent:change', { detail: { ...choices } }));
+    }
+
+    // ==================== PUBLIC API ====================
+
+    function has(category) {
+        if (category === 'necesarias') return true;
+        return Boolean(choices && choices[category]);
+    }
+
+    function whenGranted(category, callback) {
+        if (has(category)) {
+            callback();
+        } else if (waiting[category]) {
+            waiting[category].push(callback);
+        }
+    }
+
+    // ==================== BANNER ====================
+
+    function createCategory(category) {
+        const label = document.createElement('label');
+        label.className = 'consent-category';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.name = category;
+        input.checked = category === 'necesarias' || has(category);
+        input.disabled = category === 'necesarias';
+
+        const text = document.createElement('span');
+        const title = document.createElement('strong');
+        title.dataset.i18n = `consent.categories.${category}`;
+        title.textContent = i18n.t(`consent.categories.${category}`);
+        const description = document.createElement('small');
+        description.dataset.i18n = `consent.descriptions.${category}`;
+        description.textContent = i18n.t(`consent.descriptions.${category}`);
+        text.append(title, description);
+
+        label.append(input, text);
+        if (input.disabled) {
+            const always = document.createElement('em');
+            always.dataset.i18n = 'consent.alwaysOn';
+            always.textContent = i18n.t('consent.alwaysOn');
+            label.appendChild(always);
+        }
+        return label;
+    }
+
+    function createButton(action, key, primary = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = primary ? 'consent-button primary' : 'consent-button';
+        button.dataset.consentAction = action;
+        button.dataset.i18n = key;
+        button.textContent = i18n.t(key);
+        return button;
+    }
+
+    function buildBanner() {
+        banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-labelledby', 'consentTitle');
+        banner.setAttribute('aria-describedby', 'consentText');
+        banner.hidden = true;
+
+        const title = document.createElement('h2');
+        title.id = 'consentTitle';
+        title.dataset.i18n = 'consent.title';
+        title.textContent = i18n.t('consent.title');
+
+        const text = document.createElement('p');
+        text.id = 'consentText';
+        text.dataset.i18n = 'consent.text';
+        text.textContent = i18n.t('consent.text');
+
+        const options = document.createElement('div');
+        options.className = 'consent-options';
+        options.hidden = true;
+        CATEGORIES.forEach(category => options.appendChild(createCategory(category)));
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            createButton('reject', 'consent.rejectAll'),
+            createButton('customize', 'consent.customize'),
+            createButton('save', 'consent.save', true),
+            createButton('accept', 'consent.acceptAll', true)
+        );
+
+        banner.append(title, text, options, actions);
+        banner.addEventListener('click', handleAction);
+        banner.addEventListener('keydown', e => {
+            // Esc only closes when a choice already exists
+            if (e.key === 'Escape' && choices) close();
+        });
+        document.body.appendChild(banner);
+    }
+
+    function showOptions(visible) {
+        banner.querySelector('.consent-options').hidden = !visible;
+        banner.querySelector('[data-consent-action="customize"]').hidden = visible;
+        banner.querySelector('[data-consent-action="save"]').hidden = !visible;
+    }
+
+    function show({ options = false, focus = false } = {}) {
+        if (!banner) buildBanner();
+        OPTIONAL.forEach(category => {
+            banner.querySelector(`input[name="${category}"]`).checked = has(category);
+        });
+        showOptions(options);
+        banner.hidden = false;
+        if (focus) {
+            const first = banner.querySelector(options ? 'input:not(:disabled)' : '.consent-button');
+            if (first) first.focus();
+        }
+    }
+
+    function close() {
+        banner.hidden = true;
+        if (lastFocus && lastFocus.isConnected) lastFocus.focus();
+        lastFocus = null;
+    }
+
+    function handleAction(e) {
+        const button = e.target.closest('[data-consent-action]');
+        if (!button) return;
+        const action = button.dataset.consentAction;
+
+        if (action === 'customize') {
+            showOptions(true);
+            banner.querySelector('input:not(:disabled)').focus();
+            return;
+        }
+
+        if (action === 'accept') {
+            saveChoices({ analiticas: true, marketing: true });
+        } else if (action === 'reject') {
+            saveChoices({ analiticas: false, marketing: false });
+        } else {
+            const checked = category => banner.querySelector(`input[name="${category}"]`).checked;
+            saveChoices({ analiticas: checked('analiticas'), marketing: checked('marketing') });
+        }
+        close();
+        toast.success(i18n.t('consent.saved'));
+    }
+
+    function open() {
+        lastFocus = document.activeElement;
+        show({ options: true, focus: true });
+    }
+
+    // "Preferencias de privacidad" in the footer, to change the choice later
+    function addFooterLink() {
+        const footer = document.querySelector('.footer-bottom');
+        if (!footer) return;
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'consent-link';
+        link.dataset.i18n = 'consent.preferences';
+        link.textContent = i18n.t('consent.preferences');
+        link.addEventListener('click', open);
+        footer.appendChild(link);
+    }
+
+    // ==================== ANALYTICS ====================
+
+    function loadAnalytics() {
+        const tag = document.createElement('script');
+        tag.src = ANALYTICS_URL;
+        if (ANALYTICS_ENDPOINT) tag.dataset.endpoint = ANALYTICS_ENDPOINT;
+        document.body.appendChild(tag);
+    }
+
+    // ==================== INITIALIZE ====================
+
+    choices = readChoices();
+
+    window.consent = {
+        categories: CATEGORIES.slice(),
+        version: POLICY_VERSION,
+        has,
+        whenGranted,
+        open
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        addFooterLink();
+        whenGranted('analiticas', loadAnalytics);
+        if (!choices) show();
+    });
+})();
@@ -0,0 +1,381 @@
+// ==================== DOWNLOADS FILTER ====================
+// Search, combinable filters (category + product + OS) and sorting for the
+// cards rendered by downloads.js. The state lives in the query string so a
+// filtered view can be shared as a link:
+//
+//   descargas.html?q=parche+3.5.3&product=sauropos&os=windows&sort=date
+
+(function () {
+    const { normalize } = sauroUtils;
+
+    const DEFAULT_STATE = {
+        q: '',
+        category: 'all',
+        product: 'all',
+        os: 'all',
+        sort: 'recommended'
+    };
+
+    const SORTS = ['recommended', 'date', 'size', 'name'];
+    const OPERATING_SYSTEMS = ['windows', 'macos', 'linux'];
+    const SEARCH_DELAY = 200;
+
+    let state = { ...DEFAULT_STATE };
+    let catalog = null;
+    let releasesById = {};
+    let renderedOrder = [];
+
+    i18n.addMessages({
+        es: {
+            downloads: {
+                filter: {
+                    search: 'Buscar descargas',
+                    searchPlaceholder: 'Buscar por nombre, versión o descripción',
+                    product: 'Producto',
+                    allProducts: 'Todos los productos',
+                    os: 'Sistema operativo',
+                    allSystems: 'Todos los sistemas',
+                    sort: 'Ordenar por',
+                    sorts: {
+                        recommended: 'Recomendados',
+                        date: 'Más recientes',
+                        size: 'Tamaño (menor primero)',
+                        name: 'Nombre (A-Z)'
+                    },
+                    results: {
+                        one: '{count} descarga encontrada',
+                        other: '{count} descargas encontradas'
+                    },
+                    empty: 'No encontramos descargas con esos filtros.',
+                    clear: 'Limpiar filtros'
+                },
+                categories: {
+                    all: 'Todos',
+                    software: 'Software',
+                    updates: 'Actualizaciones',
+                    docs: 'Documentación',
+                    tools: 'Herramientas'
+                }
+            }
+        },
+        en: {
+            downloads: {
+                filter: {
+                    search: 'Search downloads',
+                    searchPlaceholder: 'Search by name, version or description',
+                    product: 'Product',
+                    allProducts: 'All products',
+                    os: 'Operating system',
+                    allSystems: 'All systems',
+                    sort: 'Sort by',
+                    sorts: {
+                        recommended: 'Recommended',
+                        date: 'Newest',
+                        size: 'Size (smallest first)',
+                        name: 'Name (A-Z)'
+                    },
+                    results: {
+                        one: '{count} download found',
+                        other: '{count} downloads found'
+                    },
+                    empty: 'No downloads match these filters.',
+                    clear: 'Clear filters'
+                },
+                categories: {
+                    all: 'All',
+                    software: 'Software',
+                    updates: 'Updates',
+                    docs: 'Documentation',
+                    tools: 'Tools'
+                }
+            }
+        },
+        pt: {
+            downloads: {
+                filter: {
+                    search: 'Buscar downloads',
+                    searchPlaceholder: 'Buscar por nome, versão ou descrição',
+                    product: 'Produto',
+                    allProducts: 'Todos os produtos',
+                    os: 'Sistema operacional',
+                    allSystems: 'Todos os sistemas',
+                    sort: 'Ordenar por',
+                    sorts: {
+                        recommended: 'Recomendados',
+                        date: 'Mais recentes',
+                        size: 'Tamanho (menor primeiro)',
+                        name: 'Nome (A-Z)'
+                    },
+                    results: {
+                        one: '{count} download encontrado',
+                        other: '{count} downloads encontrados'
+                    },
+                    empty: 'Não encontramos downloads com esses filtros.',
+                    clear: 'Limpar filtros'
+                },
+                categories: {
+                    all: 'Todos',
+                    software: 'Software',
+                    updates: 'Atualizações',
+                    docs: 'Documentação',
+                    tools: 'Ferramentas'
+                }
+            }
+        }
+    });
+
+    // ==================== URL STATE ====================
+
+    function readState() {
+        const params = new URLSearchParams(window.location.search);
+        const next = { ...DEFAULT_STATE };
+
+        Object.keys(DEFAULT_STATE).forEach(key => {
+            const value = params.get(key);
+            if (value !== null) next[key] = value.trim();
+        });
+
+        if (!SORTS.includes(next.sort)) next.sort = DEFAULT_STATE.sort;
+        if (next.os !== 'all' && !OPERATING_SYSTEMS.includes(next.os)) next.os = DEFAULT_STATE.os;
+        return next;
+    }
+
+    // replaceState: filtering should not fill the back button history
+    function writeState() {
+        const params = new URLSearchParams(window.location.search);
+
+        Object.keys(DEFAULT_STATE).forEach(key => {
+            if (state[key] === DEFAULT_STATE[key]) {
+                params.delete(key);
+            } else {
+                params.set(key, state[key]);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
+    }
+
+    // ==================== MATCHING ====================
+
+    function searchableText(card, release) {
+        const product = catalog.products[release.product];
+        const versionLabel = card.querySelector('.download-version');
+
+        return normalize([
+            release.title,
+            release.description,
+            release.version,
+            release.from,
+            product && product.name,
+            versionLabel && versionLabel.textContent
+        ].join(' '));
+    }
+
+    // ignore: name of a filter to leave out (used for the category counts)
+    function matches(card, ignore) {
+        const release = releasesById[card.dataset.release];
+        if (!release) return false;
+
+        if (ignore !== 'category' && state.category !== 'all' && release.category !== state.category) return false;
+        if (state.product !== 'all' && release.product !== state.product) return false;
+        if (state.os !== 'all' && !release.files.some(file => file.os === state.os || file.os === 'any')) return false;
+
+        const terms = normalize(state.q).split(/\s+/).filter(Boolean);
+        if (!terms.length) return true;
+
+        const text = searchableText(card, release);
+        return terms.every(term => text.includes(term));
+    }
+
+    // ==================== SORTING ====================
+
+    function primarySize(release) {
+        const file = sauroDownloads.pickPrimaryFile(release, sauroDownloads.detectOS());
+        return file ? file.size : 0;
+    }
+
+    function compareCards(a, b) {
+        const releaseA = releasesById[a.dataset.release];
+        const releaseB = releasesById[b.dataset.release];
+
+        switch (state.sort) {
+            case 'date':
+                return releaseB.releaseDate.localeCompare(releaseA.releaseDate);
+            case 'size':
+                return primarySize(releaseA) - primarySize(releaseB);
+            case 'name':
+                return releaseA.title.localeCompare(releaseB.title, i18n.getLocale(), { numeric: true })
+                    || releaseA.version.localeCompare(releaseB.version, undefined, { numeric: true });
+            default:
+                return renderedOrder.indexOf(a) - renderedOrder.indexOf(b);
+        }
+    }
+
+    // ==================== RENDER ====================
+
+    function updateCategoryCounts(cards) {
+        document.querySelectorAll('.category-filter').forEach(button => {
+            const category = button.getAttribute('data-category');
+            let badge = button.querySelector('.category-count');
+
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'category-count';
+                button.appendChild(badge);
+            }
+
+            badge.textContent = cards.filter(card => (
+                matches(card, 'category')
+                && (category === 'all' || releasesById[card.dataset.release].category === category)
+            )).length;
+
+            button.classList.toggle('active', category === state.category);
+            button.setAttribute('aria-pressed', String(category === state.category));
+        });
+    }
+
+    function renderEmptyState(grid, visibleCount) {
+        let empty = grid.parentElement.querySelector('.downloads-empty');
+
+        if (visibleCount) {
+            if (empty) empty.remove();
+            return;
+        }
+
+        if (!empty) {
+            empty = document.createElement('div');
+            empty.className = 'downloads-empty';
+            empty.innerHTML = '<i class="fas fa-search" aria-hidden="true"></i><p></p><button type="button" class="btn-secondary"></button>';
+            empty.querySelector('button').addEventListener('click', resetFilters);
+            grid.after(empty);
+        }
+
+        empty.querySelector('p').textContent = i18n.t('downloads.filter.empty');
+        empty.querySelector('button').textContent = i18n.t('downloads.filter.clear');
+    }
+
+    function apply() {
+        const grid = document.querySelector('.downloads-grid');
+        if (!grid || !catalog) return;
+
+        const cards = Array.from(grid.querySelectorAll('.download-card'));
+        let visibleCount = 0;
+
+        cards.sort(compareCards).forEach(card => {
+            const visible = matches(card);
+            card.style.display = visible ? '' : 'none';
+            if (visible) visibleCount++;
+            grid.appendChild(card);
+        });
+
+        updateCategoryCounts(cards);
+        renderEmptyState(grid, visibleCount);
+
+        const results = document.querySelector('.downloads-results');
+        if (results) {
+            results.textContent = i18n.t('downloads.filter.results', { count: visibleCount });
+        }
+    }
+
+    function update(changes) {
+        state = { ...state, ...changes };
+        writeState();
+        apply();
+    }
+
+    // ==================== CONTROLS ====================
+
+    function getControls() {
+        return {
+            search: document.getElementById('downloadsSearch'),
+            product: document.getElementById('downloadsProduct'),
+            os: document.getElementById('downloadsOS'),
+            sort: document.getElementById('downloadsSort')
+        };
+    }
+
+    function syncControls() {
+        const controls = getControls();
+        if (controls.search) controls.search.value = state.q;
+        if (controls.product) controls.product.value = state.product;
+        if (controls.os) controls.os.value = state.os;
+        if (controls.sort) controls.sort.value = state.sort;
+    }
+
+    // Products that have at least one visible release, in manifest order
+    function fillProductOptions() {
+        const select = getControls().product;
+        if (!select) return;
+
+        const used = new Set(catalog.releases.filter(release => !release.archived).map(release => release.product));
+        select.querySelectorAll('option:not([value="all"])').forEach(option => option.remove());
+
+        Object.entries(catalog.products)
+            .filter(([id]) => used.has(id))
+            .forEach(([id, product]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = product.name;
+                select.appendChild(option);
+            });
+
+        // A shared link may name a product that is no longer published
+        if (!used.has(state.product)) state.product = DEFAULT_STATE.product;
+    }
+
+    function resetFilters() {
+        state = { ...DEFAULT_STATE, sort: state.sort };
+        syncControls();
+        writeState();
+        apply();
+    }
+
+    function bindControls() {
+        const controls = getControls();
+        let searchTimer = null;
+
+        if (controls.search) {
+            controls.search.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => update({ q: controls.search.value.trim() }), SEARCH_DELAY);
+            });
+        }
+
+        ['product', 'os', 'sort'].forEach(name => {
+            if (controls[name]) {
+                controls[name].addEventListener('change', () => update({ [name]: controls[name].value }));
+            }
+        });
+
+        document.querySelectorAll('.category-filter').forEach(button => {
+            button.addEventListener('click', () => update({ category: button.getAttribute('data-category') }));
+        });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    // downloads.js renders again on language changes: keep the filters
+    document.addEventListener('downloads:rendered', event => {
+        const grid = event.target;
+        const firstRender = !catalog;
+
+        catalog = event.detail.catalog;
+        releasesById = {};
+        catalog.releases.forEach(release => { releasesById[release.id] = release; });
+        renderedOrder = Array.from(grid.querySelectorAll('.download-card'));
+
+        if (firstRender) fillProductOptions();
+        syncControls();
+        apply();
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!document.querySelector('.downloads-grid')) return;
+
+        state = readState();
+        bindControls();
+        syncControls();
+    });
+})();
@@ -0,0 +1,338 @@
+// ==================== DOWNLOADS CATALOG ====================
+// Renders the Descargas page from data/downloads.json. Each release has
+// one file per operating system; the file for the visitor's OS is offered
+// first and the SHA-256 checksums and changelog are shown on each card.
+//
+// Other modules reuse the same data through sauroDownloads.load();
+// search, filters and sorting live in downloads-filter.js.
+
+(function () {
+    const { el, icon, siteUrl } = sauroUtils;
+
+    const OS_ICONS = {
+        windows: 'fab fa-windows',
+        macos: 'fab fa-apple',
+        linux: 'fab fa-linux',
+        any: 'fas fa-file-download'
+    };
+
+    let catalogPromise = null;
+
+    i18n.addMessages({
+        es: {
+            downloads: {
+                loading: 'Cargando descargas...',
+                loadError: 'No pudimos cargar el catálogo de descargas. Intenta nuevamente más tarde.',
+                version: 'Versión {version}',
+                patch: 'Parche {from} → {version}',
+                channels: { stable: 'Estable', beta: 'Beta' },
+                os: { windows: 'Windows', macos: 'macOS', linux: 'Linux', any: 'Todos los sistemas' },
+                download: 'Descargar',
+                downloadFor: 'Descargar para {os}',
+                otherSystems: 'También para:',
+                notForYourOS: 'No disponible para {os}',
+                detected: 'Detectamos {os}: te mostramos primero los instaladores para tu sistema.',
+                details: 'SHA-256 y novedades',
+                checksum: 'Suma de verificación SHA-256',
+                changelog: 'Novedades',
+                copy: 'Copiar suma SHA-256',
+                copied: 'Suma SHA-256 copiada al portapapeles',
+                critical: 'Crítico'
+            }
+        },
+        en: {
+            downloads: {
+                loading: 'Loading downloads...',
+                loadError: 'We could not load the downloads catalog. Please try again later.',
+                version: 'Version {version}',
+                patch: 'Patch {from} → {version}',
+                channels: { stable: 'Stable', beta: 'Beta' },
+                os: { windows: 'Windows', macos: 'macOS', linux: 'Linux', any: 'All systems' },
+                download: 'Download',
+                downloadFor: 'Download for {os}',
+                otherSystems: 'Also for:',
+                notForYourOS: 'Not available for {os}',
+                detected: 'We detected {os}: installers for your system are shown first.',
+                details: 'SHA-256 and changelog',
+                checksum: 'SHA-256 checksum',
+                changelog: 'What\'s new',
+                copy: 'Copy SHA-256 checksum',
+                copied: 'SHA-256 checksum copied to clipboard',
+                critical: 'Critical'
+            }
+        },
+        pt: {
+            downloads: {
+                loading: 'Carregando downloads...',
+                loadError: 'Não foi possível carregar o catálogo de downloads. Tente novamente mais tarde.',
+                version: 'Versão {version}',
+                patch: 'Patch {from} → {version}',
+                channels: { stable: 'Estável', beta: 'Beta' },
+                os: { windows: 'Windows', macos: 'macOS', linux: 'Linux', any: 'Todos os sistemas' },
+                download: 'Baixar',
+                downloadFor: 'Baixar para {os}',
+                otherSystems: 'Também para:',
+                notForYourOS: 'Não disponível para {os}',
+                detected: 'Detectamos {os}: mostramos primeiro os instaladores para o seu sistema.',
+                details: 'SHA-256 e novidades',
+                checksum: 'Soma de verificação SHA-256',
+                changelog: 'Novidades',
+                copy: 'Copiar soma SHA-256',
+                copied: 'Soma SHA-256 copiada para a área de transferência',
+                critical: 'Crítico'
+            }
+        }
+    });
+
+    // ==================== DATA ====================
+
+    function load(url) {
+        if (!catalogPromise) {
+            const grid = document.querySelector('.downloads-grid[data-manifest]');
+            const manifestUrl = url || (grid && grid.dataset.manifest) || siteUrl('data/downloads.json');
+
+            catalogPromise = fetch(manifestUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .catch(error => {
+                    catalogPromise = null;
+                    throw error;
+                });
+        }
+        return catalogPromise;
+    }
+
+    function detectOS() {
+        const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+        const userAgent = navigator.userAgent || '';
+
+        if (/android|iphone|ipad|ipod/i.test(userAgent)) return null;
+        if (/win/i.test(platform) || /Windows/.test(userAgent)) return 'windows';
+        if (/mac/i.test(platform) || /Mac OS X/.test(userAgent)) return 'macos';
+        if (/linux/i.test(platform) || /Linux/.test(userAgent)) return 'linux';
+        return null;
+    }
+
+    // The file to offer first: the visitor's OS, then OS-independent files
+    function pickPrimaryFile(release, os) {
+        return release.files.find(file => file.os === os)
+            || release.files.find(file => file.os === 'any')
+            || release.files[0];
+    }
+
+    function supportsOS(release, os) {
+        return !os || release.files.some(file => file.os === os || file.os === 'any');
+    }
+
+    // ==================== FORMATTING ====================
+
+    function formatSize(bytes) {
+        const megabytes = bytes / (1024 * 1024);
+        const formatter = new Intl.NumberFormat(i18n.getLocale(), {
+            maximumFractionDigits: megabytes < 10 ? 1 : 0
+        });
+        return `${formatter.format(megabytes)} MB`;
+    }
+
+    function formatDate(isoDate) {
+        return new Intl.DateTimeFormat(i18n.getLocale(), {
+            day: '2-digit',
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'UTC'
+        }).format(new Date(isoDate));
+    }
+
+    function versionLabel(release) {
+        if (release.type === 'patch' && release.from) {
+            return i18n.t('downloads.patch', { from: release.from, version: release.version });
+        }
+        if (release.format) return release.format;
+
+        const version = i18n.t('downloads.version', { version: release.version });
+        const suffix = release.license || i18n.t(`downloads.channels.${release.channel}`);
+        return `${version} - ${suffix}`;
+    }
+
+    function osName(os) {
+        return i18n.t(`downloads.os.${os}`);
+    }
+
+    // ==================== RENDER ====================
+
+    function renderChecksums(release) {
+        const list = el('ul', { className: 'download-checksums' });
+
+        release.files.forEach(file => {
+            const copyBtn = el('button', {
+                type: 'button',
+                className: 'btn-copy',
+                'aria-label': i18n.t('downloads.copy'),
+                title: i18n.t('downloads.copy')
+            }, [icon('fas fa-copy')]);
+
+            copyBtn.addEventListener('click', () => {
+                navigator.clipboard.writeText(file.sha256)
+                    .then(() => toast.success(i18n.t('downloads.copied')))
+                    .catch(() => {});
+            });
+
+            list.appendChild(el('li', {}, [
+                el('span', { className: 'checksum-os', text: `${osName(file.os)} · ${formatSize(file.size)}` }),
+                el('code', { text: file.sha256 }),
+                copyBtn
+            ]));
+        });
+
+        return list;
+    }
+
+    function renderCard(release, os) {
+        const primary = pickPrimaryFile(release, os);
+        const others = release.files.filter(file => file !== primary);
+        const available = supportsOS(release, os);
+
+        const buttonLabel = primary.os === 'any'
+            ? i18n.t('downloads.download')
+            : i18n.t('downloads.downloadFor', { os: osName(primary.os) });
+
+        const card = el('div', {
+            className: `download-card${available ? '' : ' unavailable-os'}`,
+            id: `download-${release.id}`,
+            'data-release': release.id,
+            'data-category': release.category,
+            'data-product': release.product,
+            'data-channel': release.channel,
+            'data-os': release.files.map(file => file.os).join(' ')
+        }, [
+            el('div', { className: 'download-icon' }, [icon(`fas ${release.icon}`)]),
+            el('h3', { text: release.title }),
+            el('span', { className: 'download-version' }, [
+                document.createTextNode(versionLabel(release)),
+                release.channel === 'beta' && el('span', { className: 'download-badge beta', text: i18n.t('downloads.channels.beta') }),
+                release.critical && el('span', { className: 'download-badge critical', text: i18n.t('downloads.critical') })
+            ]),
+            el('p', { text: release.description }),
+            el('div', { className: 'download-meta' }, [
+                el('span', { className: 'download-size' }, [icon('fas fa-hdd'), document.createTextNode(` ${formatSize(primary.size)}`)]),
+                el('span', { className: 'download-date' }, [icon('fas fa-calendar'), document.createTextNode(` ${formatDate(release.releaseDate)}`)])
+            ]),
+            !available && el('span', { className: 'download-os-note', text: i18n.t('downloads.notForYourOS', { os: osName(os) }) }),
+            el('a', {
+                className: 'btn-download',
+                href: primary.url,
+                download: true,
+                'data-release': release.id,
+                'data-os': primary.os
+            }, [icon(OS_ICONS[primary.os] || 'fas fa-download'), document.createTextNode(` ${buttonLabel}`)])
+        ]);
+
+        if (others.length) {
+            const alternatives = el('div', { className: 'download-alternatives' }, [
+                el('span', { text: i18n.t('downloads.otherSystems') })
+            ]);
+            others.forEach(file => {
+                alternatives.appendChild(el('a', {
+                    href: file.url,
+                    download: true,
+                    'data-release': release.id,
+                    'data-os': file.os
+                }, [icon(OS_ICONS[file.os]), document.createTextNode(` ${osName(file.os)}`)]));
+            });
+            card.appendChild(alternatives);
+        }
+
+        const details = el('details', { className: 'download-details' }, [
+            el('summary', { text: i18n.t('downloads.details') }),
+            el('h4', { text: i18n.t('downloads.checksum') }),
+            renderChecksums(release)
+        ]);
+
+        if (release.changelog && release.changelog.length) {
+            details.appendChild(el('h4', { text: i18n.t('downloads.changelog') }));
+            details.appendChild(el('ul', { className: 'download-changelog' },
+                release.changelog.map(entry => el('li', { text: entry }))));
+        }
+
+        card.appendChild(details);
+        return card;
+    }
+
+    // Releases shown as cards: archived ones stay in the manifest only
+    // (the update checker uses them). Cards for the visitor's OS go first.
+    function getVisibleReleases(catalog, os) {
+        return catalog.releases
+            .filter(release => !release.archived)
+            .map((release, index) => ({ release, index }))
+            .sort((a, b) => (supportsOS(b.release, os) - supportsOS(a.release, os)) || (a.index - b.index))
+            .map(({ release }) => release);
+    }
+
+    function renderOSBanner(grid, os) {
+        const existing = document.querySelector('.downloads-os-banner');
+        if (existing) existing.remove();
+        if (!os) return;
+
+        grid.parentElement.insertBefore(el('p', { className: 'downloads-os-banner' }, [
+            icon(OS_ICONS[os]),
+            document.createTextNode(` ${i18n.t('downloads.detected', { os: osName(os) })}`)
+        ]), grid);
+    }
+
+    function renderGrid(grid, catalog) {
+        const os = detectOS();
+        grid.replaceChildren(...getVisibleReleases(catalog, os).map(release => renderCard(release, os)));
+        grid.setAttribute('aria-busy', 'false');
+        renderOSBanner(grid, os);
+        grid.dispatchEvent(new CustomEvent('downloads:rendered', { bubbles: true, detail: { catalog } }));
+    }
+
+    function renderError(grid) {
+        grid.replaceChildren(el('p', { className: 'downloads-status error' }, [
+            icon('fas fa-exclamation-circle'),
+            document.createTextNode(` ${i18n.t('downloads.loadError')}`)
+        ]));
+        grid.setAttribute('aria-busy', 'false');
+    }
+
+    // Links such as descargas.html#download-sauropos-3.5.2 (site search)
+    // point at cards that only exist once the catalog is rendered
+    function scrollToLinkedCard() {
+        const match = window.location.hash.match(/^#(download-.+)$/);
+        const card = match && document.getElementById(decodeURIComponent(match[1]));
+        if (card) card.scrollIntoView({ block: 'center' });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    function init() {
+        const grid = document.querySelector('.downloads-grid[data-manifest]');
+        if (!grid) return;
+
+        grid.setAttribute('aria-busy', 'true');
+
+        load()
+            .then(catalog => {
+                renderGrid(grid, catalog);
+                scrollToLinkedCard();
+                window.addEventListener('i18n:change', () => renderGrid(grid, catalog));
+                window.addEventListener('hashchange', scrollToLinkedCard);
+            })
+            .catch(error => {
+                console.error('Downloads catalog error:', error);
+                renderError(grid);
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    window.sauroDownloads = {
+        load,
+        detectOS,
+        formatSize,
+        formatDate,
+        pickPrimaryFile
+    };
+})();
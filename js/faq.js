@@ -0,0 +1,532 @@
+// ==================== FAQ KNOWLEDGE BASE ====================
+// Renders the "Preguntas Frecuentes" of soporte.html from data/faq.json.
+// Support staff add questions there; answers are plain text where
+// [texto](url) becomes a link.
+//
+// - Instant search, tolerant of missing accents and small typos, with the
+//   matched words highlighted.
+// - Product filter: entries without "products" apply to every product.
+// - soporte.html#faq-<id> opens that answer.
+// - "¿Te fue útil?" votes go to /api/faq/feedback, once per answer.
+
+(function () {
+    const { el, icon, normalize } = sauroUtils;
+
+    const FEEDBACK_KEY = 'sauro-faq-feedback';
+    const FEEDBACK_ENDPOINT = '/api/faq/feedback';
+    const SEARCH_DELAY = 150;
+    const LINK_PATTERN = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+    // Ignored in queries, otherwise "licencia de uso" would require a "de"
+    const STOP_WORDS = new Set(['a', 'al', 'de', 'del', 'el', 'en', 'la', 'las', 'lo', 'los', 'mi', 'o', 'the', 'to', 'of', 'do', 'da', 'um', 'un', 'una', 'y', 'e']);
+
+    let data = null;
+    let state = { q: '', product: 'all' };
+    let elements = null;
+
+    i18n.addMessages({
+        es: {
+            faq: {
+                search: 'Buscar en las preguntas frecuentes',
+                searchPlaceholder: 'Ej.: licencia, actualizacion, impresora',
+                products: 'Filtrar por producto',
+                allProducts: 'Todos',
+                results: {
+                    one: '{count} pregunta encontrada',
+                    other: '{count} preguntas encontradas'
+                },
+                empty: 'No encontramos respuestas para tu búsqueda.',
+                emptyHelp: '¿No encuentras lo que buscas? Crea un ticket y te ayudamos.',
+                createTicket: 'Crear un ticket',
+                clear: 'Limpiar búsqueda',
+                loading: 'Cargando preguntas frecuentes...',
+                loadError: 'No pudimos cargar las preguntas frecuentes. Intenta nuevamente más tarde.',
+                link: 'Enlace a esta respuesta',
+                linkCopied: 'Enlace copiado al portapapeles',
+                helpful: '¿Te fue útil?',
+                yes: 'Sí',
+                no: 'No',
+                thanks: '¡Gracias por tu opinión!',
+                notHelpful: 'Gracias. Si necesitas más ayuda, nuestro equipo puede revisarlo contigo.'
+            }
+        },
+        en: {
+            faq: {
+                search: 'Search the FAQ',
+                searchPlaceholder: 'E.g.: license, update, printer',
+                products: 'Filter by product',
+                allProducts: 'All',
+                results: {
+                    one: '{count} question found',
+                    other: '{count} questions found'
+                },
+                empty: 'We could not find answers for your search.',
+                emptyHelp: 'Can\'t find what you are looking for? Create a ticket and we will help you.',
+                createTicket: 'Create a ticket',
+                clear: 'Clear search',
+                loading: 'Loading frequently asked questions...',
+                loadError: 'We could not load the frequently asked questions. Please try again later.',
+                link: 'Link to this answer',
+                linkCopied: 'Link copied to clipboard',
+                helpful: 'Was this helpful?',
+                yes: 'Yes',
+                no: 'No',
+                thanks: 'Thank you for your feedback!',
+                notHelpful: 'Thank you. If you need more help, our team can go through it with you.'
+            }
+        },
+        pt: {
+            faq: {
+                search: 'Pesquisar nas perguntas frequentes',
+                searchPlaceholder: 'Ex.: licença, atualização, impressora',
+                products: 'Filtrar por produto',
+                allProducts: 'Todos',
+                results: {
+                    one: '{count} pergunta encontrada',
+                    other: '{count} perguntas encontradas'
+                },
+                empty: 'Não encontramos respostas para sua pesquisa.',
+                emptyHelp: 'Não encontrou o que procurava? Abra um ticket e ajudaremos você.',
+                createTicket: 'Abrir um ticket',
+                clear: 'Limpar pesquisa',
+                loading: 'Carregando perguntas frequentes...',
+                loadError: 'Não foi possível carregar as perguntas frequentes. Tente novamente mais tarde.',
+                link: 'Link para esta resposta',
+                linkCopied: 'Link copiado para a área de transferência',
+                helpful: 'Isso foi útil?',
+                yes: 'Sim',
+                no: 'Não',
+                thanks: 'Obrigado pela sua opinião!',
+                notHelpful: 'Obrigado. Se precisar de mais ajuda, nossa equipe pode analisar com você.'
+            }
+        }
+    });
+
+    // ==================== MATCHING ====================
+
+    function words(text) {
+        return normalize(text).match(/[a-z0-9]+/g) || [];
+    }
+
+    // Levenshtein distance, giving up as soon as it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // How well one word answers one search term: 3 prefix, 2 inside, 1 typo
+    function termScore(term, word) {
+        if (word.startsWith(term)) return 3;
+        if (term.length >= 3 && word.includes(term)) return 2;
+
+        const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (!allowed) return 0;
+        // Compare with the start of longer words so "actualizacio" still finds "actualizaciones"
+        const candidate = word.length > term.length + allowed ? word.slice(0, term.length) : word;
+        return editDistance(term, candidate, allowed) <= allowed ? 1 : 0;
+    }
+
+    function bestScore(term, wordList) {
+        let best = 0;
+        for (const word of wordList) {
+            best = Math.max(best, termScore(term, word));
+            if (best === 3) break;
+        }
+        return best;
+    }
+
+    // Every term has to match somewhere; words in the question weigh double
+    function scoreEntry(entry, terms) {
+        let total = 0;
+        for (const term of terms) {
+            const score = Math.max(bestScore(term, entry.index.question) * 2, bestScore(term, entry.index.body));
+            if (!score) return 0;
+            total += score;
+        }
+        return total;
+    }
+
+    function appliesTo(entry, product) {
+        return product === 'all' || !entry.products || entry.products.includes(product);
+    }
+
+    function searchTerms() {
+        return [...new Set(words(state.q))].filter(term => !STOP_WORDS.has(term));
+    }
+
+    // ==================== RENDER ====================
+
+    // Text with the words that match the search wrapped in <mark>
+    function highlight(text, terms) {
+        const fragment = document.createDocumentFragment();
+        if (!terms.length) {
+            fragment.appendChild(document.createTextNode(text));
+            return fragment;
+        }
+
+        let last = 0;
+        text.replace(/[\p{L}\p{N}]+/gu, (word, offset) => {
+            const normalized = normalize(word);
+            if (!terms.some(term => termScore(term, normalized))) return word;
+
+            fragment.appendChild(document.createTextNode(text.slice(last, offset)));
+            fragment.appendChild(el('mark', { text: word }));
+            last = offset + word.length;
+            return word;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        return fragment;
+    }
+
+    // Answer text with [texto](url) links
+    function renderAnswer(answer, terms) {
+        const paragraph = el('p');
+        let last = 0;
+        let match;
+
+        LINK_PATTERN.lastIndex = 0;
+        while ((match = LINK_PATTERN.exec(answer))) {
+            paragraph.appendChild(highlight(answer.slice(last, match.index), terms));
+            const link = el('a', { href: match[2] });
+            link.appendChild(highlight(match[1], terms));
+            paragraph.appendChild(link);
+            last = match.index + match[0].length;
+        }
+        paragraph.appendChild(highlight(answer.slice(last), terms));
+        return paragraph;
+    }
+
+    function renderFeedback(entry) {
+        const container = el('div', { className: 'faq-feedback' });
+        const vote = getVotes()[entry.id];
+
+        if (vote) {
+            container.appendChild(el('p', {
+                className: 'faq-feedback-thanks',
+                role: 'status',
+                text: vote === 'no' ? i18n.t('faq.notHelpful') : i18n.t('faq.thanks')
+            }));
+            if (vote === 'no') {
+                container.appendChild(el('a', { href: 'tickets.html#crear', className: 'faq-ticket-link', text: i18n.t('faq.createTicket') }));
+            }
+            return container;
+        }
+
+        const yes = el('button', { type: 'button', 'data-vote': 'yes' }, [icon('fas fa-thumbs-up'), document.createTextNode(` ${i18n.t('faq.yes')}`)]);
+        const no = el('button', { type: 'button', 'data-vote': 'no' }, [icon('fas fa-thumbs-down'), document.createTextNode(` ${i18n.t('faq.no')}`)]);
+
+        [yes, no].forEach(button => button.addEventListener('click', () => {
+            sendFeedback(entry, button.dataset.vote);
+            const replacement = renderFeedback(entry);
+            container.replaceWith(replacement);
+            replacement.querySelector('.faq-feedback-thanks').focus();
+        }));
+
+        container.append(el('span', { text: i18n.t('faq.helpful') }), yes, no);
+        return container;
+    }
+
+    function renderItem(entry, terms, open) {
+        const questionId = `faq-${entry.id}-question`;
+        const answerId = `faq-${entry.id}-answer`;
+
+        const button = el('button', {
+            type: 'button',
+            className: 'faq-question',
+            id: questionId,
+            'aria-expanded': String(open),
+            'aria-controls': answerId
+        }, [
+            el('span', { className: 'faq-question-text' }, [highlight(entry.question, terms)]),
+            icon('fas fa-plus faq-icon')
+        ]);
+
+        const productTags = (entry.products || []).map(product => el('span', {
+            className: 'faq-product',
+            text: data.products[product] || product
+        }));
+
+        const permalink = el('a', {
+            className: 'faq-permalink',
+            href: `#faq-${entry.id}`,
+            text: i18n.t('faq.link')
+        });
+        permalink.addEventListener('click', e => {
+            e.preventDefault();
+            history.replaceState(history.state, '', `#faq-${entry.id}`);
+            const url = window.location.href;
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(url)
+                    .then(() => toast.success(i18n.t('faq.linkCopied')))
+                    .catch(() => {});
+            }
+        });
+
+        const answer = el('div', {
+            className: 'faq-answer',
+            id: answerId,
+            role: 'region',
+            'aria-labelledby': questionId
+        }, [
+            el('div', { className: 'faq-answer-content' }, [
+                renderAnswer(entry.answer, terms),
+                productTags.length && el('div', { className: 'faq-products' }, productTags),
+                el('div', { className: 'faq-answer-footer' }, [permalink, renderFeedback(entry)])
+            ])
+        ]);
+
+        button.addEventListener('click', () => toggle(entry.id));
+
+        return el('div', {
+            className: `faq-item${open ? ' active' : ''}`,
+            id: `faq-${entry.id}`,
+            'data-faq': entry.id
+        }, [el('h3', { className: 'faq-heading' }, [button]), answer]);
+    }
+
+    function visibleEntries() {
+        const terms = searchTerms();
+
+        return data.entries
+            .filter(entry => appliesTo(entry, state.product))
+            .map((entry, index) => ({ entry, index, score: terms.length ? scoreEntry(entry, terms) : 1 }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+            .map(item => item.entry);
+    }
+
+    function renderList() {
+        const terms = searchTerms();
+        const openId = elements.list.querySelector('.faq-item.active');
+        const entries = visibleEntries();
+
+        elements.list.replaceChildren(...entries.map(entry => (
+            renderItem(entry, terms, !!openId && openId.dataset.faq === entry.id)
+        )));
+        elements.list.setAttribute('aria-busy', 'false');
+
+        const filtered = !!terms.length || state.product !== 'all';
+        elements.results.textContent = filtered ? i18n.t('faq.results', { count: entries.length }) : '';
+        renderEmptyState(entries.length);
+    }
+
+    function renderEmptyState(count) {
+        const existing = elements.list.parentElement.querySelector('.faq-empty');
+        if (existing) existing.remove();
+        if (count) return;
+
+        const clear = el('button', { type: 'button', className: 'btn btn-secondary', text: i18n.t('faq.clear') });
+        clear.addEventListener('click', () => {
+            state = { q: '', product: 'all' };
+            syncControls();
+            renderList();
+            elements.search.focus();
+        });
+
+        elements.list.after(el('div', { className: 'faq-empty' }, [
+            icon('fas fa-search'),
+            el('p', { text: i18n.t('faq.empty') }),
+            el('p', { text: i18n.t('faq.emptyHelp') }),
+            el('div', { className: 'faq-empty-actions' }, [
+                clear,
+                el('a', { href: 'tickets.html#crear', className: 'btn btn-primary', text: i18n.t('faq.createTicket') })
+            ])
+        ]));
+    }
+
+    function renderProductFilter() {
+        const buttons = [['all', i18n.t('faq.allProducts')], ...Object.entries(data.products)]
+            .map(([product, name]) => {
+                const button = el('button', {
+                    type: 'button',
+                    className: 'faq-product-filter',
+                    'data-product': product,
+                    'aria-pressed': String(state.product === product),
+                    text: name
+                });
+                button.addEventListener('click', () => {
+                    state.product = product;
+                    syncControls();
+                    renderList();
+                });
+                return button;
+            });
+
+        elements.products.replaceChildren(...buttons);
+        elements.products.setAttribute('aria-label', i18n.t('faq.products'));
+    }
+
+    function syncControls() {
+        elements.search.value = state.q;
+        elements.products.querySelectorAll('[data-product]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.product === state.product));
+        });
+    }
+
+    // ==================== ACCORDION ====================
+    // One answer open at a time, as before. Arrow keys, Home and End move
+    // between questions (WAI-ARIA accordion pattern).
+
+    function setOpen(item, open) {
+        item.classList.toggle('active', open);
+        item.querySelector('.faq-question').setAttribute('aria-expanded', String(open));
+    }
+
+    function toggle(id) {
+        elements.list.querySelectorAll('.faq-item').forEach(item => {
+            setOpen(item, item.dataset.faq === id && !item.classList.contains('active'));
+        });
+    }
+
+    function handleKeydown(e) {
+        if (!e.target.classList.contains('faq-question')) return;
+
+        const questions = [...elements.list.querySelectorAll('.faq-question')];
+        const index = questions.indexOf(e.target);
+        const targets = {
+            ArrowDown: questions[(index + 1) % questions.length],
+            ArrowUp: questions[(index - 1 + questions.length) % questions.length],
+            Home: questions[0],
+            End: questions[questions.length - 1]
+        };
+
+        if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    }
+
+    // #faq-<id>: clear filters hiding the entry, open it and scroll to it
+    function openFromHash() {
+        const match = window.location.hash.match(/^#faq-(.+)$/);
+        if (!match) return;
+
+        const id = decodeURIComponent(match[1]);
+        const entry = data.entries.find(item => item.id === id);
+        if (!entry) return;
+
+        if (!visibleEntries().includes(entry)) {
+            state = { q: '', product: 'all' };
+            syncControls();
+            renderList();
+        }
+
+        const item = document.getElementById(`faq-${id}`);
+        elements.list.querySelectorAll('.faq-item').forEach(other => setOpen(other, other === item));
+        item.scrollIntoView({ block: 'start' });
+        item.querySelector('.faq-question').focus({ preventScroll: true });
+    }
+
+    // ==================== FEEDBACK ====================
+
+    function getVotes() {
+        try {
+            return JSON.parse(localStorage.getItem(FEEDBACK_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // The vote is remembered locally even if the request fails: it is
+    // only a signal for support staff, not worth bothering the visitor
+    function sendFeedback(entry, vote) {
+        const votes = getVotes();
+        votes[entry.id] = vote;
+        try {
+            localStorage.setItem(FEEDBACK_KEY, JSON.stringify(votes));
+        } catch (error) {
+            // Storage disabled: the vote is still sent
+        }
+
+        fetch(FEEDBACK_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: entry.id, helpful: vote === 'yes', query: state.q || null }),
+            keepalive: true
+        }).catch(() => {});
+    }
+
+    // ==================== INITIALIZE ====================
+
+    function buildIndex(entry) {
+        return {
+            ...entry,
+            index: {
+                question: words(entry.question),
+                body: words([
+                    entry.answer.replace(LINK_PATTERN, '$1'),
+                    (entry.keywords || []).join(' '),
+                    (entry.products || []).map(product => data.products[product] || product).join(' ')
+                ].join(' '))
+            }
+        };
+    }
+
+    function init() {
+        const list = document.querySelector('.faq-container[data-source]');
+        if (!list) return;
+
+        elements = {
+            list,
+            search: document.getElementById('faqSearch'),
+            products: document.querySelector('.faq-products-filter'),
+            results: document.querySelector('.faq-results')
+        };
+        list.setAttribute('aria-busy', 'true');
+
+        fetch(list.dataset.source)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(json => {
+                data = json;
+                data.entries = data.entries.map(buildIndex);
+
+                renderProductFilter();
+                renderList();
+                openFromHash();
+
+                let searchTimer = null;
+                elements.search.addEventListener('input', () => {
+                    clearTimeout(searchTimer);
+                    searchTimer = setTimeout(() => {
+                        state.q = elements.search.value.trim();
+                        renderList();
+                    }, SEARCH_DELAY);
+                });
+
+                list.addEventListener('keydown', handleKeydown);
+                window.addEventListener('hashchange', openFromHash);
+                window.addEventListener('i18n:change', () => {
+                    renderProductFilter();
+                    renderList();
+                });
+            })
+            .catch(error => {
+                console.error('FAQ error:', error);
+                list.replaceChildren(el('p', { className: 'faq-status error' }, [
+                    icon('fas fa-exclamation-circle'),
+                    document.createTextNode(` ${i18n.t('faq.loadError')}`)
+                ]));
+                list.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+})();
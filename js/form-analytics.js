@@ -0,0 +1,208 @@
+// ==================== FORM ANALYTICS ====================
+// Measures how visitors fill in the forms handled by js/forms.js: time
+// spent in each field, changes, validation errors per field, sent forms
+// and abandoned ones (the page is left after typing without sending),
+// including the last field touched before leaving. Field values are
+// never collected, and nothing is recorded or sent unless the visitor
+// allowed "analiticas" in the consent banner (js/consent.js).
+//
+//   formAnalytics.track('contactForm');
+//   formAnalytics.configure({ endpoint: '/api/analytics/forms' });
+//
+// Events are batched and sent with navigator.sendBeacon so they survive
+// the page being closed. reportes/formularios.html aggregates them.
+//
+// Event: { type, form, page, session, at, ... }
+//   view     the tracked form is on the page
+//   start    first interaction with a field
+//   submit   sent or queued: { duration, attempts, fields }
+//   abandon  left without sending: { duration, attempts, lastField, fields }
+// fields: { [name]: { time, changes, errors } }, time in ms
+
+(function () {
+    const { createId } = sauroUtils;
+
+    const settings = {
+        endpoint: '/api/analytics/forms',
+        batchSize: 20,          // events that trigger an immediate send
+        flushInterval: 15000    // ms between sends while the page is open
+    };
+
+    const queue = [];
+    const tracked = new WeakSet();
+    const sessions = [];
+    let flushTimer = null;
+
+    // ==================== SENDING ====================
+
+    function allowed() {
+        return !window.consent || consent.has('analiticas');
+    }
+
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (!queue.length) return;
+
+        const events = queue.splice(0);
+        if (!allowed()) return;
+        const body = JSON.stringify({ events });
+        const sent = navigator.sendBeacon
+            && navigator.sendBeacon(settings.endpoint, new Blob([body], { type: 'application/json' }));
+
+        // No beacon support (or the browser refused it): keepalive fetch
+        if (!sent) {
+            fetch(settings.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // Analytics never bother the visitor
+            });
+        }
+    }
+
+    function record(session, type, data = {}) {
+        if (!allowed()) return;
+        queue.push({
+            type,
+            form: session.formId,
+            page: window.location.pathname,
+            session: session.id,
+            at: new Date().toISOString(),
+            ...data
+        });
+
+        if (queue.length >= settings.batchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, settings.flushInterval);
+        }
+    }
+
+    // ==================== SESSIONS ====================
+    // One session per attempt at filling in a form; a new one starts
+    // after the form is sent.
+
+    function newSession(session) {
+        session.id = createId();
+        session.startedAt = null;
+        session.attempts = 0;
+        session.fields = {};
+        session.lastField = null;
+        session.focused = null;
+        session.finished = false;
+    }
+
+    function getStats(session, name) {
+        return session.fields[name] || (session.fields[name] = { time: 0, changes: 0, errors: 0 });
+    }
+
+    // Time of the field being edited right now, so a summary includes it
+    function stopFocusTimer(session) {
+        if (!session.focused) return;
+        getStats(session, session.focused.name).time += Date.now() - session.focused.since;
+        session.focused = null;
+    }
+
+    function touch(session, name) {
+        if (!session.startedAt) {
+            session.startedAt = Date.now();
+            record(session, 'start');
+        }
+        session.lastField = name;
+    }
+
+    function summary(session) {
+        stopFocusTimer(session);
+        return {
+            duration: session.startedAt ? Date.now() - session.startedAt : 0,
+            attempts: session.attempts,
+            fields: session.fields
+        };
+    }
+
+    function finish(session, type, data = {}) {
+        session.finished = true;
+        record(session, type, { ...summary(session), ...data });
+    }
+
+    // ==================== TRACKING ====================
+
+    function track(formOrId) {
+        const form = typeof formOrId === 'string' ? document.getElementById(formOrId) : formOrId;
+        if (!form || tracked.has(form)) return;
+        tracked.add(form);
+
+        const session = { formId: form.id || form.getAttribute('name') || 'form' };
+        newSession(session);
+        sessions.push(session);
+        record(session, 'view');
+
+        form.addEventListener('focusin', e => {
+            const name = e.target.name;
+            if (!name || session.finished) return;
+            stopFocusTimer(session);
+            session.focused = { name, since: Date.now() };
+            touch(session, name);
+        });
+
+        form.addEventListener('focusout', () => stopFocusTimer(session));
+
+        form.addEventListener('change', e => {
+            const name = e.target.name;
+            if (!name || session.finished) return;
+            getStats(session, name).changes++;
+            touch(session, name);
+        });
+
+        form.addEventListener('forms:error', e => {
+            if (!e.target.name || session.finished) return;
+            getStats(session, e.target.name).errors++;
+        });
+
+        form.addEventListener('submit', () => {
+            session.attempts++;
+        });
+
+        form.addEventListener('forms:sent', e => {
+            finish(session, 'submit', { queued: e.detail.queued });
+            newSession(session);
+        });
+    }
+
+    // Forms left half filled count as abandoned
+    window.addEventListener('beforeunload', () => {
+        sessions.forEach(session => {
+            if (session.startedAt && !session.finished) {
+                finish(session, 'abandon', { lastField: session.lastField });
+            }
+        });
+        flush();
+    });
+
+    // Back from the browser cache: the visitor may carry on
+    window.addEventListener('pageshow', e => {
+        if (!e.persisted) return;
+        sessions.forEach(session => {
+            if (session.finished) newSession(session);
+        });
+    });
+
+    // Mobile browsers may not fire beforeunload: send what is pending
+    // whenever the page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+
+    function configure(options = {}) {
+        Object.assign(settings, options);
+    }
+
+    window.formAnalytics = {
+        track,
+        configure,
+        flush
+    };
+})();
@@ -0,0 +1,285 @@
+// ==================== OFFLINE FORM QUEUE ====================
+// Submissions that fail because of connectivity are stored in IndexedDB
+// and resent when the browser comes back online, on the next page load
+// or from the service worker (Background Sync). This file runs both in
+// pages and inside sw.js through importScripts.
+
+(function (global) {
+    const { createId } = global.sauroUtils;
+
+    const DB_NAME = 'sauro-forms';
+    const DB_VERSION = 1;
+    const STORE = 'pending';
+    const SYNC_TAG = 'sauro-form-queue';
+    const LOCK_TIME = 30000; // ms a record stays claimed while being sent
+
+    const isWindow = typeof window !== 'undefined' && global === window;
+    let dbPromise = null;
+    let flushPromise = null;
+
+    // ==================== INDEXEDDB ====================
+
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE)) {
+                        db.createObjectStore(STORE, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Run fn(store) inside a transaction and resolve with its result
+    async function withStore(mode, fn) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const store = transaction.objectStore(STORE);
+            let result;
+            Promise.resolve(fn(store)).then(value => { result = value; });
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // ==================== QUEUE OPERATIONS ====================
+
+    // entry: { formId, endpoint, method, encoding, entries: [[name, value]] }
+    async function enqueue(entry) {
+        const record = {
+            id: createId(),
+            formId: entry.formId || null,
+            endpoint: entry.endpoint,
+            method: entry.method || 'POST',
+            encoding: entry.encoding || 'json',
+            entries: entry.entries,
+            createdAt: Date.now(),
+            attempts: 0,
+            lockedUntil: 0,
+            lastError: null
+        };
+
+        await withStore('readwrite', store => store.put(record));
+        await requestBackgroundSync();
+        notifyChange();
+        return record;
+    }
+
+    function getAll() {
+        return withStore('readonly', store => requestToPromise(store.getAll()));
+    }
+
+    function remove(id) {
+        return withStore('readwrite', store => store.delete(id)).then(notifyChange);
+    }
+
+    async function count() {
+        return withStore('readonly', store => requestToPromise(store.count()));
+    }
+
+    // Claim the records nobody else is sending (another tab or the SW)
+    function claimPending() {
+        const now = Date.now();
+        return withStore('readwrite', async store => {
+            const records = await requestToPromise(store.getAll());
+            const claimed = records.filter(record => record.lockedUntil < now);
+            claimed.forEach(record => {
+                record.lockedUntil = now + LOCK_TIME;
+                store.put(record);
+            });
+            return claimed;
+        });
+    }
+
+    function release(record, error) {
+        record.lockedUntil = 0;
+        record.attempts++;
+        record.lastError = error;
+        return withStore('readwrite', store => store.put(record));
+    }
+
+    // ==================== SENDING ====================
+
+    function buildRequest(record) {
+        const hasBlobs = record.entries.some(([, value]) => value instanceof Blob);
+        const headers = { 'Accept': 'application/json', 'X-Submission-Id': record.id };
+
+        if (record.encoding === 'multipart' || hasBlobs) {
+            const formData = new FormData();
+            record.entries.forEach(([name, value]) => formData.append(name, value));
+            return { method: record.method, headers, body: formData };
+        }
+
+        headers['Content-Type'] = 'application/json';
+        return {
+            method: record.method,
+            headers,
+            body: JSON.stringify(Object.fromEntries(record.entries))
+        };
+    }
+
+    // Resolves to 'sent', 'rejected' (server refused the data) or 'pending'
+    async function sendRecord(record) {
+        let response;
+        try {
+            response = await fetch(record.endpoint, buildRequest(record));
+        } catch (error) {
+            await release(record, error.message);
+            return 'pending';
+        }
+
+        if (response.ok) {
+            await remove(record.id);
+            return 'sent';
+        }
+
+        // 4xx will not fix itself by retrying, so the record is dropped
+        if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+            await remove(record.id);
+            return 'rejected';
+        }
+
+        await release(record, `HTTP ${response.status}`);
+        return 'pending';
+    }
+
+    // Resend everything that is queued; concurrent calls share one run
+    function flush() {
+        if (!flushPromise) {
+            flushPromise = (async () => {
+                const result = { sent: 0, rejected: 0, pending: 0 };
+                const records = await claimPending();
+
+                for (const record of records) {
+                    result[await sendRecord(record)]++;
+                }
+                return result;
+            })().finally(() => {
+                flushPromise = null;
+                notifyChange();
+            });
+        }
+        return flushPromise;
+    }
+
+    // ==================== SERVICE WORKER BRIDGE ====================
+
+    async function requestBackgroundSync() {
+        try {
+            const registration = isWindow
+                ? ('serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null)
+                : global.registration;
+            if (registration && registration.sync) {
+                await registration.sync.register(SYNC_TAG);
+            }
+        } catch (error) {
+            // Background Sync is optional: online/page-load flushing still applies
+        }
+    }
+
+    function notifyChange() {
+        if (isWindow) {
+            global.dispatchEvent(new CustomEvent('formqueue:change'));
+        } else if (global.clients) {
+            global.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+                clients.forEach(client => client.postMessage({ type: 'formqueue:change' }));
+            });
+        }
+    }
+
+    global.formQueue = {
+        SYNC_TAG,
+        enqueue,
+        getAll,
+        remove,
+        count,
+        flush
+    };
+
+    if (!isWindow || !('indexedDB' in global)) return;
+
+    // ==================== PENDING INDICATOR ====================
+
+    function renderIndicator(total) {
+        let indicator = document.querySelector('.pending-submissions');
+
+        if (!total) {
+            if (indicator) indicator.remove();
+            return;
+        }
+
+        if (!indicator) {
+            indicator = document.createElement('div');
+            indicator.className = 'pending-submissions';
+            indicator.setAttribute('role', 'status');
+            indicator.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                background: #f59e0b;
+                color: white;
+                padding: 0.7rem 1.2rem;
+                border-radius: 8px;
+                box-shadow: 0 8px 30px rgba(0, 0, 0, 0.3);
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 0.9rem;
+                z-index: 10000;
+            `;
+            indicator.innerHTML = '<i class="fas fa-clock"></i> <span></span>';
+            document.body.appendChild(indicator);
+        }
+
+        indicator.querySelector('span').textContent = global.i18n.t('queue.pending', { count: total });
+    }
+
+    function refreshIndicator() {
+        count().then(renderIndicator).catch(() => {});
+    }
+
+    async function flushAndReport() {
+        if (!navigator.onLine) return;
+
+        const result = await flush();
+
+        if (result.sent) {
+            global.toast.success(global.i18n.t('queue.sent', { count: result.sent }));
+        }
+        if (result.rejected) {
+            global.toast.error(global.i18n.t('queue.rejected'));
+        }
+    }
+
+    global.addEventListener('formqueue:change', refreshIndicator);
+    global.addEventListener('i18n:change', refreshIndicator);
+    global.addEventListener('online', flushAndReport);
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data && event.data.type === 'formqueue:change') {
+                refreshIndicator();
+            }
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        refreshIndicator();
+        flushAndReport();
+    });
+})(self);
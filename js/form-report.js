@@ -0,0 +1,250 @@
+// ==================== FORM ANALYTICS REPORT ====================
+// reportes/formularios.html: aggregates the events collected by
+// js/form-analytics.js, read from the dev server (GET /api/analytics/forms)
+// or from exported JSON files, to show which fields make visitors give up.
+// Internal page: Spanish only, not linked from the site.
+
+(function () {
+    const ENDPOINT = '/api/analytics/forms';
+
+    let events = [];
+
+    // ==================== AGGREGATION ====================
+
+    function eventKey(event) {
+        return `${event.session}|${event.type}|${event.at}`;
+    }
+
+    // Same event loaded twice (a file and the server) counts once
+    function mergeEvents(current, incoming) {
+        const seen = new Set(current.map(eventKey));
+        return current.concat(incoming.filter(event => {
+            const key = eventKey(event);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }));
+    }
+
+    function createFormTotals(form) {
+        return {
+            form,
+            pages: new Set(),
+            views: 0,
+            starts: 0,
+            submits: 0,
+            abandons: 0,
+            submitTime: 0,
+            fields: {}
+        };
+    }
+
+    function createFieldTotals(name) {
+        return { name, sessions: 0, time: 0, changes: 0, errors: 0, sessionsWithErrors: 0, dropOffs: 0 };
+    }
+
+    function aggregate(list) {
+        const forms = {};
+
+        list.forEach(event => {
+            const totals = forms[event.form] || (forms[event.form] = createFormTotals(event.form));
+            if (event.page) totals.pages.add(event.page);
+
+            if (event.type === 'view') totals.views++;
+            if (event.type === 'start') totals.starts++;
+            if (event.type !== 'submit' && event.type !== 'abandon') return;
+
+            if (event.type === 'submit') {
+                totals.submits++;
+                totals.submitTime += event.duration || 0;
+            } else {
+                totals.abandons++;
+                if (event.lastField) {
+                    const field = totals.fields[event.lastField]
+                        || (totals.fields[event.lastField] = createFieldTotals(event.lastField));
+                    field.dropOffs++;
+                }
+            }
+
+            Object.entries(event.fields || {}).forEach(([name, stats]) => {
+                const field = totals.fields[name] || (totals.fields[name] = createFieldTotals(name));
+                field.sessions++;
+                field.time += stats.time || 0;
+                field.changes += stats.changes || 0;
+                field.errors += stats.errors || 0;
+                if (stats.errors) field.sessionsWithErrors++;
+            });
+        });
+
+        return Object.values(forms).sort((a, b) => b.starts - a.starts);
+    }
+
+    // Fields that cost the most sends first: drop-offs, then errors
+    function rankFields(totals) {
+        return Object.values(totals.fields).sort((a, b) => (
+            b.dropOffs - a.dropOffs || b.sessionsWithErrors - a.sessionsWithErrors || b.errors - a.errors
+        ));
+    }
+
+    // ==================== FORMATTING ====================
+
+    function percent(part, total) {
+        return total ? `${Math.round((part / total) * 100)} %` : '—';
+    }
+
+    function seconds(ms) {
+        return `${(ms / 1000).toFixed(1)} s`;
+    }
+
+    function average(total, count, format) {
+        return count ? format(total / count) : '—';
+    }
+
+    function cell(tag, text, className) {
+        const element = document.createElement(tag);
+        element.textContent = text;
+        if (className) element.className = className;
+        return element;
+    }
+
+    function row(tag, values) {
+        const tr = document.createElement('tr');
+        values.forEach(value => tr.appendChild(cell(tag, value)));
+        return tr;
+    }
+
+    function table(caption, headings, rows) {
+        const element = document.createElement('table');
+        element.className = 'report-table';
+        element.appendChild(cell('caption', caption));
+        const head = document.createElement('thead');
+        head.appendChild(row('th', headings));
+        const body = document.createElement('tbody');
+        rows.forEach(values => body.appendChild(row('td', values)));
+        element.append(head, body);
+        return element;
+    }
+
+    // ==================== RENDERING ====================
+
+    function renderSummary(forms) {
+        return table('Resumen por formulario', [
+            'Formulario', 'Vistas', 'Iniciados', 'Enviados', 'Abandonados', 'Conversión', 'Tiempo medio hasta enviar'
+        ], forms.map(totals => [
+            totals.form,
+            totals.views,
+            totals.starts,
+            totals.submits,
+            totals.abandons,
+            percent(totals.submits, totals.starts),
+            average(totals.submitTime, totals.submits, seconds)
+        ]));
+    }
+
+    function renderForm(totals) {
+        const section = document.createElement('section');
+        section.className = 'report-form';
+
+        const title = cell('h2', totals.form);
+        const pages = cell('p', Array.from(totals.pages).join(', '), 'report-pages');
+        section.append(title, pages);
+
+        const fields = rankFields(totals);
+        const worst = fields[0];
+        if (worst && (worst.dropOffs || worst.sessionsWithErrors)) {
+            section.appendChild(cell('p',
+                `Campo más problemático: "${worst.name}" (${worst.dropOffs} abandono(s), errores en ${worst.sessionsWithErrors} intento(s))`,
+                'report-highlight'));
+        }
+
+        section.appendChild(table(`Campos de ${totals.form}`, [
+            'Campo', 'Abandonos en el campo', '% de los abandonos', 'Errores', 'Intentos con error', 'Tiempo medio', 'Cambios medios'
+        ], fields.map(field => [
+            field.name,
+            field.dropOffs,
+            percent(field.dropOffs, totals.abandons),
+            field.errors,
+            percent(field.sessionsWithErrors, field.sessions),
+            average(field.time, field.sessions, seconds),
+            average(field.changes, field.sessions, value => value.toFixed(1))
+        ])));
+
+        return section;
+    }
+
+    function render() {
+        const container = document.getElementById('reportResults');
+        const forms = aggregate(events);
+
+        document.getElementById('reportCount').textContent = `${events.length} evento(s) cargado(s)`;
+
+        if (!forms.length) {
+            container.replaceChildren(cell('p', 'Todavía no hay datos. Usa los formularios del sitio o carga un archivo JSON.', 'report-empty'));
+            return;
+        }
+        container.replaceChildren(renderSummary(forms), ...forms.map(renderForm));
+    }
+
+    // ==================== SOURCES ====================
+
+    // Accepts { events: [...] } (as sent and as listed by the server) or a bare array
+    function readEvents(data) {
+        const list = Array.isArray(data) ? data : (data && data.events);
+        return Array.isArray(list) ? list.filter(event => event && event.form && event.type) : [];
+    }
+
+    function setStatus(message, isError = false) {
+        const status = document.getElementById('reportStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    async function loadFromServer() {
+        try {
+            const response = await fetch(ENDPOINT);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            events = mergeEvents(events, readEvents(await response.json()));
+            setStatus('Datos del servidor de desarrollo actualizados.');
+        } catch (error) {
+            setStatus(`No se pudieron leer los datos de ${ENDPOINT} (${error.message}).`, true);
+        }
+        render();
+    }
+
+    async function loadFiles(files) {
+        for (const file of files) {
+            try {
+                events = mergeEvents(events, readEvents(JSON.parse(await file.text())));
+                setStatus(`Archivo ${file.name} cargado.`);
+            } catch (error) {
+                setStatus(`${file.name} no es un JSON de eventos válido.`, true);
+            }
+        }
+        render();
+    }
+
+    function download() {
+        const blob = new Blob([JSON.stringify({ events }, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `analitica-formularios-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('reportRefresh').addEventListener('click', loadFromServer);
+        document.getElementById('reportDownload').addEventListener('click', download);
+        document.getElementById('reportClear').addEventListener('click', () => {
+            events = [];
+            setStatus('');
+            render();
+        });
+        document.getElementById('reportFile').addEventListener('change', e => {
+            loadFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        loadFromServer();
+    });
+})();
@@ -12,71 +12,401 @@ function validatePhone(phone) {
     return re.test(phone) && phone.replace(/\D/g, '').length >= 7;
 }
 
+// ==================== VALIDATION RULES ====================
+// Rules come from native attributes (required, type=email/tel, minlength,
+// maxlength, pattern, min, max) and from data-validate, a "|" separated
+// list of "rule" or "rule:param" entries, e.g.
+//   data-validate="requiredIf:asunto=cotizacion|emailDomain"
+// A custom message per rule can be set with data-msg-<rule>.
+
+const validationRules = {};
+
+// Register a validator: validate(value, param, field) returns true when
+// valid, false or a message string otherwise (a Promise of it when async)
+function registerValidator(name, validate, options = {}) {
+    validationRules[name] = {
+        validate,
+        message: options.message || (() => i18n.t('forms.invalid')),
+        async: !!options.async,
+        debounce: options.debounce || 0,
+        runWhenEmpty: !!options.runWhenEmpty,
+        dependsOn: options.dependsOn || null
+    };
+}
+
+// Value of another field of the same form (radio groups and checkboxes included)
+function getFieldValue(form, name) {
+    if (!form) return '';
+    const field = form.elements[name];
+    if (!field) return '';
+    if (!field.tagName) return (field.value || '').trim(); // RadioNodeList
+    if (field.type === 'checkbox') return field.checked ? field.value : '';
+    return field.value.trim();
+}
+
+function getOwnValue(field) {
+    if (field.type === 'radio') return getFieldValue(field.form, field.name);
+    if (field.type === 'checkbox') return field.checked ? field.value : '';
+    return field.value.trim();
+}
+
+// Compare numerically when both sides are numbers, otherwise as strings (dates)
+function compareValues(a, b) {
+    const numA = parseFloat(a);
+    const numB = parseFloat(b);
+    if (!isNaN(numA) && !isNaN(numB) && String(numA) === String(a).trim() && String(numB) === String(b).trim()) {
+        return numA - numB;
+    }
+    return String(a).localeCompare(String(b));
+}
+
+registerValidator('required', value => value !== '', {
+    message: () => i18n.t('forms.required'),
+    runWhenEmpty: true
+});
+
+registerValidator('email', value => validateEmail(value), {
+    message: () => i18n.t('forms.email')
+});
+
+registerValidator('phone', value => validatePhone(value), {
+    message: () => i18n.t('forms.phone')
+});
+
+registerValidator('minlength', (value, param) => value.length >= parseInt(param), {
+    message: param => i18n.t('forms.minlength', { min: param })
+});
+
+registerValidator('maxlength', (value, param) => value.length <= parseInt(param), {
+    message: param => i18n.t('forms.maxlength', { max: param })
+});
+
+// A pattern that does not compile is a mistake in the page, not in what
+// the visitor typed: the rule passes and the console says why
+registerValidator('pattern', (value, param) => {
+    let pattern;
+    try {
+        pattern = new RegExp(`^(?:${param})$`);
+    } catch (error) {
+        console.warn(`Patrón de validación inválido: "${param}"`, error);
+        return true;
+    }
+    return pattern.test(value);
+}, {
+    message: (param, field) => field.title || i18n.t('forms.pattern')
+});
+
+registerValidator('min', (value, param) => compareValues(value, param) >= 0, {
+    message: param => i18n.t('forms.min', { min: param })
+});
+
+registerValidator('max', (value, param) => compareValues(value, param) <= 0, {
+    message: param => i18n.t('forms.max', { max: param })
+});
+
+// match:otroCampo - same value as another field (e.g. email confirmation)
+registerValidator('match', (value, param, field) => value === getFieldValue(field.form, param), {
+    message: () => i18n.t('forms.match'),
+    dependsOn: param => param
+});
+
+// requiredIf:campo=valor1,valor2 - required when another field has one of
+// those values (or any value when no "=valor" is given)
+registerValidator('requiredIf', (value, param, field) => {
+    const [otherName, expected] = param.split('=');
+    const otherValue = getFieldValue(field.form, otherName);
+    const applies = expected === undefined ? otherValue !== '' : expected.split(',').includes(otherValue);
+    return !applies || value !== '';
+}, {
+    message: () => i18n.t('forms.required'),
+    runWhenEmpty: true,
+    dependsOn: param => param.split('=')[0]
+});
+
+// File inputs: maxFiles:n, maxFileSize:megabytes and the native accept attribute
+function getFiles(field) {
+    return field.files ? Array.from(field.files) : [];
+}
+
+registerValidator('maxFiles', (value, param, field) => getFiles(field).length <= parseInt(param), {
+    message: param => i18n.t('forms.maxFiles', { count: parseInt(param) })
+});
+
+registerValidator('maxFileSize', (value, param, field) => (
+    getFiles(field).every(file => file.size <= parseFloat(param) * 1024 * 1024)
+), {
+    message: param => i18n.t('forms.maxFileSize', { size: param })
+});
+
+// accept=".pdf,image/*" - extensions, exact MIME types or type/* wildcards
+registerValidator('accept', (value, param, field) => {
+    const accepted = param.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    return getFiles(field).every(file => {
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        return accepted.some(pattern => {
+            if (pattern.startsWith('.')) return name.endsWith(pattern);
+            if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+            return type === pattern;
+        });
+    });
+}, {
+    message: () => i18n.t('forms.accept')
+});
+
+// emailDomain - asks the backend whether the email domain can receive mail.
+// Network problems never block the user.
+const EMAIL_DOMAIN_ENDPOINT = '/api/validate/email-domain';
+
+registerValidator('emailDomain', async value => {
+    const domain = value.split('@')[1];
+    if (!domain) return true;
+    try {
+        const response = await fetch(`${EMAIL_DOMAIN_ENDPOINT}?domain=${encodeURIComponent(domain)}`);
+        if (!response.ok) return true;
+        const result = await response.json();
+        return result.valid !== false;
+    } catch (error) {
+        return true;
+    }
+}, {
+    message: () => i18n.t('forms.emailDomain'),
+    async: true,
+    debounce: 500
+});
+
+// Parse the rules that apply to a field
+function getFieldRules(field) {
+    const rules = [];
+    const addRule = (name, param) => {
+        const existing = rules.find(rule => rule.name === name);
+        if (existing) {
+            existing.param = param;
+        } else {
+            rules.push({ name, param });
+        }
+    };
+    
+    if (field.hasAttribute('required')) addRule('required');
+    if (field.type === 'email') addRule('email');
+    if (field.type === 'tel') addRule('phone');
+    ['minlength', 'maxlength', 'pattern', 'min', 'max'].forEach(attr => {
+        if (field.hasAttribute(attr)) addRule(attr, field.getAttribute(attr));
+    });
+    if (field.type === 'file' && field.hasAttribute('accept')) addRule('accept', field.getAttribute('accept'));
+    
+    (field.dataset.validate || '').split('|').map(spec => spec.trim()).filter(Boolean).forEach(spec => {
+        const separator = spec.indexOf(':');
+        const name = separator === -1 ? spec : spec.slice(0, separator);
+        const param = separator === -1 ? undefined : spec.slice(separator + 1);
+        
+        if (!validationRules[name]) {
+            console.warn(`Regla de validación desconocida: "${name}"`, field);
+            return;
+        }
+        addRule(name, param);
+    });
+    
+    return rules.filter(rule => validationRules[rule.name]);
+}
+
+function getRuleMessage(result, rule, field) {
+    if (typeof result === 'string') return result;
+    
+    const custom = field.getAttribute(`data-msg-${rule.name.toLowerCase()}`);
+    if (custom) return custom;
+    
+    const message = validationRules[rule.name].message;
+    return typeof message === 'function' ? message(rule.param, field) : message;
+}
+
+function shouldRun(definition, value) {
+    return value !== '' || definition.runWhenEmpty;
+}
+
+// First failing synchronous rule, or null
+function checkSyncRules(field) {
+    const value = getOwnValue(field);
+    
+    for (const rule of getFieldRules(field)) {
+        const definition = validationRules[rule.name];
+        if (definition.async || !shouldRun(definition, value)) continue;
+        
+        const result = definition.validate(value, rule.param, field);
+        if (result !== true) {
+            return getRuleMessage(result, rule, field);
+        }
+    }
+    return null;
+}
+
+// First failing asynchronous rule, or null. Validators that throw pass.
+async function checkAsyncRules(field) {
+    const value = getOwnValue(field);
+    
+    for (const rule of getFieldRules(field)) {
+        const definition = validationRules[rule.name];
+        if (!definition.async || !shouldRun(definition, value)) continue;
+        
+        try {
+            const result = await definition.validate(value, rule.param, field);
+            if (result !== true) {
+                return getRuleMessage(result, rule, field);
+            }
+        } catch (error) {
+            console.warn(`Validador "${rule.name}" falló:`, error);
+        }
+    }
+    return null;
+}
+
+// Per-field debounce timer and request token for async validation
+const asyncValidationState = new WeakMap();
+
+function scheduleAsyncValidation(field) {
+    const asyncRules = getFieldRules(field).filter(rule => validationRules[rule.name].async);
+    if (!asyncRules.length) return;
+    
+    const state = asyncValidationState.get(field) || { timer: null, token: 0 };
+    const token = ++state.token;
+    const delay = Math.max(...asyncRules.map(rule => validationRules[rule.name].debounce));
+    
+    clearTimeout(state.timer);
+    asyncValidationState.set(field, state);
+    
+    state.timer = setTimeout(async () => {
+        const value = getOwnValue(field);
+        field.setAttribute('aria-busy', 'true');
+        const message = await checkAsyncRules(field);
+        field.removeAttribute('aria-busy');
+        
+        // Ignore results for values that changed meanwhile
+        if (message && token === state.token && value === getOwnValue(field) && document.activeElement !== field) {
+            showFieldError(field, message);
+        }
+    }, delay);
+}
+
+function isValidatable(field) {
+    return !field.matches(':disabled') && !['submit', 'button', 'reset', 'hidden'].includes(field.type);
+}
+
+// Fields to validate in a form; radio groups are validated once
+function getValidatableFields(form) {
+    const seenRadios = new Set();
+    return Array.from(form.querySelectorAll('input, textarea, select')).filter(field => {
+        if (!isValidatable(field)) return false;
+        if (field.type === 'radio') {
+            if (seenRadios.has(field.name)) return false;
+            seenRadios.add(field.name);
+        }
+        return true;
+    });
+}
+
+// Fields of the form whose rules reference the given field name
+function getDependentFields(form, name) {
+    return getValidatableFields(form).filter(field => getFieldRules(field).some(rule => {
+        const dependsOn = validationRules[rule.name].dependsOn;
+        return dependsOn && rule.param !== undefined && dependsOn(rule.param) === name;
+    }));
+}
+
 // Real-time validation
-document.addEventListener('DOMContentLoaded', () => {
-    const forms = document.querySelectorAll('form');
+function enableRealtimeValidation(form) {
+    const inputs = form.querySelectorAll('input, textarea, select');
     
-    forms.forEach(form => {
-        const inputs = form.querySelectorAll('input, textarea, select');
+    inputs.forEach(input => {
+        // Validation on blur
+        input.addEventListener('blur', function() {
+            validateField(this);
+        });
         
-        inputs.forEach(input => {
-            // Validation on blur
-            input.addEventListener('blur', function() {
-                validateField(this);
-            });
-            
-            // Clear error on focus
-            input.addEventListener('focus', function() {
-                clearFieldError(this);
+        // Clear error on focus
+        input.addEventListener('focus', function() {
+            clearFieldError(this);
+        });
+        
+        // Re-check cross-field rules that are currently failing
+        input.addEventListener('change', function() {
+            if (!this.name) return;
+            getDependentFields(form, this.name).forEach(dependent => {
+                if (dependent !== this && getErrorContainer(dependent).querySelector('.field-error')) {
+                    validateField(dependent);
+                }
             });
         });
     });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('form').forEach(enableRealtimeValidation);
 });
 
-// Validate individual field
+// Validate individual field. Synchronous rules decide the result; async
+// rules run afterwards (debounced) and show their error when they finish.
 function validateField(field) {
-    const value = field.value.trim();
-    const isRequired = field.hasAttribute('required');
-    
     // Clear previous errors
     clearFieldError(field);
     
-    // Required field validation
-    if (isRequired && !value) {
-        showFieldError(field, 'Este campo es obligatorio');
-        return false;
-    }
+    if (!isValidatable(field)) return true;
     
-    // Email validation
-    if (field.type === 'email' && value && !validateEmail(value)) {
-        showFieldError(field, 'Por favor ingresa un email válido');
+    const message = checkSyncRules(field);
+    if (message) {
+        showFieldError(field, message);
         return false;
     }
     
-    // Phone validation
-    if (field.type === 'tel' && value && !validatePhone(value)) {
-        showFieldError(field, 'Por favor ingresa un teléfono válido');
-        return false;
+    scheduleAsyncValidation(field);
+    return true;
+}
+
+// Message of the first failing synchronous rule without touching the page, or null
+function getFieldError(field) {
+    return isValidatable(field) ? checkSyncRules(field) : null;
+}
+
+// Validate a field including its async rules; resolves to the error message or null
+async function validateFieldAsync(field) {
+    clearFieldError(field);
+    if (!isValidatable(field)) return null;
+    
+    const message = checkSyncRules(field) || await checkAsyncRules(field);
+    if (message) {
+        showFieldError(field, message);
     }
+    return message;
+}
+
+// Validate a whole form: { valid, errors: { campo: mensaje } }
+async function validateForm(form) {
+    const errors = {};
     
-    // Min length validation
-    if (field.hasAttribute('minlength')) {
-        const minLength = parseInt(field.getAttribute('minlength'));
-        if (value.length < minLength) {
-            showFieldError(field, `Mínimo ${minLength} caracteres requeridos`);
-            return false;
+    await Promise.all(getValidatableFields(form).map(async field => {
+        const message = await validateFieldAsync(field);
+        if (message) {
+            errors[field.name || field.id] = message;
         }
-    }
+    }));
     
-    return true;
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Where the message of a field goes: after the whole group for radios
+// and checkboxes inside a <fieldset class="choice-group">
+function getErrorContainer(field) {
+    const group = ['radio', 'checkbox'].includes(field.type) ? field.closest('.choice-group') : null;
+    return group || field.parentElement;
 }
 
 // Show field error
 function showFieldError(field, message) {
     field.style.borderColor = '#ef4444';
+    field.setAttribute('aria-invalid', 'true');
     
     // Remove existing error message
-    const existingError = field.parentElement.querySelector('.field-error');
+    const container = getErrorContainer(field);
+    const existingError = container.querySelector('.field-error');
     if (existingError) {
         existingError.remove();
     }
@@ -92,182 +422,791 @@ function showFieldError(field, message) {
         align-items: center;
         gap: 5px;
     `;
-    errorDiv.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
-    field.parentElement.appendChild(errorDiv);
+    // Messages may come from the server, so they are inserted as text
+    errorDiv.innerHTML = '<i class="fas fa-exclamation-circle"></i> ';
+    errorDiv.appendChild(document.createTextNode(message));
+    container.appendChild(errorDiv);
+
+    // Lets js/form-analytics.js count validation errors per field
+    field.dispatchEvent(new CustomEvent('forms:error', { bubbles: true, detail: { message } }));
 }
 
 // Clear field error
 function clearFieldError(field) {
     field.style.borderColor = '';
-    const errorDiv = field.parentElement.querySelector('.field-error');
+    field.removeAttribute('aria-invalid');
+    const errorDiv = getErrorContainer(field).querySelector('.field-error');
     if (errorDiv) {
         errorDiv.remove();
     }
 }
 
+// ==================== SPAM PROTECTION ====================
+// Every form sent with handleFormSubmission gets four checks before it
+// leaves the browser:
+//   - a honeypot field ("website") that people never see or fill in;
+//   - a minimum time between the form appearing and being sent;
+//   - a limit of submissions per form in localStorage;
+//   - a hashcash-style proof of work ("_stamp"): a SHA-256 of
+//     "1:bits:startedAt:endpoint:random:counter" starting with `bits` zero
+//     bits. It needs no server round trip, so it also works for queued
+//     submissions, and server/lib/antispam.js verifies it.
+// Whatever looks like a bot gets a fake success and nothing is sent;
+// a person on the edge (too fast, too many sends) gets a message.
+// Pass { antispam: false } to handleFormSubmission to turn it off, or an
+// object to change the defaults below.
+
+const ANTISPAM_DEFAULTS = {
+    minTime: 3000,              // ms between the form appearing and being sent
+    limit: 3,                   // sends per form...
+    window: 10 * 60 * 1000,     // ...within this many ms
+    bits: 14                    // proof of work difficulty (~16k hashes)
+};
+
+const HONEYPOT_FIELD = 'website';
+const STAMP_FIELD = '_stamp';
+const SUBMISSIONS_KEY = 'sauro-submissions';
+const STAMP_BATCH = 2000; // hashes between two breaks for the UI
+
+const protectedForms = new WeakMap();
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+function rotateRight(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+}
+
+// SHA-256 of a string as 8 32-bit words. Plain JavaScript because
+// crypto.subtle is async (slow per hash) and missing outside HTTPS.
+function sha256(text) {
+    const bytes = new TextEncoder().encode(text);
+    const blocks = Math.ceil((bytes.length + 9) / 64);
+    const words = new Uint32Array(blocks * 16);
+    bytes.forEach((byte, i) => {
+        words[i >> 2] |= byte << (24 - (i % 4) * 8);
+    });
+    words[bytes.length >> 2] |= 0x80 << (24 - (bytes.length % 4) * 8);
+    words[blocks * 16 - 1] = bytes.length * 8;
+
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+
+    for (let block = 0; block < blocks; block++) {
+        for (let i = 0; i < 16; i++) w[i] = words[block * 16 + i];
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight(w[i - 15], 7) ^ rotateRight(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotateRight(w[i - 2], 17) ^ rotateRight(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (h + (rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25))
+                + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+            const t2 = ((rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22))
+                + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    return hash;
+}
+
+// Finds the counter in small batches so typing is not blocked
+function computeStamp(resource, startedAt, bits) {
+    const random = Math.random().toString(36).slice(2, 10);
+    const prefix = `1:${bits}:${startedAt}:${resource}:${random}:`;
+    let counter = 0;
+
+    return new Promise(resolve => {
+        const work = () => {
+            const end = counter + STAMP_BATCH;
+            for (; counter < end; counter++) {
+                if (Math.clz32(sha256(prefix + counter)[0]) >= bits) {
+                    resolve(prefix + counter);
+                    return;
+                }
+            }
+            setTimeout(work, 0);
+        };
+        work();
+    });
+}
+
+function getThrottleKey(form) {
+    return `${window.location.pathname}#${form.id}`;
+}
+
+function readSubmissions() {
+    try {
+        return JSON.parse(localStorage.getItem(SUBMISSIONS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Sends of this form still inside the throttling window
+function getRecentSubmissions(form, settings) {
+    const since = Date.now() - settings.window;
+    return (readSubmissions()[getThrottleKey(form)] || []).filter(time => time > since);
+}
+
+function recordSubmission(form) {
+    const state = protectedForms.get(form);
+    if (!state) return;
+
+    const submissions = readSubmissions();
+    submissions[getThrottleKey(form)] = getRecentSubmissions(form, state.settings).concat(Date.now());
+    try {
+        localStorage.setItem(SUBMISSIONS_KEY, JSON.stringify(submissions));
+    } catch (error) {
+        // Storage disabled: no client-side throttling
+    }
+
+    // The next message is a new attempt: new start time and stamp
+    state.startedAt = Date.now();
+    state.interacted = false;
+    state.stamp = null;
+}
+
+// A rejected send (4xx) goes back with a new stamp once corrected
+function dropStamp(form) {
+    const state = protectedForms.get(form);
+    if (state) state.stamp = null;
+}
+
+function startStamp(form, state) {
+    if (state.stamp) return;
+    const endpoint = state.settings.endpoint || getSubmitOptions(form).endpoint;
+    const resource = new URL(endpoint, window.location.href).pathname;
+    state.stamp = computeStamp(resource, state.startedAt, state.settings.bits);
+}
+
+// Adds the honeypot and the stamp field, and starts the clock.
+// options: ANTISPAM_DEFAULTS plus endpoint when it is not the form's own
+function protectForm(form, options = {}) {
+    if (!form || protectedForms.has(form)) return;
+
+    const state = {
+        settings: { ...ANTISPAM_DEFAULTS, ...options },
+        startedAt: Date.now(),
+        interacted: false,
+        stamp: null
+    };
+    protectedForms.set(form, state);
+
+    // Off screen instead of display: none, which some bots skip
+    const trap = document.createElement('div');
+    trap.className = 'form-trap';
+    trap.setAttribute('aria-hidden', 'true');
+    const label = document.createElement('label');
+    label.textContent = 'Sitio web';
+    const honeypot = document.createElement('input');
+    honeypot.type = 'text';
+    honeypot.name = HONEYPOT_FIELD;
+    honeypot.tabIndex = -1;
+    honeypot.autocomplete = 'off';
+    honeypot.dataset.autosave = 'off';
+    label.appendChild(honeypot);
+    trap.appendChild(label);
+
+    const stamp = document.createElement('input');
+    stamp.type = 'hidden';
+    stamp.name = STAMP_FIELD;
+
+    form.append(trap, stamp);
+
+    // Only real input counts as a person being there; the proof of work
+    // starts with it so it is usually ready before the form is sent
+    const markInteraction = e => {
+        if (!e.isTrusted || state.interacted) return;
+        state.interacted = true;
+        startStamp(form, state);
+    };
+    ['keydown', 'pointerdown', 'input'].forEach(type => form.addEventListener(type, markInteraction));
+}
+
+// { action: 'send' } after filling in the stamp, { action: 'drop' } for
+// bots (fake success) or { action: 'block', message } for people
+async function checkSpam(form) {
+    const state = protectedForms.get(form);
+    if (!state) return { action: 'send' };
+    const { settings } = state;
+
+    if (form.elements[HONEYPOT_FIELD].value) {
+        return { action: 'drop', reason: 'honeypot' };
+    }
+
+    if (Date.now() - state.startedAt < settings.minTime) {
+        return state.interacted
+            ? { action: 'block', reason: 'tooFast', message: i18n.t('forms.tooFast') }
+            : { action: 'drop', reason: 'tooFast' };
+    }
+
+    const recent = getRecentSubmissions(form, settings);
+    if (recent.length >= settings.limit) {
+        const minutes = Math.max(1, Math.ceil((recent[0] + settings.window - Date.now()) / 60000));
+        return { action: 'block', reason: 'throttled', message: i18n.t('forms.throttled', { count: minutes }) };
+    }
+
+    // Autofilled and sent without typing: the stamp starts now
+    startStamp(form, state);
+    form.elements[STAMP_FIELD].value = await state.stamp;
+
+    return { action: 'send' };
+}
+
+// The newsletter form has no endpoint yet (main.js handles it locally):
+// honeypot, time and throttling only, with a proof of work of 0 bits
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.newsletter-form').forEach(form => protectForm(form, { bits: 0 }));
+});
+
 // ==================== FORM SUBMISSION ====================
 
+// Transport defaults. Each form can override them with data attributes
+// (data-endpoint, data-encoding, data-timeout, data-retries) and each
+// handleFormSubmission call with its options argument.
+const SUBMIT_DEFAULTS = {
+    endpoint: '/api/contact',
+    method: 'POST',
+    encoding: 'json', // 'json' | 'multipart'
+    timeout: 15000,
+    retries: 2,
+    retryDelay: 1000
+};
+
+// Gateway errors are treated like network failures and retried
+const RETRYABLE_STATUS = [502, 503, 504];
+
+class FormSubmissionError extends Error {
+    constructor(message, { status = 0, fields = null, retryable = false, aborted = false } = {}) {
+        super(message);
+        this.name = 'FormSubmissionError';
+        this.status = status;
+        this.fields = fields;
+        this.retryable = retryable;
+        this.aborted = aborted;
+    }
+}
+
+// Resolve the transport options for a form
+function getSubmitOptions(form, overrides = {}) {
+    const options = { ...SUBMIT_DEFAULTS };
+    const dataset = form.dataset;
+
+    if (form.getAttribute('action')) options.endpoint = form.getAttribute('action');
+    if (dataset.endpoint) options.endpoint = dataset.endpoint;
+    if (form.getAttribute('enctype') === 'multipart/form-data') options.encoding = 'multipart';
+    if (dataset.encoding) options.encoding = dataset.encoding;
+    if (dataset.timeout) options.timeout = parseInt(dataset.timeout);
+    if (dataset.retries) options.retries = parseInt(dataset.retries);
+
+    return { ...options, ...overrides };
+}
+
+// Build fetch body and headers; files always travel as multipart
+function buildRequestBody(formData, encoding) {
+    const hasFiles = Array.from(formData.values()).some(value => value instanceof File && value.name);
+
+    if (encoding === 'multipart' || hasFiles) {
+        return { body: formData, headers: {} };
+    }
+
+    return {
+        body: JSON.stringify(Object.fromEntries(formData.entries())),
+        headers: { 'Content-Type': 'application/json' }
+    };
+}
+
+async function parseResponseBody(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json')) {
+        try {
+            return await response.json();
+        } catch (error) {
+            return {};
+        }
+    }
+    return { message: await response.text() };
+}
+
+// Single request with timeout; an external signal can cancel it
+async function sendRequest(options, requestInit) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout);
+    const externalSignal = options.signal;
+
+    if (externalSignal) {
+        if (externalSignal.aborted) controller.abort();
+        externalSignal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    let response;
+    try {
+        response = await fetch(options.endpoint, { ...requestInit, signal: controller.signal });
+    } catch (error) {
+        if (externalSignal && externalSignal.aborted) {
+            throw new FormSubmissionError('Envío cancelado', { aborted: true });
+        }
+        const message = error.name === 'AbortError' ? 'Tiempo de espera agotado' : 'Error de red';
+        throw new FormSubmissionError(message, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const payload = await parseResponseBody(response);
+
+    if (!response.ok) {
+        throw new FormSubmissionError(payload.message || `Error del servidor (${response.status})`, {
+            status: response.status,
+            fields: payload.errors || null,
+            retryable: RETRYABLE_STATUS.includes(response.status)
+        });
+    }
+
+    return payload;
+}
+
+// Send a form (or a FormData) through the configured transport,
+// retrying network failures with exponential backoff
+async function submitFormData(form, overrides = {}) {
+    const options = getSubmitOptions(form, overrides);
+    const formData = overrides.formData || new FormData(form);
+    const { body, headers } = buildRequestBody(formData, options.encoding);
+    const requestInit = {
+        method: options.method,
+        headers: { 'Accept': 'application/json', 'Accept-Language': i18n.getLanguage(), ...headers },
+        body
+    };
+
+    let attempt = 0;
+    while (true) {
+        try {
+            return await sendRequest(options, requestInit);
+        } catch (error) {
+            if (!error.retryable || attempt >= options.retries) {
+                throw error;
+            }
+            await new Promise(resolve => setTimeout(resolve, options.retryDelay * Math.pow(2, attempt)));
+            attempt++;
+        }
+    }
+}
+
+// Map server-side field errors ({ campo: 'mensaje' }) back onto the form
+function applyServerErrors(form, fields) {
+    Object.entries(fields).forEach(([name, message]) => {
+        let field = form.elements[name];
+        if (field && !field.tagName && field.length) {
+            field = field[0];
+        }
+        if (field) {
+            showFieldError(field, Array.isArray(message) ? message[0] : message);
+        }
+    });
+}
+
+// Store a failed submission in the offline queue (js/form-queue.js)
+async function queueSubmission(form, formData, options) {
+    if (!window.formQueue || options.queue === false) return false;
+    
+    const submitOptions = getSubmitOptions(form, options);
+    try {
+        await window.formQueue.enqueue({
+            formId: form.id,
+            endpoint: submitOptions.endpoint,
+            method: submitOptions.method,
+            encoding: submitOptions.encoding,
+            entries: Array.from(formData.entries())
+        });
+        return true;
+    } catch (error) {
+        console.error('Offline queue error:', error);
+        return false;
+    }
+}
+
 // Generic form submission handler
-function handleFormSubmission(formId, successMessage, onSuccess) {
+function handleFormSubmission(formId, successMessage, onSuccess, options = {}) {
     const form = document.getElementById(formId);
     if (!form) return;
     
+    // Errors are shown by the rules engine instead of the browser bubbles
+    form.setAttribute('novalidate', '');
+    
+    const antispam = options.antispam === false ? null : { ...options.antispam };
+    if (antispam) {
+        protectForm(form, { endpoint: getSubmitOptions(form, options).endpoint, ...antispam });
+    }
+    
+    // Validation and the spam check are async: without this a second
+    // click while they run would send the form twice
+    let sending = false;
+    
     form.addEventListener('submit', async function(e) {
         e.preventDefault();
+        if (sending) return;
+        sending = true;
+        
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalBtnText = submitBtn.innerHTML;
+        submitBtn.disabled = true;
+        
+        const release = () => {
+            submitBtn.innerHTML = originalBtnText;
+            submitBtn.disabled = false;
+            sending = false;
+        };
         
         // Validate all fields
-        const inputs = form.querySelectorAll('input, textarea, select');
-        let isValid = true;
+        const { valid, errors } = await validateForm(form);
         
-        inputs.forEach(input => {
-            if (!validateField(input)) {
-                isValid = false;
+        if (!valid) {
+            release();
+            toast.error(i18n.t('forms.fixErrors'));
+            if (options.onFieldErrors) {
+                options.onFieldErrors(errors);
             }
-        });
-        
-        if (!isValid) {
-            showNotification('Por favor corrige los errores en el formulario', 'error');
             return;
         }
         
+        if (antispam) {
+            const verdict = await checkSpam(form);
+            // Bots see the usual success and nothing is sent
+            if (verdict.action === 'drop') {
+                release();
+                toast.success(i18n.t('forms.success'));
+                form.reset();
+                return;
+            }
+            if (verdict.action === 'block') {
+                release();
+                toast.warning(verdict.message);
+                return;
+            }
+        }
+        
         // Get form data
         const formData = new FormData(form);
         const data = Object.fromEntries(formData.entries());
         
         // Show loading state
-        const submitBtn = form.querySelector('button[type="submit"]');
-        const originalBtnText = submitBtn.innerHTML;
-        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Enviando...';
-        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> ';
+        submitBtn.appendChild(document.createTextNode(i18n.t('forms.sending')));
         
         try {
-            // Simulate API call (replace with actual API endpoint)
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Here you would normally send data to your backend
-            // const response = await fetch('/api/contact', {
-            //     method: 'POST',
-            //     headers: { 'Content-Type': 'application/json' },
-            //     body: JSON.stringify(data)
-            // });
+            // Without connection there is nothing to retry: go straight to the queue
+            if (!navigator.onLine) {
+                throw new FormSubmissionError('Sin conexión', { retryable: true });
+            }
             
-            console.log('Form submitted:', data);
+            const response = await submitFormData(form, { ...options, formData });
             
             // Show success message
-            showNotification(successMessage || '¡Formulario enviado exitosamente!', 'success');
+            const message = typeof successMessage === 'function' ? successMessage(response) : successMessage;
+            toast.success(message || i18n.t('forms.success'));
+            
+            form.dispatchEvent(new CustomEvent('forms:sent', { detail: { response, queued: false } }));
+            recordSubmission(form);
             
-            // Reset form
+            // Reset form and drop its draft
             form.reset();
+            clearDraft(form);
             
             // Call success callback if provided
             if (onSuccess) {
-                onSuccess(data);
+                onSuccess(data, response);
             }
             
         } catch (error) {
             console.error('Form submission error:', error);
-            showNotification('Hubo un error al enviar el formulario. Por favor intenta nuevamente.', 'error');
+            
+            if (error.status >= 400 && error.status < 500) {
+                dropStamp(form);
+            }
+            
+            if (error.retryable && await queueSubmission(form, formData, options)) {
+                toast.warning(i18n.t('forms.queued'));
+                form.dispatchEvent(new CustomEvent('forms:sent', { detail: { response: null, queued: true } }));
+                recordSubmission(form);
+                form.reset();
+                clearDraft(form);
+                
+                if (options.onQueued) {
+                    options.onQueued(data);
+                }
+            } else if (error.fields) {
+                applyServerErrors(form, error.fields);
+                toast.error(i18n.t('forms.fixErrors'));
+                
+                if (options.onFieldErrors) {
+                    options.onFieldErrors(error.fields);
+                }
+            } else if (!error.aborted) {
+                toast.error(i18n.t('forms.error'));
+            }
         } finally {
-            // Reset button
-            submitBtn.innerHTML = originalBtnText;
-            submitBtn.disabled = false;
+            release();
         }
     });
 }
 
-// ==================== NOTIFICATION SYSTEM ====================
+// ==================== AUTO-RESIZE TEXTAREA ====================
 
-function showNotification(message, type = 'info') {
-    // Remove existing notification if any
-    const existingNotification = document.querySelector('.form-notification');
-    if (existingNotification) {
-        existingNotification.remove();
-    }
-    
-    const notification = document.createElement('div');
-    notification.className = `form-notification ${type}`;
-    
-    const icons = {
-        success: 'check-circle',
-        error: 'exclamation-circle',
-        info: 'info-circle',
-        warning: 'exclamation-triangle'
-    };
-    
-    const colors = {
-        success: '#10b981',
-        error: '#ef4444',
-        info: '#0ea5e9',
-        warning: '#f59e0b'
-    };
-    
-    notification.innerHTML = `
-        <i class="fas fa-${icons[type]}"></i>
-        <span>${message}</span>
-        <button class="close-notification"><i class="fas fa-times"></i></button>
-    `;
-    
-    notification.style.cssText = `
-        position: fixed;
-        top: 100px;
-        right: 20px;
-        background: ${colors[type]};
-        color: white;
-        padding: 1rem 1.5rem;
-        border-radius: 8px;
-        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.3);
-        display: flex;
-        align-items: center;
-        gap: 10px;
-        z-index: 10000;
-        animation: slideInRight 0.3s ease;
-        max-width: 400px;
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Close button
-    const closeBtn = notification.querySelector('.close-notification');
-    closeBtn.style.cssText = `
-        background: rgba(255, 255, 255, 0.2);
-        border: none;
-        color: white;
-        width: 25px;
-        height: 25px;
-        border-radius: 50%;
-        cursor: pointer;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        margin-left: auto;
-    `;
-    
-    closeBtn.addEventListener('click', () => {
-        notification.style.animation = 'slideOutRight 0.3s ease';
-        setTimeout(() => notification.remove(), 300);
+function autoResizeTextarea(textarea) {
+    textarea.style.height = 'auto';
+    textarea.style.height = textarea.scrollHeight + 'px';
+}
+
+function enableAutoResize(textarea) {
+    textarea.addEventListener('input', function() {
+        autoResizeTextarea(this);
     });
-    
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-        if (notification.parentElement) {
-            notification.style.animation = 'slideOutRight 0.3s ease';
-            setTimeout(() => notification.remove(), 300);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('textarea').forEach(enableAutoResize);
+});
+
+// Forms built after the page loaded (the chat's offline form) get the same
+// real-time validation and auto-resize as the ones in the HTML
+function enhanceForm(form) {
+    enableRealtimeValidation(form);
+    form.querySelectorAll('textarea').forEach(enableAutoResize);
+}
+
+// ==================== DRAFT AUTOSAVE ====================
+// formUtils.enableAutosave(formId, options) keeps what the visitor typed
+// in localStorage (one draft per page and form) and offers to restore it
+// on the next visit. Passwords, files, hidden fields, card data
+// (autocomplete="cc-…") and fields with data-autosave="off" are never
+// stored. The draft is removed once the form is sent or queued.
+//
+// Forms with state outside their fields (the step of js/wizard.js) pass
+// getState, whose result is saved with the values, and onRestore, which
+// gets it back when the visitor restores the draft.
+
+const AUTOSAVE_DEFAULTS = {
+    throttle: 1000,                         // ms between two saves
+    maxAge: 7 * 24 * 60 * 60 * 1000,        // drafts older than this are dropped
+    exclude: [],                            // extra field names not to store
+    getState: null,                         // () => extra data saved with the values
+    onRestore: null                         // (state) => after the values are restored
+};
+
+const AUTOSAVE_SKIPPED_TYPES = ['submit', 'button', 'reset', 'hidden', 'file', 'password'];
+
+const autosaves = new WeakMap();
+
+function getDraftKey(form) {
+    return `sauro-draft:${window.location.pathname}#${form.id}`;
+}
+
+function isDraftField(field, exclude) {
+    const autocomplete = field.getAttribute('autocomplete') || '';
+    return Boolean(field.name)
+        && !AUTOSAVE_SKIPPED_TYPES.includes(field.type)
+        && !autocomplete.startsWith('cc-')
+        && field.dataset.autosave !== 'off'
+        && !exclude.includes(field.name);
+}
+
+function collectDraftValues(form, exclude) {
+    const values = {};
+    Array.from(form.elements).forEach(field => {
+        if (!isDraftField(field, exclude)) return;
+        if (field.type === 'radio') {
+            if (field.checked) values[field.name] = field.value;
+        } else if (field.type === 'checkbox') {
+            values[field.name] = values[field.name] || [];
+            if (field.checked) values[field.name].push(field.value);
+        } else if (field.tagName === 'SELECT' && field.multiple) {
+            values[field.name] = Array.from(field.selectedOptions).map(option => option.value);
+        } else {
+            values[field.name] = field.value;
         }
-    }, 5000);
+    });
+    return values;
 }
 
-// ==================== AUTO-RESIZE TEXTAREA ====================
+function hasDraftValues(values) {
+    return Object.values(values).some(value => [].concat(value).some(Boolean));
+}
 
-document.addEventListener('DOMContentLoaded', () => {
-    const textareas = document.querySelectorAll('textarea');
-    
-    textareas.forEach(textarea => {
-        textarea.addEventListener('input', function() {
-            this.style.height = 'auto';
-            this.style.height = this.scrollHeight + 'px';
-        });
+// Puts the stored values back and lets listeners (counters, auto-resize,
+// dependent rules) know, as if the visitor had typed them
+function applyDraftValues(form, values, exclude) {
+    Array.from(form.elements).forEach(field => {
+        if (!isDraftField(field, exclude) || !(field.name in values)) return;
+        const value = values[field.name];
+
+        if (field.type === 'radio') {
+            field.checked = field.value === value;
+        } else if (field.type === 'checkbox') {
+            field.checked = [].concat(value).includes(field.value);
+        } else if (field.tagName === 'SELECT') {
+            // Options may have changed since the draft was saved
+            const wanted = [].concat(value);
+            Array.from(field.options).forEach(option => {
+                option.selected = wanted.includes(option.value);
+            });
+            if (!field.multiple && !Array.from(field.options).some(option => option.value === value)) return;
+        } else {
+            field.value = value;
+        }
+
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+        if (field.tagName === 'TEXTAREA') autoResizeTextarea(field);
     });
-});
+}
+
+function readDraft(key, maxAge) {
+    try {
+        const draft = JSON.parse(localStorage.getItem(key));
+        if (draft && draft.values && Date.now() - draft.savedAt < maxAge) return draft;
+        localStorage.removeItem(key);
+    } catch (error) {
+        // Unreadable draft or storage disabled: start with an empty form
+    }
+    return null;
+}
+
+// Removes the stored draft of a form (sent, queued or discarded)
+function clearDraft(form) {
+    const autosave = autosaves.get(form);
+    if (autosave) autosave.clear();
+}
+
+// Saves the draft of a form right away, e.g. after its getState changed
+function saveDraft(form) {
+    const autosave = autosaves.get(form);
+    if (autosave) autosave.saveNow();
+}
+
+function enableAutosave(formId, options = {}) {
+    const form = document.getElementById(formId);
+    if (!form || autosaves.has(form)) return;
+
+    const settings = { ...AUTOSAVE_DEFAULTS, ...options };
+    const key = getDraftKey(form);
+    let timer = null;
+    let lastSaved = 0;
+    let offering = false;   // the restore offer is open: keep the old draft
+    let dirty = false;      // typed while the offer was open
+    let offer = null;
+
+    function save() {
+        clearTimeout(timer);
+        timer = null;
+        lastSaved = Date.now();
+        const values = collectDraftValues(form, settings.exclude);
+        try {
+            if (hasDraftValues(values)) {
+                const state = settings.getState ? settings.getState() : null;
+                localStorage.setItem(key, JSON.stringify({ values, state, savedAt: lastSaved }));
+            } else {
+                localStorage.removeItem(key);
+            }
+        } catch (error) {
+            // Storage full or disabled: the form works without drafts
+        }
+    }
+
+    // At most one save per settings.throttle ms, always with the latest values
+    function scheduleSave() {
+        if (offering) {
+            dirty = true;
+            return;
+        }
+        if (timer) return;
+        timer = setTimeout(save, Math.max(0, lastSaved + settings.throttle - Date.now()));
+    }
+
+    function saveNow() {
+        if (offering) {
+            dirty = true;
+            return;
+        }
+        save();
+    }
+
+    function clear() {
+        clearTimeout(timer);
+        timer = null;
+        if (offer) offer.dismiss();
+        offering = false;
+        dirty = false;
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Storage disabled: nothing was saved
+        }
+    }
+
+    autosaves.set(form, { clear, saveNow });
+
+    form.addEventListener('input', scheduleSave);
+    form.addEventListener('change', scheduleSave);
+    // Leaving the page does not wait for the throttle
+    window.addEventListener('pagehide', () => {
+        if (timer) save();
+    });
+
+    const draft = readDraft(key, settings.maxAge);
+    if (!draft || !hasDraftValues(draft.values)) return;
+
+    offering = true;
+    offer = toast.show(i18n.t('forms.draftFound'), {
+        type: 'info',
+        icon: 'history',
+        duration: 0,
+        actions: [
+            { id: 'restore', label: i18n.t('forms.draftRestore') },
+            { id: 'discard', label: i18n.t('forms.draftDiscard') }
+        ]
+    });
+    offer.then(result => {
+        if (!offering) return; // sent or reset meanwhile
+        const typed = dirty;
+        offering = false;
+        dirty = false;
+        offer = null;
+
+        if (result === 'restore') {
+            applyDraftValues(form, draft.values, settings.exclude);
+            if (settings.onRestore) settings.onRestore(draft.state || null);
+            save();
+        } else if (result === 'discard') {
+            clear();
+            if (typed) save();
+        } else if (typed) {
+            // Closed without choosing: what was typed meanwhile wins
+            save();
+        }
+    });
+}
 
 // ==================== CHARACTER COUNTER ====================
 
@@ -288,7 +1227,7 @@ function addCharacterCounter(textareaId, maxLength) {
     
     const updateCounter = () => {
         const remaining = maxLength - textarea.value.length;
-        counter.textContent = `${remaining} caracteres restantes`;
+        counter.textContent = i18n.t('forms.charsRemaining', { count: remaining });
         
         if (remaining < 50) {
             counter.style.color = '#f59e0b';
@@ -300,46 +1239,18 @@ function addCharacterCounter(textareaId, maxLength) {
     };
     
     textarea.addEventListener('input', updateCounter);
+    window.addEventListener('i18n:change', updateCounter);
     textarea.parentElement.appendChild(counter);
     updateCounter();
 }
 
 // ==================== FORM ANALYTICS ====================
 
+// Kept for older code: the tracking lives in js/form-analytics.js
 function trackFormInteraction(formId) {
-    const form = document.getElementById(formId);
-    if (!form) return;
-    
-    const startTime = Date.now();
-    let fieldInteractions = {};
-    
-    form.querySelectorAll('input, textarea, select').forEach(field => {
-        field.addEventListener('focus', function() {
-            if (!fieldInteractions[this.name]) {
-                fieldInteractions[this.name] = {
-                    focused: Date.now(),
-                    changes: 0
-                };
-            }
-        });
-        
-        field.addEventListener('change', function() {
-            if (fieldInteractions[this.name]) {
-                fieldInteractions[this.name].changes++;
-            }
-        });
-    });
-    
-    form.addEventListener('submit', function() {
-        const timeSpent = Date.now() - startTime;
-        console.log('Form Analytics:', {
-            formId,
-            timeSpent: `${(timeSpent / 1000).toFixed(2)}s`,
-            fieldInteractions
-        });
-        
-        // Here you would send analytics to your backend
-    });
+    if (window.formAnalytics) {
+        formAnalytics.track(formId);
+    }
 }
 
 // ==================== EXPORT FUNCTIONS ====================
@@ -348,11 +1259,25 @@ window.formUtils = {
     validateEmail,
     validatePhone,
     validateField,
+    validateFieldAsync,
+    validateForm,
+    getFieldError,
+    registerValidator,
+    getFieldRules,
     showFieldError,
     clearFieldError,
     handleFormSubmission,
-    showNotification,
+    enhanceForm,
+    submitFormData,
+    FormSubmissionError,
+    showNotification: window.showNotification,
     addCharacterCounter,
+    enableAutosave,
+    saveDraft,
+    clearDraft,
+    protectForm,
+    checkSpam,
+    recordSubmission,
     trackFormInteraction
 };
 
@@ -0,0 +1,558 @@
+// ==================== INTERNACIONALIZACIÓN (es / en / pt) ====================
+// Message catalogs, interpolation ("{name}") and plural forms for every
+// string generated at runtime, plus translation of page content marked
+// with data-i18n. Load this file before main.js and forms.js.
+//
+//   i18n.t('forms.minlength', { min: 10 })
+//   i18n.t('forms.charsRemaining', { count: 3 })   // plural by count
+//
+// Modules add their own strings with i18n.addMessages({ es: {...}, en: {...} }).
+// Page content:
+//   <h2 data-i18n="contact.formTitle">Envíanos un Mensaje</h2>
+//   <input data-i18n-attr="placeholder:contact.emailPlaceholder">
+
+(function () {
+    const SUPPORTED_LANGUAGES = ['es', 'en', 'pt'];
+    const DEFAULT_LANGUAGE = 'es';
+    const STORAGE_KEY = 'sauro-lang';
+
+    const LANGUAGE_NAMES = {
+        es: 'Español',
+        en: 'English',
+        pt: 'Português'
+    };
+
+    const catalogs = { es: {}, en: {}, pt: {} };
+    let currentLanguage = DEFAULT_LANGUAGE;
+
+    // ==================== CATALOGS ====================
+
+    // Accepts nested objects and stores them with dotted keys
+    function flatten(messages, prefix, target) {
+        Object.entries(messages).forEach(([key, value]) => {
+            const fullKey = prefix ? `${prefix}.${key}` : key;
+            const isPlural = value && typeof value === 'object' && 'other' in value;
+            if (value && typeof value === 'object' && !isPlural) {
+                flatten(value, fullKey, target);
+            } else {
+                target[fullKey] = value;
+            }
+        });
+        return target;
+    }
+
+    function addMessages(messagesByLanguage) {
+        Object.entries(messagesByLanguage).forEach(([language, messages]) => {
+            if (!catalogs[language]) catalogs[language] = {};
+            flatten(messages, '', catalogs[language]);
+        });
+    }
+
+    // ==================== TRANSLATION ====================
+
+    function interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? params[name] : match
+        ));
+    }
+
+    function selectPlural(forms, count, language) {
+        const category = new Intl.PluralRules(language).select(count);
+        return forms[category] || forms.other;
+    }
+
+    function lookup(key, language) {
+        return catalogs[language] && catalogs[language][key];
+    }
+
+    function t(key, params = {}) {
+        let message = lookup(key, currentLanguage);
+        let language = currentLanguage;
+
+        if (message === undefined) {
+            message = lookup(key, DEFAULT_LANGUAGE);
+            language = DEFAULT_LANGUAGE;
+        }
+        if (message === undefined) {
+            console.warn(`i18n: falta la clave "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = selectPlural(message, Number(params.count) || 0, language);
+        }
+        return interpolate(message, params);
+    }
+
+    function has(key) {
+        return lookup(key, currentLanguage) !== undefined || lookup(key, DEFAULT_LANGUAGE) !== undefined;
+    }
+
+    // ==================== LANGUAGE SELECTION ====================
+
+    function normalize(language) {
+        const code = String(language || '').toLowerCase().split('-')[0];
+        return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+    }
+
+    function readStoredLanguage() {
+        try {
+            return normalize(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function detectLanguage() {
+        const preferred = navigator.languages && navigator.languages.length
+            ? navigator.languages
+            : [navigator.language];
+
+        for (const language of preferred) {
+            const code = normalize(language);
+            if (code) return code;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    function setLanguage(language, { persist = true } = {}) {
+        const code = normalize(language);
+        if (!code) return;
+
+        currentLanguage = code;
+        document.documentElement.lang = code;
+
+        if (persist) {
+            try {
+                localStorage.setItem(STORAGE_KEY, code);
+            } catch (error) {
+                // Private mode: the choice lasts for this page only
+            }
+        }
+
+        translatePage();
+        updateSwitcher();
+        window.dispatchEvent(new CustomEvent('i18n:change', { detail: { language: code } }));
+    }
+
+    function getLanguage() {
+        return currentLanguage;
+    }
+
+    // Locale for Intl formatters (numbers, dates, currencies)
+    function getLocale() {
+        return { es: 'es-BO', en: 'en-US', pt: 'pt-BR' }[currentLanguage];
+    }
+
+    // ==================== PAGE CONTENT ====================
+
+    // Replace the first non-empty text node so icons inside the element survive
+    function setElementText(element, text) {
+        const textNode = Array.from(element.childNodes).find(node => (
+            node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+        ));
+
+        if (!textNode) {
+            element.appendChild(document.createTextNode(text));
+            return;
+        }
+
+        const [, leading, trailing] = textNode.textContent.match(/^(\s*)[\s\S]*?(\s*)$/);
+        textNode.textContent = `${leading}${text}${trailing}`;
+    }
+
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            setElementText(element, t(element.getAttribute('data-i18n')));
+        });
+
+        // data-i18n-attr="placeholder:key, aria-label:key"
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, t(key));
+                }
+            });
+        });
+    }
+
+    // ==================== LANGUAGE SWITCHER ====================
+
+    function updateSwitcher() {
+        const select = document.querySelector('.lang-switcher select');
+        if (select) {
+            select.value = currentLanguage;
+            select.setAttribute('aria-label', t('lang.label'));
+        }
+    }
+
+    function createSwitcher() {
+        const navLinks = document.getElementById('navLinks');
+        if (!navLinks || navLinks.querySelector('.lang-switcher')) return;
+
+        const item = document.createElement('li');
+        item.className = 'lang-switcher';
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-globe';
+        icon.setAttribute('aria-hidden', 'true');
+
+        const select = document.createElement('select');
+        SUPPORTED_LANGUAGES.forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code.toUpperCase();
+            option.title = LANGUAGE_NAMES[code];
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => setLanguage(select.value));
+
+        item.append(icon, select);
+        navLinks.appendChild(item);
+        updateSwitcher();
+    }
+
+    // ==================== CORE MESSAGES ====================
+
+    addMessages({
+        es: {
+            lang: { label: 'Idioma' },
+            common: { close: 'Cerrar' },
+            nav: {
+                home: 'Inicio',
+                about: 'Nosotros',
+                whoWeAre: 'Quiénes Somos',
+                whatWeDo: 'Qué Hacemos',
+                services: 'Servicios',
+                products: 'Productos',
+                downloads: 'Descargas',
+                support: 'Soporte',
+                contact: 'Contacto',
+                label: 'Principal',
+                menu: 'Menú'
+            },
+            footer: {
+                tagline: 'Transformando ideas en soluciones digitales innovadoras desde 2014.',
+                quickLinks: 'Enlaces Rápidos',
+                contact: 'Contacto',
+                whatsappText: 'Contáctanos directamente',
+                whatsappButton: 'Chatear ahora'
+            },
+            forms: {
+                required: 'Este campo es obligatorio',
+                email: 'Por favor ingresa un email válido',
+                phone: 'Por favor ingresa un teléfono válido',
+                minlength: 'Mínimo {min} caracteres requeridos',
+                maxlength: 'Máximo {max} caracteres permitidos',
+                pattern: 'El formato ingresado no es válido',
+                min: 'El valor mínimo es {min}',
+                max: 'El valor máximo es {max}',
+                match: 'Los campos no coinciden',
+                emailDomain: 'El dominio de este email no parece existir',
+                maxFiles: {
+                    one: 'Puedes adjuntar como máximo {count} archivo',
+                    other: 'Puedes adjuntar como máximo {count} archivos'
+                },
+                maxFileSize: 'Cada archivo debe pesar como máximo {size} MB',
+                accept: 'Tipo de archivo no permitido',
+                invalid: 'El valor ingresado no es válido',
+                fixErrors: 'Por favor corrige los errores en el formulario',
+                sending: 'Enviando...',
+                success: '¡Formulario enviado exitosamente!',
+                error: 'Hubo un error al enviar el formulario. Por favor intenta nuevamente.',
+                queued: 'Sin conexión: tu mensaje quedó pendiente de envío y se enviará automáticamente.',
+                draftFound: 'Tienes un borrador sin enviar de este formulario',
+                draftRestore: 'Restaurar borrador',
+                draftDiscard: 'Descartar',
+                tooFast: 'Enviaste el formulario muy rápido. Revisa los datos y vuelve a intentarlo en unos segundos.',
+                throttled: {
+                    one: 'Ya enviaste varios mensajes desde este formulario. Podrás enviar otro en {count} minuto.',
+                    other: 'Ya enviaste varios mensajes desde este formulario. Podrás enviar otro en {count} minutos.'
+                },
+                charsRemaining: {
+                    one: '{count} carácter restante',
+                    other: '{count} caracteres restantes'
+                }
+            },
+            queue: {
+                pending: {
+                    one: '{count} mensaje pendiente de envío',
+                    other: '{count} mensajes pendientes de envío'
+                },
+                sent: {
+                    one: 'Tu mensaje pendiente fue enviado correctamente',
+                    other: '{count} mensajes pendientes fueron enviados correctamente'
+                },
+                rejected: 'Un mensaje pendiente fue rechazado por el servidor. Por favor envíalo nuevamente.'
+            },
+            contact: {
+                formTitle: 'Envíanos un Mensaje',
+                name: 'Nombre Completo *',
+                namePlaceholder: 'Tu nombre completo',
+                company: 'Empresa',
+                companyPlaceholder: 'Nombre de tu empresa',
+                email: 'Email *',
+                emailPlaceholder: 'tu@email.com',
+                phone: 'Teléfono *',
+                subject: 'Asunto *',
+                subjectPlaceholder: 'Selecciona un asunto',
+                subjects: {
+                    cotizacion: 'Solicitud de Cotización',
+                    soporte: 'Soporte Técnico',
+                    ventas: 'Información de Ventas',
+                    desarrollo: 'Desarrollo Personalizado',
+                    consultoria: 'Consultoría',
+                    otro: 'Otro'
+                },
+                budget: 'Presupuesto Estimado',
+                budgetPlaceholder: 'Selecciona un rango',
+                budgetUnder: 'Menos de $1,000',
+                budgetOver: 'Más de $25,000',
+                budgetRequired: 'Indica un presupuesto estimado para tu cotización',
+                message: 'Mensaje *',
+                messagePlaceholder: 'Cuéntanos sobre tu proyecto o necesidad...',
+                submit: 'Enviar Mensaje',
+                success: '¡Mensaje enviado con éxito! Te contactaremos pronto.'
+            },
+            newsletter: { thanks: '¡Gracias por suscribirte!' },
+            pwa: {
+                updateAvailable: 'Nueva versión disponible',
+                update: 'Actualizar'
+            }
+        },
+        en: {
+            lang: { label: 'Language' },
+            common: { close: 'Close' },
+            nav: {
+                home: 'Home',
+                about: 'About us',
+                whoWeAre: 'Who We Are',
+                whatWeDo: 'What We Do',
+                services: 'Services',
+                products: 'Products',
+                downloads: 'Downloads',
+                support: 'Support',
+                contact: 'Contact',
+                label: 'Main',
+                menu: 'Menu'
+            },
+            footer: {
+                tagline: 'Turning ideas into innovative digital solutions since 2014.',
+                quickLinks: 'Quick Links',
+                contact: 'Contact',
+                whatsappText: 'Reach us directly',
+                whatsappButton: 'Chat now'
+            },
+            forms: {
+                required: 'This field is required',
+                email: 'Please enter a valid email address',
+                phone: 'Please enter a valid phone number',
+                minlength: 'At least {min} characters required',
+                maxlength: 'No more than {max} characters allowed',
+                pattern: 'The format is not valid',
+                min: 'The minimum value is {min}',
+                max: 'The maximum value is {max}',
+                match: 'The fields do not match',
+                emailDomain: 'This email domain does not seem to exist',
+                maxFiles: {
+                    one: 'You can attach at most {count} file',
+                    other: 'You can attach at most {count} files'
+                },
+                maxFileSize: 'Each file must be {size} MB or smaller',
+                accept: 'File type not allowed',
+                invalid: 'The value entered is not valid',
+                fixErrors: 'Please fix the errors in the form',
+                sending: 'Sending...',
+                success: 'Form sent successfully!',
+                error: 'There was an error sending the form. Please try again.',
+                queued: 'You are offline: your message is pending and will be sent automatically.',
+                draftFound: 'You have an unsent draft of this form',
+                draftRestore: 'Restore draft',
+                draftDiscard: 'Discard',
+                tooFast: 'The form was sent very quickly. Check your details and try again in a few seconds.',
+                throttled: {
+                    one: 'You already sent several messages from this form. You can send another one in {count} minute.',
+                    other: 'You already sent several messages from this form. You can send another one in {count} minutes.'
+                },
+                charsRemaining: {
+                    one: '{count} character left',
+                    other: '{count} characters left'
+                }
+            },
+            queue: {
+                pending: {
+                    one: '{count} message pending delivery',
+                    other: '{count} messages pending delivery'
+                },
+                sent: {
+                    one: 'Your pending message was sent successfully',
+                    other: '{count} pending messages were sent successfully'
+                },
+                rejected: 'A pending message was rejected by the server. Please send it again.'
+            },
+            contact: {
+                formTitle: 'Send us a Message',
+                name: 'Full Name *',
+                namePlaceholder: 'Your full name',
+                company: 'Company',
+                companyPlaceholder: 'Your company name',
+                email: 'Email *',
+                emailPlaceholder: 'you@email.com',
+                phone: 'Phone *',
+                subject: 'Subject *',
+                subjectPlaceholder: 'Select a subject',
+                subjects: {
+                    cotizacion: 'Quote Request',
+                    soporte: 'Technical Support',
+                    ventas: 'Sales Information',
+                    desarrollo: 'Custom Development',
+                    consultoria: 'Consulting',
+                    otro: 'Other'
+                },
+                budget: 'Estimated Budget',
+                budgetPlaceholder: 'Select a range',
+                budgetUnder: 'Under $1,000',
+                budgetOver: 'Over $25,000',
+                budgetRequired: 'Please indicate an estimated budget for your quote',
+                message: 'Message *',
+                messagePlaceholder: 'Tell us about your project or need...',
+                submit: 'Send Message',
+                success: 'Message sent! We will contact you soon.'
+            },
+            newsletter: { thanks: 'Thanks for subscribing!' },
+            pwa: {
+                updateAvailable: 'New version available',
+                update: 'Update'
+            }
+        },
+        pt: {
+            lang: { label: 'Idioma' },
+            common: { close: 'Fechar' },
+            nav: {
+                home: 'Início',
+                about: 'Sobre nós',
+                whoWeAre: 'Quem Somos',
+                whatWeDo: 'O Que Fazemos',
+                services: 'Serviços',
+                products: 'Produtos',
+                downloads: 'Downloads',
+                support: 'Suporte',
+                contact: 'Contato',
+                label: 'Principal',
+                menu: 'Menu'
+            },
+            footer: {
+                tagline: 'Transformando ideias em soluções digitais inovadoras desde 2014.',
+                quickLinks: 'Links Rápidos',
+                contact: 'Contato',
+                whatsappText: 'Fale conosco diretamente',
+                whatsappButton: 'Conversar agora'
+            },
+            forms: {
+                required: 'Este campo é obrigatório',
+                email: 'Por favor, insira um e-mail válido',
+                phone: 'Por favor, insira um telefone válido',
+                minlength: 'Mínimo de {min} caracteres',
+                maxlength: 'Máximo de {max} caracteres',
+                pattern: 'O formato informado não é válido',
+                min: 'O valor mínimo é {min}',
+                max: 'O valor máximo é {max}',
+                match: 'Os campos não coincidem',
+                emailDomain: 'O domínio deste e-mail parece não existir',
+                maxFiles: {
+                    one: 'Você pode anexar no máximo {count} arquivo',
+                    other: 'Você pode anexar no máximo {count} arquivos'
+                },
+                maxFileSize: 'Cada arquivo deve ter no máximo {size} MB',
+                accept: 'Tipo de arquivo não permitido',
+                invalid: 'O valor informado não é válido',
+                fixErrors: 'Por favor, corrija os erros do formulário',
+                sending: 'Enviando...',
+                success: 'Formulário enviado com sucesso!',
+                error: 'Houve um erro ao enviar o formulário. Por favor, tente novamente.',
+                queued: 'Sem conexão: sua mensagem ficou pendente e será enviada automaticamente.',
+                draftFound: 'Você tem um rascunho não enviado deste formulário',
+                draftRestore: 'Restaurar rascunho',
+                draftDiscard: 'Descartar',
+                tooFast: 'Você enviou o formulário muito rápido. Revise os dados e tente novamente em alguns segundos.',
+                throttled: {
+                    one: 'Você já enviou várias mensagens por este formulário. Poderá enviar outra em {count} minuto.',
+                    other: 'Você já enviou várias mensagens por este formulário. Poderá enviar outra em {count} minutos.'
+                },
+                charsRemaining: {
+                    one: '{count} caractere restante',
+                    other: '{count} caracteres restantes'
+                }
+            },
+            queue: {
+                pending: {
+                    one: '{count} mensagem pendente de envio',
+                    other: '{count} mensagens pendentes de envio'
+                },
+                sent: {
+                    one: 'Sua mensagem pendente foi enviada com sucesso',
+                    other: '{count} mensagens pendentes foram enviadas com sucesso'
+                },
+                rejected: 'Uma mensagem pendente foi rejeitada pelo servidor. Por favor, envie-a novamente.'
+            },
+            contact: {
+                formTitle: 'Envie-nos uma Mensagem',
+                name: 'Nome Completo *',
+                namePlaceholder: 'Seu nome completo',
+                company: 'Empresa',
+                companyPlaceholder: 'Nome da sua empresa',
+                email: 'E-mail *',
+                emailPlaceholder: 'voce@email.com',
+                phone: 'Telefone *',
+                subject: 'Assunto *',
+                subjectPlaceholder: 'Selecione um assunto',
+                subjects: {
+                    cotizacion: 'Solicitação de Orçamento',
+                    soporte: 'Suporte Técnico',
+                    ventas: 'Informações de Vendas',
+                    desarrollo: 'Desenvolvimento Personalizado',
+                    consultoria: 'Consultoria',
+                    otro: 'Outro'
+                },
+                budget: 'Orçamento Estimado',
+                budgetPlaceholder: 'Selecione uma faixa',
+                budgetUnder: 'Menos de $1.000',
+                budgetOver: 'Mais de $25.000',
+                budgetRequired: 'Informe um orçamento estimado para sua cotação',
+                message: 'Mensagem *',
+                messagePlaceholder: 'Conte-nos sobre seu projeto ou necessidade...',
+                submit: 'Enviar Mensagem',
+                success: 'Mensagem enviada com sucesso! Entraremos em contato em breve.'
+            },
+            newsletter: { thanks: 'Obrigado por se inscrever!' },
+            pwa: {
+                updateAvailable: 'Nova versão disponível',
+                update: 'Atualizar'
+            }
+        }
+    });
+
+    // ==================== INITIALIZE ====================
+
+    currentLanguage = readStoredLanguage() || detectLanguage();
+    document.documentElement.lang = currentLanguage;
+
+    document.addEventListener('DOMContentLoaded', () => {
+        createSwitcher();
+        if (currentLanguage !== DEFAULT_LANGUAGE) {
+            translatePage();
+        }
+    });
+
+    window.i18n = {
+        SUPPORTED_LANGUAGES,
+        t,
+        has,
+        addMessages,
+        setLanguage,
+        getLanguage,
+        getLocale,
+        translatePage
+    };
+})();
@@ -1,34 +1,178 @@
-// ==================== MOBILE MENU TOGGLE ====================
+// ==================== NAVIGATION ====================
+// Disclosure navigation (WAI-ARIA APG "Disclosure Navigation Menu"):
+// #menuToggle shows the mobile menu and each .dropdown-toggle its
+// .dropdown-content; both are buttons with aria-expanded.
+//   - Arrow keys move between the items of the bar and inside an open
+//     dropdown, Home / End to the first / last one.
+//   - Escape closes the open dropdown, then the mobile menu, and puts the
+//     focus back on the button that opened it.
+//   - While the mobile menu is open, Tab stays inside it.
+// The link to the current page comes marked (class="active",
+// aria-current="page") from scripts/build-layout.js.
+const MOBILE_BREAKPOINT = 768;
 const menuToggle = document.getElementById('menuToggle');
 const navLinks = document.getElementById('navLinks');
+const dropdownToggles = Array.from(navLinks.querySelectorAll('.dropdown-toggle'));
+
+const KEY_DIRECTIONS = {
+    ArrowDown: 'next',
+    ArrowRight: 'next',
+    ArrowUp: 'previous',
+    ArrowLeft: 'previous',
+    Home: 'first',
+    End: 'last'
+};
 
-menuToggle.addEventListener('click', () => {
-    navLinks.classList.toggle('active');
-    
-    // Animate hamburger icon
-    const spans = menuToggle.querySelectorAll('span');
-    spans[0].style.transform = navLinks.classList.contains('active') 
-        ? 'rotate(45deg) translate(5px, 5px)' 
-        : 'none';
-    spans[1].style.opacity = navLinks.classList.contains('active') ? '0' : '1';
-    spans[2].style.transform = navLinks.classList.contains('active') 
-        ? 'rotate(-45deg) translate(7px, -6px)' 
-        : 'none';
-});
+const isExpanded = button => button.getAttribute('aria-expanded') === 'true';
+
+// Links and dropdown buttons of the bar (not the language select,
+// which uses the arrow keys itself)
+const getBarItems = () => Array.from(navLinks.children)
+    .map(item => item.querySelector(':scope > a, :scope > button'))
+    .filter(Boolean);
+
+const getDropdownLinks = toggle => Array.from(
+    document.getElementById(toggle.getAttribute('aria-controls')).querySelectorAll('a')
+);
+
+function moveFocus(items, current, direction) {
+    const index = items.indexOf(current);
+    const targets = {
+        first: 0,
+        last: items.length - 1,
+        next: Math.min(index + 1, items.length - 1),
+        previous: Math.max(index - 1, 0)
+    };
+    items[targets[direction]].focus();
+}
+
+function setDropdown(toggle, open) {
+    toggle.setAttribute('aria-expanded', String(open));
+    toggle.parentElement.classList.toggle('open', open);
+}
+
+function closeDropdowns(except) {
+    dropdownToggles.forEach(toggle => {
+        if (toggle !== except && isExpanded(toggle)) setDropdown(toggle, false);
+    });
+}
+
+function setMenu(open, { focus = true } = {}) {
+    menuToggle.setAttribute('aria-expanded', String(open));
+    navLinks.classList.toggle('active', open);
+
+    if (!open) closeDropdowns();
+    if (!focus) return;
+    if (open) {
+        getBarItems()[0].focus();
+    } else {
+        menuToggle.focus();
+    }
+}
+
+// Everything Tab can reach in the open mobile menu, toggle included
+function getMenuFocusables() {
+    const inside = Array.from(navLinks.querySelectorAll('a[href], button, select'))
+        .filter(element => !element.closest('.dropdown:not(.open) .dropdown-content'));
+    return [menuToggle, ...inside];
+}
+
+function trapMenuFocus(e) {
+    const focusables = getMenuFocusables();
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
 
-// Close mobile menu when clicking on a link
-document.querySelectorAll('.nav-links a').forEach(link => {
-    link.addEventListener('click', () => {
-        if (window.innerWidth <= 768) {
-            navLinks.classList.remove('active');
-            const spans = menuToggle.querySelectorAll('span');
-            spans[0].style.transform = 'none';
-            spans[1].style.opacity = '1';
-            spans[2].style.transform = 'none';
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+function handleNavKeydown(e) {
+    const menuOpen = isExpanded(menuToggle);
+
+    if (e.key === 'Escape') {
+        const openToggle = dropdownToggles.find(isExpanded);
+        if (openToggle) {
+            setDropdown(openToggle, false);
+            openToggle.focus();
+        } else if (menuOpen) {
+            setMenu(false);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        return;
+    }
+
+    if (e.key === 'Tab') {
+        if (menuOpen) trapMenuFocus(e);
+        return;
+    }
+
+    const direction = KEY_DIRECTIONS[e.key];
+    if (!direction) return;
+
+    const dropdown = e.target.closest('.dropdown-content');
+    if (dropdown) {
+        e.preventDefault();
+        moveFocus(Array.from(dropdown.querySelectorAll('a')), e.target, direction);
+        return;
+    }
+
+    const items = getBarItems();
+    if (!items.includes(e.target)) return;
+    e.preventDefault();
+
+    // Down / Right on an open dropdown goes into it
+    if (direction === 'next' && e.target.matches('.dropdown-toggle') && isExpanded(e.target)) {
+        getDropdownLinks(e.target)[0].focus();
+        return;
+    }
+    moveFocus(items, e.target, direction);
+}
+
+menuToggle.addEventListener('click', () => setMenu(!isExpanded(menuToggle)));
+
+// Click, Enter, Space or a tap; one dropdown open at a time
+dropdownToggles.forEach(toggle => {
+    toggle.addEventListener('click', () => {
+        const open = !isExpanded(toggle);
+        closeDropdowns(toggle);
+        setDropdown(toggle, open);
+    });
+
+    // Closes when the focus leaves it (Tab past the last link)
+    toggle.parentElement.addEventListener('focusout', e => {
+        if (isExpanded(toggle) && !toggle.parentElement.contains(e.relatedTarget)) {
+            setDropdown(toggle, false);
         }
     });
 });
 
+document.getElementById('header').addEventListener('keydown', handleNavKeydown);
+
+// Clicks elsewhere close the dropdowns
+document.addEventListener('click', e => {
+    if (!e.target.closest('.dropdown')) closeDropdowns();
+});
+
+// Following a link closes the mobile menu
+navLinks.addEventListener('click', e => {
+    if (e.target.closest('a') && isExpanded(menuToggle)) {
+        setMenu(false, { focus: false });
+    }
+});
+
+// ==================== FOOTER YEAR ====================
+// The pages carry the year they were built with (partials/site.json)
+document.querySelectorAll('[data-current-year]').forEach(element => {
+    element.textContent = new Date().getFullYear();
+});
+
 // ==================== HEADER SCROLL EFFECT ====================
 const header = document.getElementById('header');
 let lastScroll = 0;
@@ -51,89 +195,33 @@ document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         e.preventDefault();
         const target = document.querySelector(this.getAttribute('href'));
         if (target) {
+            // Jump straight there when motion is reduced (js/animations.js)
             target.scrollIntoView({
-                behavior: 'smooth',
+                behavior: window.motion && motion.isReduced() ? 'auto' : 'smooth',
                 block: 'start'
             });
         }
     });
 });
 
-// ==================== ANIMATED COUNTER FOR STATS ====================
-const observerOptions = {
-    threshold: 0.5,
-    rootMargin: '0px 0px -100px 0px'
-};
-
-const animateCounter = (element) => {
-    const target = parseInt(element.getAttribute('data-target'));
-    const duration = 2000; // 2 seconds
-    const increment = target / (duration / 16); // 60fps
-    let current = 0;
-    
-    const updateCounter = () => {
-        current += increment;
-        if (current < target) {
-            element.textContent = Math.ceil(current);
-            requestAnimationFrame(updateCounter);
-        } else {
-            element.textContent = target + (element.textContent.includes('24') ? '/7' : '+');
-        }
-    };
-    
-    updateCounter();
-};
-
-const statsObserver = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-        if (entry.isIntersecting) {
-            const statNumbers = entry.target.querySelectorAll('.stat-number');
-            statNumbers.forEach(stat => {
-                if (!stat.classList.contains('counted')) {
-                    animateCounter(stat);
-                    stat.classList.add('counted');
-                }
-            });
-        }
-    });
-}, observerOptions);
-
-const statsSection = document.querySelector('.stats');
-if (statsSection) {
-    statsObserver.observe(statsSection);
-}
-
-// ==================== INTERSECTION OBSERVER FOR ANIMATIONS ====================
-const fadeElements = document.querySelectorAll('.feature-card, .service-card');
-
-const fadeObserver = new IntersectionObserver((entries) => {
-    entries.forEach((entry, index) => {
-        if (entry.isIntersecting) {
-            setTimeout(() => {
-                entry.target.style.opacity = '1';
-                entry.target.style.transform = 'translateY(0)';
-            }, index * 100);
-        }
-    });
-}, {
-    threshold: 0.1,
-    rootMargin: '0px 0px -50px 0px'
-});
-
-fadeElements.forEach(element => {
-    element.style.opacity = '0';
-    element.style.transform = 'translateY(30px)';
-    element.style.transition = 'all 0.6s ease';
-    fadeObserver.observe(element);
-});
-
 // ==================== NEWSLETTER FORM HANDLING ====================
 const newsletterForm = document.querySelector('.newsletter-form');
 if (newsletterForm) {
-    newsletterForm.addEventListener('submit', (e) => {
+    newsletterForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const email = newsletterForm.querySelector('input[type="email"]').value;
         
+        // Anti-spam checks from forms.js when the page loads it; bots get
+        // the same thanks without being subscribed
+        if (window.formUtils) {
+            const verdict = await formUtils.checkSpam(newsletterForm);
+            if (verdict.action === 'block') {
+                toast.warning(verdict.message);
+                return;
+            }
+            if (verdict.action === 'send') formUtils.recordSubmission(newsletterForm);
+        }
+        
         // Simulate form submission
         const button = newsletterForm.querySelector('button');
         const originalHTML = button.innerHTML;
@@ -141,7 +229,7 @@ if (newsletterForm) {
         button.style.background = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
         
         // Show success message
-        showNotification('¡Gracias por suscribirte!', 'success');
+        toast.success(i18n.t('newsletter.thanks'));
         
         setTimeout(() => {
             button.innerHTML = originalHTML;
@@ -151,73 +239,6 @@ if (newsletterForm) {
     });
 }
 
-// ==================== NOTIFICATION SYSTEM ====================
-function showNotification(message, type = 'info') {
-    // Remove existing notification if any
-    const existingNotification = document.querySelector('.notification');
-    if (existingNotification) {
-        existingNotification.remove();
-    }
-    
-    const notification = document.createElement('div');
-    notification.className = `notification ${type}`;
-    notification.innerHTML = `
-        <i class="fas fa-${type === 'success' ? 'check-circle' : 'info-circle'}"></i>
-        <span>${message}</span>
-    `;
-    
-    // Add styles
-    notification.style.cssText = `
-        position: fixed;
-        top: 100px;
-        right: 20px;
-        background: ${type === 'success' ? '#10b981' : '#0ea5e9'};
-        color: white;
-        padding: 1rem 1.5rem;
-        border-radius: 8px;
-        box-shadow: 0 8px 30px rgba(0, 0, 0, 0.3);
-        display: flex;
-        align-items: center;
-        gap: 10px;
-        z-index: 10000;
-        animation: slideInRight 0.3s ease;
-    `;
-    
-    document.body.appendChild(notification);
-    
-    setTimeout(() => {
-        notification.style.animation = 'slideOutRight 0.3s ease';
-        setTimeout(() => notification.remove(), 300);
-    }, 3000);
-}
-
-// Add notification animations
-const style = document.createElement('style');
-style.textContent = `
-    @keyframes slideInRight {
-        from {
-            transform: translateX(400px);
-            opacity: 0;
-        }
-        to {
-            transform: translateX(0);
-            opacity: 1;
-        }
-    }
-    
-    @keyframes slideOutRight {
-        from {
-            transform: translateX(0);
-            opacity: 1;
-        }
-        to {
-            transform: translateX(400px);
-            opacity: 0;
-        }
-    }
-`;
-document.head.appendChild(style);
-
 // ==================== LAZY LOADING FOR IMAGES ====================
 if ('IntersectionObserver' in window) {
     const imageObserver = new IntersectionObserver((entries, observer) => {
@@ -236,79 +257,6 @@ if ('IntersectionObserver' in window) {
     });
 }
 
-// ==================== ACTIVE NAVIGATION HIGHLIGHT ====================
-const sections = document.querySelectorAll('section[id]');
-const navItems = document.querySelectorAll('.nav-links a');
-
-window.addEventListener('scroll', () => {
-    let current = '';
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
-        if (pageYOffset >= sectionTop - 200) {
-            current = section.getAttribute('id');
-        }
-    });
-    
-    navItems.forEach(item => {
-        item.classList.remove('active');
-        if (item.getAttribute('href').includes(current)) {
-            item.classList.add('active');
-        }
-    });
-});
-
-// ==================== CURSOR EFFECT (OPTIONAL ENHANCEMENT) ====================
-const createCursorEffect = () => {
-    const cursor = document.createElement('div');
-    cursor.className = 'custom-cursor';
-    cursor.style.cssText = `
-        width: 20px;
-        height: 20px;
-        border: 2px solid #0ea5e9;
-        border-radius: 50%;
-        position: fixed;
-        pointer-events: none;
-        z-index: 9999;
-        transition: all 0.1s ease;
-        display: none;
-    `;
-    document.body.appendChild(cursor);
-    
-    document.addEventListener('mousemove', (e) => {
-        cursor.style.display = 'block';
-        cursor.style.left = e.clientX + 'px';
-        cursor.style.top = e.clientY + 'px';
-    });
-    
-    document.querySelectorAll('a, button').forEach(el => {
-        el.addEventListener('mouseenter', () => {
-            cursor.style.transform = 'scale(1.5)';
-            cursor.style.borderColor = '#64ffda';
-        });
-        el.addEventListener('mouseleave', () => {
-            cursor.style.transform = 'scale(1)';
-            cursor.style.borderColor = '#0ea5e9';
-        });
-    });
-};
-
-// Enable cursor effect only on desktop
-if (window.innerWidth > 1024) {
-    createCursorEffect();
-}
-
-// ==================== KEYBOARD NAVIGATION ====================
-document.addEventListener('keydown', (e) => {
-    // ESC to close mobile menu
-    if (e.key === 'Escape' && navLinks.classList.contains('active')) {
-        navLinks.classList.remove('active');
-        const spans = menuToggle.querySelectorAll('span');
-        spans.forEach(span => span.style.transform = 'none');
-        spans[1].style.opacity = '1';
-    }
-});
-
 // ==================== PERFORMANCE OPTIMIZATION ====================
 // Debounce function for resize events
 function debounce(func, wait) {
@@ -323,10 +271,10 @@ function debounce(func, wait) {
     };
 }
 
-// Handle window resize
+// Handle window resize: the mobile menu does not exist on wide screens
 const handleResize = debounce(() => {
-    if (window.innerWidth > 768 && navLinks.classList.contains('active')) {
-        navLinks.classList.remove('active');
+    if (window.innerWidth > MOBILE_BREAKPOINT && isExpanded(menuToggle)) {
+        setMenu(false, { focus: false });
     }
 }, 250);
 
@@ -352,44 +300,59 @@ window.addEventListener('error', (e) => {
 });
 
 // ==================== SERVICE WORKER REGISTRATION (PWA READY) ====================
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => console.log('SW registered:', registration))
-            .catch(error => console.log('SW registration failed:', error));
-    });
-}
-
-
+let updatePrompt = null;
 
-// ==================== CARRUSEL AUTOMÁTICO - FEATURES ====================
-
-document.addEventListener('DOMContentLoaded', function() {
-    const slides = document.querySelectorAll('.bg-slide');
-    let currentSlide = 0;
+const showUpdatePrompt = (worker) => {
+    if (updatePrompt) return;
+    
+    updatePrompt = toast.show(i18n.t('pwa.updateAvailable'), {
+        type: 'info',
+        icon: 'sync-alt',
+        duration: 0,
+        actions: [{ id: 'update', label: i18n.t('pwa.update') }]
+    });
+    
+    // Closed or dismissed: a later update (or the next check) may ask again
+    updatePrompt.then(result => {
+        updatePrompt = null;
+        if (result === 'update') {
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    });
+};
 
-    // Función para cambiar de slide
-    function nextSlide() {
-        // Remover clase active del slide actual
-        slides[currentSlide].classList.remove('active');
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        // On the first visit the worker takes control (clients.claim) without a new build
+        const hadController = Boolean(navigator.serviceWorker.controller);
         
-        // Calcular siguiente slide (volver al inicio si es el último)
-        currentSlide = (currentSlide + 1) % slides.length;
+        navigator.serviceWorker.register(sauroUtils.siteUrl('sw.js'))
+            .then(registration => {
+                console.log('SW registered:', registration);
+                
+                // A new build was installed while this page was open before
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    showUpdatePrompt(registration.waiting);
+                }
+                
+                registration.addEventListener('updatefound', () => {
+                    const newWorker = registration.installing;
+                    newWorker.addEventListener('statechange', () => {
+                        // Only prompt on updates, not on the first install
+                        if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                            showUpdatePrompt(newWorker);
+                        }
+                    });
+                });
+            })
+            .catch(error => console.log('SW registration failed:', error));
         
-        // Agregar clase active al nuevo slide
-        slides[currentSlide].classList.add('active');
-    }
-
-    // Carrusel automático cada 5 segundos
-    setInterval(nextSlide, 5000);
-
-    // Precargar imágenes para transiciones suaves
-    slides.forEach(slide => {
-        const bgImage = slide.style.backgroundImage;
-        const url = bgImage.slice(5, -2); // Extraer URL
-        const img = new Image();
-        img.src = url;
+        // Reload once the new worker replaces the one that served this page
+        let refreshing = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (refreshing || !hadController) return;
+            refreshing = true;
+            window.location.reload();
+        });
     });
-
-    console.log('✅ Carrusel automático inicializado');
-});
\ No newline at end of file
+}
@@ -0,0 +1,805 @@
+// ==================== PRICE CALCULATOR ====================
+// Everything on the site that shows a price from data/pricing.json
+// (through js/pricing.js and sauroCart.loadPricing):
+//
+//   <span data-price="sauropos">$499</span>              yearly price of a product
+//   <span data-service-price="desarrollo">Desde…</span>  starting price of a service
+//   <div id="priceCalculator"></div>                     quote calculator
+//   <div id="planComparison"></div>                      tiers side by side
+//
+// "Solicitar cotización" keeps the quote in sessionStorage (sauro-quote)
+// and opens contacto.html?asunto=cotizacion&presupuesto=<range>&cotizacion=1;
+// on that page this script selects the subject and budget and writes the
+// quote into the message.
+
+(function () {
+    const STATE_KEY = 'sauro-calculator';
+    const QUOTE_KEY = 'sauro-quote';
+    const CONTACT_URL = sauroUtils.siteUrl('pages/contacto.html');
+    const CART_URL = sauroUtils.siteUrl('pages/carrito.html');
+    const MAX_LINES = 6;
+
+    let pricing = null;
+    let state = null;
+    let comparedProduct = null;
+
+    i18n.addMessages({
+        es: {
+            calculator: {
+                from: 'Desde {price}',
+                perMonth: '/mes',
+                product: 'Producto',
+                tier: 'Plan',
+                billing: 'Licencia',
+                billingOptions: {
+                    annual: 'Anual',
+                    perpetual: 'Perpetua (pago único)'
+                },
+                seats: 'Usuarios',
+                branches: 'Sucursales',
+                unlimited: 'Ilimitados',
+                unlimitedBranches: 'Ilimitadas',
+                addProduct: 'Agregar otro producto',
+                removeProduct: 'Quitar {product} del cálculo',
+                currency: 'Moneda',
+                code: 'Código promocional',
+                codePlaceholder: 'Opcional',
+                codeInvalid: 'El código {code} no es válido',
+                bundleNote: '{product} ya incluye {included}: no se cobra por separado.',
+                firstPayment: 'Total del primer pago',
+                requestQuote: 'Solicitar cotización',
+                quoteTitle: 'Cotización calculada en el sitio:',
+                quoteSeats: {
+                    one: '{count} usuario',
+                    other: '{count} usuarios'
+                },
+                quoteBranches: {
+                    one: '{count} sucursal',
+                    other: '{count} sucursales'
+                },
+                plans: {
+                    product: 'Ver precios de',
+                    feature: 'Incluye',
+                    recommended: 'Recomendado',
+                    yearly: 'Precio anual',
+                    perpetual: 'Licencia perpetua',
+                    notAvailable: 'No disponible',
+                    seatsIncluded: 'Usuarios / dispositivos incluidos',
+                    maxSeats: 'Máximo de usuarios',
+                    extraSeat: 'Usuario adicional',
+                    branchesIncluded: 'Sucursales incluidas',
+                    extraBranch: 'Sucursal adicional',
+                    included: 'Incluido',
+                    support: 'Soporte',
+                    supportLevels: {
+                        email: 'Email y tickets',
+                        priority: 'Prioritario por chat y teléfono',
+                        dedicated: '24/7 con gestor dedicado'
+                    },
+                    choose: 'Elegir {tier}'
+                }
+            }
+        },
+        en: {
+            calculator: {
+                from: 'From {price}',
+                perMonth: '/month',
+                product: 'Product',
+                tier: 'Plan',
+                billing: 'License',
+                billingOptions: {
+                    annual: 'Yearly',
+                    perpetual: 'Perpetual (one-time payment)'
+                },
+                seats: 'Users',
+                branches: 'Branches',
+                unlimited: 'Unlimited',
+                unlimitedBranches: 'Unlimited',
+                addProduct: 'Add another product',
+                removeProduct: 'Remove {product} from the calculation',
+                currency: 'Currency',
+                code: 'Promo code',
+                codePlaceholder: 'Optional',
+                codeInvalid: 'The code {code} is not valid',
+                bundleNote: '{product} already includes {included}: it is not charged separately.',
+                firstPayment: 'First payment total',
+                requestQuote: 'Request a quote',
+                quoteTitle: 'Quote calculated on the website:',
+                quoteSeats: {
+                    one: '{count} user',
+                    other: '{count} users'
+                },
+                quoteBranches: {
+                    one: '{count} branch',
+                    other: '{count} branches'
+                },
+                plans: {
+                    product: 'Show prices for',
+                    feature: 'Includes',
+                    recommended: 'Recommended',
+                    yearly: 'Yearly price',
+                    perpetual: 'Perpetual license',
+                    notAvailable: 'Not available',
+                    seatsIncluded: 'Users / devices included',
+                    maxSeats: 'Maximum users',
+                    extraSeat: 'Additional user',
+                    branchesIncluded: 'Branches included',
+                    extraBranch: 'Additional branch',
+                    included: 'Included',
+                    support: 'Support',
+                    supportLevels: {
+                        email: 'Email and tickets',
+                        priority: 'Priority chat and phone',
+                        dedicated: '24/7 with a dedicated manager'
+                    },
+                    choose: 'Choose {tier}'
+                }
+            }
+        },
+        pt: {
+            calculator: {
+                from: 'A partir de {price}',
+                perMonth: '/mês',
+                product: 'Produto',
+                tier: 'Plano',
+                billing: 'Licença',
+                billingOptions: {
+                    annual: 'Anual',
+                    perpetual: 'Perpétua (pagamento único)'
+                },
+                seats: 'Usuários',
+                branches: 'Filiais',
+                unlimited: 'Ilimitados',
+                unlimitedBranches: 'Ilimitadas',
+                addProduct: 'Adicionar outro produto',
+                removeProduct: 'Remover {product} do cálculo',
+                currency: 'Moeda',
+                code: 'Código promocional',
+                codePlaceholder: 'Opcional',
+                codeInvalid: 'O código {code} não é válido',
+                bundleNote: '{product} já inclui {included}: não é cobrado à parte.',
+                firstPayment: 'Total do primeiro pagamento',
+                requestQuote: 'Solicitar cotação',
+                quoteTitle: 'Cotação calculada no site:',
+                quoteSeats: {
+                    one: '{count} usuário',
+                    other: '{count} usuários'
+                },
+                quoteBranches: {
+                    one: '{count} filial',
+                    other: '{count} filiais'
+                },
+                plans: {
+                    product: 'Ver preços de',
+                    feature: 'Inclui',
+                    recommended: 'Recomendado',
+                    yearly: 'Preço anual',
+                    perpetual: 'Licença perpétua',
+                    notAvailable: 'Não disponível',
+                    seatsIncluded: 'Usuários / dispositivos incluídos',
+                    maxSeats: 'Máximo de usuários',
+                    extraSeat: 'Usuário adicional',
+                    branchesIncluded: 'Filiais incluídas',
+                    extraBranch: 'Filial adicional',
+                    included: 'Incluído',
+                    support: 'Suporte',
+                    supportLevels: {
+                        email: 'E-mail e tickets',
+                        priority: 'Prioritário por chat e telefone',
+                        dedicated: '24/7 com gerente dedicado'
+                    },
+                    choose: 'Escolher {tier}'
+                }
+            }
+        }
+    });
+
+    // ==================== HELPERS ====================
+
+    function money(amount, currency, whole = false) {
+        return sauroCart.formatMoney(amount, currency, whole ? { minimumFractionDigits: 0, maximumFractionDigits: 0 } : undefined);
+    }
+
+    function tierName(tierId) {
+        return i18n.t(`cart.tiers.${tierId}`);
+    }
+
+    // Replace the first non-empty text node so child elements (units) survive
+    function setLeadingText(element, text) {
+        const node = Array.from(element.childNodes).find(child => (
+            child.nodeType === Node.TEXT_NODE && child.textContent.trim()
+        ));
+        if (node) {
+            node.textContent = text;
+        } else {
+            element.insertBefore(document.createTextNode(text), element.firstChild);
+        }
+    }
+
+    function createField(labelText, control) {
+        const label = document.createElement('label');
+        label.className = 'calculator-field';
+        const text = document.createElement('span');
+        text.textContent = labelText;
+        label.append(text, control);
+        return label;
+    }
+
+    function createSelect(role, options, value) {
+        const select = document.createElement('select');
+        select.dataset.role = role;
+        options.forEach(([optionValue, label]) => select.add(new Option(label, optionValue, false, optionValue === value)));
+        return select;
+    }
+
+    function createNumber(role, value, max) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.dataset.role = role;
+        input.min = '1';
+        if (max) input.max = String(max);
+        input.value = String(value);
+        return input;
+    }
+
+    // ==================== PRICE TAGS ====================
+
+    function renderPriceTags() {
+        document.querySelectorAll('[data-price]').forEach(element => {
+            const product = pricing.products[element.dataset.price];
+            if (!product) return;
+            setLeadingText(element, money(product.price, pricing.baseCurrency, true));
+            const unit = element.querySelector('span');
+            if (unit) unit.textContent = i18n.t('cart.perYear');
+        });
+
+        document.querySelectorAll('[data-service-price]').forEach(element => {
+            const service = pricing.services[element.dataset.servicePrice];
+            if (!service) return;
+            const price = money(service.from, pricing.baseCurrency, true);
+            element.textContent = i18n.t('calculator.from', { price })
+                + (service.period === 'month' ? i18n.t('calculator.perMonth') : '');
+        });
+    }
+
+    // ==================== CALCULATOR STATE ====================
+
+    function defaultLine(productId) {
+        const tier = Object.keys(pricing.tiers)[0];
+        return {
+            product: productId,
+            tier,
+            billing: pricing.billingOptions(productId)[0],
+            seats: pricing.tiers[tier].seatsIncluded || 1,
+            branches: 1
+        };
+    }
+
+    // Keep every line valid for its product and tier
+    function normalizeLine(line) {
+        const product = pricing.products[line.product] ? line.product : Object.keys(pricing.products)[0];
+        const tier = pricing.tiers[line.tier] ? line.tier : Object.keys(pricing.tiers)[0];
+        const options = pricing.billingOptions(product);
+        return {
+            product,
+            tier,
+            billing: options.includes(line.billing) ? line.billing : options[0],
+            seats: pricing.clampSeats(tier, line.seats),
+            branches: pricing.clampBranches(tier, line.branches, product)
+        };
+    }
+
+    function readState() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(STATE_KEY));
+            if (stored && Array.isArray(stored.lines) && stored.lines.length) {
+                return {
+                    lines: stored.lines.slice(0, MAX_LINES).map(normalizeLine),
+                    currency: pricing.currencies.includes(stored.currency) ? stored.currency : pricing.baseCurrency,
+                    code: String(stored.code || '')
+                };
+            }
+        } catch (error) {
+            // Start from the default quote
+        }
+        return { lines: [defaultLine(Object.keys(pricing.products)[0])], currency: sauroCart.getCurrency(), code: '' };
+    }
+
+    function saveState() {
+        try {
+            sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+        } catch (error) {
+            // The calculator still works, it just starts over on the next visit
+        }
+    }
+
+    function quote(currency = state.currency) {
+        return pricing.priceCart(state.lines, currency, { code: state.code });
+    }
+
+    // ==================== CALCULATOR ====================
+
+    function renderLine(line, index, priced) {
+        const product = pricing.products[line.product];
+        const tier = pricing.tiers[line.tier];
+
+        const row = document.createElement('li');
+        row.className = 'calculator-line';
+        row.dataset.index = String(index);
+
+        const fields = document.createElement('div');
+        fields.className = 'calculator-fields';
+
+        fields.appendChild(createField(i18n.t('calculator.product'), createSelect('product',
+            Object.entries(pricing.products).map(([id, item]) => [id, item.name]), line.product)));
+        fields.appendChild(createField(i18n.t('calculator.tier'), createSelect('tier',
+            Object.keys(pricing.tiers).map(id => [id, tierName(id)]), line.tier)));
+
+        const billing = createSelect('billing',
+            pricing.billingOptions(line.product).map(id => [id, i18n.t(`calculator.billingOptions.${id}`)]), line.billing);
+        billing.disabled = pricing.billingOptions(line.product).length < 2;
+        fields.appendChild(createField(i18n.t('calculator.billing'), billing));
+
+        fields.appendChild(createField(i18n.t('calculator.seats'), createNumber('seats', line.seats, tier.maxSeats)));
+        if (pricing.hasBranches(line.product)) {
+            fields.appendChild(createField(i18n.t('calculator.branches'), createNumber('branches', line.branches, tier.maxBranches)));
+        }
+
+        const total = document.createElement('div');
+        total.className = 'calculator-line-total';
+        if (priced.includedIn) {
+            total.textContent = i18n.t('cart.includedIn', { product: pricing.products[priced.includedIn].name });
+        } else {
+            total.textContent = money(priced.total, state.currency);
+            const period = document.createElement('small');
+            period.textContent = sauroCart.periodLabel(priced.billing);
+            total.appendChild(period);
+        }
+
+        row.append(fields, total);
+
+        if (state.lines.length > 1) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'calculator-remove';
+            remove.dataset.role = 'remove';
+            remove.setAttribute('aria-label', i18n.t('calculator.removeProduct', { product: product.name }));
+            remove.title = remove.getAttribute('aria-label');
+            remove.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+            row.appendChild(remove);
+        }
+        return row;
+    }
+
+    function renderResult(container, summary) {
+        container.replaceChildren();
+
+        const totals = document.createElement('dl');
+        totals.className = 'calculator-totals';
+        const rows = [];
+        if (summary.discounts.length) {
+            rows.push([i18n.t('cart.subtotal'), money(summary.subtotal, summary.currency)]);
+            summary.discounts.forEach(discount => {
+                rows.push([sauroCart.discountLabel(discount), `-${money(discount.amount, summary.currency)}`, 'calculator-discount']);
+            });
+        }
+        rows.push([i18n.t('calculator.firstPayment'), money(summary.total, summary.currency), 'calculator-total']);
+        rows.forEach(([label, value, className]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            if (className) {
+                term.className = className;
+                description.className = className;
+            }
+            totals.append(term, description);
+        });
+        container.appendChild(totals);
+
+        summary.lines.filter(line => line.includedIn).forEach(line => {
+            const note = document.createElement('p');
+            note.className = 'calculator-note';
+            note.textContent = i18n.t('calculator.bundleNote', {
+                product: pricing.products[line.includedIn].name,
+                included: pricing.products[line.product].name
+            });
+            container.appendChild(note);
+        });
+
+        const code = state.code.trim();
+        if (code && !summary.discounts.some(discount => discount.type === 'code')) {
+            const warning = document.createElement('p');
+            warning.className = 'calculator-note calculator-warning';
+            warning.textContent = i18n.t('calculator.codeInvalid', { code });
+            container.appendChild(warning);
+        }
+    }
+
+    function renderCalculator() {
+        const root = document.getElementById('priceCalculator');
+        if (!root) return;
+
+        // Re-rendering replaces the controls: keep the keyboard focus where it was
+        const focused = document.activeElement;
+        const focusedLine = root.contains(focused) ? focused.closest('.calculator-line') : null;
+        const focusKey = root.contains(focused)
+            ? { index: focusedLine ? focusedLine.dataset.index : null, role: focused.dataset.role }
+            : null;
+
+        const summary = quote();
+
+        const lines = document.createElement('ol');
+        lines.className = 'calculator-lines';
+        lines.append(...state.lines.map((line, index) => renderLine(line, index, summary.lines[index])));
+
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'calculator-add';
+        add.dataset.role = 'add';
+        add.disabled = state.lines.length >= MAX_LINES;
+        add.innerHTML = '<i class="fas fa-plus" aria-hidden="true"></i> ';
+        add.appendChild(document.createTextNode(i18n.t('calculator.addProduct')));
+
+        const options = document.createElement('div');
+        options.className = 'calculator-options';
+        options.appendChild(createField(i18n.t('calculator.currency'), createSelect('currency',
+            pricing.currencies.map(code => [code, i18n.t(`cart.currencies.${code}`)]), state.currency)));
+        const code = document.createElement('input');
+        code.type = 'text';
+        code.dataset.role = 'code';
+        code.value = state.code;
+        code.placeholder = i18n.t('calculator.codePlaceholder');
+        code.autocomplete = 'off';
+        options.appendChild(createField(i18n.t('calculator.code'), code));
+
+        const result = document.createElement('div');
+        result.className = 'calculator-result';
+        result.setAttribute('aria-live', 'polite');
+        renderResult(result, summary);
+
+        const actions = document.createElement('div');
+        actions.className = 'calculator-actions';
+        const request = document.createElement('a');
+        request.className = 'btn btn-primary';
+        request.dataset.role = 'quote';
+        request.href = quoteUrl();
+        request.textContent = i18n.t('calculator.requestQuote');
+        actions.appendChild(request);
+
+        root.replaceChildren(lines, add, options, result, actions);
+
+        if (focusKey) {
+            const scope = focusKey.index !== null
+                ? root.querySelector(`.calculator-line[data-index="${focusKey.index}"]`) || root
+                : root;
+            const target = scope.querySelector(`[data-role="${focusKey.role}"]`) || root.querySelector('[data-role="add"]');
+            if (target) target.focus();
+        }
+    }
+
+    function update() {
+        state.lines = state.lines.map(normalizeLine);
+        saveState();
+        renderCalculator();
+    }
+
+    function handleCalculatorChange(e) {
+        const role = e.target.dataset.role;
+        const row = e.target.closest('.calculator-line');
+
+        if (row) {
+            const line = state.lines[parseInt(row.dataset.index, 10)];
+            if (role === 'product') {
+                Object.assign(line, defaultLine(e.target.value), { tier: line.tier });
+            } else if (['tier', 'billing', 'seats', 'branches'].includes(role)) {
+                line[role] = e.target.value;
+            }
+        } else if (role === 'currency') {
+            state.currency = e.target.value;
+        } else if (role === 'code') {
+            state.code = e.target.value.trim();
+        } else {
+            return;
+        }
+        update();
+    }
+
+    function handleCalculatorClick(e) {
+        const button = e.target.closest('[data-role]');
+        if (!button) return;
+
+        if (button.dataset.role === 'add') {
+            const used = state.lines.map(line => line.product);
+            const next = Object.keys(pricing.products).find(id => !used.includes(id)) || Object.keys(pricing.products)[0];
+            state.lines.push(defaultLine(next));
+            update();
+            const selects = document.querySelectorAll('#priceCalculator [data-role="product"]');
+            selects[selects.length - 1].focus();
+        } else if (button.dataset.role === 'remove') {
+            state.lines.splice(parseInt(button.closest('.calculator-line').dataset.index, 10), 1);
+            update();
+        } else if (button.dataset.role === 'quote') {
+            saveQuote();
+        }
+    }
+
+    // Choose a tier for a product from the plan comparison
+    function selectPlan(productId, tierId) {
+        const line = state.lines.find(item => item.product === productId);
+        if (line) {
+            line.tier = tierId;
+        } else if (state.lines.length < MAX_LINES) {
+            state.lines.push({ ...defaultLine(productId), tier: tierId });
+        }
+        update();
+
+        const root = document.getElementById('priceCalculator');
+        const index = state.lines.findIndex(item => item.product === productId);
+        const target = root.querySelector(`.calculator-line[data-index="${index}"] [data-role="tier"]`);
+        root.scrollIntoView({ behavior: window.motion && motion.isReduced() ? 'auto' : 'smooth', block: 'start' });
+        if (target) target.focus({ preventScroll: true });
+    }
+
+    // ==================== QUOTE → CONTACT FORM ====================
+
+    function quoteText(summary) {
+        const lines = summary.lines.map(line => {
+            const parts = [
+                pricing.products[line.product].name,
+                tierName(line.tier),
+                i18n.t(`cart.billing.${line.billing}`),
+                i18n.t('calculator.quoteSeats', { count: line.seats })
+            ];
+            if (pricing.hasBranches(line.product)) {
+                parts.push(i18n.t('calculator.quoteBranches', { count: line.branches }));
+            }
+            const amount = line.includedIn
+                ? i18n.t('cart.includedIn', { product: pricing.products[line.includedIn].name })
+                : money(line.total, summary.currency);
+            return `- ${parts.join(' · ')}: ${amount}`;
+        });
+        const discounts = summary.discounts.map(discount => (
+            `${sauroCart.discountLabel(discount)}: -${money(discount.amount, summary.currency)}`
+        ));
+
+        return [
+            i18n.t('calculator.quoteTitle'),
+            ...lines,
+            ...discounts,
+            `${i18n.t('calculator.firstPayment')}: ${money(summary.total, summary.currency)}`
+        ].join('\n');
+    }
+
+    function quoteUrl() {
+        // Budget ranges of the contact form are in the base currency
+        const total = Math.round(quote(pricing.baseCurrency).total);
+        const params = new URLSearchParams({ asunto: 'cotizacion', presupuesto: String(total), cotizacion: '1' });
+        return `${CONTACT_URL}?${params}`;
+    }
+
+    function saveQuote() {
+        const summary = quote();
+        try {
+            sessionStorage.setItem(QUOTE_KEY, JSON.stringify({
+                text: quoteText(summary),
+                lines: state.lines,
+                code: state.code || null,
+                currency: summary.currency,
+                total: summary.total
+            }));
+        } catch (error) {
+            // The contact form still gets the subject and budget from the URL
+        }
+    }
+
+    // Option of the budget select whose range ("1000-5000", "25000+") holds the amount
+    function findBudgetOption(select, amount) {
+        return Array.from(select.options).find(option => {
+            const match = option.value.match(/^(\d+)(?:-(\d+)|\+)$/);
+            if (!match) return false;
+            return amount >= parseInt(match[1], 10) && (match[2] === undefined || amount < parseInt(match[2], 10));
+        });
+    }
+
+    function prefillContactForm(form) {
+        const params = new URLSearchParams(window.location.search);
+        const subject = form.elements.asunto;
+        const budget = form.elements.presupuesto;
+        const message = form.elements.mensaje;
+
+        if (subject && params.get('asunto') && Array.from(subject.options).some(option => option.value === params.get('asunto'))) {
+            subject.value = params.get('asunto');
+        }
+
+        const amount = parseFloat(params.get('presupuesto'));
+        if (budget && !Number.isNaN(amount)) {
+            const option = findBudgetOption(budget, amount);
+            if (option) budget.value = option.value;
+        } else if (budget && params.get('presupuesto')) {
+            budget.value = params.get('presupuesto');
+        }
+
+        if (params.get('cotizacion') && message && !message.value.trim()) {
+            try {
+                const stored = JSON.parse(sessionStorage.getItem(QUOTE_KEY));
+                if (stored && stored.text) message.value = stored.text;
+            } catch (error) {
+                // No stored quote: only the subject and budget are filled in
+            }
+        }
+    }
+
+    // ==================== PLAN COMPARISON ====================
+
+    function renderComparison() {
+        const root = document.getElementById('planComparison');
+        if (!root) return;
+
+        const focusedRole = root.contains(document.activeElement) ? document.activeElement.dataset.role : null;
+        const focusedTier = focusedRole ? document.activeElement.dataset.tier : null;
+
+        const productId = comparedProduct;
+        const product = pricing.products[productId];
+        const currency = state ? state.currency : pricing.baseCurrency;
+        const tierIds = Object.keys(pricing.tiers);
+        const perpetual = pricing.billingOptions(productId).includes('perpetual');
+        const unlimited = key => i18n.t(key);
+        const perYear = amount => `${money(amount, currency)}${i18n.t('cart.perYear')}`;
+
+        const picker = createField(i18n.t('calculator.plans.product'), createSelect('compare-product',
+            Object.entries(pricing.products).map(([id, item]) => [id, item.name]), productId));
+        picker.classList.add('plan-picker');
+
+        const rows = [
+            ['calculator.plans.yearly', tier => perYear(pricing.priceLine({ product: productId, tier }, currency).base)],
+            ['calculator.plans.perpetual', tier => (perpetual
+                ? money(pricing.priceLine({ product: productId, tier, billing: 'perpetual' }, currency).base, currency)
+                : i18n.t('calculator.plans.notAvailable'))],
+            ['calculator.plans.seatsIncluded', (tier, plan) => (plan.seatsIncluded === null ? unlimited('calculator.unlimited') : String(plan.seatsIncluded))],
+            ['calculator.plans.maxSeats', (tier, plan) => (plan.maxSeats === null ? unlimited('calculator.unlimited') : String(plan.maxSeats))],
+            ['calculator.plans.extraSeat', (tier, plan) => (plan.seatsIncluded === null
+                ? i18n.t('calculator.plans.included')
+                : perYear(pricing.convert(product.seatPrice, currency)))]
+        ];
+        if (pricing.hasBranches(productId)) {
+            rows.push(
+                ['calculator.plans.branchesIncluded', (tier, plan) => (plan.branchesIncluded === null ? unlimited('calculator.unlimitedBranches') : String(plan.branchesIncluded))],
+                ['calculator.plans.extraBranch', (tier, plan) => (plan.branchesIncluded === null
+                    ? i18n.t('calculator.plans.included')
+                    : perYear(pricing.convert(product.branchPrice, currency)))]
+            );
+        }
+        (product.includes || []).forEach(included => {
+            rows.push([null, () => i18n.t('calculator.plans.included'), pricing.products[included].name]);
+        });
+        rows.push(['calculator.plans.support', (tier, plan) => i18n.t(`calculator.plans.supportLevels.${plan.support}`)]);
+
+        const table = document.createElement('table');
+        const head = table.createTHead().insertRow();
+        const corner = document.createElement('th');
+        corner.scope = 'col';
+        corner.textContent = product.name;
+        head.appendChild(corner);
+        tierIds.forEach(tierId => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.textContent = tierName(tierId);
+            if (pricing.tiers[tierId].recommended) {
+                th.classList.add('recommended');
+                const badge = document.createElement('span');
+                badge.className = 'plan-badge';
+                badge.textContent = i18n.t('calculator.plans.recommended');
+                th.appendChild(badge);
+            }
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(([key, value, label]) => {
+            const row = body.insertRow();
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = key ? i18n.t(key) : `${i18n.t('calculator.plans.feature')} ${label}`;
+            row.appendChild(th);
+            tierIds.forEach(tierId => {
+                const cell = row.insertCell();
+                cell.textContent = value(tierId, pricing.tiers[tierId]);
+                if (pricing.tiers[tierId].recommended) cell.classList.add('recommended');
+            });
+        });
+
+        const foot = table.createTFoot().insertRow();
+        foot.appendChild(document.createElement('td'));
+        tierIds.forEach(tierId => {
+            const cell = foot.insertCell();
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-product';
+            button.dataset.role = 'choose';
+            button.dataset.tier = tierId;
+            button.textContent = i18n.t('calculator.plans.choose', { tier: tierName(tierId) });
+            cell.appendChild(button);
+        });
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'comparison-table plan-table';
+        wrapper.appendChild(table);
+
+        root.replaceChildren(picker, wrapper);
+
+        if (focusedRole) {
+            const target = root.querySelector(focusedTier
+                ? `[data-role="${focusedRole}"][data-tier="${focusedTier}"]`
+                : `[data-role="${focusedRole}"]`);
+            if (target) target.focus();
+        }
+    }
+
+    function initComparison(root) {
+        comparedProduct = root.dataset.product && pricing.products[root.dataset.product]
+            ? root.dataset.product
+            : Object.keys(pricing.products)[0];
+
+        root.addEventListener('change', e => {
+            if (e.target.dataset.role !== 'compare-product') return;
+            comparedProduct = e.target.value;
+            renderComparison();
+        });
+
+        root.addEventListener('click', e => {
+            const button = e.target.closest('[data-role="choose"]');
+            if (!button) return;
+            if (document.getElementById('priceCalculator')) {
+                selectPlan(comparedProduct, button.dataset.tier);
+            } else {
+                sauroCart.add(comparedProduct, { tier: button.dataset.tier })
+                    .then(() => { window.location.href = CART_URL; });
+            }
+        });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    function render() {
+        renderPriceTags();
+        renderCalculator();
+        renderComparison();
+    }
+
+    async function init() {
+        const contactForm = document.getElementById('contactForm');
+        if (contactForm) prefillContactForm(contactForm);
+
+        const calculator = document.getElementById('priceCalculator');
+        const comparison = document.getElementById('planComparison');
+        const hasPrices = document.querySelector('[data-price], [data-service-price]');
+        if (!calculator && !comparison && !hasPrices) return;
+
+        try {
+            pricing = await sauroCart.loadPricing();
+        } catch (error) {
+            // The static prices in the HTML stay in place
+            console.error('Price list error:', error);
+            if (calculator) calculator.textContent = i18n.t('cart.priceError');
+            return;
+        }
+
+        if (calculator) {
+            state = readState();
+            calculator.addEventListener('change', handleCalculatorChange);
+            calculator.addEventListener('click', handleCalculatorClick);
+        }
+        if (comparison) initComparison(comparison);
+
+        render();
+        window.addEventListener('i18n:change', render);
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    window.sauroCalculator = {
+        selectPlan: (productId, tierId) => state && selectPlan(productId, tierId),
+        getQuote: () => (state ? quote() : null)
+    };
+})();
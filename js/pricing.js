@@ -0,0 +1,218 @@
+// ==================== PRICING ====================
+// Prices for the products in data/pricing.json. The same file runs in the
+// browser (window.sauroPricing) and in the dev server (require), so the
+// server recomputes every order instead of trusting the totals it receives.
+//
+// A line is { product, tier, seats, branches, billing }; branches and
+// billing are optional (1 and "annual"). Price of a line:
+//   (product.price × tier.multiplier
+//    + seats above tier.seatsIncluded × product.seatPrice
+//    + branches above tier.branchesIncluded × product.branchPrice) × billing.multiplier
+// Tiers with seatsIncluded / branchesIncluded: null have no limit, and
+// products without a branchPrice are priced for a single branch.
+//
+// priceCart() then applies the bundles and the best discount of each type
+// in priceList.discounts. A line with product.includes covers one line of
+// each included product, as long as that line has the same billing and
+// does not go beyond its tier (by multiplier), seats or branches; every
+// other line is charged. Discount types: "products" (paid products in the
+// cart), "seats" (seats across the cart) and "code" (promotional code).
+//
+// Amounts are computed in the base currency (USD) and converted per line,
+// rounded to cents, so the lines of a summary always add up to its total.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.sauroPricing = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_BILLING = 'annual';
+
+    function toCents(amount) {
+        return Math.round(amount * 100);
+    }
+
+    function createPricing(priceList) {
+        const { products, tiers, currencies, baseCurrency } = priceList;
+        const billing = priceList.billing || { [DEFAULT_BILLING]: { multiplier: 1 } };
+        const discounts = priceList.discounts || [];
+
+        // Own keys only: "constructor" or "toString" are not products or tiers
+        function has(map, key) {
+            return typeof key === 'string' && Object.hasOwn(map, key);
+        }
+
+        // Billing options a product can be bought with
+        function billingOptions(productId) {
+            const product = has(products, productId) ? products[productId] : null;
+            return product ? product.billing || [DEFAULT_BILLING] : [];
+        }
+
+        function hasBranches(productId) {
+            const product = has(products, productId) ? products[productId] : null;
+            return !!(product && product.branchPrice);
+        }
+
+        function isValidLine(line) {
+            return !!(line && has(products, line.product) && has(tiers, line.tier)
+                && billingOptions(line.product).includes(line.billing || DEFAULT_BILLING));
+        }
+
+        // Seats within what the tier allows (at least 1)
+        function clampSeats(tierId, seats) {
+            const tier = tiers[tierId];
+            const value = Math.max(1, parseInt(seats, 10) || 1);
+            return tier && tier.maxSeats ? Math.min(value, tier.maxSeats) : value;
+        }
+
+        // Branches within what the tier allows; 1 for products without branches
+        function clampBranches(tierId, branches, productId) {
+            if (productId && !hasBranches(productId)) return 1;
+            const tier = tiers[tierId];
+            const value = Math.max(1, parseInt(branches, 10) || 1);
+            return tier && tier.maxBranches ? Math.min(value, tier.maxBranches) : value;
+        }
+
+        function convert(amount, currency = baseCurrency) {
+            const rate = (currencies[currency] || currencies[baseCurrency]).rate;
+            return toCents(amount * rate) / 100;
+        }
+
+        function extra(count, included) {
+            return included === null || included === undefined ? 0 : Math.max(0, count - included);
+        }
+
+        function priceLine(line, currency = baseCurrency) {
+            if (!isValidLine(line)) {
+                throw new Error(`Unknown product, tier or billing: ${line && line.product}/${line && line.tier}/${line && line.billing}`);
+            }
+
+            const product = products[line.product];
+            const tier = tiers[line.tier];
+            const billingId = line.billing || DEFAULT_BILLING;
+            const multiplier = billing[billingId].multiplier;
+            const seats = clampSeats(line.tier, line.seats);
+            const branches = clampBranches(line.tier, line.branches, line.product);
+            const extraSeats = extra(seats, tier.seatsIncluded);
+            const extraBranches = hasBranches(line.product) ? extra(branches, tier.branchesIncluded) : 0;
+
+            const base = convert(product.price * tier.multiplier * multiplier, currency);
+            const seatsTotal = convert(extraSeats * product.seatPrice * multiplier, currency);
+            const branchesTotal = convert(extraBranches * (product.branchPrice || 0) * multiplier, currency);
+
+            return {
+                product: line.product,
+                tier: line.tier,
+                billing: billingId,
+                seats,
+                extraSeats,
+                branches,
+                extraBranches,
+                base,
+                seatsTotal,
+                branchesTotal,
+                total: (toCents(base) + toCents(seatsTotal) + toCents(branchesTotal)) / 100,
+                includedIn: null
+            };
+        }
+
+        // Best discount of each type that the priced lines qualify for
+        function findDiscounts(lines, code) {
+            const paid = lines.filter(line => !line.includedIn);
+            const counts = {
+                products: new Set(paid.map(line => line.product)).size,
+                seats: paid.reduce((sum, line) => sum + line.seats, 0)
+            };
+            const normalizedCode = String(code || '').trim().toUpperCase();
+            const best = {};
+
+            discounts.forEach(discount => {
+                const applies = discount.type === 'code'
+                    ? !!normalizedCode && discount.code.toUpperCase() === normalizedCode
+                    : counts[discount.type] >= discount.min;
+                if (applies && (!best[discount.type] || discount.percent > best[discount.type].percent)) {
+                    best[discount.type] = discount;
+                }
+            });
+            return Object.values(best);
+        }
+
+        function coversLine(bundle, line) {
+            return tiers[line.tier].multiplier <= tiers[bundle.tier].multiplier
+                && line.seats <= bundle.seats
+                && line.branches <= bundle.branches
+                && line.billing === bundle.billing;
+        }
+
+        // Most expensive lines first, so each bundle covers the biggest
+        // line it can
+        function applyBundles(priced) {
+            const covered = new Map(); // bundle line -> products it already covers
+
+            priced.slice().sort((a, b) => b.total - a.total).forEach(line => {
+                if (covered.has(line)) return;
+                const bundle = priced.find(other => (
+                    other !== line && !other.includedIn
+                    && (products[other.product].includes || []).includes(line.product)
+                    && !(covered.get(other) || []).includes(line.product)
+                    && coversLine(other, line)
+                ));
+                if (!bundle) return;
+
+                covered.set(bundle, [...(covered.get(bundle) || []), line.product]);
+                Object.assign(line, { base: 0, seatsTotal: 0, branchesTotal: 0, total: 0, includedIn: bundle.product });
+            });
+        }
+
+        // options: { code } for promotional codes
+        function priceCart(lines, currency = baseCurrency, options = {}) {
+            const priced = lines.filter(isValidLine).map(line => priceLine(line, currency));
+
+            applyBundles(priced);
+
+            const subtotalCents = priced.reduce((sum, line) => sum + toCents(line.total), 0);
+            const applied = findDiscounts(priced, options.code).map(discount => ({
+                id: discount.id,
+                type: discount.type,
+                min: discount.min || null,
+                code: discount.code || null,
+                percent: discount.percent,
+                amount: Math.round(subtotalCents * discount.percent / 100) / 100
+            }));
+            const discountCents = Math.min(subtotalCents, applied.reduce((sum, discount) => sum + toCents(discount.amount), 0));
+
+            return {
+                currency,
+                lines: priced,
+                subtotal: subtotalCents / 100,
+                discounts: applied,
+                total: (subtotalCents - discountCents) / 100
+            };
+        }
+
+        return {
+            products,
+            tiers,
+            currencies: Object.keys(currencies),
+            baseCurrency,
+            services: priceList.services || {},
+            billingOptions,
+            hasBranches,
+            isValidLine,
+            clampSeats,
+            clampBranches,
+            convert,
+            priceLine,
+            priceCart
+        };
+    }
+
+    // options: extra Intl.NumberFormat options (e.g. whole amounts)
+    function formatMoney(amount, currency, locale, options = {}) {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency, ...options }).format(amount);
+    }
+
+    return { createPricing, formatMoney };
+});
@@ -0,0 +1,424 @@
+// ==================== QUOTE REQUEST ====================
+// pages/cotizacion.html: the quote request wizard (js/wizard.js) sent to
+// /api/quotes. The service buttons in pages/servicios.html link to
+// cotizacion.html?servicio=<id>, which opens the wizard on the scope
+// questions of that service.
+
+(function () {
+    i18n.addMessages({
+        es: {
+            quote: {
+                title: 'Solicita una Cotización',
+                subtitle: 'Cuéntanos qué necesitas en cinco pasos y te enviaremos una propuesta',
+                steps: {
+                    servicio: 'Servicio',
+                    alcance: 'Alcance',
+                    presupuesto: 'Presupuesto y plazos',
+                    contacto: 'Tus datos',
+                    revision: 'Revisión'
+                },
+                intro: {
+                    servicio: '¿Qué servicio te interesa?',
+                    alcance: 'Unas preguntas para dimensionar el proyecto',
+                    presupuesto: 'Así ajustamos la propuesta a lo que necesitas',
+                    contacto: '¿Cómo te contactamos?',
+                    revision: 'Revisa tus respuestas antes de enviarlas'
+                },
+                service: 'Servicio *',
+                services: {
+                    desarrollo: 'Desarrollo de Software a Medida',
+                    soporte: 'Soporte Técnico Empresarial',
+                    cloud: 'Soluciones Cloud',
+                    consultoria: 'Consultoría TI',
+                    ecommerce: 'E-commerce',
+                    bi: 'Business Intelligence'
+                },
+                select: 'Selecciona una opción',
+                yes: 'Sí',
+                desarrollo: {
+                    type: 'Tipo de aplicación *',
+                    types: {
+                        web: 'Aplicación web',
+                        movil: 'Aplicación móvil',
+                        escritorio: 'Software de escritorio',
+                        integracion: 'Integración de sistemas'
+                    },
+                    users: '¿Cuántas personas la usarán? *',
+                    design: '¿Tienes el diseño o maquetas? *',
+                    noDesign: 'No, también lo necesito'
+                },
+                soporte: {
+                    systems: '¿Qué sistemas o equipos debemos cubrir? *',
+                    coverage: 'Horario de cobertura *',
+                    coverages: {
+                        laboral: 'Horario laboral',
+                        extendido: 'Horario extendido y fines de semana',
+                        '24-7': '24/7'
+                    },
+                    devices: 'Cantidad de equipos o usuarios *'
+                },
+                cloud: {
+                    type: '¿Qué necesitas? *',
+                    types: {
+                        migracion: 'Migrar sistemas a la nube',
+                        infraestructura: 'Infraestructura nueva',
+                        backups: 'Backups y recuperación',
+                        optimizacion: 'Reducir costos de la nube actual'
+                    },
+                    provider: 'Proveedor *',
+                    noPreference: 'Sin preferencia',
+                    servers: 'Servidores actuales'
+                },
+                consultoria: {
+                    area: 'Área *',
+                    areas: {
+                        transformacion: 'Transformación digital',
+                        seguridad: 'Seguridad informática',
+                        arquitectura: 'Arquitectura de sistemas',
+                        procesos: 'Optimización de procesos'
+                    },
+                    hours: 'Horas estimadas',
+                    mode: 'Modalidad *',
+                    modes: {
+                        remota: 'Remota',
+                        presencial: 'Presencial en Cochabamba'
+                    }
+                },
+                ecommerce: {
+                    platform: 'Plataforma actual *',
+                    platforms: {
+                        ninguna: 'Todavía no vendo en línea',
+                        otra: 'Otra'
+                    },
+                    products: 'Cantidad de productos *',
+                    productsOver: 'Más de 1.000',
+                    payments: 'Pagos en línea *',
+                    paymentOptions: {
+                        tarjeta: 'Tarjetas de crédito y débito',
+                        qr: 'Pagos con QR',
+                        todos: 'Tarjetas, QR y transferencias',
+                        ninguno: 'Sin pagos en línea'
+                    }
+                },
+                bi: {
+                    sources: 'Fuentes de datos *',
+                    sourcesPlaceholder: 'ERP, Excel, bases de datos...',
+                    reports: '¿Cuántos reportes o dashboards? *',
+                    users: 'Usuarios que los consultarán'
+                },
+                description: 'Describe tu proyecto *',
+                descriptionPlaceholder: '¿Qué problema quieres resolver? ¿Qué sistemas usas hoy?',
+                budget: 'Presupuesto estimado *',
+                timeline: 'Plazo *',
+                timelines: {
+                    urgente: 'Lo antes posible (menos de 1 mes)',
+                    '1-3': 'De 1 a 3 meses',
+                    '3-6': 'De 3 a 6 meses',
+                    flexible: 'Sin fecha definida'
+                },
+                start: '¿Desde cuándo lo necesitas?',
+                startPast: 'La fecha no puede ser anterior a hoy',
+                company: 'Empresa',
+                preferred: '¿Cómo prefieres que te contactemos?',
+                phoneCall: 'Llamada',
+                comments: 'Comentarios adicionales',
+                submit: 'Enviar Solicitud',
+                sent: 'Solicitud {id} enviada',
+                doneTitle: 'Tu número de solicitud es',
+                doneHint: 'Te enviaremos una propuesta a {email} en un máximo de 2 días hábiles.',
+                again: 'Solicitar otra cotización'
+            }
+        },
+        en: {
+            quote: {
+                title: 'Request a Quote',
+                subtitle: 'Tell us what you need in five steps and we will send you a proposal',
+                steps: {
+                    servicio: 'Service',
+                    alcance: 'Scope',
+                    presupuesto: 'Budget and timeline',
+                    contacto: 'Your details',
+                    revision: 'Review'
+                },
+                intro: {
+                    servicio: 'Which service are you interested in?',
+                    alcance: 'A few questions to size the project',
+                    presupuesto: 'This helps us fit the proposal to your needs',
+                    contacto: 'How can we reach you?',
+                    revision: 'Check your answers before sending them'
+                },
+                service: 'Service *',
+                services: {
+                    desarrollo: 'Custom Software Development',
+                    soporte: 'Business Technical Support',
+                    cloud: 'Cloud Solutions',
+                    consultoria: 'IT Consulting',
+                    ecommerce: 'E-commerce',
+                    bi: 'Business Intelligence'
+                },
+                select: 'Select an option',
+                yes: 'Yes',
+                desarrollo: {
+                    type: 'Type of application *',
+                    types: {
+                        web: 'Web application',
+                        movil: 'Mobile app',
+                        escritorio: 'Desktop software',
+                        integracion: 'Systems integration'
+                    },
+                    users: 'How many people will use it? *',
+                    design: 'Do you have a design or mockups? *',
+                    noDesign: 'No, I need that too'
+                },
+                soporte: {
+                    systems: 'Which systems or devices should we cover? *',
+                    coverage: 'Coverage hours *',
+                    coverages: {
+                        laboral: 'Business hours',
+                        extendido: 'Extended hours and weekends',
+                        '24-7': '24/7'
+                    },
+                    devices: 'Number of devices or users *'
+                },
+                cloud: {
+                    type: 'What do you need? *',
+                    types: {
+                        migracion: 'Move systems to the cloud',
+                        infraestructura: 'New infrastructure',
+                        backups: 'Backups and recovery',
+                        optimizacion: 'Lower the cost of my current cloud'
+                    },
+                    provider: 'Provider *',
+                    noPreference: 'No preference',
+                    servers: 'Current servers'
+                },
+                consultoria: {
+                    area: 'Area *',
+                    areas: {
+                        transformacion: 'Digital transformation',
+                        seguridad: 'IT security',
+                        arquitectura: 'Systems architecture',
+                        procesos: 'Process optimization'
+                    },
+                    hours: 'Estimated hours',
+                    mode: 'Format *',
+                    modes: {
+                        remota: 'Remote',
+                        presencial: 'On site in Cochabamba'
+                    }
+                },
+                ecommerce: {
+                    platform: 'Current platform *',
+                    platforms: {
+                        ninguna: 'I do not sell online yet',
+                        otra: 'Other'
+                    },
+                    products: 'Number of products *',
+                    productsOver: 'More than 1,000',
+                    payments: 'Online payments *',
+                    paymentOptions: {
+                        tarjeta: 'Credit and debit cards',
+                        qr: 'QR payments',
+                        todos: 'Cards, QR and bank transfers',
+                        ninguno: 'No online payments'
+                    }
+                },
+                bi: {
+                    sources: 'Data sources *',
+                    sourcesPlaceholder: 'ERP, Excel, databases...',
+                    reports: 'How many reports or dashboards? *',
+                    users: 'Users who will view them'
+                },
+                description: 'Describe your project *',
+                descriptionPlaceholder: 'What problem do you want to solve? Which systems do you use today?',
+                budget: 'Estimated budget *',
+                timeline: 'Timeline *',
+                timelines: {
+                    urgente: 'As soon as possible (under 1 month)',
+                    '1-3': '1 to 3 months',
+                    '3-6': '3 to 6 months',
+                    flexible: 'No fixed date'
+                },
+                start: 'When do you need it from?',
+                startPast: 'The date cannot be earlier than today',
+                company: 'Company',
+                preferred: 'How would you like us to contact you?',
+                phoneCall: 'Phone call',
+                comments: 'Additional comments',
+                submit: 'Send Request',
+                sent: 'Request {id} sent',
+                doneTitle: 'Your request number is',
+                doneHint: 'We will send a proposal to {email} within 2 business days.',
+                again: 'Request another quote'
+            }
+        },
+        pt: {
+            quote: {
+                title: 'Solicite um Orçamento',
+                subtitle: 'Conte o que você precisa em cinco passos e enviaremos uma proposta',
+                steps: {
+                    servicio: 'Serviço',
+                    alcance: 'Escopo',
+                    presupuesto: 'Orçamento e prazos',
+                    contacto: 'Seus dados',
+                    revision: 'Revisão'
+                },
+                intro: {
+                    servicio: 'Qual serviço interessa a você?',
+                    alcance: 'Algumas perguntas para dimensionar o projeto',
+                    presupuesto: 'Assim ajustamos a proposta ao que você precisa',
+                    contacto: 'Como entramos em contato?',
+                    revision: 'Revise suas respostas antes de enviá-las'
+                },
+                service: 'Serviço *',
+                services: {
+                    desarrollo: 'Desenvolvimento de Software Sob Medida',
+                    soporte: 'Suporte Técnico Empresarial',
+                    cloud: 'Soluções Cloud',
+                    consultoria: 'Consultoria de TI',
+                    ecommerce: 'E-commerce',
+                    bi: 'Business Intelligence'
+                },
+                select: 'Selecione uma opção',
+                yes: 'Sim',
+                desarrollo: {
+                    type: 'Tipo de aplicação *',
+                    types: {
+                        web: 'Aplicação web',
+                        movil: 'Aplicativo móvel',
+                        escritorio: 'Software desktop',
+                        integracion: 'Integração de sistemas'
+                    },
+                    users: 'Quantas pessoas vão usá-la? *',
+                    design: 'Você tem o design ou protótipos? *',
+                    noDesign: 'Não, também preciso disso'
+                },
+                soporte: {
+                    systems: 'Quais sistemas ou equipamentos devemos cobrir? *',
+                    coverage: 'Horário de cobertura *',
+                    coverages: {
+                        laboral: 'Horário comercial',
+                        extendido: 'Horário estendido e fins de semana',
+                        '24-7': '24/7'
+                    },
+                    devices: 'Quantidade de equipamentos ou usuários *'
+                },
+                cloud: {
+                    type: 'Do que você precisa? *',
+                    types: {
+                        migracion: 'Migrar sistemas para a nuvem',
+                        infraestructura: 'Infraestrutura nova',
+                        backups: 'Backups e recuperação',
+                        optimizacion: 'Reduzir custos da nuvem atual'
+                    },
+                    provider: 'Provedor *',
+                    noPreference: 'Sem preferência',
+                    servers: 'Servidores atuais'
+                },
+                consultoria: {
+                    area: 'Área *',
+                    areas: {
+                        transformacion: 'Transformação digital',
+                        seguridad: 'Segurança da informação',
+                        arquitectura: 'Arquitetura de sistemas',
+                        procesos: 'Otimização de processos'
+                    },
+                    hours: 'Horas estimadas',
+                    mode: 'Modalidade *',
+                    modes: {
+                        remota: 'Remota',
+                        presencial: 'Presencial em Cochabamba'
+                    }
+                },
+                ecommerce: {
+                    platform: 'Plataforma atual *',
+                    platforms: {
+                        ninguna: 'Ainda não vendo online',
+                        otra: 'Outra'
+                    },
+                    products: 'Quantidade de produtos *',
+                    productsOver: 'Mais de 1.000',
+                    payments: 'Pagamentos online *',
+                    paymentOptions: {
+                        tarjeta: 'Cartões de crédito e débito',
+                        qr: 'Pagamentos com QR',
+                        todos: 'Cartões, QR e transferências',
+                        ninguno: 'Sem pagamentos online'
+                    }
+                },
+                bi: {
+                    sources: 'Fontes de dados *',
+                    sourcesPlaceholder: 'ERP, Excel, bancos de dados...',
+                    reports: 'Quantos relatórios ou dashboards? *',
+                    users: 'Usuários que vão consultá-los'
+                },
+                description: 'Descreva seu projeto *',
+                descriptionPlaceholder: 'Que problema você quer resolver? Quais sistemas usa hoje?',
+                budget: 'Orçamento estimado *',
+                timeline: 'Prazo *',
+                timelines: {
+                    urgente: 'O quanto antes (menos de 1 mês)',
+                    '1-3': 'De 1 a 3 meses',
+                    '3-6': 'De 3 a 6 meses',
+                    flexible: 'Sem data definida'
+                },
+                start: 'A partir de quando você precisa?',
+                startPast: 'A data não pode ser anterior a hoje',
+                company: 'Empresa',
+                preferred: 'Como prefere que entremos em contato?',
+                phoneCall: 'Ligação',
+                comments: 'Comentários adicionais',
+                submit: 'Enviar Solicitação',
+                sent: 'Solicitação {id} enviada',
+                doneTitle: 'O número da sua solicitação é',
+                doneHint: 'Enviaremos uma proposta para {email} em até 2 dias úteis.',
+                again: 'Solicitar outro orçamento'
+            }
+        }
+    });
+
+    // Local date as YYYY-MM-DD, the format of <input type="date">
+    function today() {
+        const now = new Date();
+        now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+        return now.toISOString().slice(0, 10);
+    }
+
+    function renderDone(form, id, email) {
+        const container = document.getElementById('quoteDone');
+
+        const title = document.createElement('p');
+        title.textContent = i18n.t('quote.doneTitle');
+        const number = document.createElement('strong');
+        number.textContent = id;
+        const hint = document.createElement('p');
+        hint.textContent = i18n.t('quote.doneHint', { email });
+
+        const again = document.createElement('button');
+        again.type = 'button';
+        again.className = 'btn-wizard';
+        again.textContent = i18n.t('quote.again');
+        again.addEventListener('click', () => {
+            container.hidden = true;
+            form.hidden = false;
+        });
+
+        container.replaceChildren(title, number, hint, again);
+        container.hidden = false;
+        form.hidden = true;
+        again.focus();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const form = document.getElementById('quoteForm');
+        if (!form) return;
+
+        form.elements.inicio.min = today();
+
+        formWizard.create(form, {
+            successMessage: response => i18n.t('quote.sent', { id: response.id }),
+            onSuccess: (data, response) => renderDone(form, response.id, data.email)
+        });
+        formUtils.trackFormInteraction('quoteForm');
+    });
+})();
@@ -0,0 +1,431 @@
+// ==================== SITE SEARCH ====================
+// Search overlay for every page. It queries data/search-index.json, built
+// by scripts/build-search-index.js, entirely in the browser, so it works
+// on static hosting and offline (the service worker precaches the index).
+//
+// Opens from the search button added to the header, with Ctrl+K / Cmd+K,
+// or with "/" when the focus is not in a text field.
+
+(function () {
+    const { el, icon, siteUrl } = sauroUtils;
+
+    const script = document.currentScript;
+    const INDEX_URL = (script && script.dataset.index) || siteUrl('data/search-index.json');
+    const MAX_RESULTS = 12;
+    const SNIPPET_LENGTH = 160;
+    const SEARCH_DELAY = 100;
+
+    // Where a term is found weighs differently
+    const WEIGHTS = { title: 5, page: 2, text: 1 };
+    const TYPE_ICONS = { page: 'fa-file-alt', faq: 'fa-question-circle', download: 'fa-download', video: 'fa-play-circle' };
+
+    let indexPromise = null;
+    let elements = null;
+    let results = [];
+    let activeIndex = -1;
+    let lastFocus = null;
+
+    i18n.addMessages({
+        es: {
+            search: {
+                open: 'Buscar en el sitio',
+                label: 'Buscar',
+                placeholder: 'Buscar páginas, preguntas y descargas...',
+                close: 'Cerrar búsqueda',
+                loading: 'Cargando índice de búsqueda...',
+                loadError: 'No pudimos cargar la búsqueda. Intenta nuevamente más tarde.',
+                empty: 'Sin resultados para "{query}".',
+                results: {
+                    one: '{count} resultado',
+                    other: '{count} resultados'
+                },
+                hint: '↑ ↓ para moverte · Enter para abrir · Esc para cerrar',
+                types: { page: 'Página', faq: 'Pregunta frecuente', download: 'Descarga', video: 'Video tutorial' }
+            }
+        },
+        en: {
+            search: {
+                open: 'Search the site',
+                label: 'Search',
+                placeholder: 'Search pages, questions and downloads...',
+                close: 'Close search',
+                loading: 'Loading search index...',
+                loadError: 'We could not load the search. Please try again later.',
+                empty: 'No results for "{query}".',
+                results: {
+                    one: '{count} result',
+                    other: '{count} results'
+                },
+                hint: '↑ ↓ to move · Enter to open · Esc to close',
+                types: { page: 'Page', faq: 'FAQ', download: 'Download', video: 'Video tutorial' }
+            }
+        },
+        pt: {
+            search: {
+                open: 'Pesquisar no site',
+                label: 'Pesquisar',
+                placeholder: 'Pesquisar páginas, perguntas e downloads...',
+                close: 'Fechar pesquisa',
+                loading: 'Carregando índice de pesquisa...',
+                loadError: 'Não foi possível carregar a pesquisa. Tente novamente mais tarde.',
+                empty: 'Nenhum resultado para "{query}".',
+                results: {
+                    one: '{count} resultado',
+                    other: '{count} resultados'
+                },
+                hint: '↑ ↓ para navegar · Enter para abrir · Esc para fechar',
+                types: { page: 'Página', faq: 'Pergunta frequente', download: 'Download', video: 'Tutorial em vídeo' }
+            }
+        }
+    });
+
+    // ==================== INDEX ====================
+
+    // One character in, one character out, so positions in the folded text
+    // are also positions in the original (needed for snippets)
+    function fold(text) {
+        return String(text || '')
+            .split('')
+            .map(char => char.normalize('NFD')[0].toLowerCase()[0])
+            .join('');
+    }
+
+    function tokenize(text) {
+        return fold(text).match(/[a-z0-9]+/g) || [];
+    }
+
+    function loadIndex() {
+        if (!indexPromise) {
+            indexPromise = fetch(INDEX_URL)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                // Document URLs are relative to the site root
+                .then(index => index.documents.map(doc => ({
+                    ...doc,
+                    url: siteUrl(doc.url),
+                    folded: { title: fold(doc.title), page: fold(doc.page), text: fold(doc.text) }
+                })))
+                .catch(error => {
+                    indexPromise = null;
+                    throw error;
+                });
+        }
+        return indexPromise;
+    }
+
+    // ==================== RANKING ====================
+
+    // A term counts at the start of a word ("instal" → "instalación");
+    // matches inside a word count half
+    function fieldScore(folded, term) {
+        const start = new RegExp(`(^|[^a-z0-9])${term}`).test(folded);
+        if (start) return 1;
+        return folded.includes(term) ? 0.5 : 0;
+    }
+
+    // Every term has to appear somewhere in the document
+    function scoreDocument(doc, terms) {
+        let total = 0;
+        for (const term of terms) {
+            const score = Object.entries(WEIGHTS)
+                .reduce((sum, [field, weight]) => sum + fieldScore(doc.folded[field], term) * weight, 0);
+            if (!score) return 0;
+            total += score;
+        }
+        // The whole query as typed, in the title, ranks first
+        if (terms.length > 1 && doc.folded.title.includes(terms.join(' '))) total += WEIGHTS.title;
+        return total;
+    }
+
+    function search(documents, query) {
+        const terms = [...new Set(tokenize(query))];
+        if (!terms.length) return [];
+
+        return documents
+            .map(doc => ({ doc, score: scoreDocument(doc, terms) }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS)
+            .map(item => ({ ...item.doc, terms }));
+    }
+
+    // ==================== RENDER ====================
+
+    // Text with every occurrence of the terms wrapped in <mark>
+    function highlight(text, terms) {
+        const folded = fold(text);
+        const ranges = [];
+
+        terms.forEach(term => {
+            let position = folded.indexOf(term);
+            while (position !== -1) {
+                ranges.push([position, position + term.length]);
+                position = folded.indexOf(term, position + term.length);
+            }
+        });
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        ranges.forEach(([start, end]) => {
+            if (start < last) return;
+            fragment.appendChild(document.createTextNode(text.slice(last, start)));
+            fragment.appendChild(el('mark', { text: text.slice(start, end) }));
+            last = end;
+        });
+        fragment.appendChild(document.createTextNode(text.slice(last)));
+        return fragment;
+    }
+
+    // A window of the text around the first match
+    function snippet(doc) {
+        const positions = doc.terms.map(term => doc.folded.text.indexOf(term)).filter(position => position !== -1);
+        const first = positions.length ? Math.min(...positions) : 0;
+
+        let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+        if (start > 0) start = doc.text.indexOf(' ', start) + 1 || start;
+        const end = Math.min(doc.text.length, start + SNIPPET_LENGTH);
+
+        return `${start > 0 ? '…' : ''}${doc.text.slice(start, end).trim()}${end < doc.text.length ? '…' : ''}`;
+    }
+
+    function renderResults(query) {
+        const { list, status } = elements;
+        list.replaceChildren(...results.map((doc, index) => {
+            const option = el('li', {
+                id: `search-result-${index}`,
+                role: 'option',
+                className: 'search-result',
+                'aria-selected': 'false'
+            }, [
+                el('a', { href: doc.url, tabindex: '-1' }, [
+                    el('span', { className: 'search-result-meta' }, [
+                        icon(`fas ${TYPE_ICONS[doc.type] || TYPE_ICONS.page}`),
+                        document.createTextNode(` ${doc.page} · ${i18n.t(`search.types.${doc.type}`)}`)
+                    ]),
+                    el('span', { className: 'search-result-title' }, [highlight(doc.title, doc.terms)]),
+                    doc.text && el('span', { className: 'search-result-snippet' }, [highlight(snippet(doc), doc.terms)])
+                ])
+            ]);
+            option.addEventListener('mousemove', () => setActive(index));
+            return option;
+        }));
+
+        list.hidden = !results.length;
+        elements.input.setAttribute('aria-expanded', String(results.length > 0));
+        setActive(results.length ? 0 : -1);
+
+        if (!query.trim()) {
+            status.textContent = '';
+        } else if (!results.length) {
+            status.textContent = i18n.t('search.empty', { query: query.trim() });
+        } else {
+            status.textContent = i18n.t('search.results', { count: results.length });
+        }
+    }
+
+    function setActive(index) {
+        const options = elements.list.querySelectorAll('[role="option"]');
+        options.forEach((option, i) => option.setAttribute('aria-selected', String(i === index)));
+        activeIndex = index;
+
+        if (index >= 0) {
+            elements.input.setAttribute('aria-activedescendant', options[index].id);
+            options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    function runSearch() {
+        const query = elements.input.value;
+        elements.status.textContent = i18n.t('search.loading');
+
+        loadIndex()
+            .then(documents => {
+                // Ignore answers to queries the user already changed
+                if (query !== elements.input.value) return;
+                results = search(documents, query);
+                renderResults(query);
+            })
+            .catch(error => {
+                console.error('Search index error:', error);
+                elements.status.textContent = i18n.t('search.loadError');
+            });
+    }
+
+    // ==================== OVERLAY ====================
+
+    function buildOverlay() {
+        const overlay = el('div', {
+            className: 'search-overlay',
+            role: 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': 'searchDialogLabel',
+            hidden: true
+        });
+
+        overlay.innerHTML = `
+            <div class="search-dialog">
+                <div class="search-box">
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <label id="searchDialogLabel" for="siteSearchInput" class="visually-hidden"></label>
+                    <input type="search" id="siteSearchInput" autocomplete="off" spellcheck="false"
+                        role="combobox" aria-autocomplete="list" aria-controls="siteSearchResults" aria-expanded="false">
+                    <button type="button" class="search-close"><i class="fas fa-times" aria-hidden="true"></i></button>
+                </div>
+                <p class="search-status" role="status" aria-live="polite"></p>
+                <ul class="search-results" id="siteSearchResults" role="listbox" hidden></ul>
+                <p class="search-hint"></p>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        elements = {
+            ...elements,
+            overlay,
+            label: overlay.querySelector('#searchDialogLabel'),
+            input: overlay.querySelector('#siteSearchInput'),
+            closeBtn: overlay.querySelector('.search-close'),
+            status: overlay.querySelector('.search-status'),
+            list: overlay.querySelector('.search-results'),
+            hint: overlay.querySelector('.search-hint')
+        };
+
+        let searchTimer = null;
+        elements.input.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+        });
+        elements.input.addEventListener('keydown', handleInputKeydown);
+        elements.closeBtn.addEventListener('click', close);
+        // Results on the current page only change the hash: close explicitly
+        elements.list.addEventListener('click', e => {
+            if (e.target.closest('a')) close(false);
+        });
+
+        // Click on the backdrop closes; inside the dialog it does not
+        overlay.addEventListener('click', e => {
+            if (e.target === overlay) close();
+        });
+        overlay.addEventListener('keydown', trapFocus);
+
+        translate();
+    }
+
+    function translate() {
+        if (elements.toggle) {
+            elements.toggle.setAttribute('aria-label', i18n.t('search.open'));
+            elements.toggle.title = `${i18n.t('search.open')} (Ctrl+K)`;
+        }
+        if (!elements.overlay) return;
+
+        elements.label.textContent = i18n.t('search.label');
+        elements.input.placeholder = i18n.t('search.placeholder');
+        elements.closeBtn.setAttribute('aria-label', i18n.t('search.close'));
+        elements.hint.textContent = i18n.t('search.hint');
+        if (!elements.overlay.hidden && elements.input.value) renderResults(elements.input.value);
+    }
+
+    function handleInputKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (!results.length) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActive((activeIndex + step + results.length) % results.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[activeIndex]) navigate(results[activeIndex].url);
+        }
+    }
+
+    // Keep Tab inside the dialog while it is open
+    function trapFocus(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = [elements.input, elements.closeBtn];
+        const index = focusable.indexOf(document.activeElement);
+        e.preventDefault();
+        focusable[(index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length].focus();
+    }
+
+    function navigate(url) {
+        close(false);
+        window.location.href = url;
+    }
+
+    function open() {
+        if (!elements.overlay) buildOverlay();
+        if (!elements.overlay.hidden) return;
+
+        lastFocus = document.activeElement;
+        elements.overlay.hidden = false;
+        document.body.classList.add('search-open');
+        elements.input.focus();
+        elements.input.select();
+
+        // Start downloading the index while the user types
+        loadIndex().catch(() => {});
+    }
+
+    function close(restoreFocus = true) {
+        if (!elements.overlay || elements.overlay.hidden) return;
+
+        elements.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+        if (restoreFocus && lastFocus && lastFocus.focus) lastFocus.focus();
+    }
+
+    // ==================== SHORTCUTS ====================
+
+    function isTyping(target) {
+        return target.isContentEditable || /^(input|textarea|select)$/i.test(target.tagName);
+    }
+
+    function handleShortcut(e) {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (elements.overlay && !elements.overlay.hidden) {
+                close();
+            } else {
+                open();
+            }
+        } else if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !isTyping(e.target)) {
+            e.preventDefault();
+            open();
+        }
+    }
+
+    // ==================== INITIALIZE ====================
+
+    function init() {
+        elements = {};
+
+        const nav = document.querySelector('#header nav');
+        if (nav) {
+            const toggle = el('button', { type: 'button', className: 'search-toggle' }, [icon('fas fa-search')]);
+            toggle.addEventListener('click', open);
+            nav.insertBefore(toggle, document.getElementById('menuToggle'));
+            elements.toggle = toggle;
+        }
+
+        translate();
+        document.addEventListener('keydown', handleShortcut);
+        window.addEventListener('i18n:change', translate);
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+
+    window.sauroSearch = {
+        open,
+        close,
+        search: query => loadIndex().then(documents => search(documents, query))
+    };
+})();
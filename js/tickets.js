@@ -0,0 +1,482 @@
+// ==================== SUPPORT TICKETS ====================
+// pages/tickets.html: "Crear ticket" sends the form to /api/tickets
+// through formUtils.handleFormSubmission (validation, retries and the
+// offline queue included) and shows the ticket number; "Consultar ticket"
+// asks GET /api/tickets?id=&email= for the status history.
+//
+// The panels follow the hash (#crear / #consultar) so other pages can
+// link straight to either one; ?ticket=TK-000001 pre-fills the lookup.
+
+(function () {
+    const TICKETS_ENDPOINT = '/api/tickets';
+    const STORAGE_KEY = 'sauro-last-ticket';
+    const STATUSES = ['abierto', 'en_progreso', 'resuelto'];
+    // The same catalogs server/routes/tickets.js accepts products from
+    const CATALOG_URLS = ['data/pricing.json', 'data/downloads.json'].map(path => sauroUtils.siteUrl(path));
+    const OTHER_PRODUCT = 'otro';
+
+    i18n.addMessages({
+        es: {
+            tickets: {
+                title: 'Tickets de Soporte',
+                subtitle: 'Reporta un problema y sigue el progreso de tu solicitud',
+                createTab: 'Crear Ticket',
+                lookupTab: 'Consultar Ticket',
+                name: 'Nombre Completo *',
+                email: 'Email *',
+                product: 'Producto *',
+                productPlaceholder: 'Selecciona un producto',
+                productTools: 'Herramientas Sauro',
+                productOther: 'Otro',
+                version: 'Versión *',
+                versionInvalid: 'Ingresa una versión como 3.5.2',
+                severity: 'Severidad *',
+                severityPlaceholder: '¿Cuánto afecta a tu trabajo?',
+                severities: {
+                    baja: 'Baja - Consulta o mejora',
+                    media: 'Media - Funciona con inconvenientes',
+                    alta: 'Alta - Una función importante no sirve',
+                    critica: 'Crítica - El sistema no funciona'
+                },
+                description: 'Descripción del problema *',
+                descriptionPlaceholder: '¿Qué ocurrió? ¿Qué pasos seguiste? ¿Aparece algún mensaje de error?',
+                attachments: 'Adjuntos',
+                attachmentsHint: 'Hasta 3 archivos de 3 MB: capturas, PDF, registros (.log, .txt) o .zip',
+                submit: 'Crear Ticket',
+                created: 'Ticket {id} creado',
+                createdTitle: 'Tu número de ticket es',
+                createdHint: 'Guárdalo para consultar el estado de tu solicitud.',
+                viewStatus: 'Consultar estado',
+                number: 'Número de ticket *',
+                numberInvalid: 'El número tiene el formato TK-000001',
+                lookupEmail: 'Email con el que lo creaste *',
+                lookup: 'Consultar',
+                loading: 'Consultando...',
+                notFound: 'No encontramos un ticket con ese número y email.',
+                error: 'No pudimos consultar el ticket. Intenta nuevamente.',
+                refresh: 'Actualizar',
+                summary: '{product} {version} · Severidad: {severity}',
+                createdAt: 'Creado el {date}',
+                statuses: {
+                    abierto: 'Abierto',
+                    en_progreso: 'En progreso',
+                    resuelto: 'Resuelto'
+                },
+                severityNames: { baja: 'baja', media: 'media', alta: 'alta', critica: 'crítica' }
+            }
+        },
+        en: {
+            tickets: {
+                title: 'Support Tickets',
+                subtitle: 'Report a problem and follow the progress of your request',
+                createTab: 'Create Ticket',
+                lookupTab: 'Check Ticket',
+                name: 'Full Name *',
+                email: 'Email *',
+                product: 'Product *',
+                productPlaceholder: 'Select a product',
+                productTools: 'Sauro Tools',
+                productOther: 'Other',
+                version: 'Version *',
+                versionInvalid: 'Enter a version such as 3.5.2',
+                severity: 'Severity *',
+                severityPlaceholder: 'How much does it affect your work?',
+                severities: {
+                    baja: 'Low - Question or improvement',
+                    media: 'Medium - Works with issues',
+                    alta: 'High - An important feature is broken',
+                    critica: 'Critical - The system does not work'
+                },
+                description: 'Problem description *',
+                descriptionPlaceholder: 'What happened? What steps did you follow? Is there an error message?',
+                attachments: 'Attachments',
+                attachmentsHint: 'Up to 3 files of 3 MB: screenshots, PDF, logs (.log, .txt) or .zip',
+                submit: 'Create Ticket',
+                created: 'Ticket {id} created',
+                createdTitle: 'Your ticket number is',
+                createdHint: 'Keep it to check the status of your request.',
+                viewStatus: 'Check status',
+                number: 'Ticket number *',
+                numberInvalid: 'The number looks like TK-000001',
+                lookupEmail: 'Email you used to create it *',
+                lookup: 'Check',
+                loading: 'Checking...',
+                notFound: 'We could not find a ticket with that number and email.',
+                error: 'We could not check the ticket. Please try again.',
+                refresh: 'Refresh',
+                summary: '{product} {version} · Severity: {severity}',
+                createdAt: 'Created on {date}',
+                statuses: {
+                    abierto: 'Open',
+                    en_progreso: 'In progress',
+                    resuelto: 'Resolved'
+                },
+                severityNames: { baja: 'low', media: 'medium', alta: 'high', critica: 'critical' }
+            }
+        },
+        pt: {
+            tickets: {
+                title: 'Tickets de Suporte',
+                subtitle: 'Relate um problema e acompanhe o andamento da sua solicitação',
+                createTab: 'Criar Ticket',
+                lookupTab: 'Consultar Ticket',
+                name: 'Nome Completo *',
+                email: 'E-mail *',
+                product: 'Produto *',
+                productPlaceholder: 'Selecione um produto',
+                productTools: 'Ferramentas Sauro',
+                productOther: 'Outro',
+                version: 'Versão *',
+                versionInvalid: 'Informe uma versão como 3.5.2',
+                severity: 'Severidade *',
+                severityPlaceholder: 'Quanto isso afeta o seu trabalho?',
+                severities: {
+                    baja: 'Baixa - Dúvida ou melhoria',
+                    media: 'Média - Funciona com problemas',
+                    alta: 'Alta - Uma função importante não funciona',
+                    critica: 'Crítica - O sistema não funciona'
+                },
+                description: 'Descrição do problema *',
+                descriptionPlaceholder: 'O que aconteceu? Quais passos você seguiu? Aparece alguma mensagem de erro?',
+                attachments: 'Anexos',
+                attachmentsHint: 'Até 3 arquivos de 3 MB: capturas, PDF, logs (.log, .txt) ou .zip',
+                submit: 'Criar Ticket',
+                created: 'Ticket {id} criado',
+                createdTitle: 'O número do seu ticket é',
+                createdHint: 'Guarde-o para consultar o status da sua solicitação.',
+                viewStatus: 'Consultar status',
+                number: 'Número do ticket *',
+                numberInvalid: 'O número tem o formato TK-000001',
+                lookupEmail: 'E-mail usado para criá-lo *',
+                lookup: 'Consultar',
+                loading: 'Consultando...',
+                notFound: 'Não encontramos um ticket com esse número e e-mail.',
+                error: 'Não foi possível consultar o ticket. Tente novamente.',
+                refresh: 'Atualizar',
+                summary: '{product} {version} · Severidade: {severity}',
+                createdAt: 'Criado em {date}',
+                statuses: {
+                    abierto: 'Aberto',
+                    en_progreso: 'Em andamento',
+                    resuelto: 'Resolvido'
+                },
+                severityNames: { baja: 'baixa', media: 'média', alta: 'alta', critica: 'crítica' }
+            }
+        }
+    });
+
+    // ==================== TABS ====================
+
+    function showPanel(name, focus = false) {
+        document.querySelectorAll('.tickets-tab').forEach(tab => {
+            const selected = tab.getAttribute('aria-controls') === name;
+            tab.classList.toggle('active', selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+            if (selected && focus) tab.focus();
+        });
+
+        document.querySelectorAll('.tickets-panel').forEach(panel => {
+            panel.hidden = panel.id !== name;
+        });
+    }
+
+    function initTabs() {
+        const tabs = Array.from(document.querySelectorAll('.tickets-tab'));
+
+        tabs.forEach((tab, index) => {
+            tab.addEventListener('click', () => {
+                const name = tab.getAttribute('aria-controls');
+                history.replaceState(history.state, '', `#${name}`);
+                showPanel(name);
+            });
+
+            // Arrow keys move between tabs (WAI-ARIA tabs pattern)
+            tab.addEventListener('keydown', e => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                const next = tabs[(index + (e.key === 'ArrowRight' ? 1 : tabs.length - 1)) % tabs.length];
+                next.click();
+                next.focus();
+            });
+        });
+
+        const fromHash = () => {
+            const name = window.location.hash.slice(1);
+            if (document.getElementById(name) && document.getElementById(name).classList.contains('tickets-panel')) {
+                showPanel(name);
+            }
+        };
+        window.addEventListener('hashchange', fromHash);
+        fromHash();
+    }
+
+    // ==================== CREATE ====================
+
+    function rememberTicket(id, email) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ id, email }));
+        } catch (error) {
+            // Private mode: the customer still sees the number on screen
+        }
+    }
+
+    function readLastTicket() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function renderCreated(id, email) {
+        const container = document.getElementById('ticketCreated');
+        container.replaceChildren();
+
+        const title = document.createElement('p');
+        title.textContent = i18n.t('tickets.createdTitle');
+
+        const number = document.createElement('strong');
+        number.textContent = id;
+
+        const hint = document.createElement('p');
+        hint.textContent = i18n.t('tickets.createdHint');
+
+        const link = document.createElement('a');
+        link.href = `?ticket=${encodeURIComponent(id)}#consultar`;
+        link.textContent = i18n.t('tickets.viewStatus');
+        link.addEventListener('click', e => {
+            e.preventDefault();
+            fillLookup(id, email);
+            showPanel('consultar');
+            lookupTicket(id, email);
+        });
+
+        container.append(title, number, hint, link);
+        container.hidden = false;
+    }
+
+    // Products sold or downloadable, in catalog order, ahead of "Otro". The
+    // options written in the page stay (with their data-i18n) and are the
+    // list when the catalogs cannot be loaded
+    function renderProducts(catalogs) {
+        const select = document.getElementById('ticketProducto');
+        const other = select.querySelector(`option[value="${OTHER_PRODUCT}"]`);
+        const products = new Map();
+        catalogs.forEach(catalog => Object.entries(catalog.products).forEach(([id, product]) => {
+            if (!products.has(id)) products.set(id, product.name);
+        }));
+
+        Array.from(select.options).forEach(option => {
+            if (option.value && option !== other && !products.has(option.value)) option.remove();
+        });
+        products.forEach((name, id) => {
+            const existing = Array.from(select.options).find(option => option.value === id);
+            select.insertBefore(existing || new Option(name, id), other);
+        });
+    }
+
+    function loadProducts() {
+        Promise.all(CATALOG_URLS.map(url => fetch(url).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })))
+            .then(renderProducts)
+            .catch(error => console.error('Product catalog error:', error));
+    }
+
+    function initCreateForm() {
+        loadProducts();
+        formUtils.handleFormSubmission(
+            'ticketForm',
+            response => i18n.t('tickets.created', { id: response.id }),
+            (data, response) => {
+                rememberTicket(response.id, data.email);
+                renderCreated(response.id, data.email);
+                fillLookup(response.id, data.email);
+            }
+        );
+        formUtils.enableAutosave('ticketForm');
+        formUtils.trackFormInteraction('ticketForm');
+    }
+
+    // ==================== LOOKUP ====================
+
+    function formatDateTime(iso) {
+        return new Intl.DateTimeFormat(i18n.getLocale(), {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        }).format(new Date(iso));
+    }
+
+    function productName(id) {
+        const option = document.querySelector(`#ticketProducto option[value="${id}"]`);
+        return option ? option.textContent.trim() : id;
+    }
+
+    function renderProgress(status) {
+        const reached = STATUSES.indexOf(status);
+        const list = document.createElement('ol');
+        list.className = 'ticket-progress';
+
+        STATUSES.forEach((name, index) => {
+            const step = document.createElement('li');
+            step.textContent = i18n.t(`tickets.statuses.${name}`);
+            if (index <= reached) step.classList.add('done');
+            if (index === reached) step.setAttribute('aria-current', 'step');
+            list.appendChild(step);
+        });
+        return list;
+    }
+
+    function renderHistory(history) {
+        const list = document.createElement('ol');
+        list.className = 'ticket-history';
+
+        // Newest first
+        history.slice().reverse().forEach(entry => {
+            const item = document.createElement('li');
+
+            const status = document.createElement('strong');
+            status.textContent = i18n.t(`tickets.statuses.${entry.status}`);
+
+            const time = document.createElement('time');
+            time.dateTime = entry.at;
+            time.textContent = formatDateTime(entry.at);
+
+            item.append(status, time);
+
+            if (entry.note) {
+                const note = document.createElement('p');
+                note.textContent = entry.note;
+                item.appendChild(note);
+            }
+            list.appendChild(item);
+        });
+        return list;
+    }
+
+    function renderTicket(ticket, email) {
+        const container = document.getElementById('ticketStatus');
+        container.className = 'ticket-status';
+        container.replaceChildren();
+
+        const summary = document.createElement('div');
+        summary.className = 'ticket-summary';
+
+        const heading = document.createElement('div');
+        const title = document.createElement('h3');
+        title.textContent = ticket.id;
+        const details = document.createElement('p');
+        details.textContent = i18n.t('tickets.summary', {
+            product: productName(ticket.producto),
+            version: ticket.version,
+            severity: i18n.t(`tickets.severityNames.${ticket.severidad}`)
+        });
+        const created = document.createElement('p');
+        created.textContent = i18n.t('tickets.createdAt', { date: formatDateTime(ticket.createdAt) });
+        heading.append(title, details, created);
+
+        const badge = document.createElement('span');
+        badge.className = `ticket-badge ${ticket.status}`;
+        badge.textContent = i18n.t(`tickets.statuses.${ticket.status}`);
+
+        summary.append(heading, badge);
+
+        const actions = document.createElement('div');
+        actions.className = 'ticket-actions';
+        const refresh = document.createElement('button');
+        refresh.type = 'button';
+        refresh.innerHTML = '<i class="fas fa-sync-alt" aria-hidden="true"></i> ';
+        refresh.appendChild(document.createTextNode(i18n.t('tickets.refresh')));
+        refresh.addEventListener('click', () => lookupTicket(ticket.id, email));
+        actions.appendChild(refresh);
+
+        container.append(summary, renderProgress(ticket.status), renderHistory(ticket.history), actions);
+    }
+
+    function renderLookupError(message) {
+        const container = document.getElementById('ticketStatus');
+        container.className = 'ticket-status error';
+        container.textContent = message;
+    }
+
+    let lastLookup = null;
+
+    async function lookupTicket(id, email) {
+        const container = document.getElementById('ticketStatus');
+        const params = new URLSearchParams({ id: id.trim().toUpperCase(), email: email.trim() });
+
+        container.className = 'ticket-status';
+        container.textContent = i18n.t('tickets.loading');
+
+        try {
+            const response = await fetch(`${TICKETS_ENDPOINT}?${params}`, {
+                headers: { 'Accept': 'application/json', 'Accept-Language': i18n.getLanguage() }
+            });
+
+            if (response.status === 404) {
+                lastLookup = null;
+                renderLookupError(i18n.t('tickets.notFound'));
+                return;
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { ticket } = await response.json();
+            lastLookup = { ticket, email };
+            renderTicket(ticket, email);
+        } catch (error) {
+            console.error('Ticket lookup error:', error);
+            lastLookup = null;
+            renderLookupError(i18n.t('tickets.error'));
+        }
+    }
+
+    function fillLookup(id, email) {
+        const form = document.getElementById('ticketLookupForm');
+        if (!form) return;
+        if (id) form.elements.id.value = id;
+        if (email) form.elements.email.value = email;
+    }
+
+    function initLookupForm() {
+        const form = document.getElementById('ticketLookupForm');
+        if (!form) return;
+
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+
+            const { valid } = await formUtils.validateForm(form);
+            if (!valid) return;
+
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            await lookupTicket(form.elements.id.value, form.elements.email.value);
+            submitBtn.disabled = false;
+        });
+
+        // ?ticket=TK-000001 from a link, otherwise the last ticket created here
+        const last = readLastTicket();
+        const linked = new URLSearchParams(window.location.search).get('ticket');
+
+        if (linked) {
+            fillLookup(linked, last && last.id === linked.toUpperCase() ? last.email : '');
+            showPanel('consultar');
+        } else if (last) {
+            fillLookup(last.id, last.email);
+        }
+    }
+
+    // ==================== INITIALIZE ====================
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!document.querySelector('.tickets-section')) return;
+
+        initTabs();
+        initCreateForm();
+        initLookupForm();
+    });
+
+    window.addEventListener('i18n:change', () => {
+        if (lastLookup) renderTicket(lastLookup.ticket, lastLookup.email);
+    });
+})();
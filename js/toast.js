@@ -0,0 +1,223 @@
+// ==================== TOAST NOTIFICATIONS ====================
+// Single notification service for every page. Toasts stack (extra ones
+// wait in a queue), pause while hovered or focused, can carry action
+// buttons and are announced through an aria-live region. Messages are
+// always inserted as text.
+//
+//   toast.success('Guardado');
+//   toast.show('Nueva versión disponible', {
+//       duration: 0,
+//       actions: [{ id: 'update', label: 'Actualizar' }]
+//   }).then(result => { ... }); // action id, 'dismissed' or 'timeout'
+//
+// showNotification(message, type) is kept as an alias for older code.
+
+(function () {
+    const MAX_VISIBLE = 3;
+    const EXIT_DURATION = 300;
+
+    const ICONS = {
+        success: 'check-circle',
+        error: 'exclamation-circle',
+        info: 'info-circle',
+        warning: 'exclamation-triangle'
+    };
+
+    const DEFAULT_DURATIONS = {
+        success: 4000,
+        info: 4000,
+        warning: 6000,
+        error: 7000
+    };
+
+    const visible = [];
+    const queue = [];
+    let region = null;
+    let nextId = 1;
+
+    function getRegion() {
+        if (!region || !region.isConnected) {
+            region = document.createElement('div');
+            region.className = 'toast-region';
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-relevant', 'additions');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+
+    function translate(key, fallback) {
+        return window.i18n ? window.i18n.t(key) : fallback;
+    }
+
+    // ==================== TIMER ====================
+
+    function startTimer(item) {
+        if (!item.duration) return;
+        item.startedAt = Date.now();
+        item.timer = setTimeout(() => close(item, 'timeout'), item.remaining);
+    }
+
+    function pauseTimer(item) {
+        if (!item.timer) return;
+        clearTimeout(item.timer);
+        item.timer = null;
+        item.remaining -= Date.now() - item.startedAt;
+    }
+
+    function resumeTimer(item) {
+        if (item.timer || item.closing || item.element.matches(':hover, :focus-within')) return;
+        startTimer(item);
+    }
+
+    // ==================== RENDER ====================
+
+    function render(item) {
+        const element = document.createElement('div');
+        element.className = `toast toast-${item.type}`;
+        element.setAttribute('role', item.type === 'error' || item.type === 'warning' ? 'alert' : 'status');
+
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${item.icon || ICONS[item.type] || ICONS.info}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = item.message;
+
+        element.append(icon, text);
+
+        if (item.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            item.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'toast-action';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    if (action.onClick) action.onClick();
+                    close(item, action.id);
+                });
+                actions.appendChild(button);
+            });
+            element.appendChild(actions);
+        }
+
+        if (item.dismissible) {
+            const closeBtn = document.createElement('button');
+            closeBtn.type = 'button';
+            closeBtn.className = 'toast-close';
+            closeBtn.setAttribute('aria-label', translate('common.close', 'Cerrar'));
+            closeBtn.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+            closeBtn.addEventListener('click', () => close(item, 'dismissed'));
+            element.appendChild(closeBtn);
+        }
+
+        element.addEventListener('mouseenter', () => pauseTimer(item));
+        element.addEventListener('mouseleave', () => resumeTimer(item));
+        element.addEventListener('focusin', () => pauseTimer(item));
+        element.addEventListener('focusout', () => setTimeout(() => resumeTimer(item), 0));
+        element.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close(item, 'dismissed');
+        });
+
+        return element;
+    }
+
+    function display(item) {
+        item.element = render(item);
+        visible.push(item);
+        getRegion().appendChild(item.element);
+        startTimer(item);
+    }
+
+    function close(item, result) {
+        if (item.closing) return;
+        item.closing = true;
+        clearTimeout(item.timer);
+
+        const index = visible.indexOf(item);
+        if (index !== -1) visible.splice(index, 1);
+
+        item.element.classList.add('toast-leaving');
+        setTimeout(() => {
+            item.element.remove();
+            if (queue.length && visible.length < MAX_VISIBLE) {
+                display(queue.shift());
+            }
+        }, EXIT_DURATION);
+
+        item.resolve(result);
+    }
+
+    // ==================== PUBLIC API ====================
+
+    // show(message, options) or show({ message, ...options })
+    function show(message, options = {}) {
+        if (typeof message === 'object' && message !== null) {
+            options = message;
+            message = options.message;
+        }
+
+        const type = ICONS[options.type] ? options.type : 'info';
+        const actions = options.actions || [];
+        const duration = options.duration !== undefined
+            ? options.duration
+            : DEFAULT_DURATIONS[type] + (actions.length ? 4000 : 0);
+
+        let resolve;
+        const promise = new Promise(done => { resolve = done; });
+
+        const item = {
+            id: nextId++,
+            message: String(message),
+            type,
+            icon: options.icon,
+            actions,
+            dismissible: options.dismissible !== false,
+            duration,
+            remaining: duration,
+            timer: null,
+            closing: false,
+            element: null,
+            resolve
+        };
+
+        promise.id = item.id;
+        promise.dismiss = () => {
+            const queued = queue.indexOf(item);
+            if (queued !== -1) {
+                queue.splice(queued, 1);
+                resolve('dismissed');
+            } else if (item.element) {
+                close(item, 'dismissed');
+            }
+        };
+
+        if (visible.length < MAX_VISIBLE) {
+            display(item);
+        } else {
+            queue.push(item);
+        }
+
+        return promise;
+    }
+
+    function dismissAll() {
+        queue.splice(0).forEach(item => item.resolve('dismissed'));
+        visible.slice().forEach(item => close(item, 'dismissed'));
+    }
+
+    window.toast = {
+        show,
+        success: (message, options = {}) => show(message, { ...options, type: 'success' }),
+        error: (message, options = {}) => show(message, { ...options, type: 'error' }),
+        warning: (message, options = {}) => show(message, { ...options, type: 'warning' }),
+        info: (message, options = {}) => show(message, { ...options, type: 'info' }),
+        dismissAll
+    };
+
+    // Compatibility with the previous main.js / forms.js API
+    window.showNotification = (message, type = 'info') => show(message, { type });
+})();
@@ -0,0 +1,359 @@
+// ==================== UPDATE CHECKER ====================
+// "¿Qué versión tengo?" on the Descargas page: the visitor picks a product
+// and types the installed version; we answer with the ordered list of
+// patches (or the full installer) needed to reach the latest stable
+// release. Uses the same manifest as the download cards.
+//
+//   sauroUpdates.findUpdatePath(catalog, 'sauropos', '3.5.1')
+//   // { status: 'update', latest: '3.5.3', steps: [patch 3.5.1→3.5.2, patch 3.5.2→3.5.3] }
+
+(function () {
+    const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+    i18n.addMessages({
+        es: {
+            updates: {
+                title: '¿Qué versión tengo?',
+                subtitle: 'Indica tu producto y versión instalada y te diremos qué parches necesitas',
+                product: 'Producto',
+                productPlaceholder: 'Selecciona un producto',
+                version: 'Versión instalada',
+                check: 'Comprobar',
+                invalidVersion: 'Ingresa una versión como 3.5.1',
+                noProducts: 'No hay productos con actualizaciones disponibles.',
+                current: 'Tienes la última versión estable ({latest}). No necesitas actualizar.',
+                ahead: 'Tu versión {installed} es más reciente que la última estable ({latest}). Puede tratarse de una versión beta.',
+                noPath: 'No hay parches desde {installed} ni un instalador completo más reciente. Escríbenos y te ayudamos a actualizar a {latest}.',
+                path: 'Para pasar de {installed} a {latest}:',
+                installer: 'Instalador completo {version}',
+                installerNote: 'No hay un parche desde tu versión: instala la versión completa, tus datos se conservan.',
+                patch: 'Parche {from} → {version}',
+                total: {
+                    one: '{count} descarga, {size} en total',
+                    other: '{count} descargas, {size} en total'
+                },
+                details: 'Ver detalles',
+                loadError: 'No pudimos cargar la información de versiones. Intenta nuevamente más tarde.'
+            }
+        },
+        en: {
+            updates: {
+                title: 'Which version do I have?',
+                subtitle: 'Tell us your product and installed version and we will list the patches you need',
+                product: 'Product',
+                productPlaceholder: 'Select a product',
+                version: 'Installed version',
+                check: 'Check',
+                invalidVersion: 'Enter a version such as 3.5.1',
+                noProducts: 'There are no products with updates available.',
+                current: 'You have the latest stable version ({latest}). No update needed.',
+                ahead: 'Your version {installed} is newer than the latest stable one ({latest}). It may be a beta release.',
+                noPath: 'There are no patches from {installed} and no newer full installer. Contact us and we will help you update to {latest}.',
+                path: 'To go from {installed} to {latest}:',
+                installer: 'Full installer {version}',
+                installerNote: 'There is no patch from your version: install the full version, your data is kept.',
+                patch: 'Patch {from} → {version}',
+                total: {
+                    one: '{count} download, {size} in total',
+                    other: '{count} downloads, {size} in total'
+                },
+                details: 'View details',
+                loadError: 'We could not load the version information. Please try again later.'
+            }
+        },
+        pt: {
+            updates: {
+                title: 'Qual versão eu tenho?',
+                subtitle: 'Informe seu produto e a versão instalada e diremos quais patches você precisa',
+                product: 'Produto',
+                productPlaceholder: 'Selecione um produto',
+                version: 'Versão instalada',
+                check: 'Verificar',
+                invalidVersion: 'Informe uma versão como 3.5.1',
+                noProducts: 'Não há produtos com atualizações disponíveis.',
+                current: 'Você tem a versão estável mais recente ({latest}). Não é preciso atualizar.',
+                ahead: 'Sua versão {installed} é mais recente que a última estável ({latest}). Pode ser uma versão beta.',
+                noPath: 'Não há patches a partir de {installed} nem um instalador completo mais recente. Fale conosco e ajudaremos a atualizar para {latest}.',
+                path: 'Para passar de {installed} para {latest}:',
+                installer: 'Instalador completo {version}',
+                installerNote: 'Não há patch a partir da sua versão: instale a versão completa, seus dados são mantidos.',
+                patch: 'Patch {from} → {version}',
+                total: {
+                    one: '{count} download, {size} no total',
+                    other: '{count} downloads, {size} no total'
+                },
+                details: 'Ver detalhes',
+                loadError: 'Não foi possível carregar as informações de versões. Tente novamente mais tarde.'
+            }
+        }
+    });
+
+    // ==================== SEMANTIC VERSIONS ====================
+
+    // "3.5" is read as 3.5.0; build metadata (+...) is ignored
+    function parseVersion(version) {
+        const match = VERSION_PATTERN.exec(String(version || '').trim());
+        if (!match) return null;
+
+        return {
+            major: Number(match[1]),
+            minor: Number(match[2] || 0),
+            patch: Number(match[3] || 0),
+            prerelease: match[4] ? match[4].split('.') : []
+        };
+    }
+
+    function comparePrerelease(a, b) {
+        if (!a.length || !b.length) return b.length - a.length; // 1.0.0 > 1.0.0-beta
+
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i] === undefined) return -1;
+            if (b[i] === undefined) return 1;
+            if (a[i] === b[i]) continue;
+
+            const numA = /^\d+$/.test(a[i]);
+            const numB = /^\d+$/.test(b[i]);
+            if (numA && numB) return Number(a[i]) - Number(b[i]);
+            if (numA !== numB) return numA ? -1 : 1;
+            return a[i] < b[i] ? -1 : 1;
+        }
+        return 0;
+    }
+
+    // Negative, zero or positive, like Array.prototype.sort expects
+    function compareVersions(a, b) {
+        const versionA = typeof a === 'string' ? parseVersion(a) : a;
+        const versionB = typeof b === 'string' ? parseVersion(b) : b;
+
+        return (versionA.major - versionB.major)
+            || (versionA.minor - versionB.minor)
+            || (versionA.patch - versionB.patch)
+            || comparePrerelease(versionA.prerelease, versionB.prerelease);
+    }
+
+    // "3.5" and "3.5.0" give the same key
+    function versionKey(version) {
+        const { major, minor, patch, prerelease } = parseVersion(version);
+        return `${major}.${minor}.${patch}${prerelease.length ? `-${prerelease.join('.')}` : ''}`;
+    }
+
+    // ==================== UPDATE PATH ====================
+
+    // Fewest patches leading from one version to another (breadth-first)
+    function findPatchChain(patches, from, to) {
+        const queue = [{ version: from, chain: [] }];
+        const visited = new Set();
+
+        while (queue.length) {
+            const { version, chain } = queue.shift();
+            if (compareVersions(version, to) === 0) return chain;
+
+            const key = versionKey(version);
+            if (visited.has(key)) continue;
+            visited.add(key);
+
+            patches
+                .filter(patch => compareVersions(patch.from, version) === 0
+                    && compareVersions(patch.version, version) > 0
+                    && compareVersions(patch.version, to) <= 0)
+                .forEach(patch => queue.push({ version: patch.version, chain: [...chain, patch] }));
+        }
+        return null;
+    }
+
+    // status: 'invalid', 'unknown' (no stable releases), 'current', 'ahead',
+    // 'noPath' (nothing newer to install from there) or 'update'
+    function findUpdatePath(catalog, productId, installedVersion) {
+        if (!parseVersion(installedVersion)) return { status: 'invalid', steps: [] };
+
+        const releases = catalog.releases.filter(release => (
+            release.product === productId && release.channel === 'stable'
+        ));
+        const installers = releases.filter(release => release.type === 'installer');
+        const patches = releases.filter(release => release.type === 'patch' && parseVersion(release.from));
+
+        const latest = [...installers, ...patches]
+            .map(release => release.version)
+            .sort(compareVersions)
+            .pop();
+
+        if (!latest) return { status: 'unknown', steps: [] };
+
+        const order = compareVersions(installedVersion, latest);
+        if (order === 0) return { status: 'current', latest, steps: [] };
+        if (order > 0) return { status: 'ahead', latest, steps: [] };
+
+        const chain = findPatchChain(patches, installedVersion, latest);
+        if (chain) return { status: 'update', latest, steps: chain };
+
+        // No patch starts at the installed version: newest installer, then
+        // the patches published on top of it. Never an older installer,
+        // that would be a downgrade.
+        const installer = installers
+            .filter(release => compareVersions(release.version, installedVersion) > 0)
+            .sort((a, b) => compareVersions(a.version, b.version) || (!a.archived - !b.archived))
+            .pop();
+        if (!installer) return { status: 'noPath', latest, steps: [] };
+
+        const rest = findPatchChain(patches, installer.version, latest) || [];
+
+        return {
+            status: 'update',
+            latest: rest.length ? latest : installer.version,
+            steps: [installer, ...rest]
+        };
+    }
+
+    // ==================== RENDER ====================
+
+    function stepLabel(release) {
+        return release.type === 'patch'
+            ? i18n.t('updates.patch', { from: release.from, version: release.version })
+            : i18n.t('updates.installer', { version: release.version });
+    }
+
+    function renderStep(release, os) {
+        const file = sauroDownloads.pickPrimaryFile(release, os);
+        const item = document.createElement('li');
+        item.className = `update-step update-step-${release.type}`;
+
+        const title = document.createElement('strong');
+        title.textContent = stepLabel(release);
+
+        const meta = document.createElement('span');
+        meta.className = 'update-step-meta';
+        meta.textContent = `${sauroDownloads.formatSize(file.size)} · ${sauroDownloads.formatDate(release.releaseDate)}`;
+
+        const checksum = document.createElement('code');
+        checksum.className = 'update-step-checksum';
+        checksum.textContent = `SHA-256: ${file.sha256}`;
+
+        const link = document.createElement('a');
+        link.className = 'btn-download';
+        link.href = file.url;
+        link.setAttribute('download', '');
+        link.innerHTML = '<i class="fas fa-download" aria-hidden="true"></i> ';
+        link.appendChild(document.createTextNode(i18n.t('downloads.download')));
+
+        item.append(title, meta, checksum, link);
+
+        // Archived releases have no card on the page
+        if (!release.archived) {
+            const details = document.createElement('a');
+            details.className = 'update-step-details';
+            details.href = `#download-${release.id}`;
+            details.textContent = i18n.t('updates.details');
+            item.appendChild(details);
+        }
+
+        return item;
+    }
+
+    function renderResult(container, result, installed) {
+        container.replaceChildren();
+        container.className = `update-checker-result ${result.status}`;
+
+        const summary = document.createElement('p');
+        summary.className = 'update-checker-summary';
+        container.appendChild(summary);
+
+        if (['current', 'ahead', 'noPath'].includes(result.status)) {
+            summary.textContent = i18n.t(`updates.${result.status}`, { installed, latest: result.latest });
+            return;
+        }
+
+        if (result.status !== 'update') {
+            summary.textContent = i18n.t('updates.noProducts');
+            return;
+        }
+
+        summary.textContent = i18n.t('updates.path', { installed, latest: result.latest });
+
+        const os = sauroDownloads.detectOS();
+        const steps = document.createElement('ol');
+        steps.className = 'update-steps';
+        result.steps.forEach(release => steps.appendChild(renderStep(release, os)));
+        container.appendChild(steps);
+
+        if (result.steps[0].type === 'installer') {
+            const note = document.createElement('p');
+            note.className = 'update-checker-note';
+            note.textContent = i18n.t('updates.installerNote');
+            container.appendChild(note);
+        }
+
+        const totalSize = result.steps.reduce((sum, release) => (
+            sum + sauroDownloads.pickPrimaryFile(release, os).size
+        ), 0);
+        const total = document.createElement('p');
+        total.className = 'update-checker-total';
+        total.textContent = i18n.t('updates.total', {
+            count: result.steps.length,
+            size: sauroDownloads.formatSize(totalSize)
+        });
+        container.appendChild(total);
+    }
+
+    // Products that publish stable installers, in manifest order
+    function fillProducts(select, catalog) {
+        const products = new Set(catalog.releases
+            .filter(release => release.type === 'installer' && release.channel === 'stable')
+            .map(release => release.product));
+
+        Object.entries(catalog.products)
+            .filter(([id]) => products.has(id))
+            .forEach(([id, product]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = product.name;
+                select.appendChild(option);
+            });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    formUtils.registerValidator('semver', value => !!parseVersion(value), {
+        message: () => i18n.t('updates.invalidVersion')
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const form = document.getElementById('updateCheckerForm');
+        if (!form) return;
+
+        const result = document.getElementById('updateCheckerResult');
+        let lastCheck = null;
+
+        sauroDownloads.load()
+            .then(catalog => {
+                fillProducts(form.elements.product, catalog);
+
+                form.addEventListener('submit', async e => {
+                    e.preventDefault();
+
+                    const { valid } = await formUtils.validateForm(form);
+                    if (!valid) return;
+
+                    const product = form.elements.product.value;
+                    const installed = form.elements.version.value.trim();
+
+                    lastCheck = () => renderResult(result, findUpdatePath(catalog, product, installed), installed);
+                    lastCheck();
+                });
+
+                window.addEventListener('i18n:change', () => {
+                    if (lastCheck) lastCheck();
+                });
+            })
+            .catch(() => {
+                result.className = 'update-checker-result error';
+                result.textContent = i18n.t('updates.loadError');
+                form.querySelector('button[type="submit"]').disabled = true;
+            });
+    });
+
+    window.sauroUpdates = {
+        parseVersion,
+        compareVersions,
+        findUpdatePath
+    };
+})();
@@ -0,0 +1,65 @@
+// ==================== SHARED HELPERS ====================
+// Small helpers used by several scripts. Loaded right after i18n.js on
+// every page and inside sw.js through importScripts (form-queue.js needs
+// createId), so nothing here touches the DOM until it is called.
+//
+//   const { el, icon, normalize, createId, siteUrl } = sauroUtils;
+//   el('a', { href: url, className: 'btn', text: 'Abrir' }, [icon('fas fa-link')]);
+//   normalize('Gestión');  // 'gestion'
+//   siteUrl('pages/carrito.html');  // also right when the site lives in a subfolder
+
+(function (global) {
+    // The folder above js/ in pages, the worker's own folder in sw.js
+    const SITE_ROOT = typeof document !== 'undefined' && document.currentScript
+        ? new URL('../', document.currentScript.src).href
+        : new URL('./', global.location.href).href;
+
+    // Small DOM builder: text is always set through textContent
+    function el(tag, attributes = {}, children = []) {
+        const element = document.createElement(tag);
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === undefined || value === null || value === false) return;
+            if (name === 'text') {
+                element.textContent = value;
+            } else if (name === 'className') {
+                element.className = value;
+            } else {
+                element.setAttribute(name, value === true ? '' : value);
+            }
+        });
+        children.filter(Boolean).forEach(child => element.appendChild(child));
+        return element;
+    }
+
+    function icon(className) {
+        return el('i', { className, 'aria-hidden': 'true' });
+    }
+
+    // Lowercase without accents, so "actualizacion" finds "Actualización"
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    function createId() {
+        if (global.crypto && global.crypto.randomUUID) {
+            return global.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Absolute URL of a file of the site, from its path without a leading slash
+    function siteUrl(path) {
+        return new URL(path, SITE_ROOT).href;
+    }
+
+    global.sauroUtils = {
+        el,
+        icon,
+        normalize,
+        createId,
+        siteUrl
+    };
+})(self);
@@ -0,0 +1,550 @@
+// ==================== VIDEO TUTORIALS ====================
+// Renders the "Tutoriales en Video" of soporte.html from data/videos.json,
+// grouped in one playlist per product. Cards show a thumbnail and only
+// load the player when the visitor presses play, so opening the page makes
+// no request to YouTube:
+//
+//   { "id": "gestion-de-inventario", "title": "…", "playlist": "sauroerp",
+//     "duration": "15:20", "views": 2104, "youtube": "VIDEO_ID",
+//     "thumbnail": "../assets/images/tutoriales/inventario.jpg",
+//     "sources": [{ "src": "../assets/videos/inventario.mp4", "type": "video/mp4" }],
+//     "captions": [{ "src": "../assets/videos/inventario.es.vtt", "srclang": "es", "label": "Español" }] }
+//
+// Paths are relative to the JSON file. A video with "sources" plays from
+// this server in a <video>; with both, YouTube is used unless the gallery
+// has data-prefer="local" (installations without internet) or the browser
+// is offline. YouTube thumbnails are only shown once "marketing" is
+// allowed in the privacy preferences.
+//
+// - Search by title and playlist filter.
+// - Progress and watched videos are remembered in localStorage
+//   (sauro-videos); playback resumes where it was left.
+// - soporte.html#video-<id> scrolls to that video.
+
+(function () {
+    const { el, icon, normalize } = sauroUtils;
+
+    const PROGRESS_KEY = 'sauro-videos';
+    const SEARCH_DELAY = 150;
+    const SAVE_INTERVAL = 5000;     // ms between progress writes while playing
+    const WATCHED_RATIO = 0.9;      // this much seen counts as watched
+    const MIN_RESUME = 5;           // s; earlier positions start from the beginning
+    const YOUTUBE_ORIGIN = 'https://www.youtube-nocookie.com';
+
+    let data = null;
+    let state = { q: '', playlist: 'all' };
+    let elements = null;
+    let baseUrl = null;
+    const cards = new Map();        // video id -> card element
+    const lastSaved = new Map();    // video id -> time of the last write
+
+    i18n.addMessages({
+        es: {
+            videos: {
+                search: 'Buscar tutoriales',
+                searchPlaceholder: 'Buscar por título',
+                playlists: 'Filtrar por producto',
+                allPlaylists: 'Todos',
+                results: {
+                    one: '{count} tutorial encontrado',
+                    other: '{count} tutoriales encontrados'
+                },
+                empty: 'No encontramos tutoriales con esa búsqueda.',
+                clear: 'Limpiar búsqueda',
+                loading: 'Cargando tutoriales...',
+                loadError: 'No pudimos cargar los tutoriales. Intenta nuevamente más tarde.',
+                play: 'Reproducir: {title}',
+                youtube: 'Se reproduce desde YouTube',
+                views: {
+                    one: '{views} vista',
+                    other: '{views} vistas'
+                },
+                watched: 'Visto',
+                resume: 'Continuar en {time}',
+                markWatched: 'Marcar como visto',
+                playlistProgress: '{watched} de {total} vistos'
+            }
+        },
+        en: {
+            videos: {
+                search: 'Search tutorials',
+                searchPlaceholder: 'Search by title',
+                playlists: 'Filter by product',
+                allPlaylists: 'All',
+                results: {
+                    one: '{count} tutorial found',
+                    other: '{count} tutorials found'
+                },
+                empty: 'We could not find tutorials for your search.',
+                clear: 'Clear search',
+                loading: 'Loading tutorials...',
+                loadError: 'We could not load the tutorials. Please try again later.',
+                play: 'Play: {title}',
+                youtube: 'Plays from YouTube',
+                views: {
+                    one: '{views} view',
+                    other: '{views} views'
+                },
+                watched: 'Watched',
+                resume: 'Resume at {time}',
+                markWatched: 'Mark as watched',
+                playlistProgress: '{watched} of {total} watched'
+            }
+        },
+        pt: {
+            videos: {
+                search: 'Pesquisar tutoriais',
+                searchPlaceholder: 'Pesquisar por título',
+                playlists: 'Filtrar por produto',
+                allPlaylists: 'Todos',
+                results: {
+                    one: '{count} tutorial encontrado',
+                    other: '{count} tutoriais encontrados'
+                },
+                empty: 'Não encontramos tutoriais para sua pesquisa.',
+                clear: 'Limpar pesquisa',
+                loading: 'Carregando tutoriais...',
+                loadError: 'Não foi possível carregar os tutoriais. Tente novamente mais tarde.',
+                play: 'Reproduzir: {title}',
+                youtube: 'Reproduzido pelo YouTube',
+                views: {
+                    one: '{views} visualização',
+                    other: '{views} visualizações'
+                },
+                watched: 'Assistido',
+                resume: 'Continuar em {time}',
+                markWatched: 'Marcar como assistido',
+                playlistProgress: '{watched} de {total} assistidos'
+            }
+        }
+    });
+
+    // ==================== PROGRESS ====================
+
+    // { [id]: { time, duration, watched } }
+    function getProgress() {
+        try {
+            return JSON.parse(localStorage.getItem(PROGRESS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function updateProgress(id, changes) {
+        const progress = getProgress();
+        progress[id] = { time: 0, duration: 0, watched: false, ...progress[id], ...changes };
+        try {
+            localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+        } catch (error) {
+            // Storage disabled: progress is not remembered
+        }
+        updateCard(id);
+        updatePlaylistProgress();
+    }
+
+    // Position reported by a player; written at most every SAVE_INTERVAL
+    function recordTime(id, time, duration, force) {
+        if (!force && Date.now() - (lastSaved.get(id) || 0) < SAVE_INTERVAL) return;
+        lastSaved.set(id, Date.now());
+
+        const changes = { time, duration: duration || 0 };
+        if (duration && time >= duration * WATCHED_RATIO) changes.watched = true;
+        updateProgress(id, changes);
+    }
+
+    function resumeTime(id) {
+        const saved = getProgress()[id];
+        if (!saved || saved.watched || saved.time < MIN_RESUME) return 0;
+        return Math.floor(saved.time);
+    }
+
+    // ==================== RENDER ====================
+
+    function resolve(path) {
+        return new URL(path, baseUrl).href;
+    }
+
+    function formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+    }
+
+    function usesYoutube(video) {
+        const hasLocal = Boolean(video.sources && video.sources.length);
+        if (!video.youtube) return false;
+        return !hasLocal || (elements.gallery.dataset.prefer !== 'local' && navigator.onLine !== false);
+    }
+
+    function thumbnailUrl(video) {
+        if (video.thumbnail) return resolve(video.thumbnail);
+        if (usesYoutube(video) && window.consent && consent.has('marketing')) {
+            return `https://i.ytimg.com/vi/${encodeURIComponent(video.youtube)}/hqdefault.jpg`;
+        }
+        return null;
+    }
+
+    function renderFacade(video) {
+        const thumbnail = thumbnailUrl(video);
+        const facade = el('button', { type: 'button', className: 'video-facade' }, [
+            thumbnail
+                ? el('img', { src: thumbnail, alt: '', loading: 'lazy' })
+                : el('span', { className: 'video-placeholder', text: data.playlists[video.playlist] || '' }),
+            el('span', { className: 'video-play-overlay' }, [icon('fas fa-play')]),
+            usesYoutube(video) && el('span', { className: 'video-source-note' }, [icon('fab fa-youtube')])
+        ]);
+        facade.addEventListener('click', () => play(video));
+        return facade;
+    }
+
+    function renderCard(video) {
+        const card = el('article', { className: 'video-card', id: `video-${video.id}`, 'data-video': video.id }, [
+            el('div', { className: 'video-thumbnail' }, [renderFacade(video)]),
+            el('div', { className: 'video-progress', 'aria-hidden': 'true' }, [el('span')]),
+            el('div', { className: 'video-info' }, [
+                el('h4', { text: video.title }),
+                el('div', { className: 'video-meta' }, [
+                    el('span', {}, [icon('fas fa-clock'), el('span', { className: 'video-duration', text: video.duration })]),
+                    video.views !== undefined && el('span', {}, [icon('fas fa-eye'), el('span', { className: 'video-views' })]),
+                    el('span', { className: 'video-state' })
+                ]),
+                el('button', { type: 'button', className: 'video-watched-toggle' })
+            ])
+        ]);
+
+        card.querySelector('.video-watched-toggle').addEventListener('click', e => {
+            const watched = e.currentTarget.getAttribute('aria-pressed') !== 'true';
+            updateProgress(video.id, watched ? { watched: true } : { watched: false, time: 0 });
+        });
+        return card;
+    }
+
+    // Texts that depend on the language or on the saved progress
+    function updateCard(id) {
+        const card = cards.get(id);
+        const video = data.videos.find(item => item.id === id);
+        const saved = getProgress()[id] || {};
+        const resume = resumeTime(id);
+
+        const facade = card.querySelector('.video-facade');
+        if (facade) {
+            facade.setAttribute('aria-label', i18n.t('videos.play', { title: video.title }));
+            const note = facade.querySelector('.video-source-note');
+            if (note) note.setAttribute('title', i18n.t('videos.youtube'));
+        }
+
+        const views = card.querySelector('.video-views');
+        if (views) {
+            views.textContent = i18n.t('videos.views', {
+                count: video.views,
+                views: new Intl.NumberFormat(i18n.getLocale()).format(video.views)
+            });
+        }
+
+        const status = card.querySelector('.video-state');
+        status.replaceChildren();
+        if (saved.watched) {
+            status.append(icon('fas fa-check-circle'), document.createTextNode(` ${i18n.t('videos.watched')}`));
+        } else if (resume) {
+            status.append(icon('fas fa-history'), document.createTextNode(` ${i18n.t('videos.resume', { time: formatTime(resume) })}`));
+        }
+
+        const percent = saved.watched ? 100 : (saved.duration ? Math.min(saved.time / saved.duration, 1) * 100 : 0);
+        card.querySelector('.video-progress span').style.width = `${percent}%`;
+        card.classList.toggle('watched', Boolean(saved.watched));
+
+        const toggle = card.querySelector('.video-watched-toggle');
+        toggle.textContent = i18n.t('videos.markWatched');
+        toggle.setAttribute('aria-pressed', String(Boolean(saved.watched)));
+    }
+
+    function updatePlaylistProgress() {
+        const progress = getProgress();
+        elements.gallery.querySelectorAll('.video-playlist').forEach(section => {
+            const videos = data.videos.filter(video => video.playlist === section.dataset.playlist);
+            const watched = videos.filter(video => progress[video.id] && progress[video.id].watched).length;
+            section.querySelector('.video-playlist-progress').textContent = i18n.t('videos.playlistProgress', { watched, total: videos.length });
+        });
+    }
+
+    function renderGallery() {
+        const playlists = Object.keys(data.playlists).filter(playlist => data.videos.some(video => video.playlist === playlist));
+
+        const sections = playlists.map(playlist => el('section', {
+            className: 'video-playlist',
+            'data-playlist': playlist,
+            'aria-labelledby': `videos-${playlist}`
+        }, [
+            el('h3', { className: 'video-playlist-title', id: `videos-${playlist}` }, [
+                document.createTextNode(`${data.playlists[playlist]} `),
+                el('span', { className: 'video-playlist-progress' })
+            ]),
+            el('div', { className: 'videos-grid' }, data.videos
+                .filter(video => video.playlist === playlist)
+                .map(video => {
+                    const card = renderCard(video);
+                    cards.set(video.id, card);
+                    return card;
+                }))
+        ]));
+
+        elements.gallery.replaceChildren(...sections);
+        elements.gallery.setAttribute('aria-busy', 'false');
+        data.videos.forEach(video => {
+            if (cards.has(video.id)) updateCard(video.id);
+        });
+        updatePlaylistProgress();
+    }
+
+    // ==================== FILTERS ====================
+
+    function matches(video) {
+        if (state.playlist !== 'all' && video.playlist !== state.playlist) return false;
+        const title = normalize(`${video.title} ${data.playlists[video.playlist] || ''}`);
+        return normalize(state.q).split(/\s+/).filter(Boolean).every(term => title.includes(term));
+    }
+
+    function applyFilters() {
+        let count = 0;
+        data.videos.forEach(video => {
+            const card = cards.get(video.id);
+            if (!card) return;
+            card.hidden = !matches(video);
+            if (!card.hidden) count++;
+        });
+
+        elements.gallery.querySelectorAll('.video-playlist').forEach(section => {
+            section.hidden = !section.querySelector('.video-card:not([hidden])');
+        });
+
+        const filtered = Boolean(state.q) || state.playlist !== 'all';
+        elements.results.textContent = filtered ? i18n.t('videos.results', { count }) : '';
+        renderEmptyState(count);
+    }
+
+    function renderEmptyState(count) {
+        const existing = elements.gallery.querySelector('.video-empty');
+        if (existing) existing.remove();
+        if (count) return;
+
+        const clear = el('button', { type: 'button', className: 'btn btn-secondary', text: i18n.t('videos.clear') });
+        clear.addEventListener('click', () => {
+            state = { q: '', playlist: 'all' };
+            syncControls();
+            applyFilters();
+            elements.search.focus();
+        });
+
+        elements.gallery.appendChild(el('div', { className: 'video-empty' }, [
+            icon('fas fa-search'),
+            el('p', { text: i18n.t('videos.empty') }),
+            clear
+        ]));
+    }
+
+    function renderPlaylistFilter() {
+        const buttons = [['all', i18n.t('videos.allPlaylists')], ...Object.entries(data.playlists)]
+            .map(([playlist, name]) => {
+                const button = el('button', {
+                    type: 'button',
+                    className: 'video-playlist-filter',
+                    'data-playlist': playlist,
+                    'aria-pressed': String(state.playlist === playlist),
+                    text: name
+                });
+                button.addEventListener('click', () => {
+                    state.playlist = playlist;
+                    syncControls();
+                    applyFilters();
+                });
+                return button;
+            });
+
+        elements.playlists.replaceChildren(...buttons);
+        elements.playlists.setAttribute('aria-label', i18n.t('videos.playlists'));
+    }
+
+    function syncControls() {
+        elements.search.value = state.q;
+        elements.playlists.querySelectorAll('[data-playlist]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.playlist === state.playlist));
+        });
+    }
+
+    // ==================== PLAYERS ====================
+
+    function createYoutubePlayer(video) {
+        const params = new URLSearchParams({
+            autoplay: '1',
+            rel: '0',
+            enablejsapi: '1',
+            origin: window.location.origin
+        });
+        const start = resumeTime(video.id);
+        if (start) params.set('start', String(start));
+
+        const iframe = el('iframe', {
+            src: `${YOUTUBE_ORIGIN}/embed/${encodeURIComponent(video.youtube)}?${params}`,
+            title: video.title,
+            allow: 'autoplay; encrypted-media; picture-in-picture; fullscreen',
+            allowfullscreen: true
+        });
+        // Ask the player to report its position (see handleYoutubeMessage)
+        iframe.addEventListener('load', () => {
+            iframe.contentWindow.postMessage(JSON.stringify({ event: 'listening', id: video.id, channel: 'widget' }), YOUTUBE_ORIGIN);
+        });
+        return iframe;
+    }
+
+    function createLocalPlayer(video) {
+        const player = el('video', {
+            controls: true,
+            autoplay: true,
+            preload: 'metadata',
+            poster: video.thumbnail ? resolve(video.thumbnail) : undefined
+        }, [
+            ...video.sources.map(source => el('source', { src: resolve(source.src), type: source.type })),
+            ...(video.captions || []).map((track, index) => el('track', {
+                kind: 'captions',
+                src: resolve(track.src),
+                srclang: track.srclang,
+                label: track.label,
+                default: index === 0
+            }))
+        ]);
+
+        player.addEventListener('loadedmetadata', () => {
+            const start = resumeTime(video.id);
+            if (start && start < player.duration) player.currentTime = start;
+        });
+        player.addEventListener('timeupdate', () => recordTime(video.id, player.currentTime, player.duration, false));
+        player.addEventListener('pause', () => recordTime(video.id, player.currentTime, player.duration, true));
+        player.addEventListener('ended', () => updateProgress(video.id, { watched: true, time: 0 }));
+        return player;
+    }
+
+    function play(video) {
+        const card = cards.get(video.id);
+        const player = usesYoutube(video) ? createYoutubePlayer(video) : createLocalPlayer(video);
+        card.querySelector('.video-thumbnail').replaceChildren(player);
+        card.classList.add('playing');
+        player.focus();
+
+        // Opened counts as started even if the position never comes back
+        if (!getProgress()[video.id]) updateProgress(video.id, {});
+    }
+
+    // infoDelivery messages of the embedded YouTube player
+    function handleYoutubeMessage(e) {
+        if (e.origin !== YOUTUBE_ORIGIN || typeof e.data !== 'string') return;
+
+        let message;
+        try {
+            message = JSON.parse(e.data);
+        } catch (error) {
+            return;
+        }
+        if (message.event !== 'infoDelivery' || !message.info) return;
+
+        const card = Array.from(cards.values()).find(item => {
+            const iframe = item.querySelector('iframe');
+            return iframe && iframe.contentWindow === e.source;
+        });
+        if (!card) return;
+
+        const id = card.dataset.video;
+        const info = message.info;
+        if (info.playerState === 0) {
+            updateProgress(id, { watched: true, time: 0 });
+        } else if (typeof info.currentTime === 'number') {
+            const saved = getProgress()[id] || {};
+            recordTime(id, info.currentTime, info.duration || saved.duration, info.playerState === 2);
+        }
+    }
+
+    // #video-<id>: clear filters hiding the video and scroll to it
+    function openFromHash() {
+        const match = window.location.hash.match(/^#video-(.+)$/);
+        if (!match) return;
+
+        const card = cards.get(decodeURIComponent(match[1]));
+        if (!card) return;
+
+        if (card.hidden) {
+            state = { q: '', playlist: 'all' };
+            syncControls();
+            applyFilters();
+        }
+        card.scrollIntoView({ block: 'center' });
+        const facade = card.querySelector('.video-facade');
+        if (facade) facade.focus({ preventScroll: true });
+    }
+
+    // Thumbnails of videos not played yet follow the privacy preferences
+    function refreshFacades() {
+        cards.forEach((card, id) => {
+            const facade = card.querySelector('.video-facade');
+            if (!facade) return;
+            facade.replaceWith(renderFacade(data.videos.find(video => video.id === id)));
+            updateCard(id);
+        });
+    }
+
+    // ==================== INITIALIZE ====================
+
+    function init() {
+        const gallery = document.querySelector('.video-gallery[data-source]');
+        if (!gallery) return;
+
+        elements = {
+            gallery,
+            search: document.getElementById('videoSearch'),
+            playlists: document.querySelector('.video-playlists-filter'),
+            results: document.querySelector('.video-results')
+        };
+        baseUrl = new URL(gallery.dataset.source, window.location.href);
+        gallery.setAttribute('aria-busy', 'true');
+
+        fetch(baseUrl.href)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(json => {
+                data = json;
+
+                renderPlaylistFilter();
+                renderGallery();
+                applyFilters();
+                openFromHash();
+
+                let searchTimer = null;
+                elements.search.addEventListener('input', () => {
+                    clearTimeout(searchTimer);
+                    searchTimer = setTimeout(() => {
+                        state.q = elements.search.value.trim();
+                        applyFilters();
+                    }, SEARCH_DELAY);
+                });
+
+                window.addEventListener('message', handleYoutubeMessage);
+                window.addEventListener('hashchange', openFromHash);
+                window.addEventListener('consent:change', refreshFacades);
+                window.addEventListener('i18n:change', () => {
+                    renderPlaylistFilter();
+                    cards.forEach((card, id) => updateCard(id));
+                    updatePlaylistProgress();
+                    applyFilters();
+                });
+            })
+            .catch(error => {
+                console.error('Videos error:', error);
+                gallery.replaceChildren(el('p', { className: 'video-status error' }, [
+                    icon('fas fa-exclamation-circle'),
+                    document.createTextNode(` ${i18n.t('videos.loadError')}`)
+                ]));
+                gallery.setAttribute('aria-busy', 'false');
+            });
+    }
+
+    document.addEventListener('DOMContentLoaded', init);
+})();
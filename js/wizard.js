@@ -0,0 +1,430 @@
+// ==================== FORM WIZARD ====================
+// Splits a form into steps, one <fieldset class="wizard-step"> each with
+// its <legend>. The wizard draws the progress indicator, checks the
+// fields of a step with formUtils.validateField before moving on, keeps
+// the step in the URL (?paso=alcance) so the browser back and forward
+// buttons move between steps, keeps a draft with formUtils.enableAutosave
+// (the step is saved with it) and sends the last step through
+// formUtils.handleFormSubmission.
+//
+//   <form id="quoteForm">
+//       <ol class="wizard-progress"></ol>
+//       <p class="wizard-status" aria-live="polite"></p>
+//       <fieldset class="wizard-step" data-step="servicio"><legend>…</legend>…</fieldset>
+//       <fieldset data-wizard-when="servicio=desarrollo,cloud">…</fieldset>   only for those values
+//       <div data-wizard-review></div>                                      summary of the previous steps
+//       <div class="wizard-nav">
+//           <button type="button" data-wizard-back>…</button>
+//           <button type="button" data-wizard-next>…</button>
+//           <button type="submit">…</button>
+//       </div>
+//   </form>
+//
+// URL parameters named like a field (?servicio=desarrollo) fill it in, and
+// the wizard opens on the step after the last one they filled.
+
+(function () {
+    const STEP_PARAM = 'paso';
+    const SKIPPED_TYPES = ['submit', 'button', 'reset', 'hidden', 'file', 'password'];
+
+    i18n.addMessages({
+        es: {
+            wizard: {
+                progress: 'Progreso',
+                stepOf: 'Paso {current} de {total}: {title}',
+                back: 'Anterior',
+                next: 'Siguiente',
+                edit: 'Editar',
+                editStep: 'Editar {step}',
+                empty: 'Sin datos'
+            }
+        },
+        en: {
+            wizard: {
+                progress: 'Progress',
+                stepOf: 'Step {current} of {total}: {title}',
+                back: 'Back',
+                next: 'Next',
+                edit: 'Edit',
+                editStep: 'Edit {step}',
+                empty: 'No details'
+            }
+        },
+        pt: {
+            wizard: {
+                progress: 'Progresso',
+                stepOf: 'Passo {current} de {total}: {title}',
+                back: 'Anterior',
+                next: 'Próximo',
+                edit: 'Editar',
+                editStep: 'Editar {step}',
+                empty: 'Sem dados'
+            }
+        }
+    });
+
+    // ==================== FIELDS ====================
+
+    function isChoice(field) {
+        return field.type === 'radio' || field.type === 'checkbox';
+    }
+
+    // Fields of a step that take part in validation; radio groups once
+    function getStepFields(step) {
+        const seenRadios = new Set();
+        return Array.from(step.querySelectorAll('input, select, textarea')).filter(field => {
+            if (field.matches(':disabled') || ['submit', 'button', 'reset', 'hidden'].includes(field.type)) return false;
+            if (field.type === 'radio') {
+                if (seenRadios.has(field.name)) return false;
+                seenRadios.add(field.name);
+            }
+            return true;
+        });
+    }
+
+    // Groups of radios or checkboxes are wrapped in <fieldset class="choice-group">
+    function getChoiceGroup(field) {
+        return isChoice(field) ? field.closest('.choice-group') : null;
+    }
+
+    function getFieldLabel(field) {
+        const group = getChoiceGroup(field);
+        const source = group ? group.querySelector('legend') : field.labels && field.labels[0];
+        return source ? source.textContent.replace(/\*\s*$/, '').trim() : field.name;
+    }
+
+    function getChoiceText(input) {
+        const label = input.labels && input.labels[0];
+        if (!label) return input.value;
+        const title = label.querySelector('.choice-title');
+        return (title || label).textContent.trim();
+    }
+
+    // What the customer entered, as they saw it (option texts, formatted dates)
+    function getFieldText(field) {
+        if (field.tagName === 'SELECT') {
+            return field.value ? field.selectedOptions[0].textContent.trim() : '';
+        }
+        if (isChoice(field)) {
+            const group = getChoiceGroup(field);
+            const inputs = group ? Array.from(group.querySelectorAll(`input[name="${field.name}"]`)) : [field];
+            return inputs.filter(input => input.checked).map(getChoiceText).join(', ');
+        }
+        if (field.type === 'date' && field.value) {
+            return new Intl.DateTimeFormat(i18n.getLocale(), { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(field.value));
+        }
+        return field.value.trim();
+    }
+
+    // ==================== WIZARD ====================
+
+    // options: { successMessage, onSuccess(data, response), submit: options for
+    // handleFormSubmission, autosave: options for enableAutosave or false }
+    function createWizard(form, options = {}) {
+        const steps = Array.from(form.querySelectorAll('.wizard-step'));
+        const progress = form.querySelector('.wizard-progress');
+        const status = form.querySelector('.wizard-status');
+        const review = form.querySelector('[data-wizard-review]');
+        const backButton = form.querySelector('[data-wizard-back]');
+        const nextButton = form.querySelector('[data-wizard-next]');
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        let current = 0;
+
+        function stepTitle(step) {
+            const legend = step.querySelector('legend');
+            return legend ? legend.textContent.trim() : step.dataset.step;
+        }
+
+        function stepIndex(name) {
+            return steps.findIndex(step => step.dataset.step === name);
+        }
+
+        function fieldValue(name) {
+            const field = form.elements[name];
+            if (!field) return '';
+            if (!field.tagName) return field.value; // RadioNodeList
+            if (field.type === 'checkbox') return field.checked ? field.value : '';
+            return field.value;
+        }
+
+        // <fieldset data-wizard-when="campo=valor1,valor2"> is only shown (and sent) for those values
+        function updateConditions() {
+            form.querySelectorAll('[data-wizard-when]').forEach(group => {
+                const [name, expected = ''] = group.dataset.wizardWhen.split('=');
+                const active = expected.split(',').includes(fieldValue(name));
+                group.hidden = !active;
+                group.disabled = !active;
+            });
+        }
+
+        function isStepComplete(step) {
+            return getStepFields(step).every(field => !formUtils.getFieldError(field));
+        }
+
+        // Show the errors of a step; true when it can be left
+        function validateStep(step) {
+            const invalid = getStepFields(step).filter(field => !formUtils.validateField(field));
+            if (!invalid.length) return true;
+
+            toast.error(i18n.t('forms.fixErrors'));
+            invalid[0].scrollIntoView({ behavior: window.motion && motion.isReduced() ? 'auto' : 'smooth', block: 'center' });
+            return false;
+        }
+
+        // The first incomplete step before index, or index itself
+        function firstBlockingStep(index) {
+            for (let i = 0; i < index; i++) {
+                if (!isStepComplete(steps[i])) return i;
+            }
+            return index;
+        }
+
+        // ==================== RENDERING ====================
+
+        function renderProgress() {
+            if (!progress) return;
+            progress.setAttribute('aria-label', i18n.t('wizard.progress'));
+            progress.replaceChildren(...steps.map((step, index) => {
+                const item = document.createElement('li');
+                item.textContent = stepTitle(step);
+                if (index < current) item.classList.add('done');
+                if (index === current) item.setAttribute('aria-current', 'step');
+                return item;
+            }));
+        }
+
+        function renderStatus() {
+            if (!status) return;
+            status.textContent = i18n.t('wizard.stepOf', {
+                current: current + 1,
+                total: steps.length,
+                title: stepTitle(steps[current])
+            });
+        }
+
+        function renderReviewStep(step, index) {
+            const section = document.createElement('section');
+            section.className = 'wizard-review-step';
+
+            const header = document.createElement('div');
+            header.className = 'wizard-review-header';
+            const title = document.createElement('h3');
+            title.textContent = stepTitle(step);
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'wizard-edit';
+            edit.textContent = i18n.t('wizard.edit');
+            edit.setAttribute('aria-label', i18n.t('wizard.editStep', { step: stepTitle(step) }));
+            edit.addEventListener('click', () => goTo(index));
+            header.append(title, edit);
+
+            const entries = getStepFields(step)
+                .map(field => [getFieldLabel(field), getFieldText(field)])
+                .filter(([, text]) => text);
+
+            const list = document.createElement('dl');
+            entries.forEach(([label, text]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = text;
+                list.append(term, description);
+            });
+            if (!entries.length) {
+                const empty = document.createElement('dd');
+                empty.textContent = i18n.t('wizard.empty');
+                list.appendChild(empty);
+            }
+
+            section.append(header, list);
+            return section;
+        }
+
+        function renderReview() {
+            if (!review || !steps[current].contains(review)) return;
+            review.replaceChildren(...steps.slice(0, current).map(renderReviewStep));
+        }
+
+        function render() {
+            steps.forEach((step, index) => {
+                step.hidden = index !== current;
+            });
+            if (backButton) backButton.hidden = current === 0;
+            if (nextButton) nextButton.hidden = current === steps.length - 1;
+            if (submitButton) submitButton.hidden = current !== steps.length - 1;
+            renderProgress();
+            renderStatus();
+            renderReview();
+        }
+
+        // ==================== NAVIGATION ====================
+
+        function stepUrl(index) {
+            const url = new URL(window.location.href);
+            url.searchParams.set(STEP_PARAM, steps[index].dataset.step);
+            return `${url.pathname}${url.search}${url.hash}`;
+        }
+
+        // history: 'push' (a new browser history entry), 'replace' or false
+        function goTo(index, { history = 'push', focus = true } = {}) {
+            current = Math.max(0, Math.min(index, steps.length - 1));
+            render();
+
+            const state = { wizard: form.id, step: steps[current].dataset.step };
+            if (history === 'push') {
+                window.history.pushState(state, '', stepUrl(current));
+            } else if (history === 'replace') {
+                window.history.replaceState(state, '', stepUrl(current));
+            }
+
+            if (focus) {
+                const legend = steps[current].querySelector('legend');
+                if (legend) {
+                    legend.tabIndex = -1;
+                    legend.focus();
+                }
+            }
+        }
+
+        function next() {
+            if (!validateStep(steps[current])) return;
+            goTo(current + 1);
+            formUtils.saveDraft(form);
+        }
+
+        function back() {
+            if (current === 0) return;
+            goTo(current - 1);
+            formUtils.saveDraft(form);
+        }
+
+        // Browser back / forward: moving ahead stops at the first incomplete step
+        function handlePopState(e) {
+            const name = e.state && e.state.wizard === form.id
+                ? e.state.step
+                : new URLSearchParams(window.location.search).get(STEP_PARAM);
+            const requested = Math.max(0, stepIndex(name));
+            const allowed = requested > current ? firstBlockingStep(requested) : requested;
+
+            goTo(allowed, { history: allowed === requested ? false : 'replace' });
+            if (allowed !== requested) validateStep(steps[allowed]);
+        }
+
+        // After a failed final submission, open the step of the first wrong field
+        function showErrors(errors) {
+            const names = Object.keys(errors || {});
+            const index = steps.findIndex(step => names.some(name => step.querySelector(`[name="${name}"]:not(:disabled)`)));
+            if (index !== -1 && index !== current) goTo(index, { focus: false });
+        }
+
+        // ==================== INITIALIZE ====================
+
+        function applyValue(name, value) {
+            const field = form.elements[name];
+            if (!field) return false;
+
+            const inputs = field.tagName ? [field] : Array.from(field);
+            const values = [].concat(value);
+            inputs.forEach(input => {
+                if (isChoice(input)) {
+                    input.checked = values.includes(input.value);
+                } else if (!SKIPPED_TYPES.includes(input.type)) {
+                    input.value = values[0];
+                }
+            });
+            return true;
+        }
+
+        // Fields from the URL parameters and the step to open
+        function prefill() {
+            const params = new URLSearchParams(window.location.search);
+            let lastPrefilled = -1;
+            params.forEach((value, name) => {
+                if (name === STEP_PARAM || !form.elements[name]) return;
+                const field = form.elements[name];
+                const element = field.tagName ? field : field[0];
+                // Never the honeypot of formUtils.protectForm
+                if (element.dataset.autosave === 'off') return;
+                // Options and radios only take one of their own values
+                const choices = field.tagName === 'SELECT' ? Array.from(field.options) : Array.from(field.tagName ? [] : field);
+                if (choices.length && !choices.some(choice => choice.value === value)) return;
+
+                applyValue(name, value);
+                lastPrefilled = Math.max(lastPrefilled, steps.findIndex(step => step.contains(element)));
+            });
+            updateConditions();
+
+            let requested = 0;
+            if (params.has(STEP_PARAM)) {
+                requested = stepIndex(params.get(STEP_PARAM));
+            } else if (lastPrefilled !== -1) {
+                requested = lastPrefilled + 1;
+            }
+            goTo(firstBlockingStep(Math.max(0, requested)), { history: 'replace', focus: false });
+        }
+
+        // A restored draft reopens the step it was saved on
+        function restoreStep(state) {
+            const requested = state ? stepIndex(state.step) : 0;
+            updateConditions();
+            goTo(firstBlockingStep(Math.max(0, requested)), { history: 'replace', focus: false });
+        }
+
+        form.setAttribute('novalidate', '');
+        form.classList.add('wizard-ready');
+
+        // Enter in a field of an earlier step moves on instead of sending.
+        // Registered before handleFormSubmission so it can stop it.
+        form.addEventListener('submit', e => {
+            if (current === steps.length - 1) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            next();
+        });
+
+        form.addEventListener('change', e => {
+            if (e.target.name && form.querySelector(`[data-wizard-when^="${e.target.name}="]`)) updateConditions();
+        });
+
+        // Sent, queued or reset: the draft goes away and the wizard starts again
+        form.addEventListener('reset', () => {
+            formUtils.clearDraft(form);
+            setTimeout(() => {
+                updateConditions();
+                goTo(0, { history: 'replace', focus: false });
+            });
+        });
+
+        if (backButton) backButton.addEventListener('click', back);
+        if (nextButton) nextButton.addEventListener('click', next);
+        window.addEventListener('popstate', handlePopState);
+        window.addEventListener('i18n:change', render);
+
+        formUtils.handleFormSubmission(form.id, options.successMessage, options.onSuccess, {
+            ...options.submit,
+            onFieldErrors: showErrors
+        });
+
+        prefill();
+
+        if (options.autosave !== false) {
+            formUtils.enableAutosave(form.id, {
+                ...options.autosave,
+                getState: () => ({ step: steps[current].dataset.step }),
+                onRestore: restoreStep
+            });
+        }
+
+        return {
+            goTo: index => goTo(index),
+            next,
+            back,
+            getStep: () => steps[current].dataset.step
+        };
+    }
+
+    window.formWizard = {
+        create: createWizard
+    };
+})();
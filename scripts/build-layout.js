@@ -0,0 +1,149 @@
+// ==================== LAYOUT BUILDER ====================
+// Writes the shared header and footer (partials/header.html and
+// partials/footer.html) into every page, so the site chrome is defined
+// once. Each page marks where they go:
+//
+//   <!-- layout:header -->
+//   <!-- /layout:header -->
+//
+// and everything between the two comments is replaced on each run. Only
+// uses Node built-ins; run it after editing a partial or partials/site.json
+// and commit the result (then rebuild the search index if pages changed):
+//
+//   node scripts/build-layout.js           # rewrite the pages
+//   node scripts/build-layout.js --check   # exit 1 if a page is out of date
+//
+// Partials use {{name}} placeholders: values from partials/site.json plus
+// {{root}} (relative path to the site root, "../" inside pages/). The
+// output only depends on these files, so --check gives the same answer any
+// day; the footer year is brought up to date by js/main.js. Links and
+// buttons with data-page="page names" get class="active" on those pages,
+// and links aria-current="page" when they point to that very page. The page name is the file name without .html;
+// the marker may override it and the root:
+// <!-- layout:header page="soporte" root="../" -->
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PARTIALS = path.join(ROOT, 'partials');
+const PAGES = ['index.html', ...fs.readdirSync(path.join(ROOT, 'pages'))
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => `pages/${file}`)];
+
+const MARKER = /^([ \t]*)<!-- layout:([\w-]+)((?:\s+[\w-]+="[^"]*")*) -->\n[\s\S]*?^[ \t]*<!-- \/layout:\2 -->/gm;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, char => HTML_ESCAPES[char]);
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    text.replace(/([\w-]+)="([^"]*)"/g, (match, name, value) => {
+        attributes[name] = value;
+    });
+    return attributes;
+}
+
+function lookup(context, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+}
+
+// ==================== RENDERING ====================
+
+function fillPlaceholders(template, context, partial) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = lookup(context, key);
+        if (value === undefined) throw new Error(`partials/${partial}.html: falta "${key}" en partials/site.json`);
+        return escapeHtml(value);
+    });
+}
+
+// Page name an href points to ("../pages/soporte.html#faq" -> "soporte")
+function linkedPage(attributes) {
+    const match = attributes.match(/\shref="([^"]*)"/);
+    return match ? path.basename(match[1].split(/[?#]/)[0], '.html') : null;
+}
+
+// data-page is build-only: it becomes class="active" / aria-current
+function markActiveLinks(html, page) {
+    return html.replace(/<(a|button)\b([^>]*?)\sdata-page="([^"]*)"([^>]*)>/g, (match, tag, before, pages, after) => {
+        const names = pages.split(/\s+/);
+        let attributes = before + after;
+
+        if (names.includes(page)) {
+            attributes = /\sclass="/.test(attributes)
+                ? attributes.replace(/\sclass="([^"]*)"/, ' class="$1 active"')
+                : `${attributes} class="active"`;
+            if (tag === 'a' && linkedPage(attributes) === page) attributes += ' aria-current="page"';
+        }
+        return `<${tag}${attributes}>`;
+    });
+}
+
+function indent(html, prefix) {
+    return html.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+function renderPartial(name, context) {
+    const file = path.join(PARTIALS, `${name}.html`);
+    if (!fs.existsSync(file)) throw new Error(`No existe partials/${name}.html`);
+    const html = fillPlaceholders(fs.readFileSync(file, 'utf8').trimEnd(), context, name);
+    return markActiveLinks(html, context.page);
+}
+
+function renderPage(file, site) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const depth = file.split('/').length - 1;
+
+    return html.replace(MARKER, (match, prefix, name, attributeText) => {
+        const attributes = parseAttributes(attributeText);
+        const context = {
+            ...site,
+            page: attributes.page || path.basename(file, '.html'),
+            root: attributes.root !== undefined ? attributes.root : '../'.repeat(depth)
+        };
+        return [
+            `${prefix}<!-- layout:${name}${attributeText} -->`,
+            indent(renderPartial(name, context), prefix),
+            `${prefix}<!-- /layout:${name} -->`
+        ].join('\n');
+    });
+}
+
+// ==================== BUILD ====================
+
+function build({ check = false } = {}) {
+    const site = JSON.parse(fs.readFileSync(path.join(PARTIALS, 'site.json'), 'utf8'));
+    const outdated = [];
+
+    PAGES.forEach(file => {
+        const current = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const rendered = renderPage(file, site);
+        if (rendered === current) return;
+
+        outdated.push(file);
+        if (!check) fs.writeFileSync(path.join(ROOT, file), rendered);
+    });
+
+    if (check) {
+        if (outdated.length) {
+            console.error(`🧩 Páginas desactualizadas: ${outdated.join(', ')}. Ejecuta node scripts/build-layout.js`);
+            process.exitCode = 1;
+        } else {
+            console.log('🧩 Todas las páginas están al día');
+        }
+    } else {
+        console.log(`🧩 ${outdated.length} de ${PAGES.length} páginas actualizadas`);
+    }
+    return outdated;
+}
+
+if (require.main === module) {
+    build({ check: process.argv.includes('--check') });
+}
+
+module.exports = { build, renderPage };
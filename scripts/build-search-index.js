@@ -0,0 +1,214 @@
+// ==================== SEARCH INDEX BUILDER ====================
+// Builds data/search-index.json for the site search (js/search.js) from
+// the HTML pages, the FAQ, the downloads catalog and the video tutorials.
+// Only uses Node built-ins; run it after editing any page and commit the
+// result:
+//
+//   node scripts/build-search-index.js
+//
+// Each page is split into one document per h1-h3 heading. Headings inside
+// an element with an id link to that id; the rest use a text fragment
+// (#:~:text=) so the browser scrolls to the heading. URLs are relative to
+// the site root (js/search.js resolves them), so the site can be published
+// in a subfolder.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'data', 'search-index.json');
+const PAGES = ['index.html', ...fs.readdirSync(path.join(ROOT, 'pages'))
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => `pages/${file}`)];
+
+const MAX_TEXT_LENGTH = 1500;
+// Site chrome repeated on every page, forms, and content that is not text
+const SKIPPED_TAGS = ['head', 'header', 'footer', 'nav', 'script', 'style', 'noscript', 'svg', 'template', 'form', 'button'];
+// Containers filled by scripts: their content is indexed from the JSON files
+const DYNAMIC_ATTRIBUTES = /\s(data-manifest|data-source|aria-live)=/i;
+const BLOCK_TAGS = /^(p|div|section|article|li|ul|ol|h[1-6]|br|tr|td|th|dt|dd|label|form|details|summary|figcaption|blockquote)$/;
+const VOID_TAGS = /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©', reg: '®', hellip: '…', ndash: '–', mdash: '—' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+// Text fragment for a heading: "-", "," and "&" have a meaning there
+function textFragment(text) {
+    return `#:~:text=${encodeURIComponent(text).replace(/-/g, '%2D')}`;
+}
+
+// ==================== HTML PAGES ====================
+
+function indexPage(file) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const url = file;
+    const title = collapse(decodeEntities((html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1] || file))
+        .replace(/\s*-\s*SauroSoftware$/, '') || 'SauroSoftware';
+    const description = getAttribute((html.match(/<meta[^>]+name=["']description["'][^>]*>/i) || [''])[0], 'content') || '';
+
+    const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [])[1] || '';
+    const sections = [{ heading: title, anchor: null, text: [description] }];
+    const stack = []; // open elements: { tag, id }
+    let skipping = 0;
+    let heading = null;
+
+    const tokens = body.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>|([^<]+)/g);
+
+    for (const [, closing, rawTag, attributes, text] of tokens) {
+        if (text !== undefined) {
+            if (skipping) continue;
+            const value = decodeEntities(text);
+            if (heading) {
+                heading.text += value;
+            } else {
+                sections[sections.length - 1].text.push(value);
+            }
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+
+        if (closing) {
+            // Pop up to the matching element, tolerating unclosed ones
+            const index = stack.map(item => item.tag).lastIndexOf(tag);
+            if (index === -1) continue;
+            const removed = stack.splice(index);
+            skipping -= removed.filter(item => item.skipped).length;
+
+            if (heading && /^h[1-3]$/.test(tag) && !skipping) {
+                const headingText = collapse(heading.text);
+                if (headingText) {
+                    sections.push({
+                        heading: headingText,
+                        anchor: heading.anchor ? `#${heading.anchor}` : textFragment(headingText),
+                        text: []
+                    });
+                }
+                heading = null;
+            }
+            if (BLOCK_TAGS.test(tag)) sections[sections.length - 1].text.push(' ');
+            continue;
+        }
+
+        if (VOID_TAGS.test(tag) || attributes.trim().endsWith('/')) {
+            if (tag === 'br') sections[sections.length - 1].text.push(' ');
+            continue;
+        }
+
+        const skipped = SKIPPED_TAGS.includes(tag)
+            || DYNAMIC_ATTRIBUTES.test(attributes)
+            || /\shidden(\s|=|$)|aria-hidden=["']true["']/i.test(attributes);
+        const id = getAttribute(attributes, 'id');
+        stack.push({ tag, id, skipped });
+        if (skipped) skipping++;
+
+        if (!skipping && /^h[1-3]$/.test(tag)) {
+            // The heading's own id or the nearest enclosing one
+            const anchor = id || [...stack].reverse().map(item => item.id).find(Boolean) || null;
+            heading = { text: '', anchor };
+        }
+        if (BLOCK_TAGS.test(tag)) sections[sections.length - 1].text.push(' ');
+    }
+
+    return sections
+        .map(section => ({
+            type: 'page',
+            url: section.anchor ? `${url}${section.anchor}` : url,
+            page: title,
+            title: section.heading,
+            text: collapse(section.text.join('')).slice(0, MAX_TEXT_LENGTH)
+        }))
+        .filter(doc => doc.text || doc.title !== title);
+}
+
+// ==================== DATA FILES ====================
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function indexFaq() {
+    const faq = readJson('data/faq.json');
+    return faq.entries.map(entry => ({
+        type: 'faq',
+        url: `pages/soporte.html#faq-${entry.id}`,
+        page: 'Soporte',
+        title: entry.question,
+        text: [entry.answer.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1'), (entry.keywords || []).join(' ')].join(' ').trim()
+    }));
+}
+
+function indexDownloads() {
+    const catalog = readJson('data/downloads.json');
+    return catalog.releases
+        .filter(release => !release.archived)
+        .map(release => ({
+            type: 'download',
+            url: `pages/descargas.html#download-${release.id}`,
+            page: 'Descargas',
+            // Same wording as the cards in Spanish ("Parche 3.5.2 → 3.5.3")
+            title: release.type === 'patch' && release.from
+                ? `${release.title}: parche ${release.from} → ${release.version}`
+                : `${release.title} ${release.version}`,
+            text: [
+                release.description,
+                (catalog.products[release.product] || {}).name,
+                (release.changelog || []).join(' ')
+            ].filter(Boolean).join(' ')
+        }));
+}
+
+function indexVideos() {
+    const gallery = readJson('data/videos.json');
+    return gallery.videos.map(video => ({
+        type: 'video',
+        url: `pages/soporte.html#video-${video.id}`,
+        page: 'Soporte',
+        title: video.title,
+        text: [gallery.playlists[video.playlist], video.duration].filter(Boolean).join(' ')
+    }));
+}
+
+// ==================== BUILD ====================
+
+function build() {
+    const documents = [
+        ...PAGES.flatMap(indexPage),
+        ...indexFaq(),
+        ...indexDownloads(),
+        ...indexVideos()
+    ];
+
+    const index = {
+        generated: new Date().toISOString(),
+        documents
+    };
+
+    fs.writeFileSync(OUTPUT, `${JSON.stringify(index)}\n`);
+    console.log(`🔎 ${documents.length} documentos indexados en ${path.relative(ROOT, OUTPUT)}`);
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { build, indexPage };
@@ -0,0 +1,144 @@
+// ==================== SAUROSOFTWARE DEV SERVER ====================
+// Local server for development: serves the static site from the
+// repository root and mocks the /api/* endpoints used by the forms and
+// the /ws/chat WebSocket used by the chat widget.
+//
+//   node server/dev-server.js
+//
+// Environment variables:
+//   PORT              Port to listen on (default 8080)
+//   MOCK_DELAY        Milliseconds added to every API response
+//   MOCK_FAIL_RATE    0..1 probability of answering an API call with 503
+//   TICKET_STEP       Milliseconds between simulated ticket status changes
+//   CHAT_REPLY_DELAY  Milliseconds the mock chat agent "types" before answering
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { sendJson } = require('./lib/http');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT || '8080');
+const MOCK_DELAY = parseInt(process.env.MOCK_DELAY || '0');
+const MOCK_FAIL_RATE = parseFloat(process.env.MOCK_FAIL_RATE || '0');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.mp4': 'video/mp4',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+// Routes are keyed by "METHOD /path"
+const routes = {
+    ...require('./routes/contact'),
+    ...require('./routes/tickets'),
+    ...require('./routes/faq'),
+    ...require('./routes/orders'),
+    ...require('./routes/quotes'),
+    ...require('./routes/analytics'),
+    ...require('./routes/validate')
+};
+
+// WebSocket endpoints are keyed by path
+const upgrades = {
+    ...require('./routes/chat')
+};
+
+// Served from the repository root, except the server code and git data
+const BLOCKED_DIRECTORIES = ['server', '.git'];
+
+function serveStatic(req, res, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.join(ROOT, relative);
+    const blocked = BLOCKED_DIRECTORIES.some(directory => (
+        filePath === path.join(ROOT, directory) || filePath.startsWith(path.join(ROOT, directory) + path.sep)
+    ));
+
+    if (!filePath.startsWith(ROOT + path.sep) || blocked) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        res.end(content);
+    });
+}
+
+async function handleApi(req, res, pathname) {
+    const handler = routes[`${req.method} ${pathname}`];
+    if (!handler) {
+        sendJson(res, 404, { message: 'Endpoint no encontrado' });
+        return;
+    }
+
+    if (MOCK_DELAY) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_DELAY));
+    }
+    if (Math.random() < MOCK_FAIL_RATE) {
+        sendJson(res, 503, { message: 'Servicio no disponible (simulado)' });
+        return;
+    }
+
+    try {
+        await handler(req, res);
+    } catch (error) {
+        console.error(`[api] ${req.method} ${pathname}:`, error.message);
+        sendJson(res, error.status || 500, { message: error.message || 'Error interno' });
+    }
+}
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname.startsWith('/api/')) {
+        handleApi(req, res, pathname);
+    } else {
+        serveStatic(req, res, pathname);
+    }
+});
+
+server.on('upgrade', (req, socket) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const handler = upgrades[pathname];
+
+    if (!handler) {
+        socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+        return;
+    }
+    handler(req, socket);
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🦖 SauroSoftware dev server en http://localhost:${PORT}`);
+    });
+}
+
+module.exports = server;
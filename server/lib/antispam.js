@@ -0,0 +1,91 @@
+// ==================== ANTI-SPAM ====================
+// Server half of the protection added by formUtils.protectForm
+// (js/forms.js). A submission is spam when the "website" honeypot is
+// filled in or its "_stamp" proof of work does not hold up:
+//
+//   1:bits:startedAt:resource:random:counter
+//
+// whose SHA-256 must start with at least MIN_BITS zero bits, name the path
+// it is sent to, not be older than MAX_AGE, not come sooner than MIN_AGE
+// after the form appeared and not have been used before. Routes answer
+// spam with an ordinary success and store nothing, so bots learn nothing.
+//
+// A stamp is only used up once the route has stored the submission
+// (consume), so a form sent back for corrections can be resent.
+
+const crypto = require('crypto');
+
+const HONEYPOT_FIELD = 'website';
+const STAMP_FIELD = '_stamp';
+const MIN_BITS = parseInt(process.env.ANTISPAM_BITS || '14');
+const MIN_AGE = 3000;                       // ms, same as the browser check
+const MAX_AGE = 7 * 24 * 60 * 60 * 1000;    // queued submissions wait offline
+const CLOCK_SKEW = 5 * 60 * 1000;           // browser clocks ahead of ours
+
+// Stamps already accepted, with the time they were started
+const usedStamps = new Map();
+
+function forgetOldStamps(now) {
+    usedStamps.forEach((startedAt, stamp) => {
+        if (now - startedAt > MAX_AGE) usedStamps.delete(stamp);
+    });
+}
+
+function leadingZeroBits(text) {
+    return Math.clz32(crypto.createHash('sha256').update(text).digest().readUInt32BE(0));
+}
+
+// Reason the stamp is not valid for this path, or null
+function checkStamp(stamp, resource, now) {
+    if (typeof stamp !== 'string' || !stamp) return 'sin sello';
+
+    const [version, bits, startedAt, stampResource] = stamp.split(':');
+    if (version !== '1' || stamp.split(':').length !== 6) return 'sello mal formado';
+    if (stampResource !== resource) return 'sello de otro formulario';
+    if (parseInt(bits) < MIN_BITS || leadingZeroBits(stamp) < MIN_BITS) return 'prueba de trabajo insuficiente';
+
+    const age = now - parseInt(startedAt);
+    if (Number.isNaN(age) || age > MAX_AGE) return 'sello vencido';
+    if (age < -CLOCK_SKEW) return 'sello del futuro';
+    if (age >= 0 && age < MIN_AGE) return 'enviado demasiado rápido';
+    if (usedStamps.has(stamp)) return 'sello repetido';
+
+    return null;
+}
+
+// Reason the submission looks like spam (already logged), or null
+function check(req, fields) {
+    const resource = new URL(req.url, 'http://localhost').pathname;
+    const now = Date.now();
+    const reason = fields[HONEYPOT_FIELD]
+        ? 'campo trampa completado'
+        : checkStamp(fields[STAMP_FIELD], resource, now);
+
+    if (reason) {
+        console.log(`[antispam] ${resource} descartado: ${reason}`);
+        return reason;
+    }
+    return null;
+}
+
+// Drops the protection fields before a submission is validated and
+// stored; returns the stamp for consume()
+function strip(fields) {
+    const stamp = fields[STAMP_FIELD];
+    delete fields[HONEYPOT_FIELD];
+    delete fields[STAMP_FIELD];
+    return stamp;
+}
+
+// Remembers the stamp of a stored submission so it cannot be sent again
+function consume(stamp) {
+    const now = Date.now();
+    forgetOldStamps(now);
+    usedStamps.set(stamp, parseInt(stamp.split(':')[2]));
+}
+
+module.exports = {
+    check,
+    strip,
+    consume
+};
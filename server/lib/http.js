@@ -0,0 +1,110 @@
+// ==================== HTTP HELPERS ====================
+// Body parsing and JSON responses for the local development server.
+
+const MAX_BODY_SIZE = 10 * 1024 * 1024; // 10 MB
+
+function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Minimal multipart/form-data parser: text fields become strings,
+// files become { filename, type, size, data }
+function parseMultipart(buffer, boundary) {
+    const fields = {};
+    const files = {};
+    const delimiter = Buffer.from(`--${boundary}`);
+    let position = buffer.indexOf(delimiter);
+
+    while (position !== -1) {
+        const start = position + delimiter.length;
+        const next = buffer.indexOf(delimiter, start);
+        if (next === -1) break;
+
+        // Each part: CRLF headers CRLFCRLF content CRLF
+        const part = buffer.slice(start + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString('utf8');
+            const content = part.slice(headerEnd + 4);
+            const name = (headers.match(/name="([^"]*)"/) || [])[1];
+            const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+            const type = (headers.match(/Content-Type:\s*([^\r\n]+)/i) || [])[1];
+
+            if (name && filename !== undefined) {
+                if (filename) {
+                    (files[name] = files[name] || []).push({
+                        filename,
+                        type: type || 'application/octet-stream',
+                        size: content.length,
+                        data: content
+                    });
+                }
+            } else if (name) {
+                fields[name] = content.toString('utf8');
+            }
+        }
+
+        position = next;
+    }
+
+    return { fields, files };
+}
+
+// Parse a request body according to its Content-Type
+async function readBody(req) {
+    const raw = await readRawBody(req);
+    const contentType = req.headers['content-type'] || '';
+
+    if (contentType.includes('application/json')) {
+        try {
+            return { fields: raw.length ? JSON.parse(raw.toString('utf8')) : {}, files: {} };
+        } catch (error) {
+            throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+        }
+    }
+
+    if (contentType.includes('multipart/form-data')) {
+        const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+        if (!boundary) {
+            throw Object.assign(new Error('Missing multipart boundary'), { status: 400 });
+        }
+        return parseMultipart(raw, boundary);
+    }
+
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return { fields: Object.fromEntries(new URLSearchParams(raw.toString('utf8'))), files: {} };
+    }
+
+    return { fields: {}, files: {} };
+}
+
+function sendJson(res, status, payload) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store'
+    });
+    res.end(body);
+}
+
+module.exports = {
+    readBody,
+    parseMultipart,
+    sendJson
+};
@@ -0,0 +1,109 @@
+// ==================== SERVER-SIDE VALIDATION ====================
+// Mirrors the checks in js/forms.js so the mock API can answer with
+// field errors in the same shape the client maps onto showFieldError.
+// Messages follow the Accept-Language header sent by the client.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^[\d\s\+\-\(\)]+$/;
+
+const MESSAGES = {
+    es: {
+        required: 'Este campo es obligatorio',
+        email: 'Por favor ingresa un email válido',
+        phone: 'Por favor ingresa un teléfono válido',
+        minLength: 'Mínimo {n} caracteres requeridos',
+        maxLength: 'Máximo {n} caracteres permitidos',
+        oneOf: 'Selecciona una opción válida',
+        pattern: 'El formato ingresado no es válido',
+        maxFiles: 'Puedes adjuntar como máximo {n} archivos',
+        maxFileSize: 'Cada archivo debe pesar como máximo {n} MB',
+        fileType: 'Tipo de archivo no permitido',
+        notFound: 'Registro no encontrado',
+        invalid: 'Datos inválidos'
+    },
+    en: {
+        required: 'This field is required',
+        email: 'Please enter a valid email address',
+        phone: 'Please enter a valid phone number',
+        minLength: 'At least {n} characters required',
+        maxLength: 'No more than {n} characters allowed',
+        oneOf: 'Select a valid option',
+        pattern: 'The format entered is not valid',
+        maxFiles: 'You can attach at most {n} files',
+        maxFileSize: 'Each file must be {n} MB or smaller',
+        fileType: 'File type not allowed',
+        notFound: 'Record not found',
+        invalid: 'Invalid data'
+    },
+    pt: {
+        required: 'Este campo é obrigatório',
+        email: 'Por favor, insira um e-mail válido',
+        phone: 'Por favor, insira um telefone válido',
+        minLength: 'Mínimo de {n} caracteres',
+        maxLength: 'Máximo de {n} caracteres',
+        oneOf: 'Selecione uma opção válida',
+        pattern: 'O formato informado não é válido',
+        maxFiles: 'Você pode anexar no máximo {n} arquivos',
+        maxFileSize: 'Cada arquivo deve ter no máximo {n} MB',
+        fileType: 'Tipo de arquivo não permitido',
+        notFound: 'Registro não encontrado',
+        invalid: 'Dados inválidos'
+    }
+};
+
+// First supported language in an Accept-Language header
+function pickLanguage(header) {
+    const languages = String(header || '').split(',').map(part => part.split(';')[0].trim().slice(0, 2).toLowerCase());
+    return languages.find(language => MESSAGES[language]) || 'es';
+}
+
+function message(language, key, n) {
+    return (MESSAGES[language] || MESSAGES.es)[key].replace('{n}', n);
+}
+
+function isEmail(value) {
+    return EMAIL_RE.test(value);
+}
+
+function isPhone(value) {
+    return PHONE_RE.test(value) && value.replace(/\D/g, '').length >= 7;
+}
+
+// rules: { campo: { required, requiredIf: [campo, valor], email, phone, minLength, maxLength, oneOf, pattern } }
+function validate(fields, rules, language = 'es') {
+    const errors = {};
+
+    Object.entries(rules).forEach(([name, rule]) => {
+        const value = String(fields[name] == null ? '' : fields[name]).trim();
+        const requiredIf = rule.requiredIf
+            && String(fields[rule.requiredIf[0]] || '').trim() === rule.requiredIf[1];
+
+        if ((rule.required || requiredIf) && !value) {
+            errors[name] = message(language, 'required');
+        } else if (!value) {
+            return;
+        } else if (rule.email && !isEmail(value)) {
+            errors[name] = message(language, 'email');
+        } else if (rule.phone && !isPhone(value)) {
+            errors[name] = message(language, 'phone');
+        } else if (rule.minLength && value.length < rule.minLength) {
+            errors[name] = message(language, 'minLength', rule.minLength);
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+            errors[name] = message(language, 'maxLength', rule.maxLength);
+        } else if (rule.oneOf && !rule.oneOf.includes(value)) {
+            errors[name] = message(language, 'oneOf');
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            errors[name] = message(language, 'pattern');
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    isEmail,
+    isPhone,
+    pickLanguage,
+    message,
+    validate
+};
@@ -0,0 +1,156 @@
+// ==================== MINIMAL WEBSOCKET SERVER ====================
+// Just enough of RFC 6455 for the mock chat: handshake, text frames,
+// ping/pong and close. No extensions and no fragmented messages.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_FRAME_SIZE = 64 * 1024;
+
+const OPCODES = {
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Returns { opcode, payload, length } or null when the frame is incomplete
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_FRAME_SIZE) {
+        throw Object.assign(new Error('Frame too large'), { closeCode: 1009 });
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < offset + maskLength + length) return null;
+
+    const payload = Buffer.from(buffer.slice(offset + maskLength, offset + maskLength + length));
+    if (masked) {
+        const mask = buffer.slice(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+
+    return { opcode, payload, length: offset + maskLength + length };
+}
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(this.buffer))) {
+                this.buffer = this.buffer.slice(frame.length);
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            this.close(error.closeCode || 1002);
+        }
+    }
+
+    handleFrame({ opcode, payload }) {
+        if (opcode === OPCODES.text) {
+            this.emit('message', payload.toString('utf8'));
+        } else if (opcode === OPCODES.ping) {
+            this.write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.close) {
+            this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        }
+    }
+
+    write(opcode, payload) {
+        if (!this.closed) this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    send(text) {
+        this.write(OPCODES.text, Buffer.from(String(text), 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+// Complete the handshake for an 'upgrade' request; null when it is not a WebSocket one
+function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = {
+    acceptUpgrade
+};
@@ -0,0 +1,87 @@
+// ==================== /api/analytics ====================
+// Self-hosted collector for the beacons sent after the visitor allowed
+// analytics: /forms from js/form-analytics.js (read and aggregated by
+// reportes/formularios.html) and /events from js/analytics.js (page views,
+// CTA clicks and scroll depth). Both receive batches of { events: [...] }
+// and keep the well-formed events for the lifetime of the dev server.
+
+const { readBody, sendJson } = require('../lib/http');
+
+const EVENT_TYPES = ['view', 'start', 'submit', 'abandon'];
+const PAGE_EVENT_TYPES = ['pageview', 'cta', 'scroll'];
+const MAX_BATCH = 100;
+const MAX_EVENTS = 50000;
+
+const events = [];
+const pageEvents = [];
+
+// Keeps the most recent MAX_EVENTS
+function store(list, accepted) {
+    list.push(...accepted);
+    if (list.length > MAX_EVENTS) list.splice(0, list.length - MAX_EVENTS);
+}
+
+async function readBatch(req) {
+    const { fields } = await readBody(req);
+    return Array.isArray(fields.events) ? fields.events.slice(0, MAX_BATCH) : [];
+}
+
+function isValidEvent(event) {
+    return event !== null && typeof event === 'object'
+        && EVENT_TYPES.includes(event.type)
+        && typeof event.form === 'string' && event.form.length <= 100
+        && typeof event.session === 'string' && event.session.length <= 40
+        && (event.fields === undefined || (event.fields !== null && typeof event.fields === 'object'));
+}
+
+function isValidPageEvent(event) {
+    return event !== null && typeof event === 'object'
+        && PAGE_EVENT_TYPES.includes(event.type)
+        && typeof event.page === 'string' && event.page.startsWith('/') && event.page.length <= 200
+        && typeof event.view === 'string' && event.view.length <= 40;
+}
+
+async function recordFormEvents(req, res) {
+    const accepted = (await readBatch(req)).filter(isValidEvent);
+    store(events, accepted);
+
+    accepted.filter(event => event.type === 'abandon').forEach(event => {
+        console.log(`[analytics] ${event.form} abandonado en "${event.lastField || '-'}"`);
+    });
+
+    // sendBeacon ignores the answer; 204 keeps it empty
+    res.writeHead(204);
+    res.end();
+}
+
+async function recordPageEvents(req, res) {
+    const accepted = (await readBatch(req)).filter(isValidPageEvent);
+    store(pageEvents, accepted);
+
+    accepted.filter(event => event.type === 'cta').forEach(event => {
+        console.log(`[analytics] ${event.kind} en ${event.page}: ${event.label}`);
+    });
+
+    res.writeHead(204);
+    res.end();
+}
+
+function listFormEvents(req, res) {
+    sendJson(res, 200, { events });
+}
+
+// Development helper: page events plus views per page
+function listPageEvents(req, res) {
+    const views = {};
+    pageEvents.filter(event => event.type === 'pageview').forEach(event => {
+        views[event.page] = (views[event.page] || 0) + 1;
+    });
+    sendJson(res, 200, { views, events: pageEvents });
+}
+
+module.exports = {
+    'POST /api/analytics/forms': recordFormEvents,
+    'GET /api/analytics/forms': listFormEvents,
+    'POST /api/analytics/events': recordPageEvents,
+    'GET /api/analytics/events': listPageEvents
+};
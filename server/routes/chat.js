@@ -0,0 +1,115 @@
+// ==================== /ws/chat ====================
+// Mock support agent for js/chat.js. Answers every message after a short
+// "typing" pause (CHAT_REPLY_DELAY ms, default 1200) with a canned reply
+// chosen by keyword, or an echo when nothing matches.
+//
+// Protocol (JSON text frames):
+//   client → { type: 'hello', sessionId, language, resumed }
+//            { type: 'message', id, text }
+//            { type: 'typing', active }
+//   server → { type: 'ack', id }
+//            { type: 'typing', active }
+//            { type: 'message', id, from: 'agent', agent, text, at }
+
+const { acceptUpgrade } = require('../lib/websocket');
+
+const CHAT_REPLY_DELAY = parseInt(process.env.CHAT_REPLY_DELAY || '1200');
+const AGENT_NAME = 'Sauro Bot';
+
+let replyCount = 0;
+
+const REPLIES = {
+    es: {
+        welcome: '¡Hola! Soy {agent}. ¿En qué podemos ayudarte?',
+        echo: 'Recibimos tu mensaje: "{text}". Un agente te responderá en breve.',
+        download: 'Puedes descargar los instaladores y parches en la página de Descargas.',
+        ticket: 'Para dar seguimiento a un problema puedes crear un ticket en Soporte > Tickets.',
+        price: 'Con gusto te preparamos una cotización. ¿Para qué producto y cuántos usuarios?'
+    },
+    en: {
+        welcome: 'Hi! I am {agent}. How can we help you?',
+        echo: 'We received your message: "{text}". An agent will reply shortly.',
+        download: 'You can download installers and patches from the Downloads page.',
+        ticket: 'To follow up on a problem you can create a ticket in Support > Tickets.',
+        price: 'We will gladly prepare a quote. Which product and how many users?'
+    },
+    pt: {
+        welcome: 'Olá! Sou {agent}. Como podemos ajudar?',
+        echo: 'Recebemos sua mensagem: "{text}". Um agente responderá em breve.',
+        download: 'Você pode baixar instaladores e patches na página de Downloads.',
+        ticket: 'Para acompanhar um problema, você pode criar um ticket em Suporte > Tickets.',
+        price: 'Teremos prazer em preparar um orçamento. Para qual produto e quantos usuários?'
+    }
+};
+
+const KEYWORDS = [
+    { reply: 'download', pattern: /descarg|instal|download|baix|parche|patch/i },
+    { reply: 'ticket', pattern: /ticket|error|falla|problem|bug/i },
+    { reply: 'price', pattern: /precio|costo|cotiz|price|quote|preço|orçamento/i }
+];
+
+function reply(language, key, params = {}) {
+    const template = (REPLIES[language] || REPLIES.es)[key];
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+function handleChat(req, socket) {
+    const connection = acceptUpgrade(req, socket);
+    if (!connection) return;
+
+    let language = 'es';
+    let sessionId = null;
+    const timers = new Set();
+
+    const send = payload => connection.send(JSON.stringify(payload));
+    const later = (fn, delay) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            fn();
+        }, delay);
+        timers.add(timer);
+    };
+
+    const answer = text => {
+        send({ type: 'typing', active: true });
+        later(() => {
+            send({ type: 'typing', active: false });
+            send({
+                type: 'message',
+                id: `agent-${++replyCount}`,
+                from: 'agent',
+                agent: AGENT_NAME,
+                text,
+                at: new Date().toISOString()
+            });
+        }, CHAT_REPLY_DELAY);
+    };
+
+    connection.on('message', raw => {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            return;
+        }
+
+        if (data.type === 'hello') {
+            language = REPLIES[data.language] ? data.language : 'es';
+            sessionId = data.sessionId || null;
+            // Conversations resumed after a page load are not greeted again
+            if (!data.resumed) answer(reply(language, 'welcome', { agent: AGENT_NAME }));
+        } else if (data.type === 'message' && typeof data.text === 'string') {
+            send({ type: 'ack', id: data.id });
+            console.log(`[chat] ${sessionId || 'anónimo'}: ${data.text}`);
+
+            const match = KEYWORDS.find(keyword => keyword.pattern.test(data.text));
+            answer(match ? reply(language, match.reply) : reply(language, 'echo', { text: data.text.slice(0, 200) }));
+        }
+    });
+
+    connection.on('close', () => timers.forEach(timer => clearTimeout(timer)));
+}
+
+module.exports = {
+    '/ws/chat': handleChat
+};
@@ -0,0 +1,69 @@
+// ==================== /api/contact ====================
+
+const { readBody, sendJson } = require('../lib/http');
+const { validate, pickLanguage, message: t } = require('../lib/validation');
+const antispam = require('../lib/antispam');
+
+const CONTACT_RULES = {
+    nombre: { required: true, minLength: 2 },
+    email: { required: true, email: true },
+    telefono: { required: true, phone: true },
+    asunto: {
+        required: true,
+        oneOf: ['cotizacion', 'soporte', 'ventas', 'desarrollo', 'consultoria', 'otro']
+    },
+    presupuesto: { requiredIf: ['asunto', 'cotizacion'] },
+    mensaje: { required: true, maxLength: 5000 }
+};
+
+// Submissions live in memory for the lifetime of the dev server
+const messages = [];
+
+async function createMessage(req, res) {
+    const { fields, files } = await readBody(req);
+
+    // Queued submissions may be resent; answer repeats with the original id
+    const submissionId = req.headers['x-submission-id'] || null;
+    const duplicate = submissionId && messages.find(message => message.submissionId === submissionId);
+    if (duplicate) {
+        sendJson(res, 200, { ok: true, id: duplicate.id, duplicate: true });
+        return;
+    }
+
+    // Spam gets the usual answer and is not stored
+    if (antispam.check(req, fields)) {
+        sendJson(res, 201, { ok: true, id: `MSG-${Date.now().toString(36).toUpperCase()}` });
+        return;
+    }
+    const stamp = antispam.strip(fields);
+
+    const language = pickLanguage(req.headers['accept-language']);
+    const errors = validate(fields, CONTACT_RULES, language);
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors });
+        return;
+    }
+
+    const message = {
+        id: `MSG-${Date.now().toString(36).toUpperCase()}`,
+        submissionId,
+        receivedAt: new Date().toISOString(),
+        fields,
+        attachments: Object.values(files).flat().map(({ filename, type, size }) => ({ filename, type, size }))
+    };
+    messages.push(message);
+    antispam.consume(stamp);
+    console.log(`[contact] ${message.id} de ${fields.email} (${fields.asunto})`);
+
+    sendJson(res, 201, { ok: true, id: message.id });
+}
+
+function listMessages(req, res) {
+    sendJson(res, 200, { messages });
+}
+
+module.exports = {
+    'POST /api/contact': createMessage,
+    'GET /api/contact': listMessages
+};
@@ -0,0 +1,36 @@
+// ==================== /api/faq/feedback ====================
+// "¿Te fue útil?" votes from the FAQ in soporte.html. Only the totals per
+// question are kept, plus the search that led to each "No" so support
+// staff can see which answers need work.
+
+const { readBody, sendJson } = require('../lib/http');
+const { pickLanguage, message: t } = require('../lib/validation');
+
+// { [id]: { yes, no, queries: [] } } for the lifetime of the dev server
+const feedback = {};
+
+async function recordFeedback(req, res) {
+    const { fields } = await readBody(req);
+    const id = String(fields.id || '').trim();
+
+    if (!/^[a-z0-9-]+$/.test(id) || typeof fields.helpful !== 'boolean') {
+        sendJson(res, 422, { message: t(pickLanguage(req.headers['accept-language']), 'invalid') });
+        return;
+    }
+
+    const totals = feedback[id] || (feedback[id] = { yes: 0, no: 0, queries: [] });
+    totals[fields.helpful ? 'yes' : 'no']++;
+    if (!fields.helpful && fields.query) totals.queries.push(String(fields.query).slice(0, 200));
+    console.log(`[faq] ${id}: ${fields.helpful ? 'útil' : 'no útil'}`);
+
+    sendJson(res, 201, { ok: true });
+}
+
+function listFeedback(req, res) {
+    sendJson(res, 200, { feedback });
+}
+
+module.exports = {
+    'POST /api/faq/feedback': recordFeedback,
+    'GET /api/faq/feedback': listFeedback
+};
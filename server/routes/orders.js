@@ -0,0 +1,204 @@
+// ==================== /api/orders ====================
+// Orders from the cart page (pages/carrito.html) and the mock card
+// payment used by its local payment provider. Totals are recomputed here
+// with js/pricing.js and data/pricing.json, bundles and discounts
+// included: the client only sends the lines. Orders live in memory and
+// start as "pendiente"; an approved payment marks them "pagado".
+//
+// Test cards for POST /api/payments/mock (any future expiry and CVC):
+//   4242 4242 4242 4242  approved
+//   4000 0000 0000 0002  declined
+//   4000 0000 0000 9995  insufficient funds
+
+const fs = require('fs');
+const path = require('path');
+const { createPricing } = require('../../js/pricing');
+const { readBody, sendJson } = require('../lib/http');
+const { validate, pickLanguage, message: t } = require('../lib/validation');
+
+const PRICE_LIST = path.join(__dirname, '..', '..', 'data', 'pricing.json');
+const PROVIDERS = ['mock'];
+const MAX_LINES = 20;
+
+const ORDER_RULES = {
+    nombre: { required: true, minLength: 2 },
+    email: { required: true, email: true },
+    telefono: { required: true, phone: true },
+    empresa: { maxLength: 120 },
+    nit: { pattern: /^\d{6,15}$/ },
+    provider: { required: true, oneOf: PROVIDERS }
+};
+
+const DECLINED_CARDS = {
+    '4000000000000002': 'declined',
+    '4000000000009995': 'insufficient_funds'
+};
+
+const orders = [];
+let nextNumber = 1;
+
+// Read on every order so price changes apply without a restart
+function loadPricing() {
+    return createPricing(JSON.parse(fs.readFileSync(PRICE_LIST, 'utf8')));
+}
+
+function parseLines(value) {
+    try {
+        const lines = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(lines) ? lines : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function luhn(number) {
+    let sum = 0;
+    number.split('').reverse().forEach((digit, index) => {
+        let value = parseInt(digit, 10);
+        if (index % 2 === 1) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return sum % 10 === 0;
+}
+
+// "MM/AA" not earlier than the current month
+function isFutureExpiry(value) {
+    const match = String(value || '').match(/^(\d{2})\s*\/\s*(\d{2})$/);
+    if (!match) return false;
+    const month = parseInt(match[1], 10);
+    const year = 2000 + parseInt(match[2], 10);
+    const now = new Date();
+    return month >= 1 && month <= 12
+        && (year > now.getFullYear() || (year === now.getFullYear() && month >= now.getMonth() + 1));
+}
+
+function publicOrder(order) {
+    return {
+        id: order.id,
+        status: order.status,
+        createdAt: order.createdAt,
+        paidAt: order.paidAt,
+        currency: order.currency,
+        lines: order.lines,
+        subtotal: order.subtotal,
+        discounts: order.discounts,
+        total: order.total,
+        customer: order.customer,
+        payment: order.payment
+    };
+}
+
+async function createOrder(req, res) {
+    const { fields } = await readBody(req);
+    const language = pickLanguage(req.headers['accept-language']);
+
+    // A retried checkout sends the same reference: answer with that order
+    const reference = String(fields.reference || '').trim() || null;
+    const duplicate = reference && orders.find(order => order.reference === reference);
+    if (duplicate) {
+        sendJson(res, 200, { order: publicOrder(duplicate), duplicate: true });
+        return;
+    }
+
+    const pricing = loadPricing();
+    const errors = validate(fields, ORDER_RULES, language);
+    const lines = parseLines(fields.items);
+
+    if (!lines || !lines.length || lines.length > MAX_LINES || !lines.every(pricing.isValidLine)) {
+        errors.items = t(language, 'invalid');
+    }
+    if (!pricing.currencies.includes(fields.currency)) {
+        errors.currency = t(language, 'oneOf');
+    }
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors });
+        return;
+    }
+
+    const summary = pricing.priceCart(lines, fields.currency);
+    const order = {
+        id: `ORD-${String(nextNumber++).padStart(6, '0')}`,
+        reference,
+        status: 'pendiente',
+        createdAt: new Date().toISOString(),
+        paidAt: null,
+        currency: summary.currency,
+        lines: summary.lines.map(line => ({ ...line, name: pricing.products[line.product].name })),
+        subtotal: summary.subtotal,
+        discounts: summary.discounts,
+        total: summary.total,
+        customer: {
+            nombre: String(fields.nombre || '').trim(),
+            email: String(fields.email || '').trim(),
+            telefono: String(fields.telefono || '').trim(),
+            empresa: String(fields.empresa || '').trim() || null,
+            nit: String(fields.nit || '').trim() || null
+        },
+        provider: fields.provider,
+        payment: null
+    };
+    orders.push(order);
+    console.log(`[orders] ${order.id} ${order.lines.length} producto(s) ${order.total} ${order.currency} de ${order.customer.email}`);
+
+    sendJson(res, 201, { order: publicOrder(order) });
+}
+
+// { orderId, cardNumber, expiry: "MM/AA", cvc }
+async function mockPayment(req, res) {
+    const { fields } = await readBody(req);
+    const language = pickLanguage(req.headers['accept-language']);
+    const order = orders.find(item => item.id === String(fields.orderId || '').trim().toUpperCase());
+
+    if (!order) {
+        sendJson(res, 404, { message: t(language, 'notFound') });
+        return;
+    }
+    // Paying twice (a retried request) returns the first approval
+    if (order.status === 'pagado') {
+        sendJson(res, 200, { ...order.payment, order: publicOrder(order) });
+        return;
+    }
+
+    const cardNumber = String(fields.cardNumber || '').replace(/[\s-]/g, '');
+    const errors = {};
+    if (!/^\d{13,19}$/.test(cardNumber) || !luhn(cardNumber)) errors.cardNumber = t(language, 'pattern');
+    if (!isFutureExpiry(fields.expiry)) errors.expiry = t(language, 'pattern');
+    if (!/^\d{3,4}$/.test(String(fields.cvc || ''))) errors.cvc = t(language, 'pattern');
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors });
+        return;
+    }
+
+    const reason = DECLINED_CARDS[cardNumber] || null;
+    const payment = {
+        status: reason ? 'declined' : 'approved',
+        reason,
+        transactionId: `MOCK-${Date.now().toString(36).toUpperCase()}`,
+        last4: cardNumber.slice(-4)
+    };
+    console.log(`[orders] pago ${order.id}: ${payment.status}${reason ? ` (${reason})` : ''}`);
+
+    if (payment.status === 'approved') {
+        order.status = 'pagado';
+        order.paidAt = new Date().toISOString();
+        order.payment = payment;
+    }
+
+    sendJson(res, 200, { ...payment, order: publicOrder(order) });
+}
+
+// Development helper: every order received
+function listOrders(req, res) {
+    sendJson(res, 200, { orders: orders.map(publicOrder) });
+}
+
+module.exports = {
+    'POST /api/orders': createOrder,
+    'GET /api/orders': listOrders,
+    'POST /api/payments/mock': mockPayment
+};
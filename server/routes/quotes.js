@@ -0,0 +1,115 @@
+// ==================== /api/quotes ====================
+// Quote requests from the wizard in pages/cotizacion.html. Besides the
+// common fields, each service has its own scope questions, so the rules
+// that apply depend on the "servicio" received. Requests live in memory.
+
+const { readBody, sendJson } = require('../lib/http');
+const { validate, pickLanguage, message: t } = require('../lib/validation');
+const antispam = require('../lib/antispam');
+
+const SERVICES = ['desarrollo', 'soporte', 'cloud', 'consultoria', 'ecommerce', 'bi'];
+
+const QUOTE_RULES = {
+    servicio: { required: true, oneOf: SERVICES },
+    descripcion: { required: true, minLength: 20, maxLength: 3000 },
+    presupuesto: { required: true, oneOf: ['0-1000', '1000-5000', '5000-10000', '10000-25000', '25000+'] },
+    plazo: { required: true, oneOf: ['urgente', '1-3', '3-6', 'flexible'] },
+    inicio: { pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    nombre: { required: true, minLength: 2 },
+    email: { required: true, email: true },
+    telefono: { required: true, phone: true },
+    empresa: { maxLength: 120 },
+    contactoPreferido: { oneOf: ['email', 'telefono', 'whatsapp'] },
+    comentarios: { maxLength: 2000 }
+};
+
+const NUMBER = /^\d{1,6}$/;
+
+// Scope questions of each service (the wizard only sends the chosen one)
+const SCOPE_RULES = {
+    desarrollo: {
+        desarrolloTipo: { required: true, oneOf: ['web', 'movil', 'escritorio', 'integracion'] },
+        desarrolloUsuarios: { required: true, pattern: NUMBER },
+        desarrolloDiseno: { required: true, oneOf: ['si', 'no'] }
+    },
+    soporte: {
+        soporteSistemas: { required: true, minLength: 3, maxLength: 200 },
+        soporteCobertura: { required: true, oneOf: ['laboral', 'extendido', '24-7'] },
+        soporteEquipos: { required: true, pattern: NUMBER }
+    },
+    cloud: {
+        cloudTipo: { required: true, oneOf: ['migracion', 'infraestructura', 'backups', 'optimizacion'] },
+        cloudProveedor: { required: true, oneOf: ['sin-preferencia', 'aws', 'azure', 'gcp'] },
+        cloudServidores: { pattern: NUMBER }
+    },
+    consultoria: {
+        consultoriaArea: { required: true, oneOf: ['transformacion', 'seguridad', 'arquitectura', 'procesos'] },
+        consultoriaModalidad: { required: true, oneOf: ['remota', 'presencial'] },
+        consultoriaHoras: { pattern: NUMBER }
+    },
+    ecommerce: {
+        ecommercePlataforma: { required: true, oneOf: ['ninguna', 'shopify', 'woocommerce', 'otra'] },
+        ecommerceProductos: { required: true, oneOf: ['1-100', '100-1000', '1000+'] },
+        ecommercePagos: { required: true, oneOf: ['tarjeta', 'qr', 'todos', 'ninguno'] }
+    },
+    bi: {
+        biFuentes: { required: true, minLength: 3, maxLength: 200 },
+        biReportes: { required: true, pattern: NUMBER },
+        biUsuarios: { pattern: NUMBER }
+    }
+};
+
+const quotes = [];
+let nextNumber = 1;
+
+async function createQuote(req, res) {
+    const { fields } = await readBody(req);
+
+    // Queued submissions may be resent; answer repeats with the original request
+    const submissionId = req.headers['x-submission-id'] || null;
+    const duplicate = submissionId && quotes.find(quote => quote.submissionId === submissionId);
+    if (duplicate) {
+        sendJson(res, 200, { ok: true, id: duplicate.id, duplicate: true });
+        return;
+    }
+
+    // Spam gets the usual answer, is not stored and does not use up a number
+    if (antispam.check(req, fields)) {
+        sendJson(res, 201, { ok: true, id: `COT-${Date.now().toString(36).toUpperCase()}` });
+        return;
+    }
+    const stamp = antispam.strip(fields);
+
+    const language = pickLanguage(req.headers['accept-language']);
+    const errors = {
+        ...validate(fields, QUOTE_RULES, language),
+        ...validate(fields, SCOPE_RULES[fields.servicio] || {}, language)
+    };
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors });
+        return;
+    }
+
+    const quote = {
+        id: `COT-${String(nextNumber++).padStart(6, '0')}`,
+        submissionId,
+        receivedAt: new Date().toISOString(),
+        fields
+    };
+    quotes.push(quote);
+    antispam.consume(stamp);
+    console.log(`[quotes] ${quote.id} ${fields.servicio} (${fields.presupuesto}, ${fields.plazo}) de ${fields.email}`);
+
+    sendJson(res, 201, { ok: true, id: quote.id });
+}
+
+// Development helper: every request received
+function listQuotes(req, res) {
+    sendJson(res, 200, { quotes });
+}
+
+module.exports = {
+    'POST /api/quotes': createQuote,
+    'GET /api/quotes': listQuotes
+};
@@ -0,0 +1,188 @@
+// ==================== /api/tickets ====================
+// Support tickets for pages/tickets.html. Tickets live in memory and move
+// through abierto → en_progreso → resuelto on their own every
+// TICKET_STEP milliseconds (default 2 minutes) so the status history can
+// be tried out; POST /api/tickets/status moves one by hand.
+
+const fs = require('fs');
+const path = require('path');
+const { readBody, sendJson } = require('../lib/http');
+const { validate, pickLanguage, message: t } = require('../lib/validation');
+const antispam = require('../lib/antispam');
+
+const TICKET_STEP = parseInt(process.env.TICKET_STEP || '120000');
+
+const STATUSES = ['abierto', 'en_progreso', 'resuelto'];
+
+// Products come from the same catalogs as the select of js/tickets.js
+const CATALOGS = ['pricing.json', 'downloads.json'].map(file => path.join(__dirname, '..', '..', 'data', file));
+const OTHER_PRODUCT = 'otro';
+
+const TICKET_RULES = {
+    nombre: { required: true, minLength: 2 },
+    email: { required: true, email: true },
+    producto: { required: true }, // oneOf: productIds(), read per ticket
+    version: { required: true, pattern: /^v?\d+(\.\d+){0,2}(-[0-9A-Za-z.-]+)?$/ },
+    severidad: { required: true, oneOf: ['baja', 'media', 'alta', 'critica'] },
+    descripcion: { required: true, minLength: 20, maxLength: 5000 }
+};
+
+const ATTACHMENTS = {
+    field: 'adjuntos',
+    maxFiles: 3,
+    maxFileSize: 3, // MB
+    extensions: ['.png', '.jpg', '.jpeg', '.pdf', '.txt', '.log', '.zip']
+};
+
+const tickets = [];
+let nextNumber = 1;
+
+// Everything sold or downloadable, plus "otro". Read on every ticket so
+// catalog changes apply without a restart
+function productIds() {
+    const ids = CATALOGS.flatMap(file => Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).products));
+    return [...new Set(ids), OTHER_PRODUCT];
+}
+
+function validateAttachments(files, language) {
+    const attachments = files[ATTACHMENTS.field] || [];
+
+    if (attachments.length > ATTACHMENTS.maxFiles) {
+        return t(language, 'maxFiles', ATTACHMENTS.maxFiles);
+    }
+    if (attachments.some(file => file.size > ATTACHMENTS.maxFileSize * 1024 * 1024)) {
+        return t(language, 'maxFileSize', ATTACHMENTS.maxFileSize);
+    }
+    if (attachments.some(file => !ATTACHMENTS.extensions.includes(path.extname(file.filename).toLowerCase()))) {
+        return t(language, 'fileType');
+    }
+    return null;
+}
+
+// Simulated progress: one status step per TICKET_STEP since the last change
+function advance(ticket) {
+    const now = Date.now();
+    let last = ticket.history[ticket.history.length - 1];
+
+    while (last.status !== 'resuelto' && now - Date.parse(last.at) >= TICKET_STEP) {
+        last = {
+            status: STATUSES[STATUSES.indexOf(last.status) + 1],
+            at: new Date(Date.parse(last.at) + TICKET_STEP).toISOString(),
+            note: null
+        };
+        ticket.history.push(last);
+    }
+    ticket.status = last.status;
+}
+
+// What the customer may see (no email or attachment contents)
+function publicTicket(ticket) {
+    return {
+        id: ticket.id,
+        producto: ticket.fields.producto,
+        version: ticket.fields.version,
+        severidad: ticket.fields.severidad,
+        createdAt: ticket.createdAt,
+        status: ticket.status,
+        history: ticket.history,
+        attachments: ticket.attachments
+    };
+}
+
+function findTicket(id, email) {
+    const ticket = tickets.find(item => item.id === String(id || '').trim().toUpperCase());
+    if (!ticket || ticket.fields.email.toLowerCase() !== String(email || '').trim().toLowerCase()) {
+        return null;
+    }
+    return ticket;
+}
+
+async function createTicket(req, res) {
+    const { fields, files } = await readBody(req);
+
+    // Queued submissions may be resent; answer repeats with the original ticket
+    const submissionId = req.headers['x-submission-id'] || null;
+    const duplicate = submissionId && tickets.find(ticket => ticket.submissionId === submissionId);
+    if (duplicate) {
+        sendJson(res, 200, { ok: true, id: duplicate.id, status: duplicate.status, duplicate: true });
+        return;
+    }
+
+    // Spam gets a ticket number that is never stored, so lookups fail. It
+    // is not taken from the sequence: real tickets keep consecutive numbers
+    if (antispam.check(req, fields)) {
+        sendJson(res, 201, { ok: true, id: `TK-${Date.now().toString(36).toUpperCase()}`, status: 'abierto' });
+        return;
+    }
+    const stamp = antispam.strip(fields);
+
+    const language = pickLanguage(req.headers['accept-language']);
+    const rules = { ...TICKET_RULES, producto: { ...TICKET_RULES.producto, oneOf: productIds() } };
+    const errors = validate(fields, rules, language);
+    const attachmentError = validateAttachments(files, language);
+    if (attachmentError) errors[ATTACHMENTS.field] = attachmentError;
+
+    if (Object.keys(errors).length) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors });
+        return;
+    }
+
+    const createdAt = new Date().toISOString();
+    const ticket = {
+        id: `TK-${String(nextNumber++).padStart(6, '0')}`,
+        submissionId,
+        createdAt,
+        status: 'abierto',
+        fields,
+        history: [{ status: 'abierto', at: createdAt, note: null }],
+        attachments: (files[ATTACHMENTS.field] || []).map(({ filename, type, size }) => ({ filename, type, size }))
+    };
+    tickets.push(ticket);
+    antispam.consume(stamp);
+    console.log(`[tickets] ${ticket.id} ${fields.producto} ${fields.version} (${fields.severidad}) de ${fields.email}`);
+
+    sendJson(res, 201, { ok: true, id: ticket.id, status: ticket.status });
+}
+
+// GET /api/tickets?id=TK-000001&email=cliente@empresa.com
+function getTicket(req, res) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const language = pickLanguage(req.headers['accept-language']);
+    const ticket = findTicket(searchParams.get('id'), searchParams.get('email'));
+
+    if (!ticket) {
+        sendJson(res, 404, { message: t(language, 'notFound') });
+        return;
+    }
+
+    advance(ticket);
+    sendJson(res, 200, { ticket: publicTicket(ticket) });
+}
+
+// Development helper: { id, status, note }
+async function updateStatus(req, res) {
+    const { fields } = await readBody(req);
+    const language = pickLanguage(req.headers['accept-language']);
+    const ticket = tickets.find(item => item.id === String(fields.id || '').trim().toUpperCase());
+
+    if (!ticket) {
+        sendJson(res, 404, { message: t(language, 'notFound') });
+        return;
+    }
+    if (!STATUSES.includes(fields.status)) {
+        sendJson(res, 422, { message: t(language, 'invalid'), errors: { status: t(language, 'oneOf') } });
+        return;
+    }
+
+    advance(ticket);
+    ticket.history.push({ status: fields.status, at: new Date().toISOString(), note: fields.note || null });
+    ticket.status = fields.status;
+
+    sendJson(res, 200, { ticket: publicTicket(ticket) });
+}
+
+module.exports = {
+    'POST /api/tickets': createTicket,
+    'GET /api/tickets': getTicket,
+    'POST /api/tickets/status': updateStatus
+};
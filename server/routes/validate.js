@@ -0,0 +1,37 @@
+// ==================== /api/validate ====================
+// Remote checks used by async validators in js/forms.js.
+
+const dns = require('dns').promises;
+const { sendJson } = require('../lib/http');
+
+// A domain can receive mail when it has MX records (or at least an A record)
+async function hasMailServer(domain) {
+    try {
+        const records = await dns.resolveMx(domain);
+        if (records.length) return true;
+    } catch (error) {
+        // Fall through to the A record check
+    }
+    try {
+        const addresses = await dns.resolve4(domain);
+        return addresses.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function checkEmailDomain(req, res) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const domain = (searchParams.get('domain') || '').trim().toLowerCase();
+
+    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain)) {
+        sendJson(res, 200, { domain, valid: false });
+        return;
+    }
+
+    sendJson(res, 200, { domain, valid: await hasMailServer(domain) });
+}
+
+module.exports = {
+    'GET /api/validate/email-domain': checkEmailDomain
+};
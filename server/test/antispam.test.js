@@ -0,0 +1,75 @@
+// ==================== ANTI-SPAM TESTS ====================
+// Runs against the dev server with the proof of work turned off
+// (ANTISPAM_BITS=0), so any well-formed stamp is accepted:
+//
+//   node --test server/test/
+
+process.env.ANTISPAM_BITS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('../dev-server');
+
+const CONTACT = {
+    nombre: 'Ana Pérez',
+    email: 'ana@empresa.com',
+    telefono: '+591 70000000',
+    asunto: 'cotizacion',
+    mensaje: 'Necesitamos una cotización.',
+    website: ''
+};
+
+let baseUrl = null;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Started 10 s ago, so it is not "too fast"
+function createStamp(resource) {
+    return `1:0:${Date.now() - 10000}:${resource}:${Math.random().toString(36).slice(2)}:0`;
+}
+
+function post(path, fields) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+}
+
+test('a submission corrected after a 422 is stored with the same stamp', async () => {
+    const stamp = createStamp('/api/contact');
+
+    const rejected = await post('/api/contact', { ...CONTACT, _stamp: stamp });
+    assert.strictEqual(rejected.status, 422);
+    assert.ok((await rejected.json()).errors.presupuesto);
+
+    const resent = await post('/api/contact', { ...CONTACT, presupuesto: '5000-15000', _stamp: stamp });
+    assert.strictEqual(resent.status, 201);
+    const { id } = await resent.json();
+
+    const { messages } = await (await fetch(`${baseUrl}/api/contact`)).json();
+    assert.ok(messages.some(message => message.id === id));
+});
+
+async function countMessages() {
+    const { messages } = await (await fetch(`${baseUrl}/api/contact`)).json();
+    return messages.length;
+}
+
+test('a stamp cannot be used again once stored', async () => {
+    const fields = { ...CONTACT, presupuesto: '5000-15000', _stamp: createStamp('/api/contact') };
+
+    assert.strictEqual((await post('/api/contact', fields)).status, 201);
+    const stored = await countMessages();
+
+    // The replay gets the usual answer but is not stored
+    assert.strictEqual((await post('/api/contact', fields)).status, 201);
+    assert.strictEqual(await countMessages(), stored);
+});
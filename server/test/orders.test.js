@@ -0,0 +1,73 @@
+// ==================== ORDER TESTS ====================
+// Runs against the dev server; totals come from data/pricing.json:
+//
+//   node --test server/test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('../dev-server');
+
+const CUSTOMER = {
+    nombre: 'Ana Pérez',
+    email: 'ana@empresa.com',
+    telefono: '+591 70000000',
+    currency: 'USD',
+    provider: 'mock'
+};
+
+let baseUrl = null;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function post(path, fields) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+}
+
+test('lines with inherited keys as product or tier are rejected', async () => {
+    const lines = [
+        { product: 'constructor', tier: 'estandar', seats: 1 },
+        { product: 'toString', tier: 'estandar', seats: 1 },
+        { product: 'sauropos', tier: 'valueOf', seats: 1 },
+        { product: '__proto__', tier: 'estandar', seats: 1 }
+    ];
+
+    for (const line of lines) {
+        const response = await post('/api/orders', { ...CUSTOMER, items: [line] });
+        assert.strictEqual(response.status, 422, `${line.product}/${line.tier}`);
+        assert.ok((await response.json()).errors.items);
+    }
+});
+
+test('a valid order is stored with its recomputed total', async () => {
+    const response = await post('/api/orders', { ...CUSTOMER, items: [{ product: 'sauropos', tier: 'estandar', seats: 1 }] });
+    assert.strictEqual(response.status, 201);
+
+    const { order } = await response.json();
+    assert.strictEqual(order.total, 499);
+    assert.strictEqual(order.lines[0].name, 'SauroPOS');
+});
+
+test('contact fields sent as numbers are stored as text', async () => {
+    const response = await post('/api/orders', {
+        ...CUSTOMER,
+        nombre: 12345,
+        telefono: 59170000000,
+        items: [{ product: 'sauropos', tier: 'estandar', seats: 1 }]
+    });
+    assert.strictEqual(response.status, 201);
+
+    const { order } = await response.json();
+    assert.strictEqual(order.customer.nombre, '12345');
+    assert.strictEqual(order.customer.telefono, '59170000000');
+});
@@ -0,0 +1,57 @@
+// ==================== PRICING TESTS ====================
+// js/pricing.js with the real price list (SauroERP includes SauroCRM):
+//
+//   node --test server/test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createPricing } = require('../../js/pricing');
+const priceList = require(path.join(__dirname, '..', '..', 'data', 'pricing.json'));
+
+const pricing = createPricing(priceList);
+const ERP = { product: 'sauroerp', tier: 'profesional', seats: 10 };
+
+function totals(lines) {
+    return pricing.priceCart(lines).lines.map(line => [line.product, line.total, line.includedIn]);
+}
+
+test('the bundle covers an included line within its tier and seats', () => {
+    assert.deepStrictEqual(totals([ERP, { product: 'saurocrm', tier: 'estandar', seats: 5 }]), [
+        ['sauroerp', 2598, null],
+        ['saurocrm', 0, 'sauroerp']
+    ]);
+});
+
+test('an included line above the bundle tier, seats or billing is charged', () => {
+    const lines = [
+        { product: 'saurocrm', tier: 'empresarial', seats: 5 },
+        { product: 'saurocrm', tier: 'profesional', seats: 11 },
+        { product: 'saurocrm', tier: 'estandar', seats: 1, billing: 'perpetual' }
+    ];
+    lines.forEach(line => {
+        const [, crm] = pricing.priceCart([ERP, line]).lines;
+        assert.strictEqual(crm.includedIn, null, `${line.tier}/${line.seats}/${line.billing}`);
+        assert.strictEqual(crm.total, pricing.priceLine(line).total);
+    });
+});
+
+test('a cheap bundle line does not make an empresarial perpetual line free', () => {
+    const crm = { product: 'saurocrm', tier: 'empresarial', seats: 500, billing: 'perpetual' };
+    const [, priced] = pricing.priceCart([{ product: 'sauroerp', tier: 'estandar', seats: 1 }, crm]).lines;
+    assert.strictEqual(priced.includedIn, null);
+    assert.ok(priced.total > 0);
+});
+
+test('only one included line per bundle line is free', () => {
+    const crm = { product: 'saurocrm', tier: 'estandar', seats: 1 };
+    const summary = pricing.priceCart([ERP, crm, { ...crm }, { ...crm }]);
+    assert.strictEqual(summary.lines.filter(line => line.includedIn).length, 1);
+    assert.strictEqual(summary.subtotal, 2598 + 2 * 399);
+});
+
+test('each bundle line covers its own included line', () => {
+    const crm = { product: 'saurocrm', tier: 'estandar', seats: 1 };
+    const summary = pricing.priceCart([ERP, { ...ERP }, crm, { ...crm }]);
+    assert.strictEqual(summary.lines.filter(line => line.includedIn).length, 2);
+});
@@ -0,0 +1,70 @@
+// ==================== TICKET TESTS ====================
+// Runs against the dev server with the proof of work turned off
+// (ANTISPAM_BITS=0); products come from data/pricing.json and
+// data/downloads.json:
+//
+//   node --test server/test/
+
+process.env.ANTISPAM_BITS = '0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const server = require('../dev-server');
+
+const TICKET = {
+    nombre: 'Ana Pérez',
+    email: 'ana@empresa.com',
+    version: '3.5.2',
+    severidad: 'media',
+    descripcion: 'El informe de ventas no abre desde ayer.',
+    website: ''
+};
+
+let baseUrl = null;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, () => {
+        baseUrl = `http://localhost:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Started 10 s ago, so it is not "too fast"
+function createStamp(resource) {
+    return `1:0:${Date.now() - 10000}:${resource}:${Math.random().toString(36).slice(2)}:0`;
+}
+
+function post(path, fields) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields)
+    });
+}
+
+test('tickets can be opened for every product in the catalogs', async () => {
+    for (const producto of ['saurobi', 'sauroshop', 'sauroproject', 'sauro-tools', 'otro']) {
+        const response = await post('/api/tickets', { ...TICKET, producto, _stamp: createStamp('/api/tickets') });
+        assert.strictEqual(response.status, 201, producto);
+    }
+});
+
+test('products outside the catalogs are rejected', async () => {
+    const response = await post('/api/tickets', { ...TICKET, producto: 'sauronada', _stamp: createStamp('/api/tickets') });
+    assert.strictEqual(response.status, 422);
+    assert.ok((await response.json()).errors.producto);
+});
+
+test('spam does not use up ticket numbers', async () => {
+    const send = fields => post('/api/tickets', { ...TICKET, producto: 'sauropos', _stamp: createStamp('/api/tickets'), ...fields })
+        .then(response => response.json());
+
+    const before = await send({});
+    const spam = await send({ website: 'https://spam.example' });
+    const after = await send({});
+
+    assert.notStrictEqual(spam.id, after.id);
+    assert.strictEqual(Number(after.id.slice(3)), Number(before.id.slice(3)) + 1);
+});
@@ -0,0 +1,222 @@
+// ==================== SAUROSOFTWARE SERVICE WORKER ====================
+// Bump CACHE_VERSION on every deploy: the new worker precaches the site
+// under new cache names, waits until the page accepts the update
+// ("nueva versión disponible") and then removes the old caches.
+//
+// Styles and scripts are served cache first, so a change to any file in
+// css/ or js/ needs a new CACHE_VERSION or visitors keep the old copy.
+// Every one of those files goes in PRECACHE_URLS, including the ones only
+// some pages load (analytics.js after consent, the reportes/ page).
+
+importScripts('js/utils.js', 'js/form-queue.js');
+
+const CACHE_VERSION = 'v36';
+const CACHE_PREFIX = 'sauro-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images-${CACHE_VERSION}`;
+const IMAGE_CACHE_LIMIT = 60;
+const OFFLINE_PAGE = 'offline.html';
+
+// Paths are relative to this file, the root of the site, so it also works
+// when the site is published in a subfolder
+const SITE_ROOT = new URL('./', self.location.href).href;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+
+    // Pages
+    'pages/quienes-somos.html',
+    'pages/que-hacemos.html',
+    'pages/servicios.html',
+    'pages/productos.html',
+    'pages/descargas.html',
+    'pages/soporte.html',
+    'pages/tickets.html',
+    'pages/contacto.html',
+    'pages/carrito.html',
+    'pages/cotizacion.html',
+
+    // Styles
+    'css/styles.css',
+    'css/quienes-somos.css',
+    'css/que-hacemos.css',
+    'css/servicios.css',
+    'css/productos.css',
+    'css/descargas.css',
+    'css/soporte.css',
+    'css/tickets.css',
+    'css/contacto.css',
+    'css/support-contact.css',
+    'css/chat.css',
+    'css/carrito.css',
+    'css/cotizacion.css',
+    'css/reportes.css',
+
+    // Scripts
+    'js/i18n.js',
+    'js/utils.js',
+    'js/toast.js',
+    'js/consent.js',
+    'js/main.js',
+    'js/search.js',
+    'js/forms.js',
+    'js/form-analytics.js',
+    'js/form-queue.js',
+    'js/animations.js',
+    'js/carousel.js',
+    'js/downloads.js',
+    'js/downloads-filter.js',
+    'js/update-checker.js',
+    'js/tickets.js',
+    'js/chat.js',
+    'js/faq.js',
+    'js/videos.js',
+    'js/pricing.js',
+    'js/cart.js',
+    'js/price-calculator.js',
+    'js/checkout.js',
+    'js/wizard.js',
+    'js/quote.js',
+    'js/analytics.js',
+    'js/form-report.js',
+
+    // Data
+    'data/downloads.json',
+    'data/faq.json',
+    'data/pricing.json',
+    'data/videos.json',
+    'data/search-index.json',
+
+    // Images
+    'assets/images/LOGO.png',
+    'assets/images/hero-big.jpg',
+    'assets/images/hd.avif'
+];
+
+// ==================== LIFECYCLE ====================
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', event => {
+    const currentCaches = [PRECACHE, IMAGE_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !currentCaches.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks the waiting worker to take over after the user accepts
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ==================== FETCH STRATEGIES ====================
+
+// Pages and data: network first so content stays fresh, cache as fallback.
+// Only navigations fall back to the offline page.
+async function networkFirst(request, fallbackUrl) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(PRECACHE);
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (fallbackUrl) return offlinePage(fallbackUrl);
+        throw error;
+    }
+}
+
+// The offline page answers navigations at any depth: a <base> at the site
+// root keeps its relative links and styles working
+async function offlinePage(url) {
+    const cached = await caches.match(url);
+    if (!cached) return Response.error();
+
+    const html = (await cached.text()).replace('<head>', `<head>\n    <base href="${SITE_ROOT}">`);
+    return new Response(html, { headers: cached.headers });
+}
+
+// Images: answer from cache right away and refresh it in the background
+async function staleWhileRevalidate(request, event) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request) || await caches.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone()).then(() => trimCache(IMAGE_CACHE, IMAGE_CACHE_LIMIT));
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+    return network;
+}
+
+// Styles and scripts: versioned with the worker, so cache first
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    if (sameOrigin && url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, OFFLINE_PAGE));
+    } else if (url.href.startsWith(`${SITE_ROOT}data/`)) {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else if (sameOrigin && ['style', 'script', 'manifest'].includes(request.destination)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// ==================== BACKGROUND SYNC ====================
+// Resend queued form submissions once connectivity is back. Rejecting
+// the promise tells the browser to retry the sync later.
+self.addEventListener('sync', event => {
+    if (event.tag !== formQueue.SYNC_TAG) return;
+
+    event.waitUntil(
+        formQueue.flush().then(result => {
+            if (result.pending) {
+                throw new Error(`${result.pending} envíos siguen pendientes`);
+            }
+        })
+    );
+});